@@ -1,6 +1,7 @@
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { PrismaClient } from '@prisma/client';
+import { sendWelcomeEmail } from '../services/email.js';
 
 const prisma = new PrismaClient();
 
@@ -67,6 +68,11 @@ passport.use(
           },
         });
 
+        // Queued in the background; a mail problem must not block the sign-in
+        sendWelcomeEmail(newUser.email, newUser.firstName, newUser.id).catch(error => {
+          console.error('Welcome email error:', error);
+        });
+
         return done(null, newUser);
       } catch (error) {
         console.error('OAuth Strategy Error:', error);
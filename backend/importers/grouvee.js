@@ -0,0 +1,87 @@
+/**
+ * Grouvee Importer
+ * CSV export from grouvee.com (Profile > Export); shelves, dates and genres are JSON cells
+ */
+import { GAME_STATUSES } from '../utils/gameStatus.js';
+import {
+  readCsvRecords,
+  pick,
+  readDate,
+  readList,
+  readJson,
+  scaleRating,
+  mapStatus,
+  collectEntries,
+} from './helpers.js';
+
+// Shelf names as shown on Grouvee (custom shelves fall back to the status names)
+const SHELF_STATUSES = {
+  playing: GAME_STATUSES.PLAYING,
+  beaten: GAME_STATUSES.COMPLETED,
+  played: GAME_STATUSES.COMPLETED,
+  completed: GAME_STATUSES.COMPLETED,
+  backlog: GAME_STATUSES.WISHLIST,
+  wishlist: GAME_STATUSES.WISHLIST,
+  abandoned: GAME_STATUSES.DROPPED,
+  nope: GAME_STATUSES.DROPPED,
+  paused: GAME_STATUSES.ON_HOLD,
+};
+
+// A game can sit on several shelves; the most "active" one wins
+const STATUS_PRIORITY = [
+  GAME_STATUSES.PLAYING,
+  GAME_STATUSES.COMPLETED,
+  GAME_STATUSES.DROPPED,
+  GAME_STATUSES.ON_HOLD,
+  GAME_STATUSES.WISHLIST,
+];
+
+const readJsonCell = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return readJson(value) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const earliest = (dates) => dates.filter(Boolean).sort((a, b) => a - b)[0] ?? null;
+const latest = (dates) => dates.filter(Boolean).sort((a, b) => b - a)[0] ?? null;
+
+const readRecord = (record) => {
+  const shelves = readJsonCell(record.shelves, {});
+  const shelfEntries = Array.isArray(shelves)
+    ? shelves.map(name => [name, {}])
+    : Object.entries(shelves);
+  const statuses = shelfEntries.map(([shelf]) => mapStatus(shelf, SHELF_STATUSES)).filter(Boolean);
+
+  // Each playthrough: { date_started, date_finished, seconds_played, level_of_completion }
+  const plays = readJsonCell(record.dates, []);
+  const playthroughs = Array.isArray(plays) ? plays : [];
+  const seconds = playthroughs.reduce((total, play) => total + (Number(play.seconds_played) || 0), 0);
+
+  return {
+    externalId: pick(record, 'giantbombid', 'id'),
+    name: record.name,
+    status: STATUS_PRIORITY.find(status => statuses.includes(status)) ?? null,
+    userRating: scaleRating(record.rating, 5),
+    notes: record.review,
+    platforms: readList(record.platforms),
+    genres: readList(record.genres),
+    addedAt: earliest(shelfEntries.map(([, shelf]) => readDate(shelf?.date_added))),
+    completedAt: latest(playthroughs.map(play => readDate(play.date_finished))),
+    playtimeMinutes: Math.round(seconds / 60),
+    lastPlayedAt: latest(playthroughs.map(play => readDate(play.date_finished || play.date_started))),
+  };
+};
+
+export default {
+  id: 'grouvee',
+  name: 'Grouvee',
+  format: 'csv',
+  description: 'CSV export from your Grouvee profile',
+
+  parse(text) {
+    return collectEntries(readCsvRecords(text), readRecord);
+  },
+};
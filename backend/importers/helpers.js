@@ -0,0 +1,241 @@
+/**
+ * Importer Helpers
+ * Shared reading for tracker export adapters: CSV records, loose header lookup,
+ * dates, rating scales, playtime and status tables
+ */
+import { CsvParseError, parseCsv, unguardCell } from '../utils/csv.js';
+import { normalizeStatus } from '../utils/gameStatus.js';
+
+/**
+ * Raised when an upload is not in the format its importer expects
+ */
+export class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+// "Date Added", "date_added" and "dateAdded" all read as "dateadded"
+export const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read CSV text into records keyed by normalized header
+ * @param {string} input - CSV text
+ * @returns {Array<object>} { row, record } numbered as in a spreadsheet (header is row 1)
+ * @throws {ImportFormatError} When the text is missing or not valid CSV
+ */
+export const readCsvRecords = (input) => {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new ImportFormatError('Expected the CSV text of the export');
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(input);
+  } catch (error) {
+    if (error instanceof CsvParseError) {
+      throw new ImportFormatError(error.message);
+    }
+    throw error;
+  }
+
+  const [headers = [], ...data] = rows;
+  const keys = headers.map(normalizeKey);
+  return data.map((cells, index) => ({
+    row: index + 2,
+    record: Object.fromEntries(keys.map((key, column) => [key, unguardCell((cells[column] ?? '').trim())])),
+  }));
+};
+
+/**
+ * Read JSON text (or already-parsed JSON)
+ * @throws {ImportFormatError} When the text is not valid JSON
+ */
+export const readJson = (input) => {
+  if (typeof input !== 'string') {
+    return input;
+  }
+  try {
+    return JSON.parse(input);
+  } catch {
+    throw new ImportFormatError('Expected a JSON export');
+  }
+};
+
+/**
+ * First non-empty value among the given keys of a record
+ * @param {object} record - Record keyed by normalizeKey
+ * @param {...string} keys - Candidate keys, already normalized
+ * @returns {*} Value, or null when none is set
+ */
+export const pick = (record, ...keys) => {
+  for (const key of keys) {
+    const value = record[key];
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse a date cell; numbers are read as Unix seconds
+ * @returns {Date|null} Date, or null when missing or unreadable
+ */
+export const readDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Convert a rating on another scale to our 1-5 stars, in half-star steps
+ * Accepts "8/10" style values, which carry their own scale.
+ * @param {*} value - Rating as exported
+ * @param {number} max - Top of the source scale
+ * @returns {number|null} Rating, or null when unrated (0 or empty)
+ */
+export const scaleRating = (value, max) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let score = value;
+  let scale = max;
+  const fraction = typeof value === 'string' && value.match(/^\s*([\d.]+)\s*\/\s*([\d.]+)\s*$/);
+  if (fraction) {
+    score = fraction[1];
+    scale = parseFloat(fraction[2]);
+  }
+
+  const number = parseFloat(score);
+  if (!Number.isFinite(number) || number <= 0 || !(scale > 0)) {
+    return null;
+  }
+
+  const stars = Math.round((Math.min(number, scale) / scale) * 5 * 2) / 2;
+  return Math.max(1, stars);
+};
+
+/**
+ * Playtime in minutes from "hh:mm:ss", "hh:mm" or a number in the given unit
+ * @param {*} value - Playtime as exported
+ * @param {string} unit - 'seconds', 'minutes' or 'hours' for plain numbers
+ * @returns {number} Whole minutes (0 when missing)
+ */
+export const readPlaytime = (value, unit = 'minutes') => {
+  if (value === null || value === undefined || value === '') {
+    return 0;
+  }
+
+  const clock = typeof value === 'string' && value.match(/^\s*(\d+):(\d{1,2})(?::(\d{1,2}))?\s*$/);
+  if (clock) {
+    return parseInt(clock[1]) * 60 + parseInt(clock[2]) + Math.round(parseInt(clock[3] || 0) / 60);
+  }
+
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  if (!Number.isFinite(number) || number <= 0) {
+    return 0;
+  }
+  const minutes = { seconds: number / 60, minutes: number, hours: number * 60 }[unit];
+  return Math.round(minutes);
+};
+
+/**
+ * Read a list from an array (of strings or { name } objects), a JSON-encoded
+ * array or object (object keys are the values), or text split on ; or |
+ * @returns {Array<string>} Values
+ */
+export const readList = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+
+  let list = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+      try {
+        list = JSON.parse(text);
+      } catch {
+        list = text;
+      }
+    }
+  }
+
+  if (typeof list === 'string') {
+    list = list.split(/[;|]/);
+  } else if (!Array.isArray(list)) {
+    list = typeof list === 'object' ? Object.keys(list) : [String(list)];
+  }
+
+  return [...new Set(list
+    .map(item => (item && typeof item === 'object' ? item.name ?? item.Name : item))
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(Boolean))];
+};
+
+/**
+ * Map a tracker's status label onto a canonical status
+ * @param {string} value - Status as exported
+ * @param {object} table - { normalizedLabel: canonicalStatus }
+ * @returns {string|null} Canonical status, or null when unknown
+ */
+export const mapStatus = (value, table) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  return table[normalizeKey(value)] ?? normalizeStatus(value.trim().replace(/\s+/g, '_'));
+};
+
+/**
+ * Turn raw records into import entries
+ * Records without a name are reported as invalid; repeats (same external ID or
+ * title) keep the first occurrence.
+ * @param {Array<object>} records - { row, record }
+ * @param {Function} readEntry - (record) => entry fields, including name and externalId
+ * @returns {object} { entries, invalid }
+ */
+export const collectEntries = (records, readEntry) => {
+  const entries = [];
+  const invalid = [];
+  const seen = new Set();
+
+  records.forEach(({ row, record }) => {
+    const entry = readEntry(record);
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    const externalId = entry.externalId ? String(entry.externalId) : null;
+
+    if (!name) {
+      invalid.push({ row, externalId, error: 'Missing game name' });
+      return;
+    }
+
+    const key = externalId ?? normalizeKey(name);
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    entries.push({
+      row,
+      externalId,
+      name,
+      status: entry.status ?? null,
+      userRating: entry.userRating ?? null,
+      notes: entry.notes || null,
+      platforms: entry.platforms ?? [],
+      genres: entry.genres ?? [],
+      addedAt: entry.addedAt ?? null,
+      completedAt: entry.completedAt ?? null,
+      playtimeMinutes: entry.playtimeMinutes ?? 0,
+      lastPlayedAt: entry.lastPlayedAt ?? null,
+    });
+  });
+
+  return { entries, invalid };
+};
@@ -0,0 +1,57 @@
+/**
+ * HowLongToBeat Importer
+ * CSV export of a HowLongToBeat game list; each list (Playing, Backlog, ...) is its own column
+ */
+import { GAME_STATUSES } from '../utils/gameStatus.js';
+import {
+  readCsvRecords,
+  pick,
+  readDate,
+  readPlaytime,
+  scaleRating,
+  collectEntries,
+} from './helpers.js';
+
+// List columns, most "active" first; a cell that is not empty means the game is on that list
+const LIST_STATUSES = [
+  ['playing', GAME_STATUSES.PLAYING],
+  ['completed', GAME_STATUSES.COMPLETED],
+  ['replay', GAME_STATUSES.COMPLETED],
+  ['retired', GAME_STATUSES.DROPPED],
+  ['backlog', GAME_STATUSES.WISHLIST],
+];
+
+const isFlagged = (value) => Boolean(value) && !['0', 'no', 'false'].includes(value.toLowerCase());
+
+const readRecord = (record) => {
+  const list = LIST_STATUSES.find(([column]) => isFlagged(record[column]));
+  const status = list ? list[1] : null;
+
+  return {
+    externalId: pick(record, 'id', 'gameid'),
+    name: pick(record, 'title', 'name', 'game'),
+    status,
+    // Reviews are scored out of 100
+    userRating: scaleRating(pick(record, 'review', 'rating', 'score'), 100),
+    notes: pick(record, 'notes', 'reviewnotes'),
+    platforms: [pick(record, 'platform')].filter(Boolean),
+    addedAt: readDate(pick(record, 'added', 'dateadded', 'addedon')),
+    // The Completed column holds the completion date when one was logged
+    completedAt: status === GAME_STATUSES.COMPLETED
+      ? readDate(pick(record, 'completiondate', 'completedon', 'completed'))
+      : null,
+    playtimeMinutes: readPlaytime(pick(record, 'progress', 'playtime', 'timeplayed')),
+    lastPlayedAt: readDate(pick(record, 'updated', 'lastupdated')),
+  };
+};
+
+export default {
+  id: 'hltb',
+  name: 'HowLongToBeat',
+  format: 'csv',
+  description: 'CSV export of your HowLongToBeat game list',
+
+  parse(text) {
+    return collectEntries(readCsvRecords(text), readRecord);
+  },
+};
@@ -0,0 +1,86 @@
+/**
+ * Importer Registry
+ * Adapters that read other trackers' exports into import entries
+ *
+ * An importer is an object with:
+ *   id          - URL-safe key (POST /api/games/import/:id)
+ *   name        - Display name
+ *   format      - 'csv' (parse receives text) or 'json' (parse receives parsed JSON)
+ *   description - One line for the import screen
+ *   parse(data) - Returns { entries, invalid }; throw ImportFormatError for unreadable uploads
+ *
+ * Entries carry { row, externalId, name, status, userRating, notes, platforms, genres,
+ * addedAt, completedAt, playtimeMinutes, lastPlayedAt }; see collectEntries in helpers.js.
+ * To add a source, write an adapter next to the others and register it below.
+ */
+import { suggestImportStatus } from '../utils/steamImport.js';
+import { ImportFormatError, readJson } from './helpers.js';
+import steam from './steam.js';
+import grouvee from './grouvee.js';
+import howLongToBeat from './howLongToBeat.js';
+import playnite from './playnite.js';
+
+export { ImportFormatError } from './helpers.js';
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+const importers = new Map();
+
+/**
+ * Add an importer to the registry
+ * @param {object} importer - Importer adapter (see above)
+ * @throws {Error} When the adapter is incomplete or its id is taken
+ */
+export const registerImporter = (importer) => {
+  const { id, name, format, parse } = importer || {};
+  if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+    throw new Error('Importer id must be lowercase letters, digits or dashes');
+  }
+  if (!name || !IMPORT_FORMATS.includes(format) || typeof parse !== 'function') {
+    throw new Error(`Importer "${id}" needs a name, a format (${IMPORT_FORMATS.join(' or ')}) and a parse function`);
+  }
+  if (importers.has(id)) {
+    throw new Error(`Importer "${id}" is already registered`);
+  }
+  importers.set(id, importer);
+};
+
+/**
+ * Look up an importer by id
+ * @returns {object|null} Importer, or null when unknown
+ */
+export const getImporter = (id) => importers.get(id) ?? null;
+
+/**
+ * Registered importers, for the import screen
+ * @returns {Array<object>} { id, name, format, description }
+ */
+export const listImporters = () => [...importers.values()].map(({ id, name, format, description }) => ({
+  id,
+  name,
+  format,
+  description: description || null,
+}));
+
+/**
+ * Read an upload with an importer
+ * Entries without a status from the source get one suggested from their playtime.
+ * @param {object} importer - Registered importer
+ * @param {string|object} data - CSV text, or JSON (text or parsed)
+ * @param {Date} now - Reference time for suggested statuses
+ * @returns {object} { entries, invalid }
+ * @throws {ImportFormatError} When the upload cannot be read
+ */
+export const parseImport = (importer, data, now = new Date()) => {
+  if (importer.format === 'csv' && typeof data !== 'string') {
+    throw new ImportFormatError(`${importer.name} exports are CSV; send the file's text`);
+  }
+
+  const { entries, invalid } = importer.parse(importer.format === 'json' ? readJson(data) : data);
+  return {
+    entries: entries.map(entry => ({ ...entry, status: entry.status || suggestImportStatus(entry, now) })),
+    invalid,
+  };
+};
+
+[steam, grouvee, howLongToBeat, playnite].forEach(registerImporter);
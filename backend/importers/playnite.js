@@ -0,0 +1,74 @@
+/**
+ * Playnite Importer
+ * JSON library export from Playnite (a list of games, or { Games: [...] })
+ */
+import { GAME_STATUSES } from '../utils/gameStatus.js';
+import {
+  ImportFormatError,
+  normalizeKey,
+  pick,
+  readDate,
+  readList,
+  readPlaytime,
+  scaleRating,
+  mapStatus,
+  collectEntries,
+} from './helpers.js';
+
+// Playnite's default completion statuses
+const COMPLETION_STATUSES = {
+  notplayed: GAME_STATUSES.WISHLIST,
+  plantoplay: GAME_STATUSES.WISHLIST,
+  playing: GAME_STATUSES.PLAYING,
+  onhold: GAME_STATUSES.ON_HOLD,
+  played: GAME_STATUSES.ON_HOLD,
+  beaten: GAME_STATUSES.COMPLETED,
+  completed: GAME_STATUSES.COMPLETED,
+  abandoned: GAME_STATUSES.DROPPED,
+};
+
+// Property names differ in case between export plugins; look them up normalized
+const normalizeRecord = (game) => Object.fromEntries(
+  Object.entries(game && typeof game === 'object' ? game : {}).map(([key, value]) => [normalizeKey(key), value])
+);
+
+const readName = (value) => (value && typeof value === 'object' ? value.Name ?? value.name : value);
+
+const readRecord = (record) => {
+  const status = mapStatus(readName(pick(record, 'completionstatus', 'status')), COMPLETION_STATUSES);
+
+  return {
+    externalId: pick(record, 'id', 'gameid'),
+    name: record.name,
+    status,
+    // UserScore is 0-100
+    userRating: scaleRating(pick(record, 'userscore'), 100),
+    notes: pick(record, 'notes'),
+    platforms: readList(pick(record, 'platforms', 'platform')),
+    genres: readList(pick(record, 'genres')),
+    addedAt: readDate(pick(record, 'added')),
+    completedAt: null,
+    // Playtime is stored in seconds
+    playtimeMinutes: readPlaytime(pick(record, 'playtime'), 'seconds'),
+    lastPlayedAt: readDate(pick(record, 'lastactivity')),
+  };
+};
+
+export default {
+  id: 'playnite',
+  name: 'Playnite',
+  format: 'json',
+  description: 'JSON library export from Playnite',
+
+  parse(data) {
+    const games = Array.isArray(data) ? data : data?.Games ?? data?.games;
+    if (!Array.isArray(games)) {
+      throw new ImportFormatError('Expected a Playnite export with a list of games');
+    }
+
+    return collectEntries(
+      games.map((game, index) => ({ row: index, record: normalizeRecord(game) })),
+      readRecord
+    );
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Steam Importer
+ * Owned-games JSON from the Steam Web API or a profile games export
+ * Steam has no statuses; one is suggested from playtime when the entry is matched.
+ */
+import { parseSteamExport } from '../utils/steamImport.js';
+
+export default {
+  id: 'steam',
+  name: 'Steam',
+  format: 'json',
+  description: 'GetOwnedGames API response (with include_appinfo=1) or a profile games export',
+
+  parse(data) {
+    const { entries, invalid } = parseSteamExport(data);
+    return {
+      entries: entries.map(({ steamAppId, ...entry }) => ({
+        ...entry,
+        externalId: steamAppId ? String(steamAppId) : null,
+        status: null,
+      })),
+      invalid: invalid.map(({ steamAppId, ...row }) => ({
+        ...row,
+        externalId: steamAppId ? String(steamAppId) : null,
+      })),
+    };
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Background Jobs for Account Deletion
+ * Erases accounts whose deletion grace period has ended
+ */
+import cron from 'node-cron';
+import { processDueDeletions } from '../utils/accountDeletion.js';
+
+/**
+ * Erase accounts past their grace period
+ * Runs every hour at minute 45
+ * @param {object} sessionStore - express-session store to clear the accounts' sessions from
+ */
+const scheduleDueDeletions = (sessionStore) => {
+  cron.schedule('45 * * * *', async () => {
+    try {
+      const { deleted, failed } = await processDueDeletions(new Date(), { sessionStore });
+      if (deleted > 0 || failed > 0) {
+        console.log(`🗑️ Account deletion: ${deleted} erased, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Account deletion job failed:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    name: 'accountDeletion'
+  });
+
+  console.log('📅 Account deletion job scheduled (every hour)');
+};
+
+/**
+ * Initialize account deletion jobs (stopped with the rest by stopScheduledJobs)
+ * @param {object} sessionStore - express-session store
+ */
+export const initializeAccountDeletionJobs = (sessionStore) => {
+  scheduleDueDeletions(sessionStore);
+};
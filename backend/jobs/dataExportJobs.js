@@ -0,0 +1,35 @@
+/**
+ * Background Jobs for Account Data Exports
+ * Removes expired export files and marks interrupted export jobs as failed
+ */
+import cron from 'node-cron';
+import { cleanupExports } from '../utils/dataExport.js';
+
+/**
+ * Clean up expired data exports
+ * Runs every hour at minute 30
+ */
+const scheduleExportCleanup = () => {
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const { removed, failed } = await cleanupExports();
+      if (removed > 0 || failed > 0) {
+        console.log(`🧹 Data export cleanup: ${removed} expired, ${failed} interrupted`);
+      }
+    } catch (error) {
+      console.error('❌ Data export cleanup failed:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    name: 'dataExportCleanup'
+  });
+
+  console.log('📅 Data export cleanup job scheduled (every hour)');
+};
+
+/**
+ * Initialize data export jobs (stopped with the rest by stopScheduledJobs)
+ */
+export const initializeDataExportJobs = () => {
+  scheduleExportCleanup();
+};
@@ -0,0 +1,58 @@
+/**
+ * Background Jobs for Notifications
+ * Release-day notifications and removal of old notifications
+ */
+import cron from 'node-cron';
+import { notifyReleasesToday, cleanupNotifications } from '../utils/notifications.js';
+
+/**
+ * Notify owners of games releasing today
+ * Runs daily at 05:00 UTC, after the release date refresh
+ */
+const scheduleReleaseDayNotifications = () => {
+  cron.schedule('0 5 * * *', async () => {
+    try {
+      const created = await notifyReleasesToday();
+      if (created > 0) {
+        console.log(`🔔 Release day notifications: ${created} sent`);
+      }
+    } catch (error) {
+      console.error('❌ Release day notifications failed:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    name: 'releaseDayNotifications'
+  });
+
+  console.log('📅 Release day notification job scheduled (daily at 05:00 UTC)');
+};
+
+/**
+ * Remove notifications past the retention period
+ * Runs daily at 03:45 UTC
+ */
+const scheduleNotificationCleanup = () => {
+  cron.schedule('45 3 * * *', async () => {
+    try {
+      const removed = await cleanupNotifications();
+      if (removed > 0) {
+        console.log(`🧹 Notification cleanup: ${removed} removed`);
+      }
+    } catch (error) {
+      console.error('❌ Notification cleanup failed:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    name: 'notificationCleanup'
+  });
+
+  console.log('📅 Notification cleanup job scheduled (daily at 03:45 UTC)');
+};
+
+/**
+ * Initialize notification jobs (stopped with the rest by stopScheduledJobs)
+ */
+export const initializeNotificationJobs = () => {
+  scheduleReleaseDayNotifications();
+  scheduleNotificationCleanup();
+};
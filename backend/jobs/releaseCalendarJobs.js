@@ -0,0 +1,35 @@
+/**
+ * Background Jobs for the Release Calendar
+ * Keeps the dates of upcoming and wishlisted games current from IGDB
+ */
+import cron from 'node-cron';
+import { refreshUpcomingReleases } from '../utils/releaseCalendar.js';
+
+/**
+ * Refresh release dates that have not been checked in the last day
+ * Runs daily at 04:15 UTC
+ */
+const scheduleReleaseDateRefresh = () => {
+  cron.schedule('15 4 * * *', async () => {
+    try {
+      const { checked, moved } = await refreshUpcomingReleases();
+      if (checked > 0) {
+        console.log(`🗓️ Release date refresh: ${checked} checked, ${moved.length} moved`);
+      }
+    } catch (error) {
+      console.error('❌ Release date refresh failed:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    name: 'releaseDateRefresh'
+  });
+
+  console.log('📅 Release date refresh job scheduled (daily at 04:15 UTC)');
+};
+
+/**
+ * Initialize release calendar jobs (stopped with the rest by stopScheduledJobs)
+ */
+export const initializeReleaseCalendarJobs = () => {
+  scheduleReleaseDateRefresh();
+};
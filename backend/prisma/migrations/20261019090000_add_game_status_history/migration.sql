@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "game_status_changes" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "gameId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "changedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "game_status_changes_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "games" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "game_status_changes_gameId_idx" ON "game_status_changes"("gameId");
+
+-- Normalize legacy status values onto the canonical set
+UPDATE "games" SET "status" = 'wishlist' WHERE "status" = 'want_to_play';
+UPDATE "games" SET "status" = 'wishlist' WHERE "status" NOT IN ('wishlist', 'playing', 'on_hold', 'completed', 'dropped');
+
+-- Keep completedAt consistent with status
+UPDATE "games" SET "completedAt" = "updatedAt" WHERE "status" = 'completed' AND "completedAt" IS NULL;
+UPDATE "games" SET "completedAt" = NULL WHERE "status" <> 'completed';
+
+-- Seed history with the current status of every existing game
+INSERT INTO "game_status_changes" ("gameId", "fromStatus", "toStatus", "changedAt")
+SELECT "id", NULL, "status", "addedAt" FROM "games";
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "collections" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "collections_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "collection_games" (
+    "collectionId" INTEGER NOT NULL,
+    "gameId" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY ("collectionId", "gameId"),
+    CONSTRAINT "collection_games_collectionId_fkey" FOREIGN KEY ("collectionId") REFERENCES "collections" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "collection_games_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "games" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "collections_userId_name_key" ON "collections"("userId", "name");
+
+-- CreateIndex
+CREATE INDEX "collection_games_gameId_idx" ON "collection_games"("gameId");
@@ -0,0 +1,59 @@
+-- Full-text index over library games (see utils/gameSearch.js)
+-- Standalone FTS5 table keyed by game id; genres/platforms are flattened from JSON to plain text
+CREATE VIRTUAL TABLE "games_fts" USING fts5(
+    "name",
+    "summary",
+    "notes",
+    "developer",
+    "publisher",
+    "genres",
+    "platforms",
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Populate from existing games
+INSERT INTO "games_fts" ("rowid", "name", "summary", "notes", "developer", "publisher", "genres", "platforms")
+SELECT
+    "id",
+    "name",
+    "summary",
+    "notes",
+    "developer",
+    "publisher",
+    CASE WHEN json_valid("genres") THEN (SELECT group_concat("value", ', ') FROM json_each("games"."genres")) ELSE "genres" END,
+    CASE WHEN json_valid("platforms") THEN (SELECT group_concat("value", ', ') FROM json_each("games"."platforms")) ELSE "platforms" END
+FROM "games";
+
+-- Keep the index in sync
+CREATE TRIGGER "games_fts_after_insert" AFTER INSERT ON "games" BEGIN
+    INSERT INTO "games_fts" ("rowid", "name", "summary", "notes", "developer", "publisher", "genres", "platforms")
+    VALUES (
+        new."id",
+        new."name",
+        new."summary",
+        new."notes",
+        new."developer",
+        new."publisher",
+        CASE WHEN json_valid(new."genres") THEN (SELECT group_concat("value", ', ') FROM json_each(new."genres")) ELSE new."genres" END,
+        CASE WHEN json_valid(new."platforms") THEN (SELECT group_concat("value", ', ') FROM json_each(new."platforms")) ELSE new."platforms" END
+    );
+END;
+
+CREATE TRIGGER "games_fts_after_update" AFTER UPDATE OF "name", "summary", "notes", "developer", "publisher", "genres", "platforms" ON "games" BEGIN
+    DELETE FROM "games_fts" WHERE "rowid" = old."id";
+    INSERT INTO "games_fts" ("rowid", "name", "summary", "notes", "developer", "publisher", "genres", "platforms")
+    VALUES (
+        new."id",
+        new."name",
+        new."summary",
+        new."notes",
+        new."developer",
+        new."publisher",
+        CASE WHEN json_valid(new."genres") THEN (SELECT group_concat("value", ', ') FROM json_each(new."genres")) ELSE new."genres" END,
+        CASE WHEN json_valid(new."platforms") THEN (SELECT group_concat("value", ', ') FROM json_each(new."platforms")) ELSE new."platforms" END
+    );
+END;
+
+CREATE TRIGGER "games_fts_after_delete" AFTER DELETE ON "games" BEGIN
+    DELETE FROM "games_fts" WHERE "rowid" = old."id";
+END;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "games" ADD COLUMN "queueRank" REAL;
+
+-- CreateIndex
+CREATE INDEX "games_userId_queueRank_idx" ON "games"("userId", "queueRank");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "games" ADD COLUMN "importedMinutes" INTEGER NOT NULL DEFAULT 0;
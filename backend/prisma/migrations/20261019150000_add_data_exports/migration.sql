@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "data_exports" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" INTEGER NOT NULL,
+    "format" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "fileName" TEXT,
+    "fileSize" INTEGER,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME,
+    "expiresAt" DATETIME NOT NULL,
+    CONSTRAINT "data_exports_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "data_exports_userId_idx" ON "data_exports"("userId");
+
+-- CreateIndex
+CREATE INDEX "data_exports_expiresAt_idx" ON "data_exports"("expiresAt");
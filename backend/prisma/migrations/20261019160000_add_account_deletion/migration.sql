@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "deletionRequestedAt" DATETIME;
+ALTER TABLE "users" ADD COLUMN "deletionScheduledFor" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "users_deletionScheduledFor_idx" ON "users"("deletionScheduledFor");
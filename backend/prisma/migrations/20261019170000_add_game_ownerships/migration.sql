@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "game_ownerships" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "gameId" INTEGER NOT NULL,
+    "platform" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "storefront" TEXT,
+    "purchasedAt" DATETIME,
+    "priceCents" INTEGER,
+    "currency" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "game_ownerships_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "game_ownerships_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "games" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "game_ownerships_userId_idx" ON "game_ownerships"("userId");
+
+-- CreateIndex
+CREATE INDEX "game_ownerships_gameId_idx" ON "game_ownerships"("gameId");
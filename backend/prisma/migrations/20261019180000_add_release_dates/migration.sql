@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "games" ADD COLUMN "previousReleaseDate" DATETIME;
+ALTER TABLE "games" ADD COLUMN "releaseDateChangedAt" DATETIME;
+ALTER TABLE "games" ADD COLUMN "releaseDatesCheckedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "game_release_dates" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "gameId" INTEGER NOT NULL,
+    "platform" TEXT NOT NULL,
+    "date" DATETIME,
+    "precision" TEXT NOT NULL,
+    "label" TEXT,
+    "previousDate" DATETIME,
+    "changedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "game_release_dates_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "games" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_release_dates_gameId_platform_key" ON "game_release_dates"("gameId", "platform");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "calendarFeedTokenHash" TEXT;
+ALTER TABLE "users" ADD COLUMN "calendarFeedCreatedAt" DATETIME;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_calendarFeedTokenHash_key" ON "users"("calendarFeedTokenHash");
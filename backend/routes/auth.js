@@ -3,6 +3,7 @@ import passport from '../config/passport.js';
 import { generateTokenPair, verifyToken, extractTokenFromHeader } from '../utils/jwt.js';
 import { blacklistUserTokens } from '../utils/tokenBlacklist.js';
 import { resetFailedAttempts } from '../utils/accountLockout.js';
+import { notifyNewSignIn } from '../utils/notifications.js';
 import { requireAuth, requireRefreshToken } from '../middleware/auth.js';
 import { PrismaClient } from '@prisma/client';
 
@@ -34,6 +35,7 @@ router.get('/google/callback',
         where: { id: req.user.id },
         data: { lastLogin: new Date() },
       });
+      await notifyNewSignIn(req.user.id, req.get('user-agent'));
 
       // Generate JWT tokens for API access
       const tokens = generateTokenPair(req.user);
@@ -0,0 +1,118 @@
+/**
+ * Calendar Feed Routes
+ * Private iCalendar feed of release dates for calendar apps, and managing its token
+ * Mounted under /api/calendar
+ */
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { prisma } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  formatFeedStatus,
+  rotateFeedToken,
+  revokeFeedToken,
+  findFeedOwner,
+  getCalendarFeed
+} from '../utils/calendarFeed.js';
+
+const router = express.Router();
+
+// Calendar apps poll the feed without credentials, so limit guessing per IP
+const feedRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // limit each IP to 60 feed requests per windowMs
+  message: { error: 'Too many calendar feed requests, please try again later.' }
+});
+
+/**
+ * GET /api/calendar/feed
+ * Whether the user has a feed URL, and when it was created
+ */
+router.get('/feed',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { calendarFeedTokenHash: true, calendarFeedCreatedAt: true }
+      });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(formatFeedStatus(user));
+    } catch (error) {
+      console.error('Calendar feed status error:', error);
+      res.status(500).json({ error: 'Failed to fetch calendar feed status' });
+    }
+  }
+);
+
+/**
+ * POST /api/calendar/feed
+ * Create a feed URL, or rotate it; the previous URL stops working
+ * The token is only ever returned here
+ */
+router.post('/feed',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const feed = await rotateFeedToken(req.user.id);
+
+      res.status(201).json({
+        message: 'Calendar feed URL created',
+        enabled: true,
+        ...feed
+      });
+    } catch (error) {
+      console.error('Calendar feed rotate error:', error);
+      res.status(500).json({ error: 'Failed to create calendar feed URL' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/calendar/feed
+ * Revoke the feed URL
+ */
+router.delete('/feed',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      await revokeFeedToken(req.user.id);
+      res.json({ message: 'Calendar feed URL revoked', enabled: false, createdAt: null });
+    } catch (error) {
+      console.error('Calendar feed revoke error:', error);
+      res.status(500).json({ error: 'Failed to revoke calendar feed URL' });
+    }
+  }
+);
+
+/**
+ * GET /api/calendar/:token.ics
+ * The feed itself; the token in the URL is the only credential
+ */
+router.get('/:token.ics',
+  feedRateLimit,
+  async (req, res) => {
+    try {
+      const owner = await findFeedOwner(req.params.token);
+      if (!owner) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      const ics = await getCalendarFeed(owner.id);
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="game-releases.ics"',
+        'Cache-Control': 'private, max-age=900'
+      });
+      res.send(ics);
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      res.status(500).json({ error: 'Failed to generate calendar feed' });
+    }
+  }
+);
+
+export default router;
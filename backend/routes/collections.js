@@ -0,0 +1,358 @@
+/**
+ * Collections API Routes
+ * User-defined lists of library games with manual ordering
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { prisma } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { formatLibraryGame } from '../utils/gameFormat.js';
+import {
+  findUserCollection,
+  appendToCollection,
+  removeFromCollection,
+  isValidOrder,
+  reorderCollection
+} from '../utils/collections.js';
+
+const router = express.Router();
+
+const collectionValidation = (required) => [
+  (required ? body('name') : body('name').optional())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Collection name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+];
+
+/**
+ * Shape a collection record for API responses
+ */
+const formatCollection = (collection) => ({
+  id: collection.id,
+  name: collection.name,
+  description: collection.description,
+  gameCount: collection._count?.games ?? collection.games?.length ?? 0,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+/**
+ * Unique constraint violations come back from Prisma as P2002
+ */
+const isDuplicateName = (error) => error.code === 'P2002';
+
+/**
+ * GET /api/collections
+ * List the user's collections with game counts
+ */
+router.get('/',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const collections = await prisma.collection.findMany({
+        where: { userId: req.user.id },
+        orderBy: { name: 'asc' },
+        include: { _count: { select: { games: true } } }
+      });
+
+      res.json({ collections: collections.map(formatCollection) });
+    } catch (error) {
+      console.error('List collections error:', error);
+      res.status(500).json({ error: 'Failed to fetch collections' });
+    }
+  }
+);
+
+/**
+ * POST /api/collections
+ * Create a collection
+ */
+router.post('/',
+  authenticateToken,
+  collectionValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const collection = await prisma.collection.create({
+        data: {
+          userId: req.user.id,
+          name: req.body.name,
+          description: req.body.description || null
+        }
+      });
+
+      res.status(201).json({
+        message: 'Collection created successfully',
+        collection: formatCollection(collection)
+      });
+    } catch (error) {
+      if (isDuplicateName(error)) {
+        return res.status(409).json({ error: 'A collection with this name already exists' });
+      }
+      console.error('Create collection error:', error);
+      res.status(500).json({ error: 'Failed to create collection' });
+    }
+  }
+);
+
+/**
+ * GET /api/collections/:id
+ * Get a collection with its games in manual order
+ */
+router.get('/:id',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const collection = await findUserCollection(req.user.id, parseInt(req.params.id));
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+
+      const members = await prisma.collectionGame.findMany({
+        where: { collectionId: collection.id },
+        orderBy: { position: 'asc' },
+        include: { game: { include: { tags: { include: { tag: true } } } } }
+      });
+
+      res.json({
+        collection: { ...formatCollection(collection), gameCount: members.length },
+        games: members.map(member => ({
+          ...formatLibraryGame(member.game),
+          position: member.position,
+          addedToCollectionAt: member.addedAt
+        }))
+      });
+    } catch (error) {
+      console.error('Get collection error:', error);
+      res.status(500).json({ error: 'Failed to fetch collection' });
+    }
+  }
+);
+
+/**
+ * PUT /api/collections/:id
+ * Rename or describe a collection
+ */
+router.put('/:id',
+  authenticateToken,
+  collectionValidation(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const collection = await findUserCollection(req.user.id, parseInt(req.params.id));
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+
+      const data = {};
+      if (req.body.name !== undefined) data.name = req.body.name;
+      if (req.body.description !== undefined) data.description = req.body.description || null;
+
+      const updated = await prisma.collection.update({
+        where: { id: collection.id },
+        data,
+        include: { _count: { select: { games: true } } }
+      });
+
+      res.json({
+        message: 'Collection updated successfully',
+        collection: formatCollection(updated)
+      });
+    } catch (error) {
+      if (isDuplicateName(error)) {
+        return res.status(409).json({ error: 'A collection with this name already exists' });
+      }
+      console.error('Update collection error:', error);
+      res.status(500).json({ error: 'Failed to update collection' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection (games stay in the library)
+ */
+router.delete('/:id',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const collection = await findUserCollection(req.user.id, parseInt(req.params.id));
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+
+      await prisma.collection.delete({
+        where: { id: collection.id }
+      });
+
+      res.json({ message: 'Collection deleted successfully' });
+    } catch (error) {
+      console.error('Delete collection error:', error);
+      res.status(500).json({ error: 'Failed to delete collection' });
+    }
+  }
+);
+
+/**
+ * POST /api/collections/:id/games
+ * Add library games to the end of a collection
+ */
+router.post('/:id/games',
+  authenticateToken,
+  [
+    body('gameIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('gameIds must be an array of 1 to 100 game IDs'),
+    body('gameIds.*')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Each game ID must be a positive integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const collection = await findUserCollection(req.user.id, parseInt(req.params.id));
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+
+      const { gameIds } = req.body;
+      const ownedGames = await prisma.game.findMany({
+        where: { id: { in: gameIds }, userId: req.user.id },
+        select: { id: true }
+      });
+      const ownedIds = new Set(ownedGames.map(game => game.id));
+      const missing = gameIds.filter(id => !ownedIds.has(id));
+
+      if (missing.length > 0) {
+        return res.status(404).json({
+          error: 'Game not found',
+          message: 'Some games are not in your library.',
+          missingGameIds: missing
+        });
+      }
+
+      const added = await prisma.$transaction(tx => appendToCollection(collection.id, gameIds, tx));
+
+      res.status(201).json({
+        message: 'Games added to collection',
+        added
+      });
+    } catch (error) {
+      console.error('Add collection games error:', error);
+      res.status(500).json({ error: 'Failed to add games to collection' });
+    }
+  }
+);
+
+/**
+ * PUT /api/collections/:id/order
+ * Set the manual order of a collection's games
+ */
+router.put('/:id/order',
+  authenticateToken,
+  [
+    body('gameIds')
+      .isArray()
+      .withMessage('gameIds must be an array of game IDs'),
+    body('gameIds.*')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Each game ID must be a positive integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const collection = await findUserCollection(req.user.id, parseInt(req.params.id));
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+
+      const members = await prisma.collectionGame.findMany({
+        where: { collectionId: collection.id },
+        select: { gameId: true }
+      });
+
+      const { gameIds } = req.body;
+      if (!isValidOrder(members.map(member => member.gameId), gameIds)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'gameIds must list every game in the collection exactly once'
+        });
+      }
+
+      await prisma.$transaction(tx => reorderCollection(collection.id, gameIds, tx));
+
+      res.json({ message: 'Collection order updated', gameIds });
+    } catch (error) {
+      console.error('Reorder collection error:', error);
+      res.status(500).json({ error: 'Failed to reorder collection' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/collections/:id/games/:gameId
+ * Remove a game from a collection
+ */
+router.delete('/:id/games/:gameId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const gameId = parseInt(req.params.gameId);
+      if (isNaN(gameId)) {
+        return res.status(400).json({ error: 'Invalid game ID' });
+      }
+
+      const collection = await findUserCollection(req.user.id, parseInt(req.params.id));
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+
+      const removed = await removeFromCollection(collection.id, [gameId]);
+      if (removed === 0) {
+        return res.status(404).json({ error: 'Game is not in this collection' });
+      }
+
+      res.json({ message: 'Game removed from collection' });
+    } catch (error) {
+      console.error('Remove collection game error:', error);
+      res.status(500).json({ error: 'Failed to remove game from collection' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,26 @@
+/**
+ * Dashboard API Routes
+ * Aggregate of the signed-in user's library for the dashboard page
+ */
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { buildDashboard } from '../utils/dashboard.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/dashboard
+ * Games in progress, recent activity, backlog counts, upcoming wishlist
+ * releases and a suggested next game
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const dashboard = await buildDashboard(req.user.id);
+    res.json(dashboard);
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({ error: 'Failed to load dashboard' });
+  }
+});
+
+export default router;
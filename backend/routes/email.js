@@ -0,0 +1,43 @@
+/**
+ * Email Routes
+ * Unsubscribing from optional emails through the signed link in their footer
+ * Mounted under /api/email
+ */
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { verifyUnsubscribeToken } from '../utils/emailUnsubscribe.js';
+import { unsubscribeFromEmail } from '../utils/notifications.js';
+
+const router = express.Router();
+
+// Unsubscribe links carry no session, so limit guessing per IP
+const unsubscribeRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 unsubscribe requests per windowMs
+  message: { error: 'Too many unsubscribe requests, please try again later.' }
+});
+
+/**
+ * POST /api/email/unsubscribe
+ * Turn off optional emails; the token is the only credential
+ * Accepts { token } from the unsubscribe page, or ?token= from mail clients
+ * doing a List-Unsubscribe one-click POST (RFC 8058)
+ */
+router.post('/unsubscribe',
+  unsubscribeRateLimit,
+  async (req, res) => {
+    try {
+      const userId = verifyUnsubscribeToken(req.body?.token || req.query.token);
+      if (!userId || !(await unsubscribeFromEmail(userId))) {
+        return res.status(400).json({ error: 'Invalid unsubscribe link' });
+      }
+
+      res.json({ message: 'Unsubscribed from optional emails' });
+    } catch (error) {
+      console.error('Email unsubscribe error:', error);
+      res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+  }
+);
+
+export default router;
@@ -3,14 +3,103 @@
  * Handles game search, library management, and statistics
  */
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
+import { body, query, param, validationResult, matchedData } from 'express-validator';
 import { prisma } from '../db/database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import rateLimit from 'express-rate-limit';
 import { searchGames, getGameDetails, getPopularGames } from '../services/igdb.js';
+import {
+  GAME_STATUSES,
+  GAME_STATUS_VALUES,
+  DEFAULT_GAME_STATUS,
+  normalizeStatus,
+  updateGameWithStatus,
+  recordInitialStatus,
+  getStatusHistory,
+  InvalidStatusTransitionError
+} from '../utils/gameStatus.js';
+import { getPlaytimeByGame, getUserPlaytimeSummary } from '../utils/playtime.js';
+import {
+  COMPLETION_GOAL_VALUES,
+  MAX_MILESTONES,
+  parseProgress,
+  mergeProgress,
+  serializeProgress,
+  suggestStatusForProgress
+} from '../utils/gameProgress.js';
+import { formatLibraryGame } from '../utils/gameFormat.js';
+import {
+  DEFAULT_TIMELINE_MONTHS,
+  MAX_TIMELINE_MONTHS,
+  DEFAULT_BREAKDOWN_LIMIT,
+  getLibraryStats
+} from '../utils/libraryStats.js';
+import {
+  MIN_REVIEW_YEAR,
+  YearInReviewError,
+  getYearInReview,
+  getReviewYears
+} from '../utils/yearInReview.js';
+import {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_GAME,
+  TAG_MODES,
+  TAG_MODE_VALUES,
+  normalizeTagName,
+  parseTagList,
+  buildTagFilter,
+  tagNamesFromLinks,
+  setGameTags
+} from '../utils/tags.js';
+import { MAX_SEARCH_LENGTH, searchLibrary } from '../utils/gameSearch.js';
+import {
+  parseListParam,
+  parseStatusList,
+  addCondition,
+  applyLibraryFilters,
+  buildDateRange,
+  countListValues
+} from '../utils/gameFilters.js';
+import {
+  SORT_FIELDS,
+  NULL_ORDERINGS,
+  InvalidCursorError,
+  planPage,
+  buildPage,
+  pageInMemory
+} from '../utils/pagination.js';
+import {
+  BULK_ACTIONS,
+  BULK_ACTION_VALUES,
+  MAX_BULK_ITEMS,
+  BulkOperationError,
+  applyBulkOperation
+} from '../utils/bulkOperations.js';
+import {
+  QUEUE_STATUSES,
+  QUEUE_POSITIONS,
+  QueueMoveError,
+  moveInQueue
+} from '../utils/queueRank.js';
+import { MAX_ALTERNATIVES, recommendGames, formatRecommendation } from '../utils/recommendations.js';
+import { EXPORT_COLUMN_KEYS, DEFAULT_EXPORT_COLUMNS, buildLibraryCsv } from '../utils/libraryCsv.js';
+import { OWNERSHIP_FORMAT_VALUES, getSpendReport } from '../utils/ownership.js';
+import { getReleaseCalendar } from '../utils/releaseCalendar.js';
+import sessionsRoutes from './sessions.js';
+import ownershipRoutes from './ownership.js';
+import importRoutes from './imports.js';
 
 const router = express.Router();
 
+// Play sessions for a library entry
+router.use('/:id/sessions', sessionsRoutes);
+
+// Owned copies (platform, format, storefront, price) of a library entry
+router.use('/:id/ownership', ownershipRoutes);
+
+// Importing games from other services
+router.use('/import', importRoutes);
+
 // Rate limiting for search API
 const searchRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -219,8 +308,8 @@ router.post('/',
       .withMessage('Game name must not exceed 255 characters'),
     body('status')
       .optional()
-      .isIn(['wishlist', 'playing', 'completed', 'on_hold'])
-      .withMessage('Invalid game status'),
+      .custom(value => normalizeStatus(value) !== null)
+      .withMessage(`Status must be one of: ${GAME_STATUS_VALUES.join(', ')}`),
     body('userRating')
       .optional()
       .isFloat({ min: 1, max: 5 })
@@ -244,7 +333,7 @@ router.post('/',
         igdbId, 
         name, 
         summary,
-        status = 'wishlist', 
+        status = DEFAULT_GAME_STATUS, 
         userRating, 
         notes, 
         coverUrl, 
@@ -273,23 +362,31 @@ router.post('/',
         });
       }
 
-      const game = await prisma.game.create({
-        data: {
-          userId,
-          igdbId: parseInt(igdbId),
-          name,
-          summary: summary || null,
-          status,
-          userRating: userRating ? parseFloat(userRating) : null,
-          notes: notes || null,
-          coverUrl: coverUrl || null,
-          releaseDate: releaseDate ? new Date(releaseDate) : null,
-          platforms: platforms ? JSON.stringify(platforms) : null,
-          genres: genres ? JSON.stringify(genres) : null,
-          developer: developer || null,
-          publisher: publisher || null,
-          rating: rating ? parseFloat(rating) : null
-        }
+      const canonicalStatus = normalizeStatus(status);
+
+      const game = await prisma.$transaction(async (tx) => {
+        const created = await tx.game.create({
+          data: {
+            userId,
+            igdbId: parseInt(igdbId),
+            name,
+            summary: summary || null,
+            status: canonicalStatus,
+            completedAt: canonicalStatus === GAME_STATUSES.COMPLETED ? new Date() : null,
+            userRating: userRating ? parseFloat(userRating) : null,
+            notes: notes || null,
+            coverUrl: coverUrl || null,
+            releaseDate: releaseDate ? new Date(releaseDate) : null,
+            platforms: platforms ? JSON.stringify(platforms) : null,
+            genres: genres ? JSON.stringify(genres) : null,
+            developer: developer || null,
+            publisher: publisher || null,
+            rating: rating ? parseFloat(rating) : null
+          }
+        });
+
+        await recordInitialStatus(created, tx);
+        return created;
       });
 
       res.status(201).json({
@@ -310,7 +407,8 @@ router.post('/',
           publisher: game.publisher,
           rating: game.rating,
           addedAt: game.addedAt,
-          updatedAt: game.updatedAt
+          updatedAt: game.updatedAt,
+          completedAt: game.completedAt
         }
       });
     } catch (error) {
@@ -320,6 +418,94 @@ router.post('/',
   }
 );
 
+/**
+ * POST /api/games/bulk
+ * Apply one action to many library games in a single transaction
+ */
+router.post('/bulk',
+  authenticateToken,
+  [
+    body('action')
+      .isIn(BULK_ACTION_VALUES)
+      .withMessage(`Action must be one of: ${BULK_ACTION_VALUES.join(', ')}`),
+    body('gameIds')
+      .isArray({ min: 1, max: MAX_BULK_ITEMS })
+      .withMessage(`gameIds must be an array of 1 to ${MAX_BULK_ITEMS} game IDs`),
+    body('gameIds.*')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Each game ID must be a positive integer'),
+    body('status')
+      .if(body('action').equals(BULK_ACTIONS.SET_STATUS))
+      .custom(value => normalizeStatus(value) !== null)
+      .withMessage(`Status must be one of: ${GAME_STATUS_VALUES.join(', ')}`),
+    body('tags')
+      .if(body('action').equals(BULK_ACTIONS.ADD_TAGS))
+      .isArray({ min: 1, max: MAX_TAGS_PER_GAME })
+      .withMessage(`Tags must be an array of 1 to ${MAX_TAGS_PER_GAME} names`),
+    body('tags.*')
+      .if(body('action').equals(BULK_ACTIONS.ADD_TAGS))
+      .custom(value => normalizeTagName(value) !== null)
+      .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
+    body('collectionId')
+      .if(body('action').equals(BULK_ACTIONS.MOVE_TO_COLLECTION))
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('collectionId must be a collection ID'),
+    body('fromCollectionId')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('fromCollectionId must be a collection ID'),
+    body('allOrNothing')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('allOrNothing must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { action, gameIds, status, tags, collectionId, fromCollectionId, allOrNothing } = req.body;
+
+      const { applied, results } = await applyBulkOperation(req.user.id, {
+        action,
+        gameIds,
+        status: status !== undefined ? normalizeStatus(status) : undefined,
+        tags: tags ? [...new Set(tags.map(normalizeTagName))] : undefined,
+        collectionId,
+        fromCollectionId,
+        allOrNothing
+      });
+
+      const succeededCount = results.filter(result => result.success).length;
+
+      res.status(applied ? 200 : 409).json({
+        message: applied ? 'Bulk operation completed' : 'Bulk operation rolled back',
+        action,
+        applied,
+        succeeded: succeededCount,
+        failed: results.length - succeededCount,
+        results
+      });
+    } catch (error) {
+      if (error instanceof BulkOperationError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      console.error('Bulk games error:', error);
+      res.status(500).json({ error: 'Failed to apply bulk operation' });
+    }
+  }
+);
+
 /**
  * GET /api/games/stats
  * Get user's game statistics
@@ -342,31 +528,37 @@ router.get('/stats',
         where: { userId }
       });
 
+      // The user's own ratings; the IGDB critic score lives in `rating`
       const averageRating = await prisma.game.aggregate({
         where: {
           userId,
-          rating: {
+          userRating: {
             not: null
           }
         },
         _avg: {
-          rating: true
+          userRating: true
         }
       });
 
+      const playtime = await getUserPlaytimeSummary(userId);
+
       const formattedStats = {
         total: totalGames,
-        by_status: {
-          want_to_play: 0,
-          playing: 0,
-          completed: 0,
-          dropped: 0
-        },
-        average_rating: averageRating._avg.rating || 0
+        by_status: Object.fromEntries(GAME_STATUS_VALUES.map(status => [status, 0])),
+        average_rating: averageRating._avg.userRating || 0,
+        playtime: {
+          total_minutes: playtime.totalMinutes,
+          total_hours: playtime.totalHours,
+          sessions: playtime.sessionCount,
+          by_week: playtime.byWeek
+        }
       };
 
+      // Fold any rows still holding a legacy status into their canonical bucket
       stats.forEach(stat => {
-        formattedStats.by_status[stat.status] = stat._count.status;
+        const status = normalizeStatus(stat.status) || stat.status;
+        formattedStats.by_status[status] = (formattedStats.by_status[status] || 0) + stat._count.status;
       });
 
       res.json(formattedStats);
@@ -377,6 +569,294 @@ router.get('/stats',
   }
 );
 
+/**
+ * GET /api/games/stats/overview
+ * Monthly additions, completions and backlog size, breakdowns by genre,
+ * platform, developer and release decade, and time from added to completed
+ */
+router.get('/stats/overview',
+  authenticateToken,
+  [
+    query('months')
+      .optional()
+      .isInt({ min: 1, max: MAX_TIMELINE_MONTHS })
+      .withMessage(`Months must be between 1 and ${MAX_TIMELINE_MONTHS}`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { months = DEFAULT_TIMELINE_MONTHS, limit = DEFAULT_BREAKDOWN_LIMIT } = req.query;
+      const stats = await getLibraryStats(req.user.id, {
+        months: parseInt(months),
+        limit: parseInt(limit)
+      });
+
+      res.json(stats);
+    } catch (error) {
+      console.error('Game stats overview error:', error);
+      res.status(500).json({ error: 'Failed to fetch game statistics' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/spend
+ * Money spent on the library per currency, with the share spent on games
+ * never started, and breakdowns by storefront, platform, format and year
+ */
+router.get('/spend',
+  authenticateToken,
+  [
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .withMessage('Purchase dates must be ISO 8601 dates')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const report = await getSpendReport(req.user.id, buildDateRange(req.query.from, req.query.to));
+      res.json(report);
+    } catch (error) {
+      console.error('Spend report error:', error);
+      res.status(500).json({ error: 'Failed to fetch spend report' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/calendar
+ * Upcoming games and undated wishlist entries grouped by release month, with
+ * per-platform dates refreshed from IGDB and games whose date moved flagged
+ */
+router.get('/calendar',
+  authenticateToken,
+  searchRateLimit,
+  [
+    query('refresh')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('refresh must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      // Express 5 does not let sanitizers rewrite req.query; matchedData has the converted value
+      const { refresh = false } = matchedData(req, { locations: ['query'] });
+      const calendar = await getReleaseCalendar(req.user.id, { refresh });
+      res.json(calendar);
+    } catch (error) {
+      console.error('Release calendar error:', error);
+      res.status(500).json({ error: 'Failed to fetch release calendar' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/year-in-review
+ * List the years a review is available for, newest first
+ */
+router.get('/year-in-review',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const years = await getReviewYears(req.user.id);
+      res.json({ years });
+    } catch (error) {
+      console.error('Year in review years error:', error);
+      res.status(500).json({ error: 'Failed to fetch review years' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/year-in-review/:year
+ * Annual summary: games started and finished, hours played, top-rated games,
+ * favorite genres, highlights and a month-by-month timeline
+ */
+router.get('/year-in-review/:year',
+  authenticateToken,
+  [
+    param('year')
+      .isInt({ min: MIN_REVIEW_YEAR })
+      .withMessage(`Year must be ${MIN_REVIEW_YEAR} or later`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const review = await getYearInReview(req.user.id, parseInt(req.params.year));
+      res.json(review);
+    } catch (error) {
+      if (error instanceof YearInReviewError) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      console.error('Year in review error:', error);
+      res.status(500).json({ error: 'Failed to build year in review' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/filters
+ * Get the values available to filter the user's library by
+ */
+router.get('/filters',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const [genres, platforms, developers, publishers, years, ownedPlatforms, storefronts, currencies] = await Promise.all([
+        countListValues(userId, 'genres'),
+        countListValues(userId, 'platforms'),
+        prisma.game.groupBy({
+          by: ['developer'],
+          where: { userId, developer: { not: null } },
+          _count: { developer: true },
+          orderBy: { developer: 'asc' }
+        }),
+        prisma.game.groupBy({
+          by: ['publisher'],
+          where: { userId, publisher: { not: null } },
+          _count: { publisher: true },
+          orderBy: { publisher: 'asc' }
+        }),
+        prisma.game.aggregate({
+          where: { userId },
+          _min: { releaseDate: true },
+          _max: { releaseDate: true }
+        }),
+        prisma.gameOwnership.groupBy({
+          by: ['platform'],
+          where: { userId },
+          _count: { platform: true },
+          orderBy: { platform: 'asc' }
+        }),
+        prisma.gameOwnership.groupBy({
+          by: ['storefront'],
+          where: { userId, storefront: { not: null } },
+          _count: { storefront: true },
+          orderBy: { storefront: 'asc' }
+        }),
+        prisma.gameOwnership.groupBy({
+          by: ['currency'],
+          where: { userId, currency: { not: null } },
+          orderBy: { currency: 'asc' }
+        })
+      ]);
+
+      res.json({
+        statuses: GAME_STATUS_VALUES,
+        genres,
+        platforms,
+        developers: developers.map(row => ({ value: row.developer, count: row._count.developer })),
+        publishers: publishers.map(row => ({ value: row.publisher, count: row._count.publisher })),
+        releaseYears: {
+          min: years._min.releaseDate ? years._min.releaseDate.getUTCFullYear() : null,
+          max: years._max.releaseDate ? years._max.releaseDate.getUTCFullYear() : null
+        },
+        ownedPlatforms: ownedPlatforms.map(row => ({ value: row.platform, count: row._count.platform })),
+        formats: OWNERSHIP_FORMAT_VALUES,
+        storefronts: storefronts.map(row => ({ value: row.storefront, count: row._count.storefront })),
+        currencies: currencies.map(row => row.currency)
+      });
+    } catch (error) {
+      console.error('Library filters error:', error);
+      res.status(500).json({ error: 'Failed to fetch library filters' });
+    }
+  }
+);
+
+// Library filters shared by the list and the CSV export
+const libraryFilterValidators = [
+  query('status')
+    .optional()
+    .custom(value => parseStatusList(value) !== null)
+    .withMessage(`Status filter must be a comma-separated list of: ${GAME_STATUS_VALUES.join(', ')}`),
+  query(['genre', 'platform', 'developer', 'publisher'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Filter values must be between 1 and 200 characters'),
+  query(['userRatingMin', 'userRatingMax'])
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('User rating bounds must be between 0 and 5'),
+  query(['igdbRatingMin', 'igdbRatingMax'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('IGDB rating bounds must be between 0 and 100'),
+  query(['releaseYearFrom', 'releaseYearTo'])
+    .optional()
+    .isInt({ min: 1950, max: 2100 })
+    .withMessage('Release years must be between 1950 and 2100'),
+  query(['addedFrom', 'addedTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Added dates must be ISO 8601 dates'),
+  query('owned')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Owned must be true or false'),
+  query(['ownedPlatform', 'storefront'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Filter values must be between 1 and 200 characters'),
+  query('format')
+    .optional()
+    .isIn(OWNERSHIP_FORMAT_VALUES)
+    .withMessage(`Format must be one of: ${OWNERSHIP_FORMAT_VALUES.join(', ')}`),
+  query('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a three-letter ISO 4217 code'),
+  query(['priceMin', 'priceMax'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price bounds must be positive numbers'),
+  query(['purchasedFrom', 'purchasedTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Purchase dates must be ISO 8601 dates')
+];
+
 /**
  * GET /api/games
  * Get user's game library
@@ -384,26 +864,46 @@ router.get('/stats',
 router.get('/',
   authenticateToken,
   [
-    query('status')
+    ...libraryFilterValidators,
+    query('collection')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Collection must be a valid collection ID'),
+    query('tags')
+      .optional()
+      .custom(value => parseTagList(value).length > 0)
+      .withMessage('Tags must be a comma-separated list of tag names'),
+    query('tagMode')
       .optional()
-      .isIn(['want_to_play', 'playing', 'completed', 'dropped'])
-      .withMessage('Invalid status filter'),
+      .isIn(TAG_MODE_VALUES)
+      .withMessage(`Tag mode must be one of: ${TAG_MODE_VALUES.join(', ')}`),
+    query('q')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: MAX_SEARCH_LENGTH })
+      .withMessage(`Search text must be between 1 and ${MAX_SEARCH_LENGTH} characters`),
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
-    query('offset')
+    query('cursor')
       .optional()
-      .isInt({ min: 0 })
-      .withMessage('Offset must be a non-negative integer'),
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Invalid cursor'),
     query('sort')
       .optional()
-      .isIn(['name', 'addedAt', 'updatedAt', 'userRating', 'releaseDate'])
+      .isIn(['relevance', ...SORT_FIELDS])
       .withMessage('Invalid sort field'),
     query('order')
       .optional()
       .isIn(['asc', 'desc'])
-      .withMessage('Invalid sort order')
+      .withMessage('Invalid sort order'),
+    query('nulls')
+      .optional()
+      .isIn(NULL_ORDERINGS)
+      .withMessage(`Null ordering must be one of: ${NULL_ORDERINGS.join(', ')}`)
   ],
   async (req, res) => {
     try {
@@ -421,51 +921,96 @@ router.get('/',
       }
 
       const { 
-        status, 
+        collection,
+        tags,
+        tagMode = TAG_MODES.ANY,
+        q,
         limit = 20, 
-        offset = 0, 
-        sort = 'addedAt', 
-        order = 'desc' 
+        cursor,
+        sort = q ? 'relevance' : 'addedAt', 
+        order = 'desc',
+        nulls = 'last'
       } = req.query;
+      const pageSize = parseInt(limit);
       const userId = req.user.id;
 
+      if (sort === 'relevance' && !q) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Relevance sort requires a search query (q)'
+        });
+      }
+
       const where = { userId };
-      if (status) {
-        where.status = status;
+      await applyLibraryFilters(where, userId, req.query);
+      if (collection) {
+        // Scoped through the collection's owner so other users' IDs match nothing
+        where.collections = {
+          some: {
+            collectionId: parseInt(collection),
+            collection: { userId }
+          }
+        };
+      }
+      if (tags) {
+        addCondition(where, buildTagFilter(parseTagList(tags), tagMode));
       }
 
-      console.log('🔍 Querying database with:', { where, limit, offset, sort, order });
+      // Full-text matches narrow the query; their ranking drives relevance sort
+      let matchesById = null;
+      if (q) {
+        const matches = await searchLibrary(userId, q);
+        matchesById = new Map(matches.map(match => [match.gameId, match]));
+        addCondition(where, { id: { in: matches.map(match => match.gameId) } });
+      }
 
-      const games = await prisma.game.findMany({
-        where,
-        take: parseInt(limit),
-        skip: parseInt(offset),
-        orderBy: {
-          [sort]: order
-        }
-      });
+      console.log('🔍 Querying database with:', { where, limit, cursor, sort, order, nulls });
 
-      console.log('📊 Found games:', games.length);
+      const include = {
+        tags: { include: { tag: true } },
+        ownerships: { orderBy: { createdAt: 'asc' } }
+      };
+      let page;
+      let total;
 
-      const total = await prisma.game.count({ where });
+      if (sort === 'relevance') {
+        // A search touches at most one library's worth of rows, so rank and page in memory
+        const matched = await prisma.game.findMany({ where, include });
+        matched.sort((a, b) => (
+          matchesById.get(b.id).score - matchesById.get(a.id).score || a.id - b.id
+        ));
+        total = matched.length;
+        page = pageInMemory(matched, { limit: pageSize, cursor });
+      } else {
+        const plan = planPage({ sort, order, nulls, limit: pageSize, cursor });
+        const rows = await prisma.game.findMany({
+          where: plan.where ? { AND: [where, plan.where] } : where,
+          take: plan.take,
+          orderBy: plan.orderBy,
+          include
+        });
+        total = await prisma.game.count({ where });
+        page = buildPage(rows, { sort, order, nulls, limit: pageSize, cursor, reverse: plan.reverse });
+      }
+      const games = page.items;
+
+      console.log('📊 Found games:', games.length);
       console.log('📊 Total count:', total);
 
+      const playtimeByGame = await getPlaytimeByGame(userId, games.map(game => game.id));
+
       const formattedGames = games.map(game => {
         console.log('🎯 Formatting game:', game.id, game.name);
         try {
           return {
-            id: game.id,
-            igdbId: game.igdbId,
-            name: game.name,
-            status: game.status,
-            rating: game.userRating, // Use userRating from schema
-            notes: game.notes,
-            coverUrl: game.coverUrl,
-            releaseDate: game.releaseDate,
-            platforms: game.platforms ? JSON.parse(game.platforms) : null,
-            genres: game.genres ? JSON.parse(game.genres) : null,
-            createdAt: game.addedAt, // Use addedAt from schema
-            updatedAt: game.updatedAt
+            ...formatLibraryGame(game),
+            minutesPlayed: playtimeByGame.get(game.id) || 0,
+            ...(matchesById && {
+              search: {
+                score: matchesById.get(game.id).score,
+                snippet: matchesById.get(game.id).snippet
+              }
+            })
           };
         } catch (parseError) {
           console.error('❌ JSON parse error for game:', game.id, parseError);
@@ -478,10 +1023,18 @@ router.get('/',
       res.json({
         games: formattedGames,
         total,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
+        limit: pageSize,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor
       });
     } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
+
       console.error('❌ Get games error:', error);
       console.error('- Error name:', error.name);
       console.error('- Error message:', error.message);
@@ -491,6 +1044,65 @@ router.get('/',
   }
 );
 
+/**
+ * GET /api/games/export.csv
+ * Download the library (optionally filtered) as CSV with the chosen columns
+ */
+router.get('/export.csv',
+  authenticateToken,
+  [
+    ...libraryFilterValidators,
+    query('columns')
+      .optional()
+      .custom(value => {
+        const columns = parseListParam(value);
+        return columns.length > 0 && columns.every(column => EXPORT_COLUMN_KEYS.includes(column));
+      })
+      .withMessage(`Columns must be a comma-separated list of: ${EXPORT_COLUMN_KEYS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const columns = req.query.columns ? parseListParam(req.query.columns) : DEFAULT_EXPORT_COLUMNS;
+
+      const where = await applyLibraryFilters({ userId }, userId, req.query);
+      const games = await prisma.game.findMany({
+        where,
+        orderBy: [{ name: 'asc' }, { id: 'asc' }],
+        include: { tags: { include: { tag: true } } }
+      });
+
+      const playtimeByGame = columns.includes('minutesPlayed')
+        ? await getPlaytimeByGame(userId, games.map(game => game.id))
+        : new Map();
+
+      const csv = buildLibraryCsv(
+        games.map(game => ({ ...game, minutesPlayed: playtimeByGame.get(game.id) || 0 })),
+        columns
+      );
+
+      const filename = `game-library-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      // Byte-order mark so spreadsheet apps read the file as UTF-8
+      res.send(`\uFEFF${csv}`);
+    } catch (error) {
+      console.error('Library export error:', error);
+      res.status(500).json({ error: 'Failed to export library' });
+    }
+  }
+);
+
 /**
  * PUT /api/games/:id
  * Update a game in user's library
@@ -500,16 +1112,52 @@ router.put('/:id',
   [
     body('status')
       .optional()
-      .isIn(['want_to_play', 'playing', 'completed', 'dropped'])
-      .withMessage('Invalid game status'),
+      .custom(value => normalizeStatus(value) !== null)
+      .withMessage(`Status must be one of: ${GAME_STATUS_VALUES.join(', ')}`),
     body('rating')
-      .optional()
+      .optional({ values: 'null' })
       .isFloat({ min: 0, max: 5 })
       .withMessage('Rating must be between 0 and 5'),
     body('notes')
       .optional()
       .isLength({ max: 1000 })
-      .withMessage('Notes must not exceed 1000 characters')
+      .withMessage('Notes must not exceed 1000 characters'),
+    body('progress')
+      .optional({ values: 'null' })
+      .isObject()
+      .withMessage('Progress must be an object'),
+    body('progress.percent')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Progress percent must be between 0 and 100'),
+    body('progress.goal')
+      .optional()
+      .isIn(COMPLETION_GOAL_VALUES)
+      .withMessage(`Progress goal must be one of: ${COMPLETION_GOAL_VALUES.join(', ')}`),
+    body('progress.milestones')
+      .optional()
+      .isArray({ max: MAX_MILESTONES })
+      .withMessage(`Milestones must be an array of at most ${MAX_MILESTONES} items`),
+    body('progress.milestones.*.title')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Milestone title must be between 1 and 100 characters'),
+    body('progress.milestones.*.completed')
+      .optional()
+      .isBoolean()
+      .withMessage('Milestone completed flag must be a boolean'),
+    body('progress.notes')
+      .optional({ values: 'null' })
+      .isLength({ max: 1000 })
+      .withMessage('Progress notes must not exceed 1000 characters'),
+    body('tags')
+      .optional()
+      .isArray({ max: MAX_TAGS_PER_GAME })
+      .withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_GAME} names`),
+    body('tags.*')
+      .custom(value => normalizeTagName(value) !== null)
+      .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
   ],
   async (req, res) => {
     try {
@@ -523,7 +1171,7 @@ router.put('/:id',
 
       const gameId = parseInt(req.params.id);
       const userId = req.user.id;
-      const { status, rating, notes } = req.body;
+      const { status, rating, notes, progress, tags } = req.body;
 
       if (isNaN(gameId)) {
         return res.status(400).json({ error: 'Invalid game ID' });
@@ -542,14 +1190,26 @@ router.put('/:id',
       }
 
       const updateData = {};
-      if (status !== undefined) updateData.status = status;
-      if (rating !== undefined) updateData.rating = rating ? parseFloat(rating) : null;
+      if (rating !== undefined) updateData.userRating = rating === undefined || rating === null ? null : parseFloat(rating);
       if (notes !== undefined) updateData.notes = notes;
+      if (progress !== undefined) {
+        updateData.progress = progress === null
+          ? null
+          : serializeProgress(mergeProgress(parseProgress(existingGame.progress), progress));
+      }
 
-      const updatedGame = await prisma.game.update({
-        where: { id: gameId },
-        data: updateData
+      const updatedGame = await prisma.$transaction(async (tx) => {
+        const game = await updateGameWithStatus(existingGame, updateData, status, tx);
+        if (tags !== undefined) {
+          await setGameTags(userId, gameId, [...new Set(tags.map(normalizeTagName))], tx);
+        }
+        return game;
+      });
+      const tagLinks = await prisma.gameTag.findMany({
+        where: { gameId },
+        include: { tag: true }
       });
+      const updatedProgress = parseProgress(updatedGame.progress);
 
       res.json({
         message: 'Game updated successfully',
@@ -558,23 +1218,294 @@ router.put('/:id',
           igdbId: updatedGame.igdbId,
           name: updatedGame.name,
           status: updatedGame.status,
-          rating: updatedGame.rating,
+          rating: updatedGame.userRating,
           notes: updatedGame.notes,
           coverUrl: updatedGame.coverUrl,
           releaseDate: updatedGame.releaseDate,
           platforms: updatedGame.platforms ? JSON.parse(updatedGame.platforms) : null,
           genres: updatedGame.genres ? JSON.parse(updatedGame.genres) : null,
-          createdAt: updatedGame.createdAt,
-          updatedAt: updatedGame.updatedAt
-        }
+          createdAt: updatedGame.addedAt,
+          updatedAt: updatedGame.updatedAt,
+          completedAt: updatedGame.completedAt,
+          progress: updatedProgress,
+          tags: tagNamesFromLinks(tagLinks)
+        },
+        suggestion: suggestStatusForProgress(updatedGame.status, updatedProgress)
       });
     } catch (error) {
+      if (error instanceof InvalidStatusTransitionError) {
+        return res.status(409).json({
+          error: 'Invalid status transition',
+          message: error.message,
+          currentStatus: error.fromStatus,
+          allowedStatuses: error.allowed
+        });
+      }
+
       console.error('Update game error:', error);
       res.status(500).json({ error: 'Failed to update game' });
     }
   }
 );
 
+/**
+ * GET /api/games/queue
+ * Get the ordered "Up Next" list of unfinished games
+ */
+router.get('/queue',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const games = await prisma.game.findMany({
+        where: {
+          userId,
+          queueRank: { not: null },
+          status: { in: QUEUE_STATUSES }
+        },
+        orderBy: [{ queueRank: 'asc' }, { id: 'asc' }],
+        include: { tags: { include: { tag: true } } }
+      });
+
+      const playtimeByGame = await getPlaytimeByGame(userId, games.map(game => game.id));
+
+      res.json({
+        games: games.map((game, index) => ({
+          ...formatLibraryGame(game),
+          minutesPlayed: playtimeByGame.get(game.id) || 0,
+          queuePosition: index + 1
+        })),
+        total: games.length
+      });
+    } catch (error) {
+      console.error('Get queue error:', error);
+      res.status(500).json({ error: 'Failed to fetch queue' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/recommendation
+ * Pick the next game to play from the user's unplayed library, with reasons
+ */
+router.get('/recommendation',
+  authenticateToken,
+  [
+    query('exclude')
+      .optional()
+      .custom(value => parseListParam(value).every(id => /^\d+$/.test(id)))
+      .withMessage('Exclude must be a comma-separated list of game IDs'),
+    query('maxHours')
+      .optional()
+      .isFloat({ min: 0.25, max: 1000 })
+      .withMessage('maxHours must be between 0.25 and 1000'),
+    query('alternatives')
+      .optional()
+      .isInt({ min: 0, max: MAX_ALTERNATIVES })
+      .withMessage(`Alternatives must be between 0 and ${MAX_ALTERNATIVES}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { maxHours, alternatives = 2 } = req.query;
+
+      const { picks, candidateCount, excludedCount } = await recommendGames(userId, {
+        exclude: parseListParam(req.query.exclude).map(Number),
+        maxMinutes: maxHours ? Math.round(parseFloat(maxHours) * 60) : null,
+        limit: parseInt(alternatives) + 1
+      });
+
+      res.json({
+        recommendation: picks.length > 0 ? formatRecommendation(picks[0]) : null,
+        alternatives: picks.slice(1).map(formatRecommendation),
+        candidates: candidateCount,
+        excluded: excludedCount,
+        ...(picks.length === 0 && {
+          message: excludedCount > 0
+            ? 'Every unplayed game is excluded for tonight'
+            : 'No unplayed games in your library'
+        })
+      });
+    } catch (error) {
+      console.error('Game recommendation error:', error);
+      res.status(500).json({ error: 'Failed to pick a game' });
+    }
+  }
+);
+
+/**
+ * PUT /api/games/:id/queue
+ * Add a game to the queue or move it before/after another queued game
+ */
+router.put('/:id/queue',
+  authenticateToken,
+  [
+    body('beforeId')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('beforeId must be a game ID'),
+    body('afterId')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('afterId must be a game ID'),
+    body('position')
+      .optional()
+      .isIn(Object.values(QUEUE_POSITIONS))
+      .withMessage(`Position must be one of: ${Object.values(QUEUE_POSITIONS).join(', ')}`),
+    body()
+      .custom(value => ['beforeId', 'afterId', 'position'].filter(key => value[key] !== undefined).length <= 1)
+      .withMessage('Give at most one of beforeId, afterId or position')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const gameId = parseInt(req.params.id);
+      const userId = req.user.id;
+      const { beforeId, afterId, position = QUEUE_POSITIONS.BOTTOM } = req.body;
+
+      if (isNaN(gameId)) {
+        return res.status(400).json({ error: 'Invalid game ID' });
+      }
+      if (beforeId === gameId || afterId === gameId) {
+        return res.status(400).json({ error: 'A game cannot be moved next to itself' });
+      }
+
+      // Verify game belongs to user
+      const existingGame = await prisma.game.findFirst({
+        where: {
+          id: gameId,
+          userId
+        }
+      });
+
+      if (!existingGame) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      if (!QUEUE_STATUSES.includes(existingGame.status)) {
+        return res.status(400).json({ error: `Only games with status ${QUEUE_STATUSES.join(', ')} can be queued` });
+      }
+
+      const placement = await prisma.$transaction(tx => moveInQueue(
+        userId,
+        gameId,
+        beforeId !== undefined ? { beforeId } : afterId !== undefined ? { afterId } : { position },
+        tx
+      ));
+
+      res.json({
+        message: existingGame.queueRank === null ? 'Game added to queue' : 'Queue updated',
+        gameId,
+        queueRank: placement.queueRank,
+        position: placement.position
+      });
+    } catch (error) {
+      if (error instanceof QueueMoveError) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      console.error('Move in queue error:', error);
+      res.status(500).json({ error: 'Failed to update queue' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/games/:id/queue
+ * Take a game out of the queue
+ */
+router.delete('/:id/queue',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const gameId = parseInt(req.params.id);
+      const userId = req.user.id;
+
+      if (isNaN(gameId)) {
+        return res.status(400).json({ error: 'Invalid game ID' });
+      }
+
+      const result = await prisma.game.updateMany({
+        where: { id: gameId, userId },
+        data: { queueRank: null }
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      res.json({ message: 'Game removed from queue' });
+    } catch (error) {
+      console.error('Remove from queue error:', error);
+      res.status(500).json({ error: 'Failed to update queue' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/:id/history
+ * Get the status change history for a game in user's library
+ */
+router.get('/:id/history',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const gameId = parseInt(req.params.id);
+      const userId = req.user.id;
+
+      if (isNaN(gameId)) {
+        return res.status(400).json({ error: 'Invalid game ID' });
+      }
+
+      // Verify game belongs to user
+      const existingGame = await prisma.game.findFirst({
+        where: {
+          id: gameId,
+          userId
+        }
+      });
+
+      if (!existingGame) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const history = await getStatusHistory(gameId);
+
+      res.json({
+        gameId,
+        status: existingGame.status,
+        completedAt: existingGame.completedAt,
+        history: history.map(change => ({
+          id: change.id,
+          fromStatus: change.fromStatus,
+          toStatus: change.toStatus,
+          changedAt: change.changedAt
+        }))
+      });
+    } catch (error) {
+      console.error('Game history error:', error);
+      res.status(500).json({ error: 'Failed to fetch game history' });
+    }
+  }
+);
+
 /**
  * DELETE /api/games/:id
  * Remove a game from user's library
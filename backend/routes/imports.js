@@ -0,0 +1,355 @@
+/**
+ * Library Import Routes
+ * Bring games in from spreadsheets (CSV with column mapping) and from other
+ * services' exports via the importer registry (titles matched to IGDB for
+ * review, then bulk-created)
+ * Mounted under /api/games/import
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import rateLimit from 'express-rate-limit';
+import { prisma } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { GAME_STATUS_VALUES, normalizeStatus } from '../utils/gameStatus.js';
+import { matchImportEntries } from '../utils/titleMatching.js';
+import {
+  ImportFormatError,
+  getImporter,
+  listImporters,
+  parseImport
+} from '../importers/index.js';
+import {
+  MAX_IMPORT_ITEMS,
+  DUPLICATE_POLICIES,
+  DUPLICATE_POLICY_VALUES,
+  IMPORT_ACTIONS,
+  importLibraryGames,
+  summarizeImport
+} from '../utils/libraryImport.js';
+import { CsvParseError, parseCsv } from '../utils/csv.js';
+import {
+  MAX_CSV_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  autoMapColumns,
+  readImportRows
+} from '../utils/libraryCsv.js';
+
+const router = express.Router();
+
+// Roughly MAX_CSV_IMPORT_ROWS rows with notes; the JSON body limit is higher
+const MAX_CSV_LENGTH = 2 * 1024 * 1024;
+
+const MAX_PREVIEW_BATCH = 100;
+
+// Matching calls IGDB once per title, so previews share a tighter budget than search
+const importPreviewRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: { error: 'Too many import previews, please try again later.' }
+});
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+  return true;
+};
+
+/**
+ * Resolve the :source importer, or answer 404
+ */
+const findImporter = (req, res) => {
+  const importer = getImporter(req.params.source);
+  if (!importer) {
+    res.status(404).json({ error: 'Unknown import source' });
+  }
+  return importer;
+};
+
+/**
+ * Shape an IGDB candidate for the review screen
+ */
+const formatCandidate = (candidate) => ({
+  igdbId: candidate.id,
+  name: candidate.name,
+  similarity: candidate.similarity,
+  summary: candidate.summary || null,
+  coverUrl: candidate.coverUrl,
+  releaseDate: candidate.releaseDate,
+  platforms: candidate.platforms,
+  genres: candidate.genres,
+  developer: candidate.developer,
+  publisher: candidate.publisher,
+  rating: candidate.rating
+});
+
+/**
+ * POST /api/games/import
+ * Import library rows from CSV with a column mapping
+ * With dryRun the per-row report is returned without saving anything.
+ */
+router.post('/',
+  authenticateToken,
+  [
+    body('csv')
+      .isString()
+      .isLength({ min: 1, max: MAX_CSV_LENGTH })
+      .withMessage('CSV text is required (at most 2 MB)'),
+    body('mapping')
+      .optional()
+      .custom(value => (
+        value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([field, header]) => IMPORT_FIELDS.includes(field) && typeof header === 'string')
+      ))
+      .withMessage(`Mapping must be an object of field to column header; fields: ${IMPORT_FIELDS.join(', ')}`),
+    body('onDuplicate')
+      .optional()
+      .isIn(DUPLICATE_POLICY_VALUES)
+      .withMessage(`onDuplicate must be one of: ${DUPLICATE_POLICY_VALUES.join(', ')}`),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('dryRun must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const userId = req.user.id;
+      const { onDuplicate = DUPLICATE_POLICIES.SKIP, dryRun = false } = req.body;
+
+      const [headers = [], ...rows] = parseCsv(req.body.csv);
+      if (rows.length === 0) {
+        return res.status(400).json({ error: 'The CSV has no data rows' });
+      }
+      if (rows.length > MAX_CSV_IMPORT_ROWS) {
+        return res.status(400).json({ error: `A CSV import can have at most ${MAX_CSV_IMPORT_ROWS} rows` });
+      }
+
+      const trimmedHeaders = headers.map(header => header.trim());
+      const mapping = req.body.mapping
+        ? Object.fromEntries(Object.entries(req.body.mapping).filter(([, header]) => header !== ''))
+        : autoMapColumns(trimmedHeaders);
+
+      const missingColumns = Object.values(mapping).filter(header => !trimmedHeaders.includes(header));
+      if (missingColumns.length > 0) {
+        return res.status(400).json({ error: `Mapped columns not found in the CSV: ${missingColumns.join(', ')}` });
+      }
+      // A dry run still reports (every row missing igdbId) so the mapping can be fixed
+      if (!mapping.igdbId && !dryRun) {
+        return res.status(400).json({
+          error: 'Map a column to igdbId to import',
+          columns: trimmedHeaders,
+          mapping
+        });
+      }
+
+      const parsed = readImportRows(trimmedHeaders, rows, mapping);
+      const valid = parsed.filter(row => row.errors.length === 0);
+      const results = await importLibraryGames(userId, valid.map(row => row.item), { onDuplicate, dryRun });
+
+      // Rows that failed to parse keep their place in the report
+      const resultByRow = new Map(results.map(result => [valid[result.index].row, result]));
+      const report = parsed.map(row => {
+        if (row.errors.length > 0) {
+          return { row: row.row, igdbId: row.item.igdbId ?? null, name: row.item.name ?? null, action: IMPORT_ACTIONS.ERROR, success: false, errors: row.errors };
+        }
+        const { index: _index, error, ...result } = resultByRow.get(row.row);
+        return { row: row.row, name: row.item.name ?? null, ...result, ...(error && { errors: [error] }) };
+      });
+
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        onDuplicate,
+        columns: trimmedHeaders,
+        mapping,
+        unmappedColumns: trimmedHeaders.filter(header => !Object.values(mapping).includes(header)),
+        ...summarizeImport(report),
+        rows: report
+      });
+    } catch (error) {
+      if (error instanceof CsvParseError) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      console.error('CSV import error:', error);
+      res.status(500).json({ error: 'Failed to import CSV' });
+    }
+  }
+);
+
+/**
+ * GET /api/games/import/sources
+ * List the services an export can be imported from
+ */
+router.get('/sources', authenticateToken, (req, res) => {
+  res.json({ sources: listImporters() });
+});
+
+/**
+ * POST /api/games/import/:source/preview
+ * Match a slice of another service's export to IGDB
+ * Large libraries are previewed in batches: pass back nextOffset until it is null.
+ */
+router.post('/:source/preview',
+  authenticateToken,
+  importPreviewRateLimit,
+  [
+    body('export')
+      .custom(value => value !== null && (typeof value === 'object' || (typeof value === 'string' && value.length <= MAX_CSV_LENGTH)))
+      .withMessage('Export must be the file contents (CSV text or JSON, at most 2 MB)'),
+    body('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .toInt()
+      .withMessage('Offset must be a non-negative integer'),
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PREVIEW_BATCH })
+      .toInt()
+      .withMessage(`Limit must be between 1 and ${MAX_PREVIEW_BATCH}`)
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const importer = findImporter(req, res);
+      if (!importer) return;
+
+      const userId = req.user.id;
+      const { offset = 0, limit = 50 } = req.body;
+
+      const { entries, invalid } = parseImport(importer, req.body.export);
+      const batch = entries.slice(offset, offset + limit);
+
+      const library = await prisma.game.findMany({
+        where: { userId },
+        select: { igdbId: true }
+      });
+      const matched = await matchImportEntries(batch, new Set(library.map(game => game.igdbId)));
+
+      res.json({
+        source: importer.id,
+        items: matched.map(item => ({
+          row: item.row,
+          externalId: item.externalId,
+          name: item.name,
+          suggestedStatus: item.status,
+          userRating: item.userRating,
+          notes: item.notes,
+          platforms: item.platforms,
+          addedAt: item.addedAt,
+          completedAt: item.completedAt,
+          playtimeMinutes: item.playtimeMinutes,
+          lastPlayedAt: item.lastPlayedAt,
+          match: item.match ? formatCandidate(item.match) : null,
+          confidence: item.confidence,
+          confidenceLevel: item.confidenceLevel,
+          candidates: item.candidates.map(formatCandidate),
+          alreadyInLibrary: item.alreadyInLibrary,
+          ...(item.error && { error: item.error })
+        })),
+        total: entries.length,
+        offset,
+        nextOffset: offset + limit < entries.length ? offset + limit : null,
+        // Rows that could not be read are reported once, with the first batch
+        invalid: offset === 0 ? invalid : []
+      });
+    } catch (error) {
+      if (error instanceof ImportFormatError) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      console.error('Import preview error:', error);
+      res.status(500).json({ error: 'Failed to read export' });
+    }
+  }
+);
+
+/**
+ * POST /api/games/import/:source
+ * Create (or, with onDuplicate=update, update) library games from reviewed matches
+ */
+router.post('/:source',
+  authenticateToken,
+  [
+    body('games')
+      .isArray({ min: 1, max: MAX_IMPORT_ITEMS })
+      .withMessage(`Games must be a list of 1 to ${MAX_IMPORT_ITEMS} reviewed matches`),
+    body('games.*.igdbId')
+      .isInt({ min: 1 })
+      .withMessage('Each game needs a valid IGDB ID'),
+    body('games.*.name')
+      .isString()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 255 })
+      .withMessage('Each game needs a name of at most 255 characters'),
+    body('games.*.status')
+      .optional()
+      .custom(value => normalizeStatus(value) !== null)
+      .withMessage(`Status must be one of: ${GAME_STATUS_VALUES.join(', ')}`),
+    body('games.*.userRating')
+      .optional({ values: 'null' })
+      .isFloat({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5'),
+    body('games.*.notes')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Notes must not exceed 2000 characters'),
+    body('games.*.playtimeMinutes')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Playtime must be a whole number of minutes'),
+    body(['games.*.lastPlayedAt', 'games.*.addedAt', 'games.*.completedAt'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601'),
+    body('games.*.platforms')
+      .optional()
+      .isArray()
+      .withMessage('Platforms must be a list'),
+    body('games.*.genres')
+      .optional()
+      .isArray()
+      .withMessage('Genres must be a list'),
+    body('onDuplicate')
+      .optional()
+      .isIn(DUPLICATE_POLICY_VALUES)
+      .withMessage(`onDuplicate must be one of: ${DUPLICATE_POLICY_VALUES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const importer = findImporter(req, res);
+      if (!importer) return;
+
+      const userId = req.user.id;
+      const { onDuplicate = DUPLICATE_POLICIES.SKIP } = req.body;
+      const results = await importLibraryGames(userId, req.body.games, { onDuplicate });
+
+      res.status(201).json({
+        message: `${importer.name} import finished`,
+        ...summarizeImport(results),
+        results: results.map(result => ({
+          ...result,
+          externalId: req.body.games[result.index].externalId ?? null,
+          name: req.body.games[result.index].name
+        }))
+      });
+    } catch (error) {
+      console.error('Import error:', error);
+      res.status(500).json({ error: 'Failed to import games' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,160 @@
+/**
+ * Notification Routes
+ * Listing in-app notifications and marking them read
+ */
+import express from 'express';
+import { body, query, param, validationResult, matchedData } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  DEFAULT_NOTIFICATION_LIMIT,
+  MAX_NOTIFICATION_LIMIT,
+  listNotifications,
+  countUnreadNotifications,
+  markNotifications
+} from '../utils/notifications.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications
+ * Newest notifications first, with the unread count for the bell
+ * Page with ?before=<id of the last notification shown>
+ */
+router.get('/',
+  authenticateToken,
+  [
+    query('unread')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('unread must be a boolean'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_NOTIFICATION_LIMIT })
+      .toInt()
+      .withMessage(`Limit must be between 1 and ${MAX_NOTIFICATION_LIMIT}`),
+    query('before')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('before must be a notification ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      // Express 5 does not let sanitizers rewrite req.query; matchedData has the converted values
+      const { unread = false, limit = DEFAULT_NOTIFICATION_LIMIT, before = null } = matchedData(req, { locations: ['query'] });
+      const page = await listNotifications(req.user.id, {
+        unreadOnly: unread,
+        limit,
+        before
+      });
+
+      res.json(page);
+    } catch (error) {
+      console.error('List notifications error:', error);
+      res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/notifications
+ * Mark notifications read (or unread): { ids: [...] } or { all: true }
+ */
+router.patch('/',
+  authenticateToken,
+  [
+    body('ids')
+      .optional()
+      .isArray({ min: 1, max: MAX_NOTIFICATION_LIMIT })
+      .withMessage(`ids must be an array of 1 to ${MAX_NOTIFICATION_LIMIT} notification IDs`),
+    body('ids.*')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('ids must contain notification IDs'),
+    body('all')
+      .optional()
+      .isBoolean()
+      .withMessage('all must be a boolean'),
+    body('read')
+      .optional()
+      .isBoolean()
+      .withMessage('read must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const all = req.body.all === true;
+      if (!all && !req.body.ids) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Provide ids or all: true'
+        });
+      }
+
+      const read = req.body.read !== false;
+      const updated = await markNotifications(req.user.id, all ? null : req.body.ids, read);
+      const unreadCount = await countUnreadNotifications(req.user.id);
+
+      res.json({ updated, unreadCount });
+    } catch (error) {
+      console.error('Update notifications error:', error);
+      res.status(500).json({ error: 'Failed to update notifications' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/notifications/:id
+ * Mark one notification read (or unread with { read: false })
+ */
+router.patch('/:id',
+  authenticateToken,
+  [
+    param('id')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Invalid notification ID'),
+    body('read')
+      .optional()
+      .isBoolean()
+      .withMessage('read must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const read = req.body.read !== false;
+      const updated = await markNotifications(req.user.id, [req.params.id], read);
+      const unreadCount = await countUnreadNotifications(req.user.id);
+
+      res.json({ updated, unreadCount });
+    } catch (error) {
+      console.error('Update notification error:', error);
+      res.status(500).json({ error: 'Failed to update notification' });
+    }
+  }
+);
+
+export default router;
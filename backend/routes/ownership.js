@@ -0,0 +1,240 @@
+/**
+ * Ownership Routes
+ * The copies a user owns of a library game: platform, format, storefront,
+ * purchase date and price
+ * Mounted under /api/games/:id/ownership
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { prisma } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  OWNERSHIP_FORMAT_VALUES,
+  MAX_OWNERSHIPS_PER_GAME,
+  OwnershipError,
+  buildOwnershipData,
+  formatOwnership
+} from '../utils/ownership.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load a game from the requesting user's library
+ */
+const findUserGame = async (req) => {
+  const gameId = parseInt(req.params.id);
+  if (isNaN(gameId)) {
+    return null;
+  }
+
+  return prisma.game.findFirst({
+    where: {
+      id: gameId,
+      userId: req.user.id
+    }
+  });
+};
+
+const ownershipValidation = (required) => [
+  (required ? body('platform') : body('platform').optional())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Platform must be between 1 and 100 characters'),
+  (required ? body('format') : body('format').optional())
+    .isIn(OWNERSHIP_FORMAT_VALUES)
+    .withMessage(`Format must be one of: ${OWNERSHIP_FORMAT_VALUES.join(', ')}`),
+  body('storefront')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Storefront must not exceed 100 characters'),
+  body('purchasedAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('purchasedAt must be a valid ISO 8601 date'),
+  body('price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Price must be between 0 and 100000'),
+  body('currency')
+    .optional({ values: 'null' })
+    .isString()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a three-letter ISO 4217 code')
+];
+
+/**
+ * GET /api/games/:id/ownership
+ * List the owned copies of a game
+ */
+router.get('/',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const ownerships = await prisma.gameOwnership.findMany({
+        where: { gameId: game.id },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      res.json({
+        gameId: game.id,
+        ownerships: ownerships.map(formatOwnership)
+      });
+    } catch (error) {
+      console.error('List ownership error:', error);
+      res.status(500).json({ error: 'Failed to fetch ownership records' });
+    }
+  }
+);
+
+/**
+ * POST /api/games/:id/ownership
+ * Record an owned copy of a game
+ */
+router.post('/',
+  authenticateToken,
+  ownershipValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const count = await prisma.gameOwnership.count({ where: { gameId: game.id } });
+      if (count >= MAX_OWNERSHIPS_PER_GAME) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `A game can have at most ${MAX_OWNERSHIPS_PER_GAME} ownership records`
+        });
+      }
+
+      const ownership = await prisma.gameOwnership.create({
+        data: {
+          userId: req.user.id,
+          gameId: game.id,
+          ...buildOwnershipData(req.body)
+        }
+      });
+
+      res.status(201).json({
+        message: 'Ownership recorded',
+        ownership: formatOwnership(ownership)
+      });
+    } catch (error) {
+      if (error instanceof OwnershipError) {
+        return res.status(400).json({ error: 'Validation failed', message: error.message });
+      }
+
+      console.error('Create ownership error:', error);
+      res.status(500).json({ error: 'Failed to record ownership' });
+    }
+  }
+);
+
+/**
+ * PUT /api/games/:id/ownership/:ownershipId
+ * Update an owned copy
+ */
+router.put('/:ownershipId',
+  authenticateToken,
+  ownershipValidation(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const ownershipId = parseInt(req.params.ownershipId);
+      if (isNaN(ownershipId)) {
+        return res.status(400).json({ error: 'Invalid ownership ID' });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const existing = await prisma.gameOwnership.findFirst({
+        where: { id: ownershipId, gameId: game.id }
+      });
+      if (!existing) {
+        return res.status(404).json({ error: 'Ownership record not found' });
+      }
+
+      const ownership = await prisma.gameOwnership.update({
+        where: { id: ownershipId },
+        data: buildOwnershipData(req.body, existing)
+      });
+
+      res.json({
+        message: 'Ownership updated',
+        ownership: formatOwnership(ownership)
+      });
+    } catch (error) {
+      if (error instanceof OwnershipError) {
+        return res.status(400).json({ error: 'Validation failed', message: error.message });
+      }
+
+      console.error('Update ownership error:', error);
+      res.status(500).json({ error: 'Failed to update ownership' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/games/:id/ownership/:ownershipId
+ * Remove an owned copy
+ */
+router.delete('/:ownershipId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const ownershipId = parseInt(req.params.ownershipId);
+      if (isNaN(ownershipId)) {
+        return res.status(400).json({ error: 'Invalid ownership ID' });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const existing = await prisma.gameOwnership.findFirst({
+        where: { id: ownershipId, gameId: game.id }
+      });
+      if (!existing) {
+        return res.status(404).json({ error: 'Ownership record not found' });
+      }
+
+      await prisma.gameOwnership.delete({
+        where: { id: ownershipId }
+      });
+
+      res.json({ message: 'Ownership record deleted successfully' });
+    } catch (error) {
+      console.error('Delete ownership error:', error);
+      res.status(500).json({ error: 'Failed to delete ownership record' });
+    }
+  }
+);
+
+export default router;
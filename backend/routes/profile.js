@@ -6,6 +6,31 @@ import path from 'path';
 import fs from 'fs/promises';
 import { PrismaClient } from '@prisma/client';
 import { requireAuth } from '../middleware/auth.js';
+import { getUserPlaytimeSummary } from '../utils/playtime.js';
+import { GAME_STATUSES } from '../utils/gameStatus.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_VALUES,
+  EXPORT_JOB_STATUSES,
+  ASYNC_EXPORT_THRESHOLD,
+  countExportRecords,
+  buildExportData,
+  renderExport,
+  startExportJob,
+  exportFilePath
+} from '../utils/dataExport.js';
+import {
+  RESTORE_MODES,
+  RESTORE_MODE_VALUES,
+  RestoreError,
+  restoreAccount
+} from '../utils/dataRestore.js';
+import {
+  AccountDeletionError,
+  formatDeletionStatus,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} from '../utils/accountDeletion.js';
 import { fileURLToPath } from 'url';
 
 const router = express.Router();
@@ -41,6 +66,7 @@ const profileUpdateSchema = Joi.object({
       gameUpdates: Joi.boolean().optional(),
       achievements: Joi.boolean().optional(),
       system: Joi.boolean().optional(),
+      email: Joi.boolean().optional(),
     }).optional(),
     privacy: Joi.object({
       profileVisible: Joi.boolean().optional(),
@@ -83,6 +109,8 @@ router.get('/', requireAuth, async (req, res) => {
         createdAt: true,
         updatedAt: true,
         lastLogin: true,
+        deletionRequestedAt: true,
+        deletionScheduledFor: true,
       },
     });
 
@@ -101,18 +129,27 @@ router.get('/', requireAuth, async (req, res) => {
       }
     }
 
-    // Calculate profile statistics (placeholder - will be expanded with game data)
+    // Calculate profile statistics from the game library and play sessions
+    const [totalGames, completedGames, playtime] = await Promise.all([
+      prisma.game.count({ where: { userId: req.user.id } }),
+      prisma.game.count({ where: { userId: req.user.id, status: GAME_STATUSES.COMPLETED } }),
+      getUserPlaytimeSummary(req.user.id),
+    ]);
+
     const stats = {
-      totalGames: 0,
-      completedGames: 0,
-      hoursPlayed: 0,
+      totalGames,
+      completedGames,
+      hoursPlayed: playtime.totalHours,
       achievements: 0,
     };
 
+    const { deletionRequestedAt: _requestedAt, deletionScheduledFor: _scheduledFor, ...profile } = user;
+
     res.json({
-      ...user,
+      ...profile,
       preferences,
       stats,
+      deletion: formatDeletionStatus(user),
       // Use avatarUrl if available, otherwise fallback to Google profile picture
       profileImage: user.avatarUrl || user.profilePicture,
     });
@@ -278,67 +315,199 @@ router.delete('/avatar', requireAuth, async (req, res) => {
   }
 });
 
+const formatExportJob = (job) => ({
+  id: job.id,
+  format: job.format,
+  status: job.status,
+  fileName: job.fileName,
+  fileSize: job.fileSize,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  downloadUrl: job.status === EXPORT_JOB_STATUSES.READY ? `/api/profile/export/jobs/${job.id}/download` : null,
+});
+
 // GET /api/profile/export - Export user data (GDPR compliance)
+// ?format=json (default) or zip (JSON plus CSV files). Large accounts, or ?async=true,
+// get a background job (202) whose file is fetched from its downloadUrl when ready.
 router.get('/export', requireAuth, async (req, res) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        displayName: true,
-        bio: true,
-        theme: true,
-        preferences: true,
-        createdAt: true,
-        updatedAt: true,
-        lastLogin: true,
-        provider: true,
-        // Note: Exclude sensitive fields like tokens, passwords, etc.
-      },
-    });
+    const format = req.query.format || EXPORT_FORMATS.JSON;
+    if (!EXPORT_FORMAT_VALUES.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMAT_VALUES.join(', ')}` });
+    }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const runAsync = req.query.async === 'true'
+      || await countExportRecords(req.user.id) > ASYNC_EXPORT_THRESHOLD;
+
+    if (runAsync) {
+      const job = await startExportJob(req.user.id, format);
+      return res.status(202).json({
+        message: 'Your export is being prepared',
+        job: formatExportJob(job),
+      });
     }
 
-    // Parse preferences
-    let preferences = {};
-    if (user.preferences) {
-      try {
-        preferences = JSON.parse(user.preferences);
-      } catch (error) {
-        preferences = {};
-      }
+    const data = await buildExportData(req.user.id);
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const exportData = {
-      profile: {
-        ...user,
-        preferences,
-      },
-      // Future: Add games data, achievements, etc.
-      games: [],
-      achievements: [],
-      exportedAt: new Date().toISOString(),
-      exportVersion: '1.0',
-    };
+    const { content, contentType, fileName } = renderExport(data, format);
 
     // Set proper headers for download
-    const timestamp = new Date().toISOString().slice(0, 10);
-    res.setHeader('Content-Disposition', `attachment; filename="profile-export-${timestamp}.json"`);
-    res.setHeader('Content-Type', 'application/json');
-
-    res.json(exportData);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Type', contentType);
+    res.send(content);
   } catch (error) {
     console.error('Profile export error:', error);
     res.status(500).json({ error: 'Failed to export profile data' });
   }
 });
 
+// GET /api/profile/export/jobs - Background exports that can still be downloaded
+router.get('/export/jobs', requireAuth, async (req, res) => {
+  try {
+    const jobs = await prisma.dataExport.findMany({
+      where: { userId: req.user.id, expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({ jobs: jobs.map(formatExportJob) });
+  } catch (error) {
+    console.error('Export jobs fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch export jobs' });
+  }
+});
+
+// GET /api/profile/export/jobs/:id - Status of a background export
+router.get('/export/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await prisma.dataExport.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ job: formatExportJob(job) });
+  } catch (error) {
+    console.error('Export job fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch export' });
+  }
+});
+
+// GET /api/profile/export/jobs/:id/download - Download a finished background export
+router.get('/export/jobs/:id/download', requireAuth, async (req, res) => {
+  try {
+    const job = await prisma.dataExport.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!job || job.expiresAt <= new Date()) {
+      return res.status(404).json({ error: 'Export not found or expired' });
+    }
+    if (job.status !== EXPORT_JOB_STATUSES.READY) {
+      return res.status(409).json({ error: 'Export is not ready yet', job: formatExportJob(job) });
+    }
+
+    const content = await fs.readFile(exportFilePath(job));
+    res.setHeader('Content-Disposition', `attachment; filename="${job.fileName}"`);
+    res.setHeader('Content-Type', job.format === EXPORT_FORMATS.ZIP ? 'application/zip' : 'application/json');
+    res.send(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Export not found or expired' });
+    }
+
+    console.error('Export download error:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
+// POST /api/profile/restore - Rebuild library and preferences from a profile export
+// Body: { data: <export JSON>, mode: 'merge' | 'replace', dryRun }
+router.post('/restore', requireAuth, async (req, res) => {
+  try {
+    const { data, mode = RESTORE_MODES.MERGE } = req.body || {};
+    const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true';
+
+    if (!RESTORE_MODE_VALUES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${RESTORE_MODE_VALUES.join(', ')}` });
+    }
+    if (!data || typeof data !== 'object') {
+      return res.status(400).json({ error: 'Export data is required' });
+    }
+
+    // Profile fields go through the same rules as a profile update; unknown keys are dropped
+    let profile = null;
+    if (data.profile && typeof data.profile === 'object') {
+      const fields = Object.fromEntries(
+        ['displayName', 'bio', 'theme', 'preferences']
+          .filter(field => data.profile[field] !== undefined && data.profile[field] !== null)
+          .map(field => [field, data.profile[field]])
+      );
+      const { error, value } = profileUpdateSchema.validate(fields, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.details.map(detail => detail.message),
+        });
+      }
+      profile = value;
+    }
+
+    const report = await restoreAccount(req.user.id, data, { mode, dryRun, profile });
+
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    if (error instanceof RestoreError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Profile restore error:', error);
+    res.status(500).json({ error: 'Failed to restore profile data' });
+  }
+});
+
+// DELETE /api/profile - Request account deletion
+// The body must carry { confirmation: <account email> }. The account is erased
+// when the grace period ends unless the request is cancelled first.
+router.delete('/', requireAuth, async (req, res) => {
+  try {
+    const deletion = await requestAccountDeletion(req.user.id, req.body?.confirmation, new Date(), req);
+
+    res.status(202).json({
+      message: 'Account scheduled for deletion',
+      deletion,
+    });
+  } catch (error) {
+    if (error instanceof AccountDeletionError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Account deletion request error:', error);
+    res.status(500).json({ error: 'Failed to request account deletion' });
+  }
+});
+
+// POST /api/profile/deletion/cancel - Cancel a pending account deletion
+router.post('/deletion/cancel', requireAuth, async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user.id, req);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No account deletion is pending' });
+    }
+
+    res.json({ message: 'Account deletion cancelled', deletion: null });
+  } catch (error) {
+    console.error('Account deletion cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
 // GET /api/profile/sessions - Get active sessions (placeholder for session management)
 router.get('/sessions', requireAuth, async (req, res) => {
   try {
@@ -0,0 +1,412 @@
+/**
+ * Play Session Routes
+ * Logging play sessions and running a start/stop timer for a library entry
+ * Mounted under /api/games/:id/sessions
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { prisma } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { MAX_SESSION_MINUTES, minutesBetween, getSessionMinutes, capTimerEnd } from '../utils/playtime.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Shape a session record for API responses
+ */
+const formatSession = (session) => ({
+  id: session.id,
+  gameId: session.gameId,
+  startedAt: session.startedAt,
+  endedAt: session.endedAt,
+  durationMinutes: getSessionMinutes(session),
+  note: session.note,
+  isRunning: !session.endedAt && session.durationMinutes === null,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt
+});
+
+/**
+ * Resolve start/end/duration into stored values
+ * Returns { error } if the combination is invalid
+ */
+const resolveTiming = ({ startedAt, endedAt, durationMinutes }) => {
+  const start = new Date(startedAt);
+
+  if (endedAt) {
+    const end = new Date(endedAt);
+    if (end <= start) {
+      return { error: 'Session end must be after its start' };
+    }
+    const minutes = minutesBetween(start, end);
+    if (minutes > MAX_SESSION_MINUTES) {
+      return { error: 'A single session cannot exceed 24 hours' };
+    }
+    return { startedAt: start, endedAt: end, durationMinutes: minutes };
+  }
+
+  if (durationMinutes !== undefined && durationMinutes !== null) {
+    const minutes = parseInt(durationMinutes);
+    return {
+      startedAt: start,
+      endedAt: new Date(start.getTime() + minutes * 60 * 1000),
+      durationMinutes: minutes
+    };
+  }
+
+  return { error: 'Either endedAt or durationMinutes is required' };
+};
+
+/**
+ * Load a game from the requesting user's library
+ */
+const findUserGame = async (req) => {
+  const gameId = parseInt(req.params.id);
+  if (isNaN(gameId)) {
+    return null;
+  }
+
+  return prisma.game.findFirst({
+    where: {
+      id: gameId,
+      userId: req.user.id
+    }
+  });
+};
+
+const sessionValidation = (required) => [
+  (required ? body('startedAt') : body('startedAt').optional())
+    .isISO8601()
+    .withMessage('startedAt must be a valid ISO 8601 date'),
+  body('endedAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('endedAt must be a valid ISO 8601 date'),
+  body('durationMinutes')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_SESSION_MINUTES })
+    .withMessage(`durationMinutes must be between 1 and ${MAX_SESSION_MINUTES}`),
+  body('note')
+    .optional({ values: 'null' })
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+];
+
+/**
+ * GET /api/games/:id/sessions
+ * List play sessions for a game, newest first, with total playtime
+ */
+router.get('/',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const sessions = await prisma.playSession.findMany({
+        where: { gameId: game.id },
+        orderBy: { startedAt: 'desc' }
+      });
+
+      const formatted = sessions.map(formatSession);
+      const totalMinutes = formatted.reduce((sum, session) => sum + session.durationMinutes, 0);
+
+      res.json({
+        gameId: game.id,
+        sessions: formatted,
+        totalMinutes,
+        totalHours: Math.round((totalMinutes / 60) * 10) / 10
+      });
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({ error: 'Failed to fetch play sessions' });
+    }
+  }
+);
+
+/**
+ * POST /api/games/:id/sessions/start
+ * Start a play timer for a game (one running timer per user)
+ */
+router.post('/start',
+  authenticateToken,
+  [
+    body('note')
+      .optional({ values: 'null' })
+      .isLength({ max: 500 })
+      .withMessage('Note must not exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const running = await prisma.playSession.findFirst({
+        where: {
+          userId: req.user.id,
+          endedAt: null,
+          durationMinutes: null
+        }
+      });
+
+      if (running) {
+        return res.status(409).json({
+          error: 'Timer already running',
+          message: 'Stop the running play session before starting another.',
+          session: formatSession(running)
+        });
+      }
+
+      const session = await prisma.playSession.create({
+        data: {
+          userId: req.user.id,
+          gameId: game.id,
+          startedAt: new Date(),
+          note: req.body.note || null
+        }
+      });
+
+      res.status(201).json({
+        message: 'Play session started',
+        session: formatSession(session)
+      });
+    } catch (error) {
+      console.error('Start session error:', error);
+      res.status(500).json({ error: 'Failed to start play session' });
+    }
+  }
+);
+
+/**
+ * POST /api/games/:id/sessions/stop
+ * Stop the running play timer for a game
+ */
+router.post('/stop',
+  authenticateToken,
+  [
+    body('note')
+      .optional({ values: 'null' })
+      .isLength({ max: 500 })
+      .withMessage('Note must not exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const running = await prisma.playSession.findFirst({
+        where: {
+          gameId: game.id,
+          endedAt: null,
+          durationMinutes: null
+        }
+      });
+
+      if (!running) {
+        return res.status(404).json({ error: 'No running play session for this game' });
+      }
+
+      // A timer left running ends MAX_SESSION_MINUTES after it started
+      const endedAt = capTimerEnd(running.startedAt);
+      const data = {
+        endedAt,
+        durationMinutes: minutesBetween(running.startedAt, endedAt)
+      };
+      if (req.body.note !== undefined) data.note = req.body.note || null;
+
+      const session = await prisma.playSession.update({
+        where: { id: running.id },
+        data
+      });
+
+      res.json({
+        message: 'Play session stopped',
+        session: formatSession(session)
+      });
+    } catch (error) {
+      console.error('Stop session error:', error);
+      res.status(500).json({ error: 'Failed to stop play session' });
+    }
+  }
+);
+
+/**
+ * POST /api/games/:id/sessions
+ * Log a completed play session (start plus end or duration)
+ */
+router.post('/',
+  authenticateToken,
+  sessionValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const timing = resolveTiming(req.body);
+      if (timing.error) {
+        return res.status(400).json({ error: 'Validation failed', message: timing.error });
+      }
+
+      const session = await prisma.playSession.create({
+        data: {
+          userId: req.user.id,
+          gameId: game.id,
+          ...timing,
+          note: req.body.note || null
+        }
+      });
+
+      res.status(201).json({
+        message: 'Play session logged',
+        session: formatSession(session)
+      });
+    } catch (error) {
+      console.error('Create session error:', error);
+      res.status(500).json({ error: 'Failed to log play session' });
+    }
+  }
+);
+
+/**
+ * PUT /api/games/:id/sessions/:sessionId
+ * Update a play session
+ */
+router.put('/:sessionId',
+  authenticateToken,
+  sessionValidation(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const sessionId = parseInt(req.params.sessionId);
+      if (isNaN(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session ID' });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const existing = await prisma.playSession.findFirst({
+        where: { id: sessionId, gameId: game.id }
+      });
+      if (!existing) {
+        return res.status(404).json({ error: 'Play session not found' });
+      }
+
+      const { startedAt, endedAt, durationMinutes, note } = req.body;
+      const data = {};
+
+      const isRunning = !existing.endedAt && existing.durationMinutes === null;
+      const changesEnd = endedAt !== undefined || durationMinutes !== undefined;
+
+      if (isRunning && !changesEnd) {
+        // Only the start of a running timer can be corrected
+        if (startedAt !== undefined) data.startedAt = new Date(startedAt);
+      } else if (startedAt !== undefined || changesEnd) {
+        // A newly supplied duration replaces the stored end time
+        const timing = resolveTiming({
+          startedAt: startedAt ?? existing.startedAt,
+          endedAt: durationMinutes !== undefined && endedAt === undefined ? null : (endedAt ?? existing.endedAt),
+          durationMinutes: durationMinutes ?? existing.durationMinutes
+        });
+        if (timing.error) {
+          return res.status(400).json({ error: 'Validation failed', message: timing.error });
+        }
+        Object.assign(data, timing);
+      }
+      if (note !== undefined) data.note = note || null;
+
+      const session = await prisma.playSession.update({
+        where: { id: sessionId },
+        data
+      });
+
+      res.json({
+        message: 'Play session updated',
+        session: formatSession(session)
+      });
+    } catch (error) {
+      console.error('Update session error:', error);
+      res.status(500).json({ error: 'Failed to update play session' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/games/:id/sessions/:sessionId
+ * Delete a play session
+ */
+router.delete('/:sessionId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      if (isNaN(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session ID' });
+      }
+
+      const game = await findUserGame(req);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+
+      const existing = await prisma.playSession.findFirst({
+        where: { id: sessionId, gameId: game.id }
+      });
+      if (!existing) {
+        return res.status(404).json({ error: 'Play session not found' });
+      }
+
+      await prisma.playSession.delete({
+        where: { id: sessionId }
+      });
+
+      res.json({ message: 'Play session deleted successfully' });
+    } catch (error) {
+      console.error('Delete session error:', error);
+      res.status(500).json({ error: 'Failed to delete play session' });
+    }
+  }
+);
+
+export default router;
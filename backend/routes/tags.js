@@ -0,0 +1,219 @@
+/**
+ * Tags API Routes
+ * List, rename, merge and delete the free-form tags on a user's library
+ */
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { prisma } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { MAX_TAG_LENGTH, normalizeTagName, mergeTags } from '../utils/tags.js';
+
+const router = express.Router();
+
+/**
+ * Shape a tag record for API responses
+ */
+const formatTag = (tag) => ({
+  id: tag.id,
+  name: tag.name,
+  gameCount: tag._count?.games ?? 0,
+  createdAt: tag.createdAt
+});
+
+/**
+ * Find a tag owned by a user
+ */
+const findUserTag = (userId, tagId) => {
+  if (isNaN(tagId)) {
+    return null;
+  }
+  return prisma.tag.findFirst({
+    where: { id: tagId, userId },
+    include: { _count: { select: { games: true } } }
+  });
+};
+
+/**
+ * GET /api/tags
+ * List the user's tags with usage counts
+ */
+router.get('/',
+  authenticateToken,
+  [
+    query('sort')
+      .optional()
+      .isIn(['name', 'usage'])
+      .withMessage('Sort must be name or usage')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const orderBy = req.query.sort === 'usage'
+        ? [{ games: { _count: 'desc' } }, { name: 'asc' }]
+        : { name: 'asc' };
+
+      const tags = await prisma.tag.findMany({
+        where: { userId: req.user.id },
+        orderBy,
+        include: { _count: { select: { games: true } } }
+      });
+
+      res.json({ tags: tags.map(formatTag) });
+    } catch (error) {
+      console.error('List tags error:', error);
+      res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+  }
+);
+
+/**
+ * POST /api/tags/merge
+ * Fold one or more tags into a target tag across the whole library
+ */
+router.post('/merge',
+  authenticateToken,
+  [
+    body('targetTagId')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('targetTagId must be a tag ID'),
+    body('sourceTagIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('sourceTagIds must be an array of 1 to 100 tag IDs'),
+    body('sourceTagIds.*')
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Each source tag ID must be a positive integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { targetTagId, sourceTagIds } = req.body;
+      const requestedIds = [...new Set([targetTagId, ...sourceTagIds])];
+
+      const owned = await prisma.tag.findMany({
+        where: { id: { in: requestedIds }, userId: req.user.id },
+        select: { id: true }
+      });
+      const ownedIds = new Set(owned.map(tag => tag.id));
+      const missing = requestedIds.filter(id => !ownedIds.has(id));
+
+      if (missing.length > 0) {
+        return res.status(404).json({
+          error: 'Tag not found',
+          missingTagIds: missing
+        });
+      }
+
+      const gamesRetagged = await prisma.$transaction(tx => mergeTags(targetTagId, sourceTagIds, tx));
+      const target = await findUserTag(req.user.id, targetTagId);
+
+      res.json({
+        message: 'Tags merged successfully',
+        tag: formatTag(target),
+        gamesRetagged
+      });
+    } catch (error) {
+      console.error('Merge tags error:', error);
+      res.status(500).json({ error: 'Failed to merge tags' });
+    }
+  }
+);
+
+/**
+ * PUT /api/tags/:id
+ * Rename a tag everywhere it is used
+ */
+router.put('/:id',
+  authenticateToken,
+  [
+    body('name')
+      .custom(value => normalizeTagName(value) !== null)
+      .withMessage(`Tag name must be between 1 and ${MAX_TAG_LENGTH} characters`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const tag = await findUserTag(req.user.id, parseInt(req.params.id));
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      const name = normalizeTagName(req.body.name);
+      if (name !== tag.name) {
+        const clash = await prisma.tag.findFirst({
+          where: { userId: req.user.id, name }
+        });
+        if (clash) {
+          return res.status(409).json({
+            error: 'Tag already exists',
+            message: `A tag named "${name}" already exists. Merge the tags instead.`,
+            existingTagId: clash.id
+          });
+        }
+      }
+
+      const updated = await prisma.tag.update({
+        where: { id: tag.id },
+        data: { name },
+        include: { _count: { select: { games: true } } }
+      });
+
+      res.json({
+        message: 'Tag renamed successfully',
+        tag: formatTag(updated)
+      });
+    } catch (error) {
+      console.error('Rename tag error:', error);
+      res.status(500).json({ error: 'Failed to rename tag' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/tags/:id
+ * Delete a tag and remove it from every game
+ */
+router.delete('/:id',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const tag = await findUserTag(req.user.id, parseInt(req.params.id));
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      await prisma.tag.delete({
+        where: { id: tag.id }
+      });
+
+      res.json({ message: 'Tag deleted successfully' });
+    } catch (error) {
+      console.error('Delete tag error:', error);
+      res.status(500).json({ error: 'Failed to delete tag' });
+    }
+  }
+);
+
+export default router;
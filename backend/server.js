@@ -11,8 +11,18 @@ import authRoutes from './routes/auth.js';
 import adminRoutes from './routes/admin.js';
 import profileRoutes from './routes/profile.js';
 import gamesRoutes from './routes/games.js';
+import collectionsRoutes from './routes/collections.js';
+import tagsRoutes from './routes/tags.js';
+import dashboardRoutes from './routes/dashboard.js';
+import calendarFeedRoutes from './routes/calendarFeed.js';
+import notificationsRoutes from './routes/notifications.js';
+import emailRoutes from './routes/email.js';
 import { connectDatabase, disconnectDatabase, prisma } from './db/database.js';
 import { initializeScheduledJobs, stopScheduledJobs } from './jobs/sessionJobs.js';
+import { initializeDataExportJobs } from './jobs/dataExportJobs.js';
+import { initializeAccountDeletionJobs } from './jobs/accountDeletionJobs.js';
+import { initializeReleaseCalendarJobs } from './jobs/releaseCalendarJobs.js';
+import { initializeNotificationJobs } from './jobs/notificationJobs.js';
 import { validateEnvironmentSecurity, displaySecurityConfig } from './utils/environmentSecurity.js';
 import { getContentSecurityPolicy, additionalSecurityHeaders, authSecurityHeaders } from './utils/securityHeaders.js';
 import { initializeSecurityLogging, logRateLimitExceeded, logSecurityEvent, SEVERITY_LEVELS } from './utils/securityLogging.js';
@@ -86,12 +96,15 @@ app.use(cookieParser());
 app.use('/uploads', express.static('uploads'));
 
 // Session configuration
+// Kept in a variable so background jobs can clear a deleted account's sessions
+const sessionStore = new SQLiteStore({
+  db: 'sessions.db',
+  dir: './prisma',
+  table: 'sessions',
+});
+
 app.use(session({
-  store: new SQLiteStore({
-    db: 'sessions.db',
-    dir: './prisma',
-    table: 'sessions',
-  }),
+  store: sessionStore,
   secret: process.env.SESSION_SECRET || 'fallback-secret-key',
   resave: false,
   saveUninitialized: false,
@@ -162,7 +175,13 @@ app.get('/api', (req, res) => {
       api: '/api',
       auth: '/auth',
       profile: '/api/profile',
-      games: '/api/games'
+      games: '/api/games',
+      collections: '/api/collections',
+      tags: '/api/tags',
+      dashboard: '/api/dashboard',
+      calendar: '/api/calendar',
+      notifications: '/api/notifications',
+      email: '/api/email'
     }
   });
 });
@@ -176,6 +195,24 @@ app.use('/api/profile', profileRoutes);
 // Games routes (protected by authentication middleware within routes)
 app.use('/api/games', gamesRoutes);
 
+// Collections routes (protected by authentication middleware within routes)
+app.use('/api/collections', collectionsRoutes);
+
+// Tags routes (protected by authentication middleware within routes)
+app.use('/api/tags', tagsRoutes);
+
+// Dashboard routes (protected by authentication middleware within routes)
+app.use('/api/dashboard', dashboardRoutes);
+
+// Calendar feed routes (token management is authenticated; the .ics feed is token-protected)
+app.use('/api/calendar', calendarFeedRoutes);
+
+// Notification routes (protected by authentication middleware within routes)
+app.use('/api/notifications', notificationsRoutes);
+
+// Email routes (unsubscribe links are token-protected)
+app.use('/api/email', emailRoutes);
+
 // Admin routes (protected by authentication middleware within routes)
 app.use('/admin', adminRoutes);
 
@@ -218,6 +255,10 @@ async function startServer() {
     
     // Initialize scheduled jobs for session management
     initializeScheduledJobs();
+    initializeDataExportJobs();
+    initializeAccountDeletionJobs(sessionStore);
+    initializeReleaseCalendarJobs();
+    initializeNotificationJobs();
     
     // Start Express server
     app.listen(PORT, () => {
@@ -1,19 +1,184 @@
 /**
- * Stub for Email Service
- * Used for testing authentication flows
+ * Email Service
+ * Renders templated emails and hands them to a send queue that delivers them
+ * through the configured transport (see emailTransports.js). A failed send is
+ * retried with exponential backoff, so a slow or unavailable mail server never
+ * holds up or fails the request that triggered the email. The queue lives in
+ * memory: emails still pending when the process stops are lost.
  */
+import { createTransportFromEnv } from './emailTransports.js';
+import { renderEmail } from './emailTemplates.js';
+import { unsubscribeLinks } from '../utils/emailUnsubscribe.js';
+import { readNotificationPreferences } from '../utils/notifications.js';
+import { prisma } from '../db/database.js';
 
-export const sendVerificationEmail = async (email, token) => {
-  console.log(`Mock: Sending verification email to ${email} with token ${token}`);
-  return Promise.resolve(true);
+export const MAX_SEND_ATTEMPTS = 5;
+
+// Delay before the first retry; doubles on every further attempt
+export const DEFAULT_RETRY_DELAY_MS = 30 * 1000;
+
+// Templates the recipient can opt out of; account emails are always sent
+export const UNSUBSCRIBABLE_TEMPLATES = ['welcome'];
+
+const settings = {
+  transport: null,
+  retryDelayMs: DEFAULT_RETRY_DELAY_MS,
+};
+
+const queue = [];
+let worker = null;
+let wakeWorker = null;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Sleep until the next retry is due, or until a new email is queued
+const waitForWork = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  wakeWorker = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+}).finally(() => {
+  wakeWorker = null;
+});
+
+/**
+ * Transport in use, created from the environment on first use
+ * @returns {object} Transport
+ */
+export const getEmailTransport = () => {
+  if (!settings.transport) {
+    settings.transport = createTransportFromEnv();
+  }
+  return settings.transport;
+};
+
+/**
+ * Override the transport or retry delay (tests, scripts)
+ * @param {object} options - { transport, retryDelayMs }
+ */
+export const configureEmail = ({ transport, retryDelayMs } = {}) => {
+  if (transport !== undefined) settings.transport = transport;
+  if (retryDelayMs !== undefined) settings.retryDelayMs = retryDelayMs;
+};
+
+const processQueue = async () => {
+  while (queue.length > 0) {
+    const now = Date.now();
+    const index = queue.findIndex(job => job.notBefore <= now);
+    if (index === -1) {
+      await waitForWork(Math.min(...queue.map(job => job.notBefore)) - now);
+      continue;
+    }
+
+    const [job] = queue.splice(index, 1);
+    job.attempts++;
+    try {
+      await getEmailTransport().send(job.message);
+    } catch (error) {
+      if (job.attempts >= MAX_SEND_ATTEMPTS) {
+        console.error(`Email delivery error (${job.template} to ${job.message.to}, giving up after ${job.attempts} attempts):`, error.message);
+      } else {
+        job.notBefore = Date.now() + settings.retryDelayMs * 2 ** (job.attempts - 1);
+        queue.push(job);
+      }
+    }
+  }
 };
 
-export const sendPasswordResetEmail = async (email, token) => {
-  console.log(`Mock: Sending password reset email to ${email} with token ${token}`);
-  return Promise.resolve(true);
+const startWorker = () => {
+  if (worker) {
+    wakeWorker?.();
+    return;
+  }
+  worker = processQueue().finally(() => {
+    worker = null;
+    // An email queued while the worker was finishing
+    if (queue.length > 0) startWorker();
+  });
 };
 
-export const sendWelcomeEmail = async (email, firstName) => {
-  console.log(`Mock: Sending welcome email to ${email} for ${firstName}`);
-  return Promise.resolve(true);
-};
\ No newline at end of file
+/**
+ * Wait until every queued email is delivered or has used up its attempts
+ */
+export const flushEmailQueue = async () => {
+  while (worker) {
+    await worker;
+  }
+};
+
+/**
+ * Render a template and queue it for delivery
+ * Unsubscribable templates sent to a known user are skipped when the user has
+ * turned optional emails off; otherwise they get an unsubscribe link in the
+ * footer and List-Unsubscribe headers.
+ * @param {object} email - { to, template, data, userId }
+ * @returns {Promise<boolean>} true once queued, false when the user unsubscribed
+ */
+export const sendEmail = async ({ to, template, data = {}, userId = null }, client = prisma) => {
+  if (!to) {
+    throw new Error('Email recipient is required');
+  }
+
+  const optional = Boolean(userId) && UNSUBSCRIBABLE_TEMPLATES.includes(template);
+  if (optional) {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: { preferences: true },
+    });
+    if (user && !readNotificationPreferences(user.preferences).email) {
+      return false;
+    }
+  }
+
+  const links = optional ? unsubscribeLinks(userId) : null;
+  const { subject, html, text } = renderEmail(template, { ...data, unsubscribeUrl: links?.page });
+
+  queue.push({
+    template,
+    attempts: 0,
+    notBefore: 0,
+    message: {
+      from: process.env.EMAIL_FROM || 'Game Backlog Tracker <no-reply@localhost>',
+      to,
+      subject,
+      html,
+      text,
+      ...(links && {
+        headers: {
+          'List-Unsubscribe': `<${links.oneClick}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+      }),
+    },
+  });
+  startWorker();
+
+  return true;
+};
+
+export const sendVerificationEmail = async (email, token) => sendEmail({
+  to: email,
+  template: 'verification',
+  data: { url: `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}` },
+});
+
+export const sendPasswordResetEmail = async (email, token) => sendEmail({
+  to: email,
+  template: 'passwordReset',
+  data: { url: `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}` },
+});
+
+/**
+ * Welcome email for a new account
+ * @param {string} email - Recipient address
+ * @param {string} firstName - Greeting name, may be empty
+ * @param {number|null} userId - Recipient's user ID, for the unsubscribe link
+ * @returns {Promise<boolean>} true once queued, false when the user unsubscribed
+ */
+export const sendWelcomeEmail = async (email, firstName, userId = null) => sendEmail({
+  to: email,
+  template: 'welcome',
+  data: { firstName, url: `${frontendUrl()}/library` },
+  userId,
+});
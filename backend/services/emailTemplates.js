@@ -0,0 +1,105 @@
+/**
+ * Email Templates
+ * Subject, HTML and plain text bodies for every email the app sends. All
+ * templates share one layout; interpolated values are HTML-escaped.
+ */
+const APP_NAME = 'Game Backlog Tracker';
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape a value for HTML text or a quoted attribute
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// Each template returns the content blocks the layout renders
+const TEMPLATES = {
+  verification: ({ url }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    heading: 'Confirm your email address',
+    paragraphs: [`Confirm this address to finish setting up your ${APP_NAME} account.`],
+    action: { label: 'Verify email', url },
+    footnote: 'If you did not create an account, you can ignore this email.',
+  }),
+
+  passwordReset: ({ url, expiresInMinutes = 60 }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    heading: 'Reset your password',
+    paragraphs: [`Someone asked to reset the password for your account. The link works for ${expiresInMinutes} minutes.`],
+    action: { label: 'Choose a new password', url },
+    footnote: 'If it was not you, ignore this email and your password stays the same.',
+  }),
+
+  welcome: ({ firstName, url }) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    heading: firstName ? `Welcome, ${firstName}!` : 'Welcome!',
+    paragraphs: [
+      'Your account is ready. Search for games to add them to your library, line up what to play next in the queue, and follow upcoming releases on the calendar.',
+      'Already tracking games in a spreadsheet? You can import it as a CSV file.',
+    ],
+    action: { label: 'Open your library', url },
+  }),
+};
+
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+const renderHtml = ({ heading, paragraphs, action, footnote }, unsubscribeUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(heading)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#0f172a;font-family:Arial,Helvetica,sans-serif;color:#e2e8f0;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#1e293b;border-radius:12px;">
+<tr><td style="padding:32px;">
+<p style="margin:0 0 24px;font-size:14px;color:#38bdf8;font-weight:bold;">${APP_NAME}</p>
+<h1 style="margin:0 0 16px;font-size:22px;color:#ffffff;">${escapeHtml(heading)}</h1>
+${paragraphs.map(paragraph => `<p style="margin:0 0 16px;font-size:15px;line-height:1.5;">${escapeHtml(paragraph)}</p>`).join('\n')}
+${action?.url ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;background:#0284c7;color:#ffffff;text-decoration:none;border-radius:8px;font-weight:bold;">${escapeHtml(action.label)}</a></p>
+<p style="margin:0 0 16px;font-size:12px;color:#94a3b8;">Or paste this link into your browser: ${escapeHtml(action.url)}</p>` : ''}
+${footnote ? `<p style="margin:24px 0 0;font-size:13px;color:#94a3b8;">${escapeHtml(footnote)}</p>` : ''}
+</td></tr>
+</table>
+${unsubscribeUrl ? `<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#64748b;text-align:center;">Don't want these emails? <a href="${escapeHtml(unsubscribeUrl)}" style="color:#94a3b8;">Unsubscribe</a></p>` : ''}
+</body>
+</html>
+`;
+
+const renderText = ({ heading, paragraphs, action, footnote }, unsubscribeUrl) => [
+  heading,
+  '',
+  ...paragraphs.flatMap(paragraph => [paragraph, '']),
+  ...(action?.url ? [`${action.label}: ${action.url}`, ''] : []),
+  ...(footnote ? [footnote, ''] : []),
+  ...(unsubscribeUrl ? ['--', `Unsubscribe: ${unsubscribeUrl}`, ''] : []),
+  APP_NAME,
+].join('\n');
+
+/**
+ * Render a template
+ * @param {string} name - One of EMAIL_TEMPLATES
+ * @param {object} data - Template values, plus unsubscribeUrl for the footer
+ * @returns {object} { subject, html, text }
+ */
+export const renderEmail = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const content = template(data);
+  return {
+    subject: content.subject,
+    html: renderHtml(content, data.unsubscribeUrl),
+    text: renderText(content, data.unsubscribeUrl),
+  };
+};
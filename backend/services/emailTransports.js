@@ -0,0 +1,96 @@
+/**
+ * Email Transports
+ * Where rendered emails go. Every transport has the same shape,
+ * { name, send(message) }, where message is a nodemailer message object.
+ *   smtp   - a real mail server (production)
+ *   file   - writes each email as an .eml file to an outbox directory, a local
+ *            stand-in for SMTP during development
+ *   memory - keeps emails in an array (tests)
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+export const EMAIL_TRANSPORTS = ['smtp', 'file', 'memory'];
+
+export const DEFAULT_OUTBOX_DIR = 'outbox';
+
+/**
+ * SMTP transport configured from SMTP_* environment variables
+ * @param {object} env - Environment
+ * @returns {object} Transport
+ */
+export const createSmtpTransport = (env = process.env) => {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST || 'localhost',
+    port: parseInt(env.SMTP_PORT, 10) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+/**
+ * Outbox transport: builds the full MIME message and writes it to a file that
+ * any mail client can open
+ * @param {string} directory - Outbox directory, created on first send
+ * @returns {object} Transport
+ */
+export const createOutboxTransport = (directory = DEFAULT_OUTBOX_DIR) => {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      const info = await builder.sendMail(message);
+      const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.@-]/g, '')}.eml`);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(file, info.message);
+      return { messageId: info.messageId, file };
+    },
+  };
+};
+
+/**
+ * In-memory transport; sent messages are kept in transport.messages
+ * @returns {object} Transport
+ */
+export const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      messages.push(message);
+      return { messageId: `memory-${messages.length}` };
+    },
+  };
+};
+
+/**
+ * Transport selected by EMAIL_TRANSPORT; when unset, memory under test,
+ * SMTP in production and the outbox otherwise
+ * @param {object} env - Environment
+ * @returns {object} Transport
+ */
+export const createTransportFromEnv = (env = process.env) => {
+  const name = env.EMAIL_TRANSPORT
+    || (env.NODE_ENV === 'test' ? 'memory' : env.NODE_ENV === 'production' ? 'smtp' : 'file');
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport(env);
+    case 'file':
+      return createOutboxTransport(env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}", expected one of ${EMAIL_TRANSPORTS.join(', ')}`);
+  }
+};
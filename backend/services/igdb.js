@@ -299,4 +299,68 @@ export const getPopularGames = async (limit = 20) => {
     console.error('IGDB popular games error:', error);
     throw new Error(`Failed to get popular games: ${error.message}`);
   }
-};
\ No newline at end of file
+};
+
+// IGDB's maximum page size
+const RELEASE_DATES_PAGE_SIZE = 500;
+
+/**
+ * Get per-platform release dates for several games
+ * @param {Array<number>} gameIds - IGDB game IDs (at most 50 per call)
+ * @returns {Promise<Array>} Release dates: { gameId, platform, date, category, human }
+ *   where category is IGDB's date precision (0 exact day ... 7 TBD)
+ */
+export const getReleaseDates = async (gameIds) => {
+  try {
+    if (!Array.isArray(gameIds) || gameIds.length === 0) {
+      return [];
+    }
+    if (gameIds.length > 50 || gameIds.some(id => !Number.isInteger(id))) {
+      throw new Error('Between 1 and 50 integer game IDs are required');
+    }
+
+    // Without credentials there is nothing to compare against; keep stored dates
+    if (!hasIGDBCredentials) {
+      console.log('Skipping IGDB release date refresh (no credentials configured)');
+      return [];
+    }
+
+    // A batch can have more rows than one page holds; keep paging until a short page
+    const releases = [];
+    for (let offset = 0; ; offset += RELEASE_DATES_PAGE_SIZE) {
+      const igdbQuery = `
+        fields game, date, category, human, platform.name;
+        where game = (${gameIds.join(',')});
+        sort id asc;
+        limit ${RELEASE_DATES_PAGE_SIZE};
+        offset ${offset};
+      `;
+
+      const response = await igdbApi.post('/release_dates', igdbQuery);
+      releases.push(...response.data);
+      if (response.data.length < RELEASE_DATES_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return releases
+      .filter(release => release.platform?.name)
+      .map(release => ({
+        gameId: release.game,
+        platform: release.platform.name,
+        date: release.date ? new Date(release.date * 1000) : null,
+        category: release.category ?? null,
+        human: release.human || null,
+      }));
+  } catch (error) {
+    console.error('IGDB release dates error:', error);
+
+    if (error.response?.status === 401) {
+      throw new Error('IGDB API authentication failed. Please check credentials.');
+    } else if (error.response?.status === 429) {
+      throw new Error('IGDB API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to get release dates: ${error.message}`);
+  }
+};
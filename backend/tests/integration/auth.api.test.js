@@ -40,6 +40,7 @@ jest.unstable_mockModule('../../utils/tokenBlacklist.js', () => ({
 jest.unstable_mockModule('../../services/email.js', () => ({
   sendVerificationEmail: jest.fn().mockResolvedValue(true),
   sendPasswordResetEmail: jest.fn().mockResolvedValue(true),
+  sendWelcomeEmail: jest.fn().mockResolvedValue(true),
 }));
 
 // Mock Google OAuth
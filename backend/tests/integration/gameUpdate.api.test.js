@@ -0,0 +1,89 @@
+/**
+ * Integration Tests for Updating a Library Game
+ * Tests that PUT /api/games/:id saves the user's own rating
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// Mock Prisma database; the transaction client is the same mock
+const mockPrisma = {
+  game: { findFirst: jest.fn(), update: jest.fn() },
+  gameTag: { findMany: jest.fn() },
+  $transaction: jest.fn(callback => callback(mockPrisma))
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+// Every request is signed in as user 1
+jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+const express = (await import('express')).default;
+const gamesRoutes = (await import('../../routes/games.js')).default;
+
+const app = express();
+app.use(express.json());
+app.use('/api/games', gamesRoutes);
+
+describe('Game Update API Integration Tests', () => {
+  const addedAt = new Date('2026-01-01T00:00:00.000Z');
+  const existingGame = {
+    id: 5,
+    userId: 1,
+    igdbId: 1942,
+    name: 'The Witcher 3',
+    status: 'playing',
+    rating: 92.5,
+    userRating: 4,
+    progress: null,
+    addedAt
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.game.findFirst.mockResolvedValue(existingGame);
+    mockPrisma.game.update.mockImplementation(({ data }) => Promise.resolve({ ...existingGame, ...data }));
+    mockPrisma.gameTag.findMany.mockResolvedValue([]);
+  });
+
+  describe('PUT /api/games/:id', () => {
+    test('should save the rating as the user rating, leaving the IGDB rating alone', async () => {
+      const response = await request(app)
+        .put('/api/games/5')
+        .send({ rating: 3.5 })
+        .expect(200);
+
+      expect(mockPrisma.game.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { userRating: 3.5 }
+      });
+      expect(response.body.game).toMatchObject({ rating: 3.5, createdAt: addedAt.toISOString() });
+    });
+
+    test('should keep a rating of 0', async () => {
+      const response = await request(app)
+        .put('/api/games/5')
+        .send({ rating: 0 })
+        .expect(200);
+
+      expect(mockPrisma.game.update.mock.calls[0][0].data).toEqual({ userRating: 0 });
+      expect(response.body.game.rating).toBe(0);
+    });
+
+    test('should clear the rating with null', async () => {
+      const response = await request(app)
+        .put('/api/games/5')
+        .send({ rating: null })
+        .expect(200);
+
+      expect(mockPrisma.game.update.mock.calls[0][0].data).toEqual({ userRating: null });
+      expect(response.body.game.rating).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Integration Tests for Notifications API
+ * Tests that query parameters reach the notification queries converted
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// Mock Prisma database
+const mockPrisma = {
+  notification: { findMany: jest.fn(), count: jest.fn(), updateMany: jest.fn() }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+// Every request is signed in as user 1
+jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+const express = (await import('express')).default;
+const notificationsRoutes = (await import('../../routes/notifications.js')).default;
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationsRoutes);
+
+describe('Notifications API Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.notification.findMany.mockResolvedValue([]);
+    mockPrisma.notification.count.mockResolvedValue(0);
+  });
+
+  describe('GET /api/notifications', () => {
+    test('should page with numeric limit and before values', async () => {
+      const response = await request(app)
+        .get('/api/notifications?limit=80&before=500')
+        .expect(200);
+
+      expect(response.body).toEqual({ notifications: [], unreadCount: 0, hasMore: false });
+      expect(mockPrisma.notification.findMany).toHaveBeenCalledWith({
+        where: { userId: 1, id: { lt: 500 } },
+        orderBy: { id: 'desc' },
+        take: 81
+      });
+    });
+
+    test('should only list unread notifications with ?unread=true', async () => {
+      await request(app)
+        .get('/api/notifications?unread=true')
+        .expect(200);
+
+      expect(mockPrisma.notification.findMany).toHaveBeenCalledWith({
+        where: { userId: 1, readAt: null },
+        orderBy: { id: 'desc' },
+        take: 21
+      });
+    });
+
+    test('should list every notification with ?unread=false', async () => {
+      await request(app)
+        .get('/api/notifications?unread=false')
+        .expect(200);
+
+      expect(mockPrisma.notification.findMany.mock.calls[0][0].where).toEqual({ userId: 1 });
+    });
+
+    test('should reject a limit above the maximum', async () => {
+      const response = await request(app)
+        .get('/api/notifications?limit=500')
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+      expect(mockPrisma.notification.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -21,15 +21,27 @@ const mockPrismaUser = {
   update: jest.fn(),
 };
 
+// Library models read by the data export; the test account has no games
+const mockEmptyModel = () => ({
+  findMany: jest.fn().mockResolvedValue([]),
+  count: jest.fn().mockResolvedValue(0),
+});
+
 jest.unstable_mockModule('@prisma/client', () => ({
   PrismaClient: jest.fn().mockImplementation(() => ({
     user: mockPrismaUser,
+    game: mockEmptyModel(),
+    gameStatusChange: mockEmptyModel(),
+    playSession: mockEmptyModel(),
+    collection: mockEmptyModel(),
+    tag: mockEmptyModel(),
   })),
 }));
 
 // Mock token blacklist
 jest.unstable_mockModule('../../utils/tokenBlacklist.js', () => ({
   isTokenBlacklisted: jest.fn().mockResolvedValue(false),
+  blacklistUserTokens: jest.fn().mockResolvedValue(undefined),
 }));
 
 const prisma = new PrismaClient();
@@ -399,10 +411,11 @@ describe('Profile API Integration Tests', () => {
       expect(response.body.profile).toBeDefined();
       expect(response.body.profile.id).toBe(mockUser.id);
       expect(response.body.profile.email).toBe(mockUser.email);
-      expect(response.body.games).toEqual([]);
-      expect(response.body.achievements).toEqual([]);
+      expect(response.body.library).toEqual([]);
+      expect(response.body.statusHistory).toEqual([]);
+      expect(response.body.sessions).toEqual([]);
       expect(response.body.exportedAt).toBeDefined();
-      expect(response.body.exportVersion).toBe('1.0');
+      expect(response.body.exportVersion).toBe('2.1');
     });
 
     test('should require authentication for data export', async () => {
@@ -0,0 +1,74 @@
+/**
+ * Integration Tests for Release Calendar API
+ * Tests that ?refresh reaches the calendar as a boolean
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {}
+}));
+
+// Every request is signed in as user 1
+jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+const mockGetReleaseCalendar = jest.fn();
+
+jest.unstable_mockModule('../../utils/releaseCalendar.js', () => ({
+  getReleaseCalendar: mockGetReleaseCalendar
+}));
+
+const express = (await import('express')).default;
+const gamesRoutes = (await import('../../routes/games.js')).default;
+
+const app = express();
+app.use(express.json());
+app.use('/api/games', gamesRoutes);
+
+describe('Release Calendar API Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetReleaseCalendar.mockResolvedValue({ months: [], undated: [] });
+  });
+
+  describe('GET /api/games/calendar', () => {
+    test('should force a refresh with ?refresh=true', async () => {
+      const response = await request(app)
+        .get('/api/games/calendar?refresh=true')
+        .expect(200);
+
+      expect(response.body).toEqual({ months: [], undated: [] });
+      expect(mockGetReleaseCalendar).toHaveBeenCalledWith(1, { refresh: true });
+    });
+
+    test('should only refresh stale dates without ?refresh', async () => {
+      await request(app)
+        .get('/api/games/calendar')
+        .expect(200);
+
+      expect(mockGetReleaseCalendar).toHaveBeenCalledWith(1, { refresh: false });
+    });
+
+    test('should not refresh with ?refresh=false', async () => {
+      await request(app)
+        .get('/api/games/calendar?refresh=false')
+        .expect(200);
+
+      expect(mockGetReleaseCalendar).toHaveBeenCalledWith(1, { refresh: false });
+    });
+
+    test('should reject a refresh value that is not a boolean', async () => {
+      const response = await request(app)
+        .get('/api/games/calendar?refresh=soon')
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+      expect(mockGetReleaseCalendar).not.toHaveBeenCalled();
+    });
+  });
+});
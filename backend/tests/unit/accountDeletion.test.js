@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for Account Deletion
+ * Tests the grace period, cancellation and the final erasure of an account
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Mock Prisma database
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    delete: jest.fn()
+  },
+  game: { count: jest.fn() },
+  dataExport: { findMany: jest.fn() }
+};
+
+const mockBlacklistUserTokens = jest.fn();
+const mockLogSecurityEvent = jest.fn();
+const mockNotifySecurityEvent = jest.fn();
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+jest.unstable_mockModule('../../utils/tokenBlacklist.js', () => ({
+  blacklistUserTokens: mockBlacklistUserTokens
+}));
+
+jest.unstable_mockModule('../../utils/notifications.js', () => ({
+  notifySecurityEvent: mockNotifySecurityEvent
+}));
+
+jest.unstable_mockModule('../../utils/securityLogging.js', () => ({
+  logSecurityEvent: mockLogSecurityEvent,
+  SECURITY_EVENTS: {
+    ACCOUNT_DELETION_REQUESTED: 'account_deletion_requested',
+    ACCOUNT_DELETION_CANCELLED: 'account_deletion_cancelled',
+    ACCOUNT_DELETED: 'account_deleted'
+  },
+  SEVERITY_LEVELS: { LOW: 'low', MEDIUM: 'medium', HIGH: 'high' }
+}));
+
+const {
+  DELETION_GRACE_DAYS,
+  AccountDeletionError,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  removeUserUploads,
+  destroyUserSessions,
+  deleteAccount,
+  processDueDeletions
+} = await import('../../utils/accountDeletion.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+// Minimal express-session store keyed by session id, like MemoryStore
+const createStore = (sessions) => ({
+  sessions: { ...sessions },
+  all(callback) {
+    callback(null, this.sessions);
+  },
+  destroy(sid, callback) {
+    delete this.sessions[sid];
+    callback();
+  }
+});
+
+describe('Account Deletion', () => {
+  let uploadsDir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(uploadsDir, { recursive: true, force: true });
+  });
+
+  describe('requestAccountDeletion', () => {
+    test('should schedule deletion after the grace period once the email is confirmed', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 1, email: 'player@example.com', deletionScheduledFor: null });
+      mockPrisma.user.update.mockImplementation(({ data }) => Promise.resolve(data));
+
+      const deletion = await requestAccountDeletion(1, ' Player@Example.com ', now);
+
+      expect(deletion.requestedAt).toEqual(now);
+      expect(deletion.scheduledFor).toEqual(new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000));
+      expect(mockLogSecurityEvent).toHaveBeenCalledWith(
+        'account_deletion_requested', 'medium', 'Account deletion requested', expect.objectContaining({ userId: 1 }), null
+      );
+      expect(mockNotifySecurityEvent).toHaveBeenCalledWith(1, 'Account deletion scheduled', expect.stringContaining('2026-'));
+    });
+
+    test('should reject a confirmation that does not match the account email', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 1, email: 'player@example.com', deletionScheduledFor: null });
+
+      await expect(requestAccountDeletion(1, 'someone@example.com', now)).rejects.toThrow(AccountDeletionError);
+      await expect(requestAccountDeletion(1, undefined, now)).rejects.toThrow(AccountDeletionError);
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+
+    test('should keep the original date when deletion is already pending', async () => {
+      const scheduledFor = new Date('2026-10-22T00:00:00Z');
+      mockPrisma.user.findUnique.mockResolvedValue({
+        id: 1,
+        email: 'player@example.com',
+        deletionRequestedAt: new Date('2026-10-15T00:00:00Z'),
+        deletionScheduledFor: scheduledFor
+      });
+
+      const deletion = await requestAccountDeletion(1, 'player@example.com', now);
+
+      expect(deletion.scheduledFor).toBe(scheduledFor);
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelAccountDeletion', () => {
+    test('should clear a pending deletion and report whether there was one', async () => {
+      mockPrisma.user.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+      expect(await cancelAccountDeletion(1)).toBe(true);
+      expect(await cancelAccountDeletion(1)).toBe(false);
+      expect(mockPrisma.user.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, deletionScheduledFor: { not: null } },
+        data: { deletionRequestedAt: null, deletionScheduledFor: null }
+      });
+      expect(mockLogSecurityEvent).toHaveBeenCalledTimes(1);
+      expect(mockNotifySecurityEvent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('removeUserUploads', () => {
+    test('should remove current and replaced avatars of the user only', async () => {
+      await Promise.all(['avatar-1-100.jpg', 'avatar-1-200.jpg', 'avatar-12-100.jpg'].map(file => (
+        fs.writeFile(path.join(uploadsDir, file), 'image')
+      )));
+
+      expect(await removeUserUploads(1, uploadsDir)).toBe(2);
+      expect(await fs.readdir(uploadsDir)).toEqual(['avatar-12-100.jpg']);
+      expect(await removeUserUploads(1, path.join(uploadsDir, 'missing'))).toBe(0);
+    });
+  });
+
+  describe('destroyUserSessions', () => {
+    test('should destroy only sessions signed in as the user', async () => {
+      const store = createStore({
+        a: { passport: { user: 1 } },
+        b: { passport: { user: 2 } },
+        c: { cookie: {} }
+      });
+
+      expect(await destroyUserSessions(1, store)).toBe(1);
+      expect(Object.keys(store.sessions)).toEqual(['b', 'c']);
+      expect(await destroyUserSessions(1, null)).toBe(0);
+    });
+  });
+
+  describe('deleteAccount', () => {
+    test('should revoke tokens and sessions, delete the user and remove uploads', async () => {
+      await fs.writeFile(path.join(uploadsDir, 'avatar-1-100.jpg'), 'image');
+      const store = createStore({ a: { passport: { user: 1 } } });
+      mockPrisma.game.count.mockResolvedValue(12);
+      mockPrisma.dataExport.findMany.mockResolvedValue([]);
+      mockPrisma.user.delete.mockResolvedValue({ id: 1 });
+
+      const result = await deleteAccount(1, { sessionStore: store, uploadsDir });
+
+      expect(result).toEqual({ games: 12, avatars: 1, sessions: 1 });
+      expect(mockBlacklistUserTokens).toHaveBeenCalledWith(1, 'Account deleted');
+      expect(mockPrisma.user.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+      expect(mockBlacklistUserTokens.mock.invocationCallOrder[0])
+        .toBeLessThan(mockPrisma.user.delete.mock.invocationCallOrder[0]);
+      expect(mockLogSecurityEvent).toHaveBeenCalledWith(
+        'account_deleted', 'high', 'Account deleted: Account deleted', expect.objectContaining({ userId: 1, games: 12 }), null
+      );
+    });
+  });
+
+  describe('processDueDeletions', () => {
+    test('should erase accounts past their grace period and keep going after a failure', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockPrisma.user.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      mockPrisma.game.count.mockResolvedValue(0);
+      mockPrisma.dataExport.findMany.mockResolvedValue([]);
+      mockPrisma.user.delete
+        .mockRejectedValueOnce(new Error('database is locked'))
+        .mockResolvedValueOnce({ id: 2 });
+
+      const result = await processDueDeletions(now, { uploadsDir });
+
+      expect(result).toEqual({ deleted: 1, failed: 1 });
+      expect(mockPrisma.user.findMany).toHaveBeenCalledWith({
+        where: { deletionScheduledFor: { lte: now } },
+        select: { id: true }
+      });
+      expect(mockBlacklistUserTokens).toHaveBeenCalledWith(2, 'Deletion grace period ended');
+      console.error.mockRestore();
+    });
+  });
+});
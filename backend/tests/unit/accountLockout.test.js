@@ -29,6 +29,12 @@ jest.unstable_mockModule('../../utils/securityLogging.js', () => ({
   }
 }));
 
+// Mock notifications
+const mockNotifySecurityEvent = jest.fn();
+jest.unstable_mockModule('../../utils/notifications.js', () => ({
+  notifySecurityEvent: mockNotifySecurityEvent
+}));
+
 // Import the utilities to test
 const {
   recordFailedAttempt,
@@ -100,6 +106,7 @@ describe('Account Lockout Utility', () => {
         }
       });
       expect(mockLogAccountLocked).toHaveBeenCalled();
+      expect(mockNotifySecurityEvent).toHaveBeenCalledWith(1, 'Account locked after failed sign-ins', expect.any(String));
     });
 
     test('should return null for non-existent user', async () => {
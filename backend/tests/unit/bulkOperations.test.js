@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Bulk Library Operations
+ * Tests per-item results, request-level errors and all-or-nothing rollback
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database; the transaction client is the same mock
+const mockPrismaGame = {
+  findMany: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn()
+};
+const mockPrismaGameStatusChange = {
+  create: jest.fn()
+};
+const mockPrismaCollection = {
+  findFirst: jest.fn()
+};
+const mockPrismaCollectionGame = {
+  findMany: jest.fn(),
+  create: jest.fn(),
+  deleteMany: jest.fn()
+};
+const mockTx = {
+  game: mockPrismaGame,
+  gameStatusChange: mockPrismaGameStatusChange,
+  collection: mockPrismaCollection,
+  collectionGame: mockPrismaCollectionGame
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    ...mockTx,
+    $transaction: jest.fn(callback => callback(mockTx))
+  }
+}));
+
+const { BULK_ACTIONS, BulkOperationError, applyBulkOperation } = await import('../../utils/bulkOperations.js');
+
+describe('Bulk Library Operations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrismaGame.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+  });
+
+  test('should report games outside the library as failures in request order', async () => {
+    mockPrismaGame.findMany.mockResolvedValue([{ id: 2, userId: 1, status: 'playing' }]);
+
+    const result = await applyBulkOperation(1, {
+      action: BULK_ACTIONS.CLEAR_RATING,
+      gameIds: [9, 2, 9]
+    });
+
+    expect(mockPrismaGame.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: [2] }, userId: 1 },
+      data: { userRating: null }
+    });
+    expect(result).toEqual({
+      applied: true,
+      results: [
+        { gameId: 9, success: false, error: 'Game not found' },
+        { gameId: 2, success: true }
+      ]
+    });
+  });
+
+  test('should apply allowed status changes and report invalid transitions', async () => {
+    mockPrismaGame.findMany.mockResolvedValue([
+      { id: 1, userId: 1, status: 'playing' },
+      { id: 2, userId: 1, status: 'completed' }
+    ]);
+
+    const result = await applyBulkOperation(1, {
+      action: BULK_ACTIONS.SET_STATUS,
+      gameIds: [1, 2],
+      status: 'on_hold'
+    });
+
+    expect(result.applied).toBe(true);
+    expect(result.results[0]).toEqual({ gameId: 1, success: true, status: 'on_hold' });
+    expect(result.results[1]).toMatchObject({
+      gameId: 2,
+      success: false,
+      currentStatus: 'completed',
+      allowedStatuses: ['playing']
+    });
+    expect(mockPrismaGameStatusChange.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('should roll back everything in all-or-nothing mode when an item fails', async () => {
+    mockPrismaGame.findMany.mockResolvedValue([{ id: 1, userId: 1, status: 'playing' }]);
+
+    const result = await applyBulkOperation(1, {
+      action: BULK_ACTIONS.DELETE,
+      gameIds: [1, 5],
+      allOrNothing: true
+    });
+
+    expect(result.applied).toBe(false);
+    expect(result.results).toEqual([
+      { gameId: 1, success: false, error: 'Rolled back', skipped: true },
+      { gameId: 5, success: false, error: 'Game not found' }
+    ]);
+  });
+
+  test('should move games between collections', async () => {
+    mockPrismaGame.findMany.mockResolvedValue([{ id: 1, userId: 1 }, { id: 2, userId: 1 }]);
+    mockPrismaCollection.findFirst
+      .mockResolvedValueOnce({ id: 10, userId: 1 })
+      .mockResolvedValueOnce({ id: 11, userId: 1 });
+    mockPrismaCollectionGame.findMany.mockResolvedValue([]);
+    mockPrismaCollectionGame.deleteMany.mockResolvedValue({ count: 2 });
+
+    const result = await applyBulkOperation(1, {
+      action: BULK_ACTIONS.MOVE_TO_COLLECTION,
+      gameIds: [1, 2],
+      collectionId: 10,
+      fromCollectionId: 11
+    });
+
+    expect(mockPrismaCollectionGame.deleteMany).toHaveBeenCalledWith({
+      where: { collectionId: 11, gameId: { in: [1, 2] } }
+    });
+    expect(mockPrismaCollectionGame.create).toHaveBeenCalledTimes(2);
+    expect(result.results.every(item => item.success && item.collectionId === 10)).toBe(true);
+  });
+
+  test('should fail the whole request for a collection the user does not own', async () => {
+    mockPrismaGame.findMany.mockResolvedValue([{ id: 1, userId: 1 }]);
+    mockPrismaCollection.findFirst.mockResolvedValue(null);
+
+    await expect(applyBulkOperation(1, {
+      action: BULK_ACTIONS.MOVE_TO_COLLECTION,
+      gameIds: [1],
+      collectionId: 99
+    })).rejects.toThrow(BulkOperationError);
+  });
+});
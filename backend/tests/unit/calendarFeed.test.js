@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for Calendar Feed Utilities
+ * Tests feed tokens, iCalendar escaping and folding, and event rendering
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrisma = {
+  user: { update: jest.fn(), findUnique: jest.fn() },
+  game: { findMany: jest.fn() }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+jest.unstable_mockModule('../../services/igdb.js', () => ({
+  getReleaseDates: jest.fn()
+}));
+
+const mockNotifySecurityEvent = jest.fn();
+
+jest.unstable_mockModule('../../utils/notifications.js', () => ({
+  notifySecurityEvent: mockNotifySecurityEvent,
+  notifyReleaseDateChanged: jest.fn()
+}));
+
+const {
+  FEED_TOKEN_PATTERN,
+  hashFeedToken,
+  formatFeedStatus,
+  rotateFeedToken,
+  findFeedOwner,
+  escapeText,
+  foldLine,
+  eventUid,
+  buildIcs,
+  getCalendarFeed
+} = await import('../../utils/calendarFeed.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+const calendarGame = (overrides = {}) => ({
+  id: 1,
+  igdbId: 500,
+  name: 'Hollow Knight: Silksong',
+  releaseDate: day('2027-05-14'),
+  precision: 'day',
+  label: 'May 14, 2027',
+  platforms: [{ platform: 'PC', date: day('2027-05-14'), precision: 'day', label: 'May 14, 2027' }],
+  moved: null,
+  ...overrides
+});
+
+describe('Calendar Feed Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('feed tokens', () => {
+    it('stores only the hash of a new token', async () => {
+      const feed = await rotateFeedToken(7, now, mockPrisma);
+
+      expect(feed.token).toMatch(FEED_TOKEN_PATTERN);
+      expect(feed.path).toBe(`/api/calendar/${feed.token}.ics`);
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { calendarFeedTokenHash: hashFeedToken(feed.token), calendarFeedCreatedAt: now }
+      });
+      expect(hashFeedToken(feed.token)).not.toBe(feed.token);
+      expect(mockNotifySecurityEvent).toHaveBeenCalledWith(7, 'New calendar feed URL created', expect.any(String), null, mockPrisma);
+    });
+
+    it('looks owners up by hash and rejects malformed tokens', async () => {
+      const token = 'a'.repeat(64);
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 7 });
+
+      await expect(findFeedOwner(token, mockPrisma)).resolves.toEqual({ id: 7 });
+      expect(mockPrisma.user.findUnique).toHaveBeenCalledWith({
+        where: { calendarFeedTokenHash: hashFeedToken(token) },
+        select: { id: true }
+      });
+
+      await expect(findFeedOwner('not-a-token', mockPrisma)).resolves.toBeNull();
+      expect(mockPrisma.user.findUnique).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports whether a feed is enabled', () => {
+      expect(formatFeedStatus({ calendarFeedTokenHash: 'abc', calendarFeedCreatedAt: now }))
+        .toEqual({ enabled: true, createdAt: now });
+      expect(formatFeedStatus({ calendarFeedTokenHash: null, calendarFeedCreatedAt: null }))
+        .toEqual({ enabled: false, createdAt: null });
+    });
+  });
+
+  describe('escapeText', () => {
+    it('escapes backslashes, separators and newlines', () => {
+      expect(escapeText('Ratchet, Clank; Rift\\Apart\nPS5')).toBe('Ratchet\\, Clank\\; Rift\\\\Apart\\nPS5');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('folds long lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+      const parts = folded.split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+      expect(parts.slice(1).every(part => part.startsWith(' '))).toBe(true);
+      expect(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+    });
+
+    it('leaves short lines alone', () => {
+      expect(foldLine('VERSION:2.0')).toBe('VERSION:2.0');
+    });
+  });
+
+  describe('buildIcs', () => {
+    it('renders an all-day event with a stable UID and a release-day reminder', () => {
+      const ics = buildIcs(7, [calendarGame()], now);
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain(`UID:${eventUid(7, 500)}`);
+      expect(ics).toContain('DTSTAMP:20261019T120000Z');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20270514');
+      expect(ics).toContain('DTEND;VALUE=DATE:20270515');
+      expect(ics).toContain('SUMMARY:Hollow Knight: Silksong releases');
+      expect(ics).toContain('DESCRIPTION:Platforms: PC (May 14\\, 2027)');
+      expect(ics).toContain('TRIGGER:PT9H');
+    });
+
+    it('marks approximate dates and moved dates, without a reminder', () => {
+      const ics = buildIcs(7, [calendarGame({
+        precision: 'quarter',
+        label: 'Q2 2027',
+        platforms: [],
+        moved: { from: day('2027-02-26'), to: day('2027-05-14'), changedAt: now }
+      })], now);
+
+      expect(ics).toContain('SUMMARY:Hollow Knight: Silksong (expected Q2 2027)');
+      expect(ics).toContain('DESCRIPTION:Moved from 2027-02-26 to 2027-05-14');
+      expect(ics).not.toContain('VALARM');
+    });
+
+    it('keeps the same UID when the library row changes', () => {
+      const before = buildIcs(7, [calendarGame({ id: 1 })], now);
+      const after = buildIcs(7, [calendarGame({ id: 99 })], now);
+
+      expect(before).toBe(after);
+    });
+
+    it('skips games without a date', () => {
+      const ics = buildIcs(7, [calendarGame({ releaseDate: null, precision: 'tbd' })], now);
+
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+  });
+
+  describe('getCalendarFeed', () => {
+    it('includes recently released and upcoming games from the library', async () => {
+      mockPrisma.game.findMany.mockResolvedValue([
+        { id: 1, igdbId: 500, name: 'Hades II', coverUrl: null, status: 'playing', releaseDate: day('2026-09-25'), platforms: '["PC"]', releaseDates: [] }
+      ]);
+
+      const ics = await getCalendarFeed(7, now, mockPrisma);
+
+      expect(mockPrisma.game.findMany).toHaveBeenCalledWith({
+        where: { userId: 7, releaseDate: { gte: new Date('2026-07-21T12:00:00Z') } },
+        include: { releaseDates: true }
+      });
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260925');
+      expect(ics).toContain('DESCRIPTION:Platforms: PC\r\n');
+    });
+  });
+});
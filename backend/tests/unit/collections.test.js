@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for Collection Utilities
+ * Tests membership and manual ordering of collection games
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrismaCollection = {
+  findFirst: jest.fn()
+};
+const mockPrismaCollectionGame = {
+  findMany: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  deleteMany: jest.fn()
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    collection: mockPrismaCollection,
+    collectionGame: mockPrismaCollectionGame
+  }
+}));
+
+const {
+  findUserCollection,
+  appendToCollection,
+  removeFromCollection,
+  isValidOrder,
+  reorderCollection
+} = await import('../../utils/collections.js');
+
+describe('Collection Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findUserCollection', () => {
+    test('should scope the lookup to the user', async () => {
+      mockPrismaCollection.findFirst.mockResolvedValue({ id: 4, userId: 1 });
+
+      const collection = await findUserCollection(1, 4);
+
+      expect(mockPrismaCollection.findFirst).toHaveBeenCalledWith({
+        where: { id: 4, userId: 1 }
+      });
+      expect(collection.id).toBe(4);
+    });
+
+    test('should return null for invalid IDs without querying', async () => {
+      expect(await findUserCollection(1, NaN)).toBeNull();
+      expect(mockPrismaCollection.findFirst).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('appendToCollection', () => {
+    test('should append after the last position and skip existing members', async () => {
+      mockPrismaCollectionGame.findMany.mockResolvedValue([
+        { gameId: 10, position: 0 },
+        { gameId: 11, position: 3 }
+      ]);
+
+      const added = await appendToCollection(2, [11, 12, 13, 12]);
+
+      expect(added).toBe(2);
+      expect(mockPrismaCollectionGame.create).toHaveBeenNthCalledWith(1, {
+        data: { collectionId: 2, gameId: 12, position: 4 }
+      });
+      expect(mockPrismaCollectionGame.create).toHaveBeenNthCalledWith(2, {
+        data: { collectionId: 2, gameId: 13, position: 5 }
+      });
+    });
+
+    test('should start at position 0 for an empty collection', async () => {
+      mockPrismaCollectionGame.findMany.mockResolvedValue([]);
+
+      await appendToCollection(2, [5]);
+
+      expect(mockPrismaCollectionGame.create).toHaveBeenCalledWith({
+        data: { collectionId: 2, gameId: 5, position: 0 }
+      });
+    });
+  });
+
+  describe('removeFromCollection', () => {
+    test('should return the number of removed members', async () => {
+      mockPrismaCollectionGame.deleteMany.mockResolvedValue({ count: 1 });
+
+      const removed = await removeFromCollection(2, [5]);
+
+      expect(mockPrismaCollectionGame.deleteMany).toHaveBeenCalledWith({
+        where: { collectionId: 2, gameId: { in: [5] } }
+      });
+      expect(removed).toBe(1);
+    });
+  });
+
+  describe('isValidOrder', () => {
+    test('should accept a permutation of the members', () => {
+      expect(isValidOrder([1, 2, 3], [3, 1, 2])).toBe(true);
+    });
+
+    test('should reject missing, extra or duplicated IDs', () => {
+      expect(isValidOrder([1, 2, 3], [1, 2])).toBe(false);
+      expect(isValidOrder([1, 2, 3], [1, 2, 4])).toBe(false);
+      expect(isValidOrder([1, 2, 3], [1, 1, 2])).toBe(false);
+    });
+  });
+
+  describe('reorderCollection', () => {
+    test('should write positions in the requested order', async () => {
+      await reorderCollection(2, [7, 5]);
+
+      expect(mockPrismaCollectionGame.update).toHaveBeenNthCalledWith(1, {
+        where: { collectionId_gameId: { collectionId: 2, gameId: 7 } },
+        data: { position: 0 }
+      });
+      expect(mockPrismaCollectionGame.update).toHaveBeenNthCalledWith(2, {
+        where: { collectionId_gameId: { collectionId: 2, gameId: 5 } },
+        data: { position: 1 }
+      });
+    });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Unit Tests for CSV Utilities
+ * Tests RFC 4180 parsing, cell escaping and the formula guard
+ */
+import { CsvParseError, parseCsv, formatCsvCell, toCsv, unguardCell } from '../../utils/csv.js';
+
+describe('CSV Utilities', () => {
+  test('should parse quoted cells with commas, quotes and newlines', () => {
+    const rows = parseCsv('﻿name,notes\r\n"Portal 2","Co-op, ""great""\nwith friends"\r\n\r\nHades,\n');
+
+    expect(rows).toEqual([
+      ['name', 'notes'],
+      ['Portal 2', 'Co-op, "great"\nwith friends'],
+      ['Hades', '']
+    ]);
+  });
+
+  test('should report an unterminated quote with its line', () => {
+    expect(() => parseCsv('name\n"Broken\nrow')).toThrow(new CsvParseError('Unterminated quoted field', 2));
+  });
+
+  test('should escape cells and guard formulas', () => {
+    expect(formatCsvCell('a,b')).toBe('"a,b"');
+    expect(formatCsvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(formatCsvCell(null)).toBe('');
+    expect(formatCsvCell(-5)).toBe('-5');
+    expect(formatCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(unguardCell("'=SUM(A1)")).toBe('=SUM(A1)');
+    expect(unguardCell("'quoted")).toBe("'quoted");
+  });
+
+  test('should round-trip through toCsv and parseCsv', () => {
+    const headers = ['name', 'notes'];
+    const rows = [['Celeste', 'Line one\nLine two'], ['Inside', '']];
+
+    expect(parseCsv(toCsv(headers, rows))).toEqual([headers, ...rows]);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for the Dashboard Aggregate
+ * Tests counts, the activity feed and the assembled dashboard payload
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrisma = {
+  game: { groupBy: jest.fn(), findMany: jest.fn() },
+  gameStatusChange: { findMany: jest.fn() },
+  playSession: { findMany: jest.fn(), groupBy: jest.fn() }
+};
+
+const mockRecommendGames = jest.fn();
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+jest.unstable_mockModule('../../utils/recommendations.js', () => ({
+  recommendGames: mockRecommendGames,
+  formatRecommendation: ({ game, score }) => ({ game: { id: game.id, name: game.name }, score })
+}));
+
+const {
+  summarizeCounts,
+  buildActivityFeed,
+  buildDashboard
+} = await import('../../utils/dashboard.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const zelda = { id: 1, name: 'Zelda', coverUrl: null };
+const hades = { id: 2, name: 'Hades', coverUrl: null };
+
+describe('Dashboard', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('summarizeCounts', () => {
+    test('should count every status, fold legacy names and total the backlog', () => {
+      expect(summarizeCounts([
+        { status: 'wishlist', _count: { status: 4 } },
+        { status: 'want_to_play', _count: { status: 1 } },
+        { status: 'playing', _count: { status: 2 } },
+        { status: 'completed', _count: { status: 7 } }
+      ])).toEqual({
+        total: 14,
+        backlog: 7,
+        byStatus: { wishlist: 5, playing: 2, on_hold: 0, completed: 7, dropped: 0 }
+      });
+    });
+  });
+
+  describe('buildActivityFeed', () => {
+    test('should merge additions, status changes and sessions newest first', () => {
+      const feed = buildActivityFeed(
+        [
+          { fromStatus: null, toStatus: 'wishlist', changedAt: '2026-10-01T10:00:00Z', game: hades },
+          { fromStatus: 'playing', toStatus: 'completed', changedAt: '2026-10-18T10:00:00Z', game: zelda }
+        ],
+        [
+          { startedAt: '2026-10-17T20:00:00Z', endedAt: null, durationMinutes: 90, game: zelda },
+          { startedAt: '2026-10-19T11:00:00Z', endedAt: null, durationMinutes: null, game: hades }
+        ],
+        3,
+        now
+      );
+
+      expect(feed).toEqual([
+        { type: 'session', at: '2026-10-19T11:00:00Z', game: hades, minutes: 60, running: true },
+        { type: 'status', at: '2026-10-18T10:00:00Z', game: zelda, fromStatus: 'playing', toStatus: 'completed' },
+        { type: 'session', at: '2026-10-17T20:00:00Z', game: zelda, minutes: 90, running: false }
+      ]);
+    });
+  });
+
+  describe('buildDashboard', () => {
+    test('should assemble playing games, upcoming releases and the suggestion', async () => {
+      mockPrisma.game.groupBy.mockResolvedValue([{ status: 'playing', _count: { status: 2 } }]);
+      mockPrisma.game.findMany
+        .mockResolvedValueOnce([
+          { ...zelda, progress: '{"percent":40}', platforms: '["Switch"]', updatedAt: new Date('2026-10-10T00:00:00Z') },
+          { ...hades, progress: null, platforms: null, updatedAt: new Date('2026-10-15T00:00:00Z') }
+        ])
+        .mockResolvedValueOnce([{ id: 3, name: 'Sequel', coverUrl: null, releaseDate: new Date('2026-11-20T00:00:00Z'), platforms: '["PC"]' }])
+        // Imported playtime of the playing games
+        .mockResolvedValueOnce([{ id: 2, importedMinutes: 600 }]);
+      mockPrisma.gameStatusChange.findMany.mockResolvedValue([]);
+      mockPrisma.playSession.findMany
+        // Recent sessions for the feed, then all sessions for playtime
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ gameId: 1, startedAt: new Date('2026-10-18T20:00:00Z'), endedAt: null, durationMinutes: 120 }]);
+      mockPrisma.playSession.groupBy.mockResolvedValue([{ gameId: 1, _max: { startedAt: new Date('2026-10-18T20:00:00Z') } }]);
+      mockRecommendGames.mockResolvedValue({ picks: [{ game: { id: 4, name: 'Celeste' }, score: 3.2 }] });
+
+      const dashboard = await buildDashboard(7, now);
+
+      expect(dashboard.counts.backlog).toBe(2);
+      expect(dashboard.playing.map(game => game.name)).toEqual(['Zelda', 'Hades']);
+      expect(dashboard.playing[0]).toMatchObject({ minutesPlayed: 120, platforms: ['Switch'] });
+      expect(dashboard.playing[0].progress.percent).toBe(40);
+      expect(dashboard.playing[1]).toMatchObject({ minutesPlayed: 600, lastPlayedAt: null });
+      expect(mockPrisma.game.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 7, status: 'wishlist', releaseDate: { gt: now } }
+      }));
+      expect(dashboard.upcomingReleases).toEqual([
+        { id: 3, name: 'Sequel', coverUrl: null, releaseDate: new Date('2026-11-20T00:00:00Z'), platforms: ['PC'] }
+      ]);
+      expect(mockRecommendGames).toHaveBeenCalledWith(7, { limit: 1 }, now);
+      expect(dashboard.suggestion).toEqual({ game: { id: 4, name: 'Celeste' }, score: 3.2 });
+    });
+
+    test('should return no suggestion when the backlog is empty', async () => {
+      mockPrisma.game.groupBy.mockResolvedValue([]);
+      mockPrisma.game.findMany.mockResolvedValue([]);
+      mockPrisma.gameStatusChange.findMany.mockResolvedValue([]);
+      mockPrisma.playSession.findMany.mockResolvedValue([]);
+      mockPrisma.playSession.groupBy.mockResolvedValue([]);
+      mockRecommendGames.mockResolvedValue({ picks: [] });
+
+      const dashboard = await buildDashboard(7, now);
+
+      expect(dashboard.counts.total).toBe(0);
+      expect(dashboard.suggestion).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for Account Data Export
+ * Tests the export document, the zip archive and background export jobs
+ */
+import { jest } from '@jest/globals';
+import zlib from 'zlib';
+
+// Mock Prisma database
+const mockPrisma = {
+  user: { findUnique: jest.fn() },
+  game: { findMany: jest.fn(), count: jest.fn() },
+  gameStatusChange: { findMany: jest.fn(), count: jest.fn() },
+  playSession: { findMany: jest.fn(), count: jest.fn() },
+  collection: { findMany: jest.fn() },
+  tag: { findMany: jest.fn() },
+  gameOwnership: { findMany: jest.fn() },
+  dataExport: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn()
+  }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+const {
+  EXPORT_VERSION,
+  countExportRecords,
+  buildExportData,
+  buildExportArchive,
+  renderExport,
+  startExportJob,
+  cleanupExports
+} = await import('../../utils/dataExport.js');
+const { crc32 } = await import('../../utils/zip.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+// Read the stored entries back out of a zip built by createZip
+const readZip = (buffer) => {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+  return files;
+};
+
+const seedAccount = () => {
+  mockPrisma.user.findUnique.mockResolvedValue({
+    id: 1,
+    email: 'player@example.com',
+    username: 'player',
+    preferences: '{"notifications":{"system":true}}'
+  });
+  mockPrisma.game.findMany.mockResolvedValue([{
+    id: 5,
+    igdbId: 1942,
+    name: 'The Witcher 3',
+    status: 'completed',
+    userRating: 5,
+    notes: 'Gwent forever',
+    platforms: '["PC"]',
+    genres: null,
+    progress: '{"percent":100}',
+    queueRank: null,
+    tags: [{ tag: { name: 'rpg' } }],
+    addedAt: new Date('2026-01-01T00:00:00Z'),
+    updatedAt: new Date('2026-03-01T00:00:00Z'),
+    completedAt: new Date('2026-03-01T00:00:00Z')
+  }]);
+  mockPrisma.gameStatusChange.findMany.mockResolvedValue([
+    { id: 1, gameId: 5, fromStatus: null, toStatus: 'playing', changedAt: new Date('2026-01-01T00:00:00Z') },
+    { id: 2, gameId: 5, fromStatus: 'playing', toStatus: 'completed', changedAt: new Date('2026-03-01T00:00:00Z') }
+  ]);
+  mockPrisma.playSession.findMany.mockResolvedValue([
+    { id: 3, gameId: 5, startedAt: new Date('2026-02-01T18:00:00Z'), endedAt: new Date('2026-02-01T20:00:00Z'), durationMinutes: 120, note: '=1+1' }
+  ]);
+  mockPrisma.collection.findMany.mockResolvedValue([
+    { id: 2, name: 'Favourites', description: null, createdAt: now, games: [{ gameId: 5, position: 0, addedAt: now }] }
+  ]);
+  mockPrisma.tag.findMany.mockResolvedValue([{ id: 1, name: 'rpg', createdAt: now }]);
+  mockPrisma.gameOwnership.findMany.mockResolvedValue([
+    { id: 4, gameId: 5, platform: 'PC', format: 'digital', storefront: 'GOG', purchasedAt: null, priceCents: 3999, currency: 'EUR' }
+  ]);
+};
+
+describe('Account Data Export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should count every exported row', async () => {
+    mockPrisma.game.count.mockResolvedValue(10);
+    mockPrisma.gameStatusChange.count.mockResolvedValue(25);
+    mockPrisma.playSession.count.mockResolvedValue(40);
+
+    expect(await countExportRecords(1)).toBe(75);
+  });
+
+  test('should include the library, history, sessions and preferences', async () => {
+    seedAccount();
+
+    const data = await buildExportData(1, now);
+
+    expect(data.exportVersion).toBe(EXPORT_VERSION);
+    expect(data.exportedAt).toBe(now.toISOString());
+    expect(data.profile.preferences).toEqual({ notifications: { system: true } });
+    expect(data.library[0]).toMatchObject({
+      id: 5,
+      notes: 'Gwent forever',
+      platforms: ['PC'],
+      genres: [],
+      tags: ['rpg'],
+      progress: expect.objectContaining({ percent: 100 })
+    });
+    expect(data.statusHistory).toHaveLength(2);
+    expect(data.sessions[0]).toEqual(expect.objectContaining({ id: 3, gameId: 5, durationMinutes: 120 }));
+    expect(data.collections[0].games).toEqual([{ gameId: 5, position: 0, addedAt: now }]);
+    expect(data.tags).toEqual([{ name: 'rpg', createdAt: now }]);
+    expect(data.ownerships).toEqual([
+      { gameId: 5, platform: 'PC', format: 'digital', storefront: 'GOG', purchasedAt: null, price: 39.99, currency: 'EUR' }
+    ]);
+  });
+
+  test('should return null for a missing user', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue(null);
+    expect(await buildExportData(99, now)).toBeNull();
+  });
+
+  test('should zip the JSON document with CSV files', async () => {
+    seedAccount();
+    const data = await buildExportData(1, now);
+
+    const files = readZip(buildExportArchive(data));
+
+    expect(Object.keys(files)).toEqual(['export.json', 'library.csv', 'status-history.csv', 'play-sessions.csv']);
+    expect(JSON.parse(files['export.json']).library[0].name).toBe('The Witcher 3');
+    expect(files['library.csv']).toContain('minutesPlayed');
+    expect(files['library.csv']).toContain(',120,');
+    expect(files['status-history.csv']).toContain('5,The Witcher 3,playing,completed,2026-03-01T00:00:00.000Z');
+    expect(files['play-sessions.csv']).toContain("'=1+1");
+
+    expect(renderExport(data, 'zip')).toMatchObject({
+      contentType: 'application/zip',
+      fileName: 'profile-export-2026-10-19.zip'
+    });
+    expect(crc32(Buffer.from('hello'))).toBe(907060870);
+  });
+
+  test('should reuse an export that is already running', async () => {
+    mockPrisma.dataExport.findFirst.mockResolvedValue({ id: 'abc', userId: 1, format: 'zip', status: 'running' });
+
+    const job = await startExportJob(1, 'zip');
+
+    expect(job.id).toBe('abc');
+    expect(mockPrisma.dataExport.create).not.toHaveBeenCalled();
+  });
+
+  test('should remove expired exports and fail interrupted ones', async () => {
+    mockPrisma.dataExport.findMany.mockResolvedValue([{ id: 'old', format: 'json' }]);
+    mockPrisma.dataExport.deleteMany.mockResolvedValue({ count: 1 });
+    mockPrisma.dataExport.updateMany.mockResolvedValue({ count: 2 });
+
+    expect(await cleanupExports(now)).toEqual({ removed: 1, failed: 2 });
+    expect(mockPrisma.dataExport.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['old'] } } });
+    expect(mockPrisma.dataExport.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'failed' })
+    }));
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for Account Restore
+ * Tests export version checks, merge/replace modes, conflicts and dry runs
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database; the transaction client is the same mock
+const mockTx = {
+  user: { findUnique: jest.fn(), update: jest.fn() },
+  game: { findMany: jest.fn(), create: jest.fn(), deleteMany: jest.fn() },
+  gameStatusChange: { create: jest.fn() },
+  playSession: { create: jest.fn() },
+  gameOwnership: { create: jest.fn() },
+  collection: { deleteMany: jest.fn(), upsert: jest.fn() },
+  collectionGame: { findMany: jest.fn(), create: jest.fn() },
+  tag: { deleteMany: jest.fn(), upsert: jest.fn() },
+  gameTag: { deleteMany: jest.fn(), upsert: jest.fn() }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    ...mockTx,
+    $transaction: jest.fn(callback => callback(mockTx))
+  }
+}));
+
+const {
+  RestoreError,
+  checkExportVersion,
+  restoreAccount
+} = await import('../../utils/dataRestore.js');
+
+const exportFile = () => ({
+  exportVersion: '2.0',
+  exportedAt: '2026-10-01T00:00:00.000Z',
+  profile: { preferences: { notifications: { system: false }, gaming: { platforms: ['PC'] } } },
+  library: [
+    { id: 11, igdbId: 1942, name: 'The Witcher 3', status: 'completed', userRating: 5, notes: 'Replay', completedAt: '2026-03-01T00:00:00.000Z', tags: ['rpg'] },
+    { id: 12, igdbId: 72, name: 'Portal 2', status: 'wishlist', tags: [] }
+  ],
+  statusHistory: [
+    { gameId: 11, fromStatus: null, toStatus: 'playing', changedAt: '2026-01-01T00:00:00.000Z' },
+    { gameId: 11, fromStatus: 'playing', toStatus: 'completed', changedAt: '2026-03-01T00:00:00.000Z' },
+    { gameId: 12, fromStatus: null, toStatus: 'wishlist', changedAt: '2026-02-01T00:00:00.000Z' }
+  ],
+  sessions: [
+    { id: 1, gameId: 11, startedAt: '2026-02-01T18:00:00.000Z', endedAt: '2026-02-01T20:00:00.000Z', durationMinutes: 120 },
+    { id: 2, gameId: 12, startedAt: '2026-10-01T18:00:00.000Z', endedAt: null, durationMinutes: null }
+  ],
+  collections: [{ name: 'Favourites', games: [{ gameId: 12, position: 1 }, { gameId: 11, position: 0 }] }],
+  tags: [{ name: 'rpg' }, { name: 'cozy' }]
+});
+
+describe('Account Restore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTx.user.findUnique.mockResolvedValue({ id: 1, preferences: '{"notifications":{"system":true}}', theme: 'dark' });
+    mockTx.game.findMany.mockResolvedValue([]);
+    let nextId = 100;
+    mockTx.game.create.mockImplementation(({ data }) => Promise.resolve({ id: nextId++, ...data }));
+    mockTx.tag.upsert.mockImplementation(({ create }) => Promise.resolve({ id: create.name.length, ...create }));
+    mockTx.collection.upsert.mockResolvedValue({ id: 7, name: 'Favourites' });
+    mockTx.collectionGame.findMany.mockResolvedValue([]);
+  });
+
+  describe('checkExportVersion', () => {
+    test('should reject files without a readable version', () => {
+      expect(() => checkExportVersion({ library: [] })).toThrow(RestoreError);
+      expect(() => checkExportVersion([])).toThrow(RestoreError);
+    });
+
+    test('should reject exports from a newer major version', () => {
+      expect(() => checkExportVersion({ exportVersion: '3.0', library: [] })).toThrow('newer than this server supports');
+    });
+
+    test('should warn about profile-only and newer minor exports', () => {
+      expect(checkExportVersion({ exportVersion: '1.0' })).toMatchObject({ hasLibrary: false, warnings: [expect.stringContaining('only the profile')] });
+      expect(checkExportVersion({ exportVersion: '2.4', library: [] }).warnings).toEqual([expect.stringContaining('unknown fields were ignored')]);
+    });
+  });
+
+  test('should rebuild games, history, sessions and collections with new IDs', async () => {
+    const report = await restoreAccount(1, exportFile(), { profile: exportFile().profile });
+
+    expect(report).toMatchObject({
+      mode: 'merge',
+      dryRun: false,
+      exportVersion: '2.0',
+      profileRestored: true,
+      games: { created: 2, skipped: 0, invalid: 0 },
+      statusHistory: 3,
+      sessions: 1,
+      collections: 1,
+      tags: 2,
+      conflicts: [],
+      warnings: ['1 running play session was not restored']
+    });
+    expect(mockTx.gameStatusChange.create).toHaveBeenCalledWith({
+      data: { gameId: 100, fromStatus: 'playing', toStatus: 'completed', changedAt: new Date('2026-03-01T00:00:00.000Z') }
+    });
+    expect(mockTx.playSession.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 1, gameId: 100, durationMinutes: 120 })
+    });
+    // Collection order follows the exported positions
+    expect(mockTx.collectionGame.create.mock.calls.map(([{ data }]) => data.gameId)).toEqual([100, 101]);
+    // Merge keeps current preferences and fills in missing ones
+    expect(JSON.parse(mockTx.user.update.mock.calls[0][0].data.preferences)).toEqual({
+      notifications: { system: true },
+      gaming: { platforms: ['PC'] }
+    });
+  });
+
+  test('should keep existing games in merge mode and report differences', async () => {
+    mockTx.game.findMany.mockResolvedValue([{
+      id: 5, igdbId: 1942, status: 'playing', userRating: 5, notes: 'Replay', completedAt: null, tags: [{ tag: { name: 'rpg' } }]
+    }]);
+
+    const report = await restoreAccount(1, exportFile());
+
+    expect(report.games).toMatchObject({ created: 1, skipped: 1 });
+    expect(report.conflicts).toEqual([{
+      igdbId: 1942,
+      name: 'The Witcher 3',
+      existingGameId: 5,
+      resolution: 'kept_existing',
+      differences: [
+        { field: 'status', current: 'playing', exported: 'completed' },
+        { field: 'completedAt', current: null, exported: new Date('2026-03-01T00:00:00.000Z') }
+      ]
+    }]);
+    expect(mockTx.game.deleteMany).not.toHaveBeenCalled();
+    // History of the skipped game is not copied onto the existing one
+    expect(report.statusHistory).toBe(1);
+  });
+
+  test('should clear the library first in replace mode', async () => {
+    mockTx.game.findMany.mockResolvedValue([
+      { id: 5, igdbId: 1942, status: 'playing', tags: [] },
+      { id: 6, igdbId: 999, status: 'dropped', tags: [] }
+    ]);
+
+    const report = await restoreAccount(1, exportFile(), { mode: 'replace' });
+
+    expect(mockTx.game.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    expect(mockTx.collection.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    expect(report.games).toMatchObject({ created: 2, replaced: 1, deleted: 2 });
+    expect(report.conflicts[0]).toMatchObject({ existingGameId: 5, resolution: 'replaced' });
+  });
+
+  test('should roll back a dry run but still report', async () => {
+    const report = await restoreAccount(1, exportFile(), { dryRun: true });
+
+    expect(report).toMatchObject({ dryRun: true, games: { created: 2 } });
+  });
+
+  test('should count unusable library entries as invalid', async () => {
+    const data = { ...exportFile(), library: [{ id: 1, name: 'No IGDB ID' }, { id: 2, igdbId: 72, name: 'Portal 2' }, { id: 3, igdbId: 72, name: 'Portal 2' }] };
+
+    const report = await restoreAccount(1, data);
+
+    expect(report.games).toMatchObject({ created: 1, invalid: 2 });
+  });
+
+  test('should restore a 2.0 export, which predates ownership records', async () => {
+    const data = exportFile();
+    expect(data).not.toHaveProperty('ownerships');
+
+    const report = await restoreAccount(1, data);
+
+    expect(report).toMatchObject({
+      exportVersion: '2.0',
+      games: { created: 2, skipped: 0, invalid: 0 },
+      ownerships: 0,
+      warnings: ['1 running play session was not restored']
+    });
+    expect(mockTx.gameOwnership.create).not.toHaveBeenCalled();
+  });
+
+  test('should restore ownership records and drop prices without a currency', async () => {
+    const data = {
+      ...exportFile(),
+      exportVersion: '2.1',
+      ownerships: [
+        { gameId: 11, platform: 'PC', format: 'digital', storefront: 'GOG', purchasedAt: '2025-12-01T00:00:00.000Z', price: 39.99, currency: 'eur' },
+        { gameId: 12, platform: 'Switch', format: 'physical', price: 20, currency: null },
+        { gameId: 12, platform: 'PS5', format: 'rented' },
+        { gameId: 99, platform: 'PC', format: 'digital' }
+      ]
+    };
+
+    const report = await restoreAccount(1, data);
+
+    expect(report.ownerships).toBe(2);
+    expect(mockTx.gameOwnership.create.mock.calls.map(([{ data: row }]) => row)).toEqual([
+      { userId: 1, gameId: 100, platform: 'PC', format: 'digital', storefront: 'GOG', purchasedAt: new Date('2025-12-01T00:00:00.000Z'), priceCents: 3999, currency: 'EUR' },
+      { userId: 1, gameId: 101, platform: 'Switch', format: 'physical', storefront: null, purchasedAt: null, priceCents: null, currency: null }
+    ]);
+  });
+});
@@ -1,13 +1,79 @@
 /**
  * Unit Tests for Email Service
- * Tests email notification functionality (stub implementation)
+ * Tests templated emails, the send queue with retries, unsubscribe links and transports
  */
 import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
-// Import the stub service
-const { sendVerificationEmail, sendPasswordResetEmail, sendWelcomeEmail } = await import('../../services/email.js');
+// Mock Prisma database; users are kept in memory so unsubscribing sticks
+const mockUsers = new Map();
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn(({ where }) => Promise.resolve(mockUsers.get(where.id) ?? null)),
+    update: jest.fn(({ where, data }) => {
+      const user = { ...mockUsers.get(where.id), ...data };
+      mockUsers.set(where.id, user);
+      return Promise.resolve(user);
+    })
+  }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+process.env.EMAIL_UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+process.env.FRONTEND_URL = 'http://app.test';
+process.env.API_URL = 'http://api.test';
+
+const {
+  MAX_SEND_ATTEMPTS,
+  configureEmail,
+  flushEmailQueue,
+  sendEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendWelcomeEmail
+} = await import('../../services/email.js');
+const { escapeHtml, renderEmail } = await import('../../services/emailTemplates.js');
+const {
+  createMemoryTransport,
+  createOutboxTransport,
+  createTransportFromEnv
+} = await import('../../services/emailTransports.js');
+const { unsubscribeFromEmail } = await import('../../utils/notifications.js');
+
+// Fails the first `failures` sends, then delivers to memory
+const flakyTransport = (failures) => {
+  const transport = createMemoryTransport();
+  let calls = 0;
+  return {
+    ...transport,
+    calls: () => calls,
+    send: async (message) => {
+      calls++;
+      if (calls <= failures) throw new Error('Connection refused');
+      return transport.send(message);
+    }
+  };
+};
 
 describe('Email Service', () => {
+  let transport;
+
+  beforeEach(() => {
+    mockUsers.clear();
+    mockUsers.set(42, { id: 42, preferences: null });
+    transport = createMemoryTransport();
+    configureEmail({ transport, retryDelayMs: 1 });
+  });
+
+  afterEach(async () => {
+    await flushEmailQueue();
+  });
+
   describe('sendVerificationEmail', () => {
     test('should send verification email successfully', async () => {
       const email = 'test@example.com';
@@ -91,4 +157,163 @@ describe('Email Service', () => {
       expect(welcome).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('templates', () => {
+    test('renders subject, HTML and text for every email', async () => {
+      await sendVerificationEmail('a@example.com', 'verify token');
+      await sendPasswordResetEmail('b@example.com', 'reset-token');
+      await flushEmailQueue();
+
+      const [verification, reset] = transport.messages;
+      expect(verification.to).toBe('a@example.com');
+      expect(verification.subject).toMatch(/Verify your/);
+      expect(verification.text).toContain('http://app.test/verify-email?token=verify%20token');
+      expect(verification.html).toContain('href="http://app.test/verify-email?token=verify%20token"');
+      expect(reset.text).toContain('http://app.test/reset-password?token=reset-token');
+    });
+
+    test('escapes interpolated values in HTML but not in text', () => {
+      const { html, text } = renderEmail('welcome', { firstName: '<b>Jo & "Al"</b>', url: 'http://app.test/library' });
+
+      expect(html).toContain('Welcome, &lt;b&gt;Jo &amp; &quot;Al&quot;&lt;/b&gt;!');
+      expect(html).not.toContain('<b>Jo');
+      expect(text).toContain('Welcome, <b>Jo & "Al"</b>!');
+      expect(escapeHtml(null)).toBe('');
+    });
+
+    test('rejects unknown templates', async () => {
+      expect(() => renderEmail('newsletter')).toThrow('Unknown email template: newsletter');
+      await expect(sendEmail({ to: 'a@example.com', template: 'newsletter' })).rejects.toThrow();
+      await expect(sendEmail({ template: 'welcome' })).rejects.toThrow('Email recipient is required');
+    });
+  });
+
+  describe('unsubscribe links', () => {
+    test('welcome emails to a known user link to the unsubscribe page and set one-click headers', async () => {
+      await sendWelcomeEmail('new@example.com', 'Jo', 42);
+      await flushEmailQueue();
+
+      const [message] = transport.messages;
+      expect(message.text).toMatch(/Unsubscribe: http:\/\/app\.test\/unsubscribe\?token=42\.[\w-]+/);
+      expect(message.html).toContain('http://app.test/unsubscribe?token=42.');
+      expect(message.headers['List-Unsubscribe']).toMatch(/^<http:\/\/api\.test\/api\/email\/unsubscribe\?token=42\.[\w-]+>$/);
+      expect(message.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    });
+
+    test('optional emails are not sent after the user unsubscribes', async () => {
+      await expect(unsubscribeFromEmail(42)).resolves.toBe(true);
+
+      await expect(sendWelcomeEmail('new@example.com', 'Jo', 42)).resolves.toBe(false);
+      await flushEmailQueue();
+
+      expect(transport.messages).toHaveLength(0);
+    });
+
+    test('account emails still go to users who unsubscribed', async () => {
+      await unsubscribeFromEmail(42);
+
+      await sendEmail({ to: 'a@example.com', template: 'passwordReset', data: { url: 'http://app.test/r' }, userId: 42 });
+      await flushEmailQueue();
+
+      expect(transport.messages).toHaveLength(1);
+    });
+
+    test('account emails and emails without a user have no unsubscribe link', async () => {
+      await sendWelcomeEmail('new@example.com', 'Jo');
+      await sendEmail({ to: 'a@example.com', template: 'passwordReset', data: { url: 'http://app.test/r' }, userId: 42 });
+      await flushEmailQueue();
+
+      for (const message of transport.messages) {
+        expect(message.headers).toBeUndefined();
+        expect(message.text).not.toContain('Unsubscribe');
+      }
+    });
+  });
+
+  describe('send queue', () => {
+    test('resolves once queued, without waiting for the transport', async () => {
+      let deliver;
+      const slow = {
+        ...transport,
+        send: (message) => new Promise(resolve => {
+          deliver = () => resolve(transport.send(message));
+        })
+      };
+      configureEmail({ transport: slow });
+
+      await expect(sendWelcomeEmail('new@example.com', 'Jo')).resolves.toBe(true);
+      expect(transport.messages).toHaveLength(0);
+
+      deliver();
+      await flushEmailQueue();
+
+      expect(transport.messages).toHaveLength(1);
+    });
+
+    test('retries failed sends until one succeeds', async () => {
+      const flaky = flakyTransport(2);
+      configureEmail({ transport: flaky });
+
+      await sendWelcomeEmail('new@example.com', 'Jo');
+      await flushEmailQueue();
+
+      expect(flaky.calls()).toBe(3);
+      expect(flaky.messages).toHaveLength(1);
+    });
+
+    test('gives up after the maximum number of attempts', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const broken = flakyTransport(Infinity);
+      configureEmail({ transport: broken });
+
+      await sendWelcomeEmail('new@example.com', 'Jo');
+      await flushEmailQueue();
+
+      expect(broken.calls()).toBe(MAX_SEND_ATTEMPTS);
+      expect(broken.messages).toHaveLength(0);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('giving up after 5 attempts'), 'Connection refused');
+      consoleSpy.mockRestore();
+    });
+
+    test('a failing email does not hold up the rest of the queue', async () => {
+      const flaky = flakyTransport(1);
+      configureEmail({ transport: flaky, retryDelayMs: 50 });
+
+      await sendVerificationEmail('first@example.com', 'token');
+      await sendVerificationEmail('second@example.com', 'token');
+      await flushEmailQueue();
+
+      expect(flaky.messages.map(message => message.to)).toEqual(['second@example.com', 'first@example.com']);
+    });
+  });
+
+  describe('transports', () => {
+    test('picks the transport from the environment', () => {
+      expect(createTransportFromEnv({ NODE_ENV: 'test' }).name).toBe('memory');
+      expect(createTransportFromEnv({ NODE_ENV: 'development' }).name).toBe('file');
+      expect(createTransportFromEnv({ NODE_ENV: 'production' }).name).toBe('smtp');
+      expect(createTransportFromEnv({ NODE_ENV: 'test', EMAIL_TRANSPORT: 'smtp' }).name).toBe('smtp');
+      expect(() => createTransportFromEnv({ EMAIL_TRANSPORT: 'carrier-pigeon' })).toThrow('Unknown EMAIL_TRANSPORT');
+    });
+
+    test('the outbox transport writes each email as an .eml file', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+      try {
+        const outbox = createOutboxTransport(directory);
+        const { subject, html, text } = renderEmail('welcome', { firstName: 'Jo', url: 'http://app.test/library' });
+
+        const info = await outbox.send({ from: 'no-reply@localhost', to: 'new@example.com', subject, html, text });
+
+        const files = await fs.readdir(directory);
+        expect(files).toHaveLength(1);
+        expect(info.file).toBe(path.join(directory, files[0]));
+        const eml = await fs.readFile(info.file, 'utf8');
+        expect(eml).toContain('To: new@example.com');
+        expect(eml).toContain('Subject: Welcome to Game Backlog Tracker');
+        expect(eml).toContain('multipart/alternative');
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
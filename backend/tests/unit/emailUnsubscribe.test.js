@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for Email Unsubscribe Links
+ * Tests signing and verifying per-user unsubscribe tokens
+ */
+const {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeLinks
+} = await import('../../utils/emailUnsubscribe.js');
+
+describe('Email Unsubscribe Links', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.EMAIL_UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+    process.env.FRONTEND_URL = 'http://app.test';
+    process.env.API_URL = 'http://api.test';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('verifies a token it signed', () => {
+    const token = createUnsubscribeToken(42);
+
+    expect(token).toMatch(/^42\.[\w-]{43}$/);
+    expect(verifyUnsubscribeToken(token)).toBe(42);
+  });
+
+  it('rejects a token signed for another user', () => {
+    const [, signature] = createUnsubscribeToken(42).split('.');
+
+    expect(verifyUnsubscribeToken(`43.${signature}`)).toBeNull();
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = createUnsubscribeToken(42);
+    process.env.EMAIL_UNSUBSCRIBE_SECRET = 'rotated-secret';
+
+    expect(verifyUnsubscribeToken(token)).toBeNull();
+  });
+
+  it('rejects malformed tokens', () => {
+    expect(verifyUnsubscribeToken(undefined)).toBeNull();
+    expect(verifyUnsubscribeToken('')).toBeNull();
+    expect(verifyUnsubscribeToken('42')).toBeNull();
+    expect(verifyUnsubscribeToken('abc.def')).toBeNull();
+    expect(verifyUnsubscribeToken(['42.x'])).toBeNull();
+  });
+
+  it('falls back to JWT_SECRET and fails without any secret', () => {
+    delete process.env.EMAIL_UNSUBSCRIBE_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+    expect(verifyUnsubscribeToken(createUnsubscribeToken(7))).toBe(7);
+
+    delete process.env.JWT_SECRET;
+    expect(() => createUnsubscribeToken(7)).toThrow('must be set to sign unsubscribe links');
+  });
+
+  it('builds the page and one-click links', () => {
+    const token = encodeURIComponent(createUnsubscribeToken(42));
+
+    expect(unsubscribeLinks(42)).toEqual({
+      page: `http://app.test/unsubscribe?token=${token}`,
+      oneClick: `http://api.test/api/email/unsubscribe?token=${token}`
+    });
+  });
+});
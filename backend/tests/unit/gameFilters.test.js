@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for Library Filter Utilities
+ * Tests query parameter parsing and where clause building
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockQueryRawUnsafe = jest.fn();
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    $queryRawUnsafe: mockQueryRawUnsafe
+  }
+}));
+
+const {
+  parseListParam,
+  parseStatusList,
+  addCondition,
+  buildRange,
+  buildYearRange,
+  buildDateRange,
+  buildOwnershipFilter,
+  findGameIdsWithListValues,
+  applyLibraryFilters
+} = await import('../../utils/gameFilters.js');
+
+describe('Library Filter Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseListParam', () => {
+    test('should split, trim and dedupe values', () => {
+      expect(parseListParam(' RPG, Action,RPG')).toEqual(['RPG', 'Action']);
+      expect(parseListParam(['PC', 'Nintendo Switch,PC'])).toEqual(['PC', 'Nintendo Switch']);
+      expect(parseListParam(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseStatusList', () => {
+    test('should normalize statuses including legacy aliases', () => {
+      expect(parseStatusList('playing,want_to_play')).toEqual(['playing', 'wishlist']);
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(parseStatusList('playing,finished')).toBeNull();
+      expect(parseStatusList('')).toBeNull();
+    });
+  });
+
+  describe('addCondition', () => {
+    test('should append to existing AND conditions', () => {
+      const where = { userId: 1, AND: [{ status: 'playing' }] };
+      addCondition(where, { id: { in: [1] } });
+      expect(where.AND).toEqual([{ status: 'playing' }, { id: { in: [1] } }]);
+    });
+  });
+
+  describe('ranges', () => {
+    test('should build inclusive numeric ranges', () => {
+      expect(buildRange('3', undefined)).toEqual({ gte: 3 });
+      expect(buildRange('2.5', '4')).toEqual({ gte: 2.5, lte: 4 });
+      expect(buildRange(undefined, undefined)).toBeNull();
+    });
+
+    test('should cover whole release years', () => {
+      expect(buildYearRange('2015', '2017')).toEqual({
+        gte: new Date('2015-01-01T00:00:00Z'),
+        lt: new Date('2018-01-01T00:00:00Z')
+      });
+    });
+
+    test('should include the whole day for a date-only upper bound', () => {
+      expect(buildDateRange('2026-01-01', '2026-01-31')).toEqual({
+        gte: new Date('2026-01-01T00:00:00Z'),
+        lt: new Date('2026-02-01T00:00:00Z')
+      });
+      expect(buildDateRange(undefined, '2026-01-31T12:00:00Z')).toEqual({
+        lte: new Date('2026-01-31T12:00:00Z')
+      });
+    });
+  });
+
+  describe('findGameIdsWithListValues', () => {
+    test('should match list elements case-insensitively in SQL', async () => {
+      mockQueryRawUnsafe.mockResolvedValue([{ id: BigInt(4) }, { id: 9 }]);
+
+      const ids = await findGameIdsWithListValues(1, 'genres', ['RPG', 'Action']);
+
+      const [sql, ...params] = mockQueryRawUnsafe.mock.calls[0];
+      expect(sql).toContain('json_each');
+      expect(sql).toContain('IN (?, ?)');
+      expect(params).toEqual([1, 'rpg', 'action']);
+      expect(ids).toEqual([4, 9]);
+    });
+
+    test('should refuse columns outside the allow list', async () => {
+      await expect(findGameIdsWithListValues(1, 'notes; DROP TABLE games', ['x']))
+        .rejects.toThrow('Unsupported list column');
+      expect(mockQueryRawUnsafe).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildOwnershipFilter', () => {
+    test('should match one owned copy against every ownership filter', () => {
+      expect(buildOwnershipFilter({
+        ownedPlatform: 'PS5,Switch',
+        format: 'physical',
+        storefront: 'Retail',
+        currency: 'usd',
+        priceMin: '10',
+        priceMax: '59.99',
+        purchasedFrom: '2025-01-01',
+        purchasedTo: '2025-12-31'
+      })).toEqual({
+        ownerships: {
+          some: {
+            platform: { in: ['PS5', 'Switch'] },
+            format: 'physical',
+            storefront: { in: ['Retail'] },
+            currency: 'USD',
+            priceCents: { gte: 1000, lte: 5999 },
+            purchasedAt: { gte: new Date('2025-01-01'), lt: new Date('2026-01-01') }
+          }
+        }
+      });
+    });
+
+    test('should filter on owning any copy or none', () => {
+      expect(buildOwnershipFilter({ owned: 'true' })).toEqual({ ownerships: { some: {} } });
+      expect(buildOwnershipFilter({ owned: 'false' })).toEqual({ ownerships: { none: {} } });
+      expect(buildOwnershipFilter({})).toBeNull();
+    });
+  });
+
+  describe('applyLibraryFilters', () => {
+    test('should combine every filter with AND', async () => {
+      mockQueryRawUnsafe
+        .mockResolvedValueOnce([{ id: 1 }, { id: 2 }])
+        .mockResolvedValueOnce([{ id: 2 }]);
+
+      const where = await applyLibraryFilters({ userId: 1 }, 1, {
+        status: 'playing,on_hold',
+        genre: 'RPG',
+        platform: 'PC',
+        developer: 'Supergiant',
+        userRatingMin: '4',
+        igdbRatingMax: '90',
+        releaseYearFrom: '2020'
+      });
+
+      expect(where).toEqual({
+        userId: 1,
+        AND: [
+          { status: { in: ['playing', 'on_hold'] } },
+          { id: { in: [1, 2] } },
+          { id: { in: [2] } },
+          { developer: { contains: 'Supergiant' } },
+          { userRating: { gte: 4 } },
+          { rating: { lte: 90 } },
+          { releaseDate: { gte: new Date('2020-01-01T00:00:00Z') } }
+        ]
+      });
+    });
+
+    test('should leave the where clause alone without filters', async () => {
+      expect(await applyLibraryFilters({ userId: 1 }, 1, {})).toEqual({ userId: 1 });
+      expect(mockQueryRawUnsafe).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Game Progress Utilities
+ * Tests parsing, merging and completion suggestions for structured progress
+ */
+import {
+  COMPLETION_GOALS,
+  percentFromMilestones,
+  parseProgress,
+  mergeProgress,
+  serializeProgress,
+  suggestStatusForProgress
+} from '../../utils/gameProgress.js';
+
+describe('Game Progress Utilities', () => {
+  describe('percentFromMilestones', () => {
+    test('should return null without milestones', () => {
+      expect(percentFromMilestones([])).toBeNull();
+      expect(percentFromMilestones(undefined)).toBeNull();
+    });
+
+    test('should compute the share of completed milestones', () => {
+      const milestones = [
+        { title: 'Chapter 1', completed: true },
+        { title: 'Chapter 2', completed: true },
+        { title: 'Chapter 3', completed: false }
+      ];
+
+      expect(percentFromMilestones(milestones)).toBe(67);
+    });
+  });
+
+  describe('parseProgress', () => {
+    test('should return null for empty values', () => {
+      expect(parseProgress(null)).toBeNull();
+      expect(parseProgress('')).toBeNull();
+    });
+
+    test('should parse stored JSON progress', () => {
+      const stored = JSON.stringify({
+        percent: 40,
+        goal: 'full_completion',
+        milestones: [{ title: 'Act 1', completed: true }],
+        notes: null
+      });
+
+      expect(parseProgress(stored)).toEqual({
+        percent: 40,
+        goal: 'full_completion',
+        milestones: [{ title: 'Act 1', completed: true }],
+        notes: null
+      });
+    });
+
+    test('should keep legacy free-text progress as notes', () => {
+      expect(parseProgress('Stuck on the water temple')).toEqual({
+        percent: null,
+        goal: COMPLETION_GOALS.MAIN_STORY,
+        milestones: [],
+        notes: 'Stuck on the water temple'
+      });
+    });
+  });
+
+  describe('mergeProgress', () => {
+    test('should start from defaults when there is no progress yet', () => {
+      expect(mergeProgress(null, { percent: 25 })).toEqual({
+        percent: 25,
+        goal: COMPLETION_GOALS.MAIN_STORY,
+        milestones: [],
+        notes: null
+      });
+    });
+
+    test('should derive percent from milestones when not given', () => {
+      const result = mergeProgress(null, {
+        milestones: [
+          { title: 'Boss 1', completed: true },
+          { title: 'Boss 2', completed: false }
+        ]
+      });
+
+      expect(result.percent).toBe(50);
+    });
+
+    test('should prefer an explicit percent over milestones', () => {
+      const result = mergeProgress(null, {
+        percent: 90,
+        milestones: [{ title: 'Boss 1', completed: false }]
+      });
+
+      expect(result.percent).toBe(90);
+    });
+
+    test('should keep fields that are not being updated', () => {
+      const current = {
+        percent: 30,
+        goal: COMPLETION_GOALS.FULL_COMPLETION,
+        milestones: [{ title: 'Act 1', completed: true }],
+        notes: 'Collecting everything'
+      };
+
+      expect(mergeProgress(current, { percent: 35 })).toEqual({ ...current, percent: 35 });
+    });
+  });
+
+  describe('serializeProgress', () => {
+    test('should round-trip through parseProgress', () => {
+      const progress = mergeProgress(null, { percent: 10, notes: 'Just started' });
+
+      expect(parseProgress(serializeProgress(progress))).toEqual(progress);
+    });
+
+    test('should store null for cleared progress', () => {
+      expect(serializeProgress(null)).toBeNull();
+    });
+  });
+
+  describe('suggestStatusForProgress', () => {
+    test('should suggest completing a game at 100%', () => {
+      const suggestion = suggestStatusForProgress('playing', { percent: 100, goal: 'main_story' });
+
+      expect(suggestion).toEqual({
+        status: 'completed',
+        reason: 'Main story progress reached 100%'
+      });
+    });
+
+    test('should not suggest anything below 100%', () => {
+      expect(suggestStatusForProgress('playing', { percent: 99 })).toBeNull();
+    });
+
+    test('should not suggest anything for completed games', () => {
+      expect(suggestStatusForProgress('completed', { percent: 100 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for Library Search Utilities
+ * Tests FTS query building, snippet formatting and result shaping
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockQueryRaw = jest.fn();
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    $queryRaw: mockQueryRaw
+  }
+}));
+
+const {
+  buildFtsQuery,
+  formatSnippet,
+  searchLibrary
+} = await import('../../utils/gameSearch.js');
+
+describe('Library Search Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildFtsQuery', () => {
+    test('should quote words and prefix-match the last one', () => {
+      expect(buildFtsQuery('needs guid')).toBe('"needs" "guid"*');
+    });
+
+    test('should neutralize FTS operators and quotes', () => {
+      expect(buildFtsQuery('zelda OR "link* NEAR(')).toBe('"zelda" "OR" "link*" "NEAR("*');
+    });
+
+    test('should return null when nothing is searchable', () => {
+      expect(buildFtsQuery('  -- ** ')).toBeNull();
+      expect(buildFtsQuery(undefined)).toBeNull();
+    });
+  });
+
+  describe('formatSnippet', () => {
+    test('should escape HTML and convert match markers', () => {
+      expect(formatSnippet('<b>Great</b> \u0002co-op\u0003 game'))
+        .toBe('&lt;b&gt;Great&lt;/b&gt; <mark>co-op</mark> game');
+    });
+
+    test('should pass through empty snippets', () => {
+      expect(formatSnippet(null)).toBeNull();
+    });
+  });
+
+  describe('searchLibrary', () => {
+    test('should not query for unsearchable text', async () => {
+      expect(await searchLibrary(1, '""')).toEqual([]);
+      expect(mockQueryRaw).not.toHaveBeenCalled();
+    });
+
+    test('should return matches with a higher-is-better score', async () => {
+      mockQueryRaw.mockResolvedValue([
+        { id: BigInt(7), rank: -4.5, snippet: '\u0002Hades\u0003' },
+        { id: 3, rank: -1.25, snippet: 'plays well on \u0002handheld\u0003' }
+      ]);
+
+      const matches = await searchLibrary(1, 'hades');
+
+      expect(mockQueryRaw).toHaveBeenCalledTimes(1);
+      expect(matches).toEqual([
+        { gameId: 7, score: 4.5, snippet: '<mark>Hades</mark>' },
+        { gameId: 3, score: 1.25, snippet: 'plays well on <mark>handheld</mark>' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for Game Status State Machine
+ * Tests canonical statuses, transitions and history recording
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrismaGame = {
+  update: jest.fn()
+};
+const mockPrismaGameStatusChange = {
+  create: jest.fn(),
+  findMany: jest.fn()
+};
+const mockPrisma = {
+  game: mockPrismaGame,
+  gameStatusChange: mockPrismaGameStatusChange,
+  $transaction: jest.fn(callback => callback(mockPrisma))
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+const {
+  GAME_STATUSES,
+  GAME_STATUS_VALUES,
+  normalizeStatus,
+  canTransition,
+  buildStatusUpdate,
+  updateGameWithStatus,
+  recordInitialStatus,
+  InvalidStatusTransitionError
+} = await import('../../utils/gameStatus.js');
+
+describe('Game Status State Machine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeStatus', () => {
+    test('should accept every canonical status', () => {
+      GAME_STATUS_VALUES.forEach(status => {
+        expect(normalizeStatus(status)).toBe(status);
+      });
+    });
+
+    test('should map legacy want_to_play to wishlist', () => {
+      expect(normalizeStatus('want_to_play')).toBe(GAME_STATUSES.WISHLIST);
+    });
+
+    test('should be case-insensitive', () => {
+      expect(normalizeStatus('Playing')).toBe(GAME_STATUSES.PLAYING);
+    });
+
+    test('should reject unknown values', () => {
+      expect(normalizeStatus('invalid_status')).toBeNull();
+      expect(normalizeStatus(undefined)).toBeNull();
+      expect(normalizeStatus(3)).toBeNull();
+    });
+  });
+
+  describe('canTransition', () => {
+    test('should allow staying on the same status', () => {
+      expect(canTransition('completed', 'completed')).toBe(true);
+    });
+
+    test('should allow starting a wishlisted game', () => {
+      expect(canTransition('wishlist', 'playing')).toBe(true);
+    });
+
+    test('should not allow putting a wishlisted game on hold', () => {
+      expect(canTransition('wishlist', 'on_hold')).toBe(false);
+    });
+
+    test('should only allow replaying a completed game', () => {
+      expect(canTransition('completed', 'playing')).toBe(true);
+      expect(canTransition('completed', 'wishlist')).toBe(false);
+      expect(canTransition('completed', 'dropped')).toBe(false);
+    });
+
+    test('should treat legacy stored statuses as their canonical value', () => {
+      expect(canTransition('want_to_play', 'playing')).toBe(true);
+    });
+  });
+
+  describe('buildStatusUpdate', () => {
+    const now = new Date('2026-01-15T12:00:00Z');
+
+    test('should set completedAt when moving to completed', () => {
+      const data = buildStatusUpdate({ status: 'playing', completedAt: null }, 'completed', now);
+
+      expect(data).toEqual({ status: 'completed', completedAt: now });
+    });
+
+    test('should clear completedAt when moving away from completed', () => {
+      const data = buildStatusUpdate({ status: 'completed', completedAt: now }, 'playing', now);
+
+      expect(data).toEqual({ status: 'playing', completedAt: null });
+    });
+
+    test('should keep completedAt untouched for other transitions', () => {
+      const data = buildStatusUpdate({ status: 'wishlist', completedAt: null }, 'playing', now);
+
+      expect(data).toEqual({ status: 'playing' });
+    });
+  });
+
+  describe('updateGameWithStatus', () => {
+    const game = { id: 7, status: 'playing', completedAt: null };
+
+    test('should update the game and record the change', async () => {
+      mockPrismaGame.update.mockResolvedValue({ ...game, status: 'completed' });
+
+      const result = await updateGameWithStatus(game, { notes: 'Done' }, 'completed');
+
+      expect(mockPrismaGame.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { notes: 'Done', status: 'completed', completedAt: expect.any(Date) }
+      });
+      expect(mockPrismaGameStatusChange.create).toHaveBeenCalledWith({
+        data: { gameId: 7, fromStatus: 'playing', toStatus: 'completed' }
+      });
+      expect(result.status).toBe('completed');
+    });
+
+    test('should not record history when the status is unchanged', async () => {
+      mockPrismaGame.update.mockResolvedValue(game);
+
+      await updateGameWithStatus(game, { notes: 'Still going' }, 'playing');
+
+      expect(mockPrismaGameStatusChange.create).not.toHaveBeenCalled();
+    });
+
+    test('should not touch status when none is requested', async () => {
+      mockPrismaGame.update.mockResolvedValue(game);
+
+      await updateGameWithStatus(game, { notes: 'Hi' }, undefined);
+
+      expect(mockPrismaGame.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { notes: 'Hi' }
+      });
+    });
+
+    test('should reject disallowed transitions', async () => {
+      await expect(
+        updateGameWithStatus({ id: 1, status: 'completed' }, {}, 'wishlist')
+      ).rejects.toBeInstanceOf(InvalidStatusTransitionError);
+
+      expect(mockPrismaGame.update).not.toHaveBeenCalled();
+    });
+
+    test('should run directly on a transaction client', async () => {
+      const tx = {
+        game: { update: jest.fn().mockResolvedValue(game) },
+        gameStatusChange: { create: jest.fn() }
+      };
+
+      await updateGameWithStatus(game, {}, 'on_hold', tx);
+
+      expect(tx.game.update).toHaveBeenCalled();
+      expect(tx.gameStatusChange.create).toHaveBeenCalled();
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordInitialStatus', () => {
+    test('should record the status a game was added with', async () => {
+      const addedAt = new Date('2026-02-01T00:00:00Z');
+
+      await recordInitialStatus({ id: 3, status: 'wishlist', addedAt });
+
+      expect(mockPrismaGameStatusChange.create).toHaveBeenCalledWith({
+        data: { gameId: 3, fromStatus: null, toStatus: 'wishlist', changedAt: addedAt }
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for IGDB Release Dates
+ * Tests paging through release dates when a batch has more rows than one page
+ */
+import { jest } from '@jest/globals';
+
+// Mock axios; release dates only hit the API with credentials configured
+const mockIgdbApi = {
+  post: jest.fn()
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: { create: jest.fn(() => mockIgdbApi) }
+}));
+
+process.env.IGDB_CLIENT_ID = 'test-client-id';
+process.env.IGDB_ACCESS_TOKEN = 'test-access-token';
+
+const { getReleaseDates } = await import('../../services/igdb.js');
+
+const releaseRows = (count, startId) => Array.from({ length: count }, (_, i) => ({
+  id: startId + i,
+  game: 100 + (i % 2),
+  date: 1767225600,
+  category: 0,
+  human: '2026-Jan-01',
+  platform: { name: `Platform ${startId + i}` }
+}));
+
+describe('getReleaseDates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('keeps paging until IGDB returns a short page', async () => {
+    mockIgdbApi.post
+      .mockResolvedValueOnce({ data: releaseRows(500, 1) })
+      .mockResolvedValueOnce({ data: releaseRows(120, 501) });
+
+    const releases = await getReleaseDates([100, 101]);
+
+    expect(mockIgdbApi.post).toHaveBeenCalledTimes(2);
+    expect(mockIgdbApi.post.mock.calls[0][1]).toMatch(/limit 500;\s+offset 0;/);
+    expect(mockIgdbApi.post.mock.calls[1][1]).toMatch(/limit 500;\s+offset 500;/);
+    expect(releases).toHaveLength(620);
+    expect(releases[619]).toEqual({
+      gameId: 101,
+      platform: 'Platform 620',
+      date: new Date('2026-01-01T00:00:00Z'),
+      category: 0,
+      human: '2026-Jan-01'
+    });
+  });
+
+  it('asks for one more page when the last page is exactly full', async () => {
+    mockIgdbApi.post
+      .mockResolvedValueOnce({ data: releaseRows(500, 1) })
+      .mockResolvedValueOnce({ data: [] });
+
+    const releases = await getReleaseDates([100, 101]);
+
+    expect(mockIgdbApi.post).toHaveBeenCalledTimes(2);
+    expect(releases).toHaveLength(500);
+  });
+
+  it('fails rather than returning a partial list when a later page fails', async () => {
+    mockIgdbApi.post
+      .mockResolvedValueOnce({ data: releaseRows(500, 1) })
+      .mockRejectedValueOnce(Object.assign(new Error('Too many requests'), { response: { status: 429 } }));
+
+    await expect(getReleaseDates([100, 101])).rejects.toThrow('IGDB API rate limit exceeded');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for the Importer Registry
+ * Tests adapter registration, field helpers and the built-in tracker adapters
+ */
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {}
+}));
+
+const {
+  ImportFormatError,
+  registerImporter,
+  getImporter,
+  listImporters,
+  parseImport
+} = await import('../../importers/index.js');
+const { scaleRating, readPlaytime, readList } = await import('../../importers/helpers.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('Importer Registry', () => {
+  test('should list the built-in importers', () => {
+    expect(listImporters().map(importer => importer.id)).toEqual(['steam', 'grouvee', 'hltb', 'playnite']);
+    expect(getImporter('nope')).toBeNull();
+  });
+
+  test('should reject incomplete or duplicate importers', () => {
+    expect(() => registerImporter({ id: 'Bad Id', name: 'Bad', format: 'csv', parse: () => {} })).toThrow();
+    expect(() => registerImporter({ id: 'xml-thing', name: 'XML', format: 'xml', parse: () => {} })).toThrow();
+    expect(() => registerImporter({ id: 'steam', name: 'Steam', format: 'json', parse: () => {} })).toThrow('already registered');
+
+    registerImporter({ id: 'custom', name: 'Custom', format: 'json', parse: () => ({ entries: [], invalid: [] }) });
+    expect(getImporter('custom').name).toBe('Custom');
+  });
+
+  test('should convert ratings, playtime and lists', () => {
+    expect(scaleRating('80', 100)).toBe(4);
+    expect(scaleRating('7/10', 5)).toBe(3.5);
+    expect(scaleRating('0', 100)).toBeNull();
+    expect(scaleRating(3, 100)).toBe(1);
+    expect(readPlaytime('12:30:40')).toBe(751);
+    expect(readPlaytime(7200, 'seconds')).toBe(120);
+    expect(readList('{"PC": {}, "Switch": {}}')).toEqual(['PC', 'Switch']);
+    expect(readList([{ Name: 'RPG' }, 'RPG', ' Action '])).toEqual(['RPG', 'Action']);
+  });
+
+  test('should suggest a status for Steam entries from playtime', () => {
+    const { entries } = parseImport(getImporter('steam'), '{"games":[{"appid":620,"name":"Portal 2","playtime_forever":0}]}', now);
+    expect(entries[0]).toMatchObject({ externalId: '620', name: 'Portal 2', status: 'wishlist' });
+  });
+
+  test('should read a Grouvee export', () => {
+    const csv = [
+      'id,name,shelves,platforms,rating,review,dates,genres,giantbomb_id',
+      '1,Hades,"{""Played"": {""date_added"": ""2021-02-01T10:00:00Z""}, ""Backlog"": {""date_added"": ""2020-10-01T10:00:00Z""}}","{""PC"": {}}",4,So good,"[{""date_started"": ""2021-01-01"", ""date_finished"": ""2021-03-01"", ""seconds_played"": 90000}]","{""Roguelike"": {}}",73626',
+      '2,,"{}",,,,,,'
+    ].join('\n');
+
+    const { entries, invalid } = parseImport(getImporter('grouvee'), csv, now);
+
+    expect(entries).toEqual([expect.objectContaining({
+      row: 2,
+      externalId: '73626',
+      name: 'Hades',
+      status: 'completed',
+      userRating: 4,
+      notes: 'So good',
+      platforms: ['PC'],
+      genres: ['Roguelike'],
+      addedAt: new Date('2020-10-01T10:00:00Z'),
+      completedAt: new Date('2021-03-01'),
+      playtimeMinutes: 1500
+    })]);
+    expect(invalid).toEqual([{ row: 3, externalId: '2', error: 'Missing game name' }]);
+  });
+
+  test('should read a HowLongToBeat export', () => {
+    const csv = [
+      'Title,Platform,Playing,Backlog,Completed,Retired,Review,Progress,Added,Notes',
+      'Celeste,Switch,,,2024-05-01,,90,10:15:00,2024-01-10,Strawberries',
+      'Anthem,PC,,,,X,,,,',
+      'Elden Ring,PC,,X,,,,,,'
+    ].join('\n');
+
+    const { entries } = parseImport(getImporter('hltb'), csv, now);
+
+    expect(entries.map(entry => [entry.name, entry.status])).toEqual([
+      ['Celeste', 'completed'],
+      ['Anthem', 'dropped'],
+      ['Elden Ring', 'wishlist']
+    ]);
+    expect(entries[0]).toMatchObject({
+      userRating: 4.5,
+      platforms: ['Switch'],
+      playtimeMinutes: 615,
+      completedAt: new Date('2024-05-01'),
+      addedAt: new Date('2024-01-10'),
+      notes: 'Strawberries'
+    });
+  });
+
+  test('should read a Playnite export and reject other shapes', () => {
+    const { entries } = parseImport(getImporter('playnite'), [{
+      Id: 'abc',
+      Name: 'Hollow Knight',
+      CompletionStatus: { Name: 'On Hold' },
+      UserScore: 100,
+      Playtime: 36000,
+      Platforms: [{ Name: 'PC (Windows)' }],
+      Added: '2023-06-01T00:00:00Z'
+    }], now);
+
+    expect(entries[0]).toMatchObject({
+      externalId: 'abc',
+      status: 'on_hold',
+      userRating: 5,
+      playtimeMinutes: 600,
+      platforms: ['PC (Windows)'],
+      addedAt: new Date('2023-06-01T00:00:00Z')
+    });
+
+    expect(() => parseImport(getImporter('playnite'), '{"library": {}}')).toThrow(ImportFormatError);
+    expect(() => parseImport(getImporter('grouvee'), { games: [] })).toThrow(ImportFormatError);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for Library CSV Import/Export
+ * Tests column export, mapping, row validation and the duplicate policy
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database; the transaction client is the same mock
+const mockTx = {
+  game: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  gameStatusChange: {
+    create: jest.fn()
+  },
+  playSession: {
+    create: jest.fn()
+  },
+  tag: {
+    upsert: jest.fn()
+  },
+  gameTag: {
+    deleteMany: jest.fn(),
+    upsert: jest.fn()
+  }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    ...mockTx,
+    $transaction: jest.fn(callback => callback(mockTx))
+  }
+}));
+
+const {
+  buildLibraryCsv,
+  autoMapColumns,
+  readImportRow,
+  readImportRows
+} = await import('../../utils/libraryCsv.js');
+const { importLibraryGames, summarizeImport } = await import('../../utils/libraryImport.js');
+const { parseCsv } = await import('../../utils/csv.js');
+
+describe('Library CSV', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should export the chosen columns with list and date cells', () => {
+    const csv = buildLibraryCsv([{
+      igdbId: 1942,
+      name: 'The Witcher 3',
+      status: 'completed',
+      genres: '["RPG","Adventure"]',
+      completedAt: new Date('2026-03-01T10:00:00Z'),
+      tags: [{ tag: { name: 'favorites' } }],
+      minutesPlayed: 6000
+    }], ['igdbId', 'name', 'genres', 'completedAt', 'tags', 'minutesPlayed']);
+
+    expect(parseCsv(csv)).toEqual([
+      ['igdbId', 'name', 'genres', 'completedAt', 'tags', 'minutesPlayed'],
+      ['1942', 'The Witcher 3', 'RPG; Adventure', '2026-03-01', 'favorites', '6000']
+    ]);
+  });
+
+  test('should map headers by name and common aliases', () => {
+    expect(autoMapColumns(['IGDB ID', 'Title', 'My Rating', 'Platform', 'Unknown'])).toEqual({
+      igdbId: 'IGDB ID',
+      name: 'Title',
+      userRating: 'My Rating',
+      platforms: 'Platform'
+    });
+  });
+
+  test('should validate cells and leave empty cells out', () => {
+    expect(readImportRow({ igdbId: '72', name: 'Portal 2', status: 'On Hold', notes: '', genres: 'Puzzle; Platform' })).toEqual({
+      item: { igdbId: 72, name: 'Portal 2', status: 'on_hold', genres: ['Puzzle', 'Platform'] },
+      errors: []
+    });
+
+    const { errors } = readImportRow({ igdbId: 'abc', status: 'finished?', userRating: '9', releaseDate: 'soon' });
+    expect(errors).toEqual([
+      'igdbId must be a positive whole number',
+      'Unknown status "finished?"',
+      'userRating must be a number between 1 and 5',
+      'releaseDate is not a valid date'
+    ]);
+  });
+
+  test('should number rows as a spreadsheet does', () => {
+    const rows = readImportRows(['id', 'title'], [['1', 'A'], ['', 'B']], { igdbId: 'id', name: 'title' });
+    expect(rows.map(row => row.row)).toEqual([2, 3]);
+    expect(rows[1].errors).toEqual(['igdbId is required']);
+  });
+
+  describe('duplicate policy', () => {
+    const existing = { id: 5, userId: 1, igdbId: 72, status: 'playing', completedAt: null };
+
+    beforeEach(() => {
+      mockTx.game.findMany.mockResolvedValue([existing]);
+      mockTx.game.update.mockImplementation(({ where, data }) => Promise.resolve({ ...existing, id: where.id, ...data }));
+      mockTx.game.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, addedAt: new Date(), ...data }));
+    });
+
+    test('should skip existing games by default and flag repeated rows', async () => {
+      const results = await importLibraryGames(1, [
+        { igdbId: 72, name: 'Portal 2' },
+        { igdbId: 100, name: 'Hades' },
+        { igdbId: 100, name: 'Hades again' }
+      ]);
+
+      expect(results.map(result => result.action)).toEqual(['skip', 'create', 'error']);
+      expect(results[2].error).toBe('Duplicate of an earlier row');
+      expect(summarizeImport(results)).toEqual({ created: 1, updated: 0, skipped: 1, failed: 1 });
+    });
+
+    test('should only report actions on a dry run', async () => {
+      const results = await importLibraryGames(1, [
+        { igdbId: 72, status: 'completed', userRating: 5 },
+        { igdbId: 100 }
+      ], { onDuplicate: 'update', dryRun: true });
+
+      expect(results).toEqual([
+        { index: 0, igdbId: 72, action: 'update', success: true, gameId: 5 },
+        { index: 1, igdbId: 100, action: 'error', success: false, error: 'A name is required to add a new game' }
+      ]);
+      expect(mockTx.game.update).not.toHaveBeenCalled();
+      expect(mockTx.game.create).not.toHaveBeenCalled();
+    });
+
+    test('should update only the fields present on the row', async () => {
+      const results = await importLibraryGames(1, [{ igdbId: 72, status: 'completed', userRating: 5 }], { onDuplicate: 'update' });
+
+      expect(results[0]).toMatchObject({ action: 'update', success: true, gameId: 5 });
+      expect(mockTx.game.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: expect.objectContaining({ userRating: 5, status: 'completed' })
+      });
+      expect(mockTx.game.update.mock.calls[0][0].data).not.toHaveProperty('name');
+      expect(mockTx.gameStatusChange.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report a status the existing game cannot move to', async () => {
+      mockTx.game.findMany.mockResolvedValue([{ ...existing, status: 'completed' }]);
+
+      const results = await importLibraryGames(1, [{ igdbId: 72, status: 'wishlist' }], { onDuplicate: 'update' });
+
+      expect(results[0]).toMatchObject({
+        action: 'error',
+        success: false,
+        error: 'Cannot change status from completed to wishlist'
+      });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for Library Statistics
+ * Tests monthly timelines, breakdowns and time-to-complete summaries
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrisma = {
+  game: { findMany: jest.fn() },
+  gameStatusChange: { findMany: jest.fn() }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+const {
+  monthRange,
+  statusAt,
+  buildTimeline,
+  releaseDecade,
+  buildBreakdown,
+  summarizeTimeToComplete,
+  getLibraryStats
+} = await import('../../utils/libraryStats.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('Library Statistics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('monthRange', () => {
+    test('should list months oldest first ending with the current month, across years', () => {
+      expect(monthRange(3, new Date('2026-01-15T00:00:00Z'))).toEqual(['2025-11', '2025-12', '2026-01']);
+    });
+  });
+
+  describe('statusAt', () => {
+    const game = { id: 1, status: 'completed', addedAt: '2026-06-10T00:00:00Z' };
+    const changes = [
+      { fromStatus: null, toStatus: 'wishlist', changedAt: '2026-06-10T00:00:00Z' },
+      { fromStatus: 'wishlist', toStatus: 'playing', changedAt: '2026-08-01T00:00:00Z' },
+      { fromStatus: 'playing', toStatus: 'completed', changedAt: '2026-09-20T00:00:00Z' }
+    ];
+
+    test('should replay status history up to a point in time', () => {
+      expect(statusAt(game, changes, new Date('2026-06-01T00:00:00Z'))).toBeNull();
+      expect(statusAt(game, changes, new Date('2026-07-01T00:00:00Z'))).toBe('wishlist');
+      expect(statusAt(game, changes, new Date('2026-09-01T00:00:00Z'))).toBe('playing');
+      expect(statusAt(game, changes, new Date('2026-10-01T00:00:00Z'))).toBe('completed');
+    });
+
+    test('should use the first change\'s previous status for games added before history began', () => {
+      const legacy = [{ fromStatus: 'want_to_play', toStatus: 'playing', changedAt: '2026-08-01T00:00:00Z' }];
+      expect(statusAt({ ...game, addedAt: '2025-01-01T00:00:00Z' }, legacy, new Date('2026-07-01T00:00:00Z'))).toBe('wishlist');
+      expect(statusAt({ ...game, addedAt: '2025-01-01T00:00:00Z' }, [], new Date('2026-07-01T00:00:00Z'))).toBe('completed');
+    });
+  });
+
+  describe('buildTimeline', () => {
+    test('should count additions, completions and month-end backlog size', () => {
+      const games = [
+        { id: 1, status: 'completed', addedAt: '2026-08-05T00:00:00Z', completedAt: '2026-10-02T00:00:00Z' },
+        { id: 2, status: 'wishlist', addedAt: '2026-09-15T00:00:00Z', completedAt: null },
+        // No history: completedAt stands in for the completion event
+        { id: 3, status: 'completed', addedAt: '2026-01-01T00:00:00Z', completedAt: '2026-09-03T00:00:00Z' }
+      ];
+      const changes = [
+        { gameId: 1, fromStatus: 'playing', toStatus: 'completed', changedAt: '2026-10-02T00:00:00Z' },
+        { gameId: 1, fromStatus: null, toStatus: 'playing', changedAt: '2026-08-05T00:00:00Z' },
+        { gameId: 2, fromStatus: null, toStatus: 'wishlist', changedAt: '2026-09-15T00:00:00Z' }
+      ];
+
+      expect(buildTimeline(games, changes, { months: 3, now })).toEqual([
+        { month: '2026-08', added: 1, completed: 0, backlog: 1 },
+        { month: '2026-09', added: 1, completed: 1, backlog: 2 },
+        { month: '2026-10', added: 0, completed: 1, backlog: 1 }
+      ]);
+    });
+  });
+
+  describe('buildBreakdown', () => {
+    const games = [
+      { status: 'completed', userRating: 4, genres: ['RPG', 'Adventure'] },
+      { status: 'playing', userRating: 5, genres: ['RPG'] },
+      { status: 'wishlist', userRating: null, genres: [] },
+      { status: 'dropped', userRating: 2, genres: ['Puzzle'] }
+    ];
+
+    test('should count each value a game has and average user ratings', () => {
+      expect(buildBreakdown(games, game => game.genres)).toEqual([
+        { key: 'RPG', count: 2, completed: 1, averageRating: 4.5 },
+        { key: 'Adventure', count: 1, completed: 1, averageRating: 4 },
+        { key: 'Puzzle', count: 1, completed: 0, averageRating: 2 },
+        { key: 'Unknown', count: 1, completed: 0, averageRating: null }
+      ]);
+    });
+
+    test('should fold buckets past the limit into Other', () => {
+      const breakdown = buildBreakdown(games, game => game.genres, { limit: 2 });
+      expect(breakdown.map(bucket => bucket.key)).toEqual(['RPG', 'Adventure', 'Other']);
+      expect(breakdown[2]).toEqual({ key: 'Other', count: 2, completed: 0, averageRating: 2 });
+    });
+
+    test('should label release decades', () => {
+      expect(releaseDecade('1998-12-01T00:00:00Z')).toBe('1990s');
+      expect(releaseDecade(null)).toBeNull();
+    });
+  });
+
+  describe('summarizeTimeToComplete', () => {
+    test('should report average and median days from added to completed', () => {
+      expect(summarizeTimeToComplete([
+        { addedAt: '2026-01-01T00:00:00Z', completedAt: '2026-01-11T00:00:00Z' },
+        { addedAt: '2026-01-01T00:00:00Z', completedAt: '2026-01-03T00:00:00Z' },
+        { addedAt: '2026-01-01T00:00:00Z', completedAt: '2026-02-01T00:00:00Z' },
+        { addedAt: '2026-01-01T00:00:00Z', completedAt: null }
+      ])).toEqual({ count: 3, averageDays: 14.3, medianDays: 10 });
+
+      expect(summarizeTimeToComplete([])).toEqual({ count: 0, averageDays: null, medianDays: null });
+    });
+  });
+
+  describe('getLibraryStats', () => {
+    test('should read the library and status history of one user', async () => {
+      mockPrisma.game.findMany.mockResolvedValue([
+        {
+          id: 1,
+          status: 'completed',
+          userRating: 5,
+          addedAt: new Date('2026-10-01T00:00:00Z'),
+          completedAt: new Date('2026-10-11T00:00:00Z'),
+          releaseDate: new Date('2004-03-01T00:00:00Z'),
+          genres: '["Shooter"]',
+          platforms: '["PC"]',
+          developer: 'Valve'
+        }
+      ]);
+      mockPrisma.gameStatusChange.findMany.mockResolvedValue([]);
+
+      const stats = await getLibraryStats(7, { months: 2, now });
+
+      expect(mockPrisma.game.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7 } }));
+      expect(mockPrisma.gameStatusChange.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { game: { userId: 7 } } }));
+      expect(stats.timeline).toEqual([
+        { month: '2026-09', added: 0, completed: 0, backlog: 0 },
+        { month: '2026-10', added: 1, completed: 1, backlog: 0 }
+      ]);
+      expect(stats.breakdowns.genre).toEqual([{ key: 'Shooter', count: 1, completed: 1, averageRating: 5 }]);
+      expect(stats.breakdowns.platform[0].key).toBe('PC');
+      expect(stats.breakdowns.developer[0].key).toBe('Valve');
+      expect(stats.breakdowns.decade[0].key).toBe('2000s');
+      expect(stats.timeToComplete).toEqual({ count: 1, averageDays: 10, medianDays: 10 });
+    });
+  });
+});
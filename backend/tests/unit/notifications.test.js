@@ -0,0 +1,239 @@
+/**
+ * Unit Tests for Notification Utilities
+ * Tests preference handling, deduplication, the release-day producer, read state and email unsubscribe
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrisma = {
+  user: { findUnique: jest.fn(), update: jest.fn() },
+  game: { findMany: jest.fn() },
+  notification: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn()
+  }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_RETENTION_DAYS,
+  readNotificationPreferences,
+  formatNotification,
+  notify,
+  notifyNewSignIn,
+  notifyReleaseDateChanged,
+  notifyReleasesToday,
+  listNotifications,
+  markNotifications,
+  cleanupNotifications,
+  unsubscribeFromEmail
+} = await import('../../utils/notifications.js');
+
+const now = new Date('2026-10-19T05:00:00Z');
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const preferences = (notifications) => JSON.stringify({ notifications });
+
+describe('Notification Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.user.findUnique.mockResolvedValue({ preferences: null });
+    mockPrisma.notification.findUnique.mockResolvedValue(null);
+    mockPrisma.notification.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+  });
+
+  describe('readNotificationPreferences', () => {
+    it('defaults every flag to on', () => {
+      expect(readNotificationPreferences(null)).toEqual({ gameUpdates: true, achievements: true, system: true, email: true });
+      expect(readNotificationPreferences('not json')).toEqual({ gameUpdates: true, achievements: true, system: true, email: true });
+    });
+
+    it('reads flags that were turned off', () => {
+      expect(readNotificationPreferences(preferences({ gameUpdates: false })))
+        .toEqual({ gameUpdates: false, achievements: true, system: true, email: true });
+    });
+  });
+
+  describe('unsubscribeFromEmail', () => {
+    it('turns off the email flag and keeps other preferences', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({
+        preferences: JSON.stringify({ theme: 'x', notifications: { gameUpdates: false } })
+      });
+
+      await expect(unsubscribeFromEmail(7)).resolves.toBe(true);
+
+      const { where, data } = mockPrisma.user.update.mock.calls[0][0];
+      expect(where).toEqual({ id: 7 });
+      expect(JSON.parse(data.preferences)).toEqual({
+        theme: 'x',
+        notifications: { gameUpdates: false, email: false }
+      });
+    });
+
+    it('returns false for an unknown user', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(null);
+
+      await expect(unsubscribeFromEmail(7)).resolves.toBe(false);
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notify', () => {
+    it('creates a notification when the preference is on', async () => {
+      const created = await notify(7, {
+        type: NOTIFICATION_TYPES.METADATA_CHANGE,
+        title: 'Fable was delayed',
+        data: { field: 'releaseDate' }
+      });
+
+      expect(created).toMatchObject({ userId: 7, type: 'metadata_change', data: '{"field":"releaseDate"}' });
+    });
+
+    it('skips types whose preference is off', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ preferences: preferences({ system: false }) });
+
+      expect(await notify(7, { type: NOTIFICATION_TYPES.SECURITY, title: 'New sign-in' })).toBeNull();
+      expect(await notify(7, { type: NOTIFICATION_TYPES.RELEASE_DAY, title: 'Out today' })).not.toBeNull();
+      expect(mockPrisma.notification.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('notifies a deduplicated event only once', async () => {
+      mockPrisma.notification.findUnique.mockResolvedValue({ id: 3 });
+
+      expect(await notify(7, { type: NOTIFICATION_TYPES.SECURITY, title: 'New sign-in', dedupeKey: 'sign_in:abc' })).toBeNull();
+      expect(mockPrisma.notification.findUnique).toHaveBeenCalledWith({
+        where: { userId_dedupeKey: { userId: 7, dedupeKey: 'sign_in:abc' } },
+        select: { id: true }
+      });
+      expect(mockPrisma.notification.create).not.toHaveBeenCalled();
+    });
+
+    it('never throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockPrisma.notification.create.mockRejectedValue(new Error('database is locked'));
+
+      await expect(notify(7, { type: NOTIFICATION_TYPES.SECURITY, title: 'New sign-in' })).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('producers', () => {
+    it('keys sign-ins on the browser', async () => {
+      await notifyNewSignIn(7, 'Firefox');
+      await notifyNewSignIn(7, 'Safari');
+
+      const keys = mockPrisma.notification.create.mock.calls.map(([{ data }]) => data.dedupeKey);
+      expect(keys[0]).toMatch(/^sign_in:[a-f0-9]{16}$/);
+      expect(keys[0]).not.toBe(keys[1]);
+    });
+
+    it('describes a delayed release', async () => {
+      const created = await notifyReleaseDateChanged(
+        { id: 4, userId: 7, name: 'Fable' }, day('2026-11-01'), day('2027-03-01'), mockPrisma
+      );
+
+      expect(created).toMatchObject({
+        gameId: 4,
+        title: 'Fable was delayed',
+        body: 'Release date moved from 2026-11-01 to 2027-03-01',
+        dedupeKey: 'metadata_change:4:releaseDate:2027-03-01'
+      });
+    });
+
+    it('notifies games releasing today with an exact date only', async () => {
+      mockPrisma.game.findMany.mockResolvedValue([
+        {
+          id: 1, userId: 7, name: 'Hades II', releaseDate: day('2026-10-19'),
+          releaseDates: [
+            { platform: 'PC', date: day('2026-10-19'), precision: 'day' },
+            { platform: 'Switch', date: day('2026-10-19'), precision: 'day' }
+          ]
+        },
+        {
+          id: 2, userId: 7, name: 'Judas', releaseDate: day('2026-10-19'),
+          releaseDates: [{ platform: 'PC', date: day('2026-10-19'), precision: 'quarter' }]
+        },
+        { id: 3, userId: 8, name: 'Fable', releaseDate: day('2026-10-19'), releaseDates: [] }
+      ]);
+
+      const created = await notifyReleasesToday(now, mockPrisma);
+
+      expect(created).toBe(2);
+      expect(mockPrisma.game.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          releaseDate: { gte: day('2026-10-19'), lt: day('2026-10-20') },
+          status: { notIn: ['completed', 'dropped'] }
+        }
+      }));
+      expect(mockPrisma.notification.create.mock.calls[0][0].data).toMatchObject({
+        title: 'Hades II is out today',
+        body: 'Available on PC, Switch',
+        dedupeKey: 'release_day:1:2026-10-19'
+      });
+    });
+  });
+
+  describe('listNotifications', () => {
+    it('returns a page, newest first, with the unread count', async () => {
+      mockPrisma.notification.findMany.mockResolvedValue([
+        { id: 9, type: 'security', title: 'A', body: null, gameId: null, data: null, readAt: null, createdAt: now },
+        { id: 8, type: 'security', title: 'B', body: null, gameId: null, data: null, readAt: now, createdAt: now }
+      ]);
+      mockPrisma.notification.count.mockResolvedValue(1);
+
+      const page = await listNotifications(7, { limit: 1, before: 10 }, mockPrisma);
+
+      expect(mockPrisma.notification.findMany).toHaveBeenCalledWith({
+        where: { userId: 7, id: { lt: 10 } },
+        orderBy: { id: 'desc' },
+        take: 2
+      });
+      expect(page).toEqual({
+        notifications: [formatNotification({ id: 9, type: 'security', title: 'A', body: null, gameId: null, data: null, readAt: null, createdAt: now })],
+        unreadCount: 1,
+        hasMore: true
+      });
+      expect(page.notifications[0].read).toBe(false);
+    });
+  });
+
+  describe('markNotifications', () => {
+    it('marks only the given unread notifications of the user', async () => {
+      mockPrisma.notification.updateMany.mockResolvedValue({ count: 2 });
+
+      expect(await markNotifications(7, [1, 2], true, now, mockPrisma)).toBe(2);
+      expect(mockPrisma.notification.updateMany).toHaveBeenCalledWith({
+        where: { userId: 7, id: { in: [1, 2] }, readAt: null },
+        data: { readAt: now }
+      });
+    });
+
+    it('marks everything unread again', async () => {
+      mockPrisma.notification.updateMany.mockResolvedValue({ count: 5 });
+
+      await markNotifications(7, null, false, now, mockPrisma);
+      expect(mockPrisma.notification.updateMany).toHaveBeenCalledWith({
+        where: { userId: 7, readAt: { not: null } },
+        data: { readAt: null }
+      });
+    });
+  });
+
+  describe('cleanupNotifications', () => {
+    it('removes notifications past the retention period', async () => {
+      mockPrisma.notification.deleteMany.mockResolvedValue({ count: 4 });
+
+      expect(await cleanupNotifications(now, mockPrisma)).toBe(4);
+      expect(mockPrisma.notification.deleteMany).toHaveBeenCalledWith({
+        where: { createdAt: { lt: new Date(now.getTime() - NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000) } }
+      });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for Ownership Utilities
+ * Tests price handling, ownership input and the spend report
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrisma = {
+  gameOwnership: { findMany: jest.fn() },
+  playSession: { groupBy: jest.fn() },
+  game: { findMany: jest.fn() },
+  gameStatusChange: { groupBy: jest.fn() }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+const {
+  OwnershipError,
+  toCents,
+  fromCents,
+  normalizeCurrency,
+  buildOwnershipData,
+  buildSpendReport,
+  getSpendReport
+} = await import('../../utils/ownership.js');
+
+const game = (id, name, status) => ({ id, name, coverUrl: null, status });
+
+const ownerships = [
+  // Played: has sessions
+  { gameId: 1, game: game(1, 'Elden Ring', 'completed'), platform: 'PS5', format: 'physical', storefront: 'Retail', purchasedAt: new Date('2025-02-25T00:00:00Z'), priceCents: 6999, currency: 'USD' },
+  // Never started, bought twice
+  { gameId: 2, game: game(2, 'Starfield', 'wishlist'), platform: 'PC', format: 'digital', storefront: 'Steam', purchasedAt: new Date('2025-09-06T00:00:00Z'), priceCents: 6999, currency: 'USD' },
+  { gameId: 2, game: game(2, 'Starfield', 'wishlist'), platform: 'Xbox Series X', format: 'digital', storefront: null, purchasedAt: new Date('2026-01-10T00:00:00Z'), priceCents: 1999, currency: 'USD' },
+  // Dropped without ever being played
+  { gameId: 3, game: game(3, 'Hades', 'dropped'), platform: 'Switch', format: 'digital', storefront: 'eShop', purchasedAt: null, priceCents: 2499, currency: 'EUR' },
+  // Dropped after playing
+  { gameId: 4, game: game(4, 'Anthem', 'dropped'), platform: 'PC', format: 'digital', storefront: 'Steam', purchasedAt: new Date('2026-03-01T00:00:00Z'), priceCents: 999, currency: 'USD' },
+  // No price
+  { gameId: 5, game: game(5, 'Gift', 'playing'), platform: 'PC', format: 'digital', storefront: 'Steam', purchasedAt: null, priceCents: null, currency: null }
+];
+
+describe('Ownership Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('prices and currencies', () => {
+    test('should store prices in minor units', () => {
+      expect(toCents('59.99')).toBe(5999);
+      expect(toCents(0.1 + 0.2)).toBe(30);
+      expect(toCents(null)).toBeNull();
+      expect(fromCents(5999)).toBe(59.99);
+      expect(fromCents(null)).toBeNull();
+    });
+
+    test('should normalize currency codes', () => {
+      expect(normalizeCurrency(' eur ')).toBe('EUR');
+      expect(normalizeCurrency('euro')).toBeNull();
+      expect(normalizeCurrency(null)).toBeNull();
+    });
+  });
+
+  describe('buildOwnershipData', () => {
+    test('should map request fields to stored fields', () => {
+      expect(buildOwnershipData({
+        platform: ' PS5 ',
+        format: 'physical',
+        storefront: '',
+        purchasedAt: '2025-02-25',
+        price: 69.99,
+        currency: 'usd'
+      })).toEqual({
+        platform: 'PS5',
+        format: 'physical',
+        storefront: null,
+        purchasedAt: new Date('2025-02-25'),
+        priceCents: 6999,
+        currency: 'USD'
+      });
+    });
+
+    test('should require a currency with a price, including one already stored', () => {
+      expect(() => buildOwnershipData({ platform: 'PC', format: 'digital', price: 10 })).toThrow(OwnershipError);
+      expect(buildOwnershipData({ price: 12 }, { priceCents: 1000, currency: 'GBP' })).toEqual({ priceCents: 1200 });
+    });
+
+    test('should clear the currency when the price is cleared', () => {
+      expect(buildOwnershipData({ price: null }, { priceCents: 1000, currency: 'GBP' })).toEqual({ priceCents: null, currency: null });
+    });
+  });
+
+  describe('buildSpendReport', () => {
+    const report = buildSpendReport(ownerships, new Set([1, 4]));
+
+    test('should total spend and never-started spend per currency', () => {
+      expect(report.totals).toEqual([
+        { currency: 'USD', spent: 169.96, purchases: 4, neverStarted: 89.98, neverStartedPurchases: 2 },
+        { currency: 'EUR', spent: 24.99, purchases: 1, neverStarted: 24.99, neverStartedPurchases: 1 }
+      ]);
+      expect(report.unpriced).toBe(1);
+    });
+
+    test('should list never-started games with what was spent on them', () => {
+      expect(report.neverStarted).toEqual([
+        { id: 2, name: 'Starfield', coverUrl: null, status: 'wishlist', spent: [{ currency: 'USD', spent: 89.98 }] },
+        { id: 3, name: 'Hades', coverUrl: null, status: 'dropped', spent: [{ currency: 'EUR', spent: 24.99 }] }
+      ]);
+    });
+
+    test('should break spend down by storefront, format and year', () => {
+      expect(report.byStorefront[0]).toEqual({ storefront: 'Steam', currency: 'USD', spent: 79.98, purchases: 2 });
+      expect(report.byStorefront).toContainEqual({ storefront: 'Unknown', currency: 'USD', spent: 19.99, purchases: 1 });
+      expect(report.byFormat).toContainEqual({ format: 'physical', currency: 'USD', spent: 69.99, purchases: 1 });
+      expect(report.byYear.map(row => [row.year, row.currency])).toEqual([[2026, 'USD'], [2025, 'USD'], [null, 'EUR']]);
+    });
+  });
+
+  describe('getSpendReport', () => {
+    test('should treat games with sessions or a started status in their history as started', async () => {
+      mockPrisma.gameOwnership.findMany.mockResolvedValue(ownerships);
+      mockPrisma.playSession.groupBy.mockResolvedValue([{ gameId: 4 }]);
+      mockPrisma.game.findMany.mockResolvedValue([]);
+      mockPrisma.gameStatusChange.groupBy.mockResolvedValue([{ gameId: 2 }]);
+
+      const purchasedAt = { gte: new Date('2025-01-01') };
+      const report = await getSpendReport(7, purchasedAt);
+
+      expect(mockPrisma.gameOwnership.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7, purchasedAt } }));
+      expect(report.neverStarted.map(entry => entry.name)).toEqual(['Hades']);
+    });
+
+    test('should treat games with imported playtime as started', async () => {
+      mockPrisma.gameOwnership.findMany.mockResolvedValue(ownerships);
+      mockPrisma.playSession.groupBy.mockResolvedValue([{ gameId: 4 }]);
+      mockPrisma.game.findMany.mockResolvedValue([{ id: 3 }]);
+      mockPrisma.gameStatusChange.groupBy.mockResolvedValue([{ gameId: 2 }]);
+
+      const report = await getSpendReport(7);
+
+      expect(mockPrisma.game.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7, importedMinutes: { gt: 0 } } }));
+      expect(report.neverStarted).toEqual([]);
+    });
+  });
+});
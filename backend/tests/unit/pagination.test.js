@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for Cursor Pagination Utilities
+ * Walks an in-memory library page by page using the generated where/orderBy
+ */
+import {
+  encodeCursor,
+  decodeCursor,
+  buildOrderBy,
+  buildKeysetCondition,
+  planPage,
+  buildPage,
+  pageInMemory,
+  InvalidCursorError
+} from '../../utils/pagination.js';
+
+// Minimal evaluator for the Prisma conditions produced by the pagination helpers
+const compare = (a, b) => (a instanceof Date ? a.getTime() - b.getTime() : a < b ? -1 : a > b ? 1 : 0);
+
+const matchesField = (value, condition) => {
+  if (condition === null) return value === null;
+  if (condition instanceof Date || typeof condition !== 'object') {
+    return value !== null && compare(value, condition) === 0;
+  }
+  if ('not' in condition) return value !== null;
+  if ('gt' in condition) return value !== null && compare(value, condition.gt) > 0;
+  if ('lt' in condition) return value !== null && compare(value, condition.lt) < 0;
+  throw new Error(`Unsupported condition ${JSON.stringify(condition)}`);
+};
+
+const matches = (row, where) => {
+  if (!where) return true;
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some(inner => matches(row, inner));
+    if (key === 'AND') return condition.every(inner => matches(row, inner));
+    return matchesField(row[key], condition);
+  });
+};
+
+const sortRows = (rows, orderBy) => [...rows].sort((a, b) => {
+  for (const clause of orderBy) {
+    const [field, spec] = Object.entries(clause)[0];
+    const direction = typeof spec === 'string' ? spec : spec.sort;
+    const nulls = typeof spec === 'string' ? 'last' : spec.nulls;
+    const av = a[field];
+    const bv = b[field];
+    if (av === null && bv === null) continue;
+    if (av === null) return nulls === 'first' ? -1 : 1;
+    if (bv === null) return nulls === 'first' ? 1 : -1;
+    const diff = compare(av, bv);
+    if (diff !== 0) return direction === 'asc' ? diff : -diff;
+  }
+  return 0;
+});
+
+const fetchPage = (rows, options) => {
+  const plan = planPage(options);
+  const selected = sortRows(rows.filter(row => matches(row, plan.where)), plan.orderBy).slice(0, plan.take);
+  return buildPage(selected, { ...options, reverse: plan.reverse });
+};
+
+const library = [
+  { id: 1, name: 'Hades', userRating: 5, addedAt: new Date('2026-01-01') },
+  { id: 2, name: 'Celeste', userRating: null, addedAt: new Date('2026-01-02') },
+  { id: 3, name: 'Tunic', userRating: 4, addedAt: new Date('2026-01-02') },
+  { id: 4, name: 'Inside', userRating: null, addedAt: new Date('2026-01-03') },
+  { id: 5, name: 'Outer Wilds', userRating: 5, addedAt: new Date('2026-01-04') },
+  { id: 6, name: 'Braid', userRating: 4, addedAt: new Date('2026-01-05') },
+  { id: 7, name: 'Limbo', userRating: null, addedAt: new Date('2026-01-05') }
+];
+
+const walkForward = (options) => {
+  const ids = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = fetchPage(library, { ...options, cursor });
+    ids.push(...page.items.map(row => row.id));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor && pages < 20);
+  return ids;
+};
+
+describe('Cursor Pagination Utilities', () => {
+  describe('cursor encoding', () => {
+    test('should round-trip cursor payloads', () => {
+      const payload = { s: 'name', o: 'asc', n: 'last', v: 'Hades', id: 1, d: 'next' };
+      expect(decodeCursor(encodeCursor(payload))).toEqual(payload);
+    });
+
+    test('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow(InvalidCursorError);
+      expect(() => decodeCursor(encodeCursor({ id: 1 }))).toThrow(InvalidCursorError);
+    });
+  });
+
+  describe('buildOrderBy', () => {
+    test('should add the id tiebreaker and null ordering for nullable fields', () => {
+      expect(buildOrderBy('userRating', 'desc', 'last')).toEqual([
+        { userRating: { sort: 'desc', nulls: 'last' } },
+        { id: 'desc' }
+      ]);
+      expect(buildOrderBy('name', 'asc', 'last')).toEqual([{ name: 'asc' }, { id: 'asc' }]);
+    });
+  });
+
+  describe('buildKeysetCondition', () => {
+    test('should include trailing nulls after a non-null value when nulls sort last', () => {
+      expect(buildKeysetCondition('userRating', 'desc', 'last', 4, 3)).toEqual({
+        OR: [
+          { userRating: { lt: 4 } },
+          { userRating: 4, id: { lt: 3 } },
+          { userRating: null }
+        ]
+      });
+    });
+  });
+
+  describe('walking pages', () => {
+    test('should visit every row once with a stable order on ties', () => {
+      expect(walkForward({ sort: 'addedAt', order: 'desc', nulls: 'last', limit: 2 }))
+        .toEqual([7, 6, 5, 4, 3, 2, 1]);
+    });
+
+    test('should place null ratings last or first as requested', () => {
+      expect(walkForward({ sort: 'userRating', order: 'desc', nulls: 'last', limit: 2 }))
+        .toEqual([5, 1, 6, 3, 7, 4, 2]);
+      expect(walkForward({ sort: 'userRating', order: 'asc', nulls: 'first', limit: 3 }))
+        .toEqual([2, 4, 7, 3, 6, 1, 5]);
+    });
+
+    test('should not skip or repeat rows when a game is added mid-walk', () => {
+      const options = { sort: 'addedAt', order: 'desc', nulls: 'last', limit: 3 };
+      const first = fetchPage(library, options);
+      library.push({ id: 8, name: 'Gris', userRating: null, addedAt: new Date('2026-01-06') });
+      const second = fetchPage(library, { ...options, cursor: first.nextCursor });
+      library.pop();
+
+      expect(first.items.map(row => row.id)).toEqual([7, 6, 5]);
+      expect(second.items.map(row => row.id)).toEqual([4, 3, 2]);
+    });
+
+    test('should go back to the previous page with prevCursor', () => {
+      const options = { sort: 'userRating', order: 'desc', nulls: 'last', limit: 3 };
+      const first = fetchPage(library, options);
+      const second = fetchPage(library, { ...options, cursor: first.nextCursor });
+      const back = fetchPage(library, { ...options, cursor: second.prevCursor });
+
+      expect(first.prevCursor).toBeNull();
+      expect(back.items.map(row => row.id)).toEqual(first.items.map(row => row.id));
+      expect(back.prevCursor).toBeNull();
+      expect(back.nextCursor).not.toBeNull();
+    });
+
+    test('should refuse a cursor issued for another sort', () => {
+      const page = fetchPage(library, { sort: 'name', order: 'asc', nulls: 'last', limit: 2 });
+      expect(() => planPage({ sort: 'name', order: 'desc', nulls: 'last', limit: 2, cursor: page.nextCursor }))
+        .toThrow('Cursor does not match the requested sort');
+    });
+  });
+
+  describe('pageInMemory', () => {
+    test('should page through ranked rows by offset cursors', () => {
+      const rows = library.map(row => ({ id: row.id }));
+      const first = pageInMemory(rows, { limit: 4 });
+      const second = pageInMemory(rows, { limit: 4, cursor: first.nextCursor });
+
+      expect(first.items.map(row => row.id)).toEqual([1, 2, 3, 4]);
+      expect(second.items.map(row => row.id)).toEqual([5, 6, 7]);
+      expect(second.nextCursor).toBeNull();
+      expect(pageInMemory(rows, { limit: 4, cursor: second.prevCursor }).items.map(row => row.id))
+        .toEqual([1, 2, 3, 4]);
+    });
+  });
+});
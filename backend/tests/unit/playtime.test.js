@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for Playtime Utilities
+ * Tests session duration math and weekly/per-game aggregation
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrismaPlaySession = {
+  findMany: jest.fn()
+};
+
+const mockPrismaGame = {
+  findMany: jest.fn(),
+  aggregate: jest.fn()
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    playSession: mockPrismaPlaySession,
+    game: mockPrismaGame
+  }
+}));
+
+const {
+  minutesBetween,
+  getSessionMinutes,
+  capTimerEnd,
+  MAX_SESSION_MINUTES,
+  getWeekStart,
+  bucketSessionsByWeek,
+  getPlaytimeByGame,
+  getUserPlaytimeSummary
+} = await import('../../utils/playtime.js');
+
+describe('Playtime Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('minutesBetween', () => {
+    test('should round to whole minutes', () => {
+      expect(minutesBetween('2026-03-01T10:00:00Z', '2026-03-01T11:30:20Z')).toBe(90);
+    });
+
+    test('should never be negative', () => {
+      expect(minutesBetween('2026-03-01T11:00:00Z', '2026-03-01T10:00:00Z')).toBe(0);
+    });
+  });
+
+  describe('getSessionMinutes', () => {
+    test('should prefer the stored duration', () => {
+      const session = {
+        startedAt: new Date('2026-03-01T10:00:00Z'),
+        endedAt: new Date('2026-03-01T12:00:00Z'),
+        durationMinutes: 45
+      };
+
+      expect(getSessionMinutes(session)).toBe(45);
+    });
+
+    test('should count a running session up to now', () => {
+      const session = {
+        startedAt: new Date('2026-03-01T10:00:00Z'),
+        endedAt: null,
+        durationMinutes: null
+      };
+
+      expect(getSessionMinutes(session, new Date('2026-03-01T10:20:00Z'))).toBe(20);
+    });
+
+    test('should cap a running session left on for days', () => {
+      const session = {
+        startedAt: new Date('2026-03-01T10:00:00Z'),
+        endedAt: null,
+        durationMinutes: null
+      };
+
+      expect(getSessionMinutes(session, new Date('2026-03-04T10:00:00Z'))).toBe(MAX_SESSION_MINUTES);
+    });
+  });
+
+  describe('capTimerEnd', () => {
+    test('should stop a timer at the current time', () => {
+      expect(capTimerEnd(new Date('2026-03-01T10:00:00Z'), new Date('2026-03-01T12:30:00Z')))
+        .toEqual(new Date('2026-03-01T12:30:00Z'));
+    });
+
+    test('should end a timer forgotten for three days after the maximum session length', () => {
+      const startedAt = new Date('2026-03-01T10:00:00Z');
+      const endedAt = capTimerEnd(startedAt, new Date('2026-03-04T10:00:00Z'));
+
+      expect(endedAt).toEqual(new Date('2026-03-02T10:00:00Z'));
+      expect(minutesBetween(startedAt, endedAt)).toBe(MAX_SESSION_MINUTES);
+    });
+  });
+
+  describe('getWeekStart', () => {
+    test('should return the Monday of the week', () => {
+      // 2026-03-05 is a Thursday
+      expect(getWeekStart(new Date('2026-03-05T18:00:00Z')).toISOString()).toBe('2026-03-02T00:00:00.000Z');
+    });
+
+    test('should treat Sunday as the end of the week', () => {
+      expect(getWeekStart(new Date('2026-03-08T23:00:00Z')).toISOString()).toBe('2026-03-02T00:00:00.000Z');
+    });
+  });
+
+  describe('bucketSessionsByWeek', () => {
+    const now = new Date('2026-03-05T12:00:00Z');
+
+    test('should include empty weeks in order', () => {
+      const buckets = bucketSessionsByWeek([], 3, now);
+
+      expect(buckets.map(bucket => bucket.weekStart)).toEqual(['2026-02-16', '2026-02-23', '2026-03-02']);
+      expect(buckets.every(bucket => bucket.minutes === 0)).toBe(true);
+    });
+
+    test('should sum sessions into their week and ignore older ones', () => {
+      const sessions = [
+        { startedAt: new Date('2026-03-03T20:00:00Z'), durationMinutes: 60 },
+        { startedAt: new Date('2026-03-04T20:00:00Z'), durationMinutes: 30 },
+        { startedAt: new Date('2026-02-24T20:00:00Z'), durationMinutes: 15 },
+        { startedAt: new Date('2025-12-01T20:00:00Z'), durationMinutes: 500 }
+      ];
+
+      const buckets = bucketSessionsByWeek(sessions, 2, now);
+
+      expect(buckets).toEqual([
+        { weekStart: '2026-02-23', minutes: 15, sessions: 1 },
+        { weekStart: '2026-03-02', minutes: 90, sessions: 2 }
+      ]);
+    });
+  });
+
+  describe('getPlaytimeByGame', () => {
+    test('should total minutes per game', async () => {
+      mockPrismaPlaySession.findMany.mockResolvedValue([
+        { gameId: 1, startedAt: new Date(), durationMinutes: 30 },
+        { gameId: 1, startedAt: new Date(), durationMinutes: 45 },
+        { gameId: 2, startedAt: new Date(), durationMinutes: 10 }
+      ]);
+      mockPrismaGame.findMany.mockResolvedValue([]);
+
+      const totals = await getPlaytimeByGame(5, [1, 2]);
+
+      expect(mockPrismaPlaySession.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { userId: 5, gameId: { in: [1, 2] } } })
+      );
+      expect(totals.get(1)).toBe(75);
+      expect(totals.get(2)).toBe(10);
+    });
+
+    test('should add playtime carried over by an import', async () => {
+      mockPrismaPlaySession.findMany.mockResolvedValue([
+        { gameId: 1, startedAt: new Date(), durationMinutes: 30 }
+      ]);
+      mockPrismaGame.findMany.mockResolvedValue([
+        { id: 1, importedMinutes: 18000 },
+        { id: 3, importedMinutes: 120 }
+      ]);
+
+      const totals = await getPlaytimeByGame(5, [1, 3]);
+
+      expect(mockPrismaGame.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { userId: 5, importedMinutes: { gt: 0 }, id: { in: [1, 3] } } })
+      );
+      expect(totals.get(1)).toBe(18030);
+      expect(totals.get(3)).toBe(120);
+    });
+  });
+
+  describe('getUserPlaytimeSummary', () => {
+    test('should return totals and a weekly breakdown', async () => {
+      mockPrismaPlaySession.findMany.mockResolvedValue([
+        { gameId: 1, startedAt: new Date(), durationMinutes: 90 },
+        { gameId: 2, startedAt: new Date(), durationMinutes: 45 }
+      ]);
+      mockPrismaGame.aggregate.mockResolvedValue({ _sum: { importedMinutes: null } });
+
+      const summary = await getUserPlaytimeSummary(5, 4);
+
+      expect(summary.totalMinutes).toBe(135);
+      expect(summary.totalHours).toBe(2.3);
+      expect(summary.sessionCount).toBe(2);
+      expect(summary.byWeek).toHaveLength(4);
+      expect(summary.byWeek[3].minutes).toBe(135);
+    });
+
+    test('should count imported playtime in the total but in no week', async () => {
+      mockPrismaPlaySession.findMany.mockResolvedValue([
+        { gameId: 1, startedAt: new Date(), durationMinutes: 60 }
+      ]);
+      mockPrismaGame.aggregate.mockResolvedValue({ _sum: { importedMinutes: 18000 } });
+
+      const summary = await getUserPlaytimeSummary(5, 4);
+
+      expect(summary.totalMinutes).toBe(18060);
+      expect(summary.importedMinutes).toBe(18000);
+      expect(summary.sessionCount).toBe(1);
+      expect(summary.byWeek.reduce((sum, week) => sum + week.minutes, 0)).toBe(60);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for Up Next Queue Ranking
+ * Tests fractional rank placement and the occasional rebalance
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrismaGame = {
+  findMany: jest.fn(),
+  update: jest.fn()
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    game: mockPrismaGame
+  }
+}));
+
+const {
+  RANK_STEP,
+  QUEUE_STATUSES,
+  QUEUE_POSITIONS,
+  QueueMoveError,
+  rankBetween,
+  needsRebalance,
+  resolveQueueIndex,
+  moveInQueue
+} = await import('../../utils/queueRank.js');
+
+describe('Up Next Queue Ranking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrismaGame.update.mockResolvedValue({});
+  });
+
+  describe('rankBetween', () => {
+    test('should split the gap between two neighbours', () => {
+      expect(rankBetween(1024, 2048)).toBe(1536);
+    });
+
+    test('should step past the ends of the queue', () => {
+      expect(rankBetween(null, null)).toBe(RANK_STEP);
+      expect(rankBetween(null, 1024)).toBe(0);
+      expect(rankBetween(2048, null)).toBe(2048 + RANK_STEP);
+    });
+  });
+
+  describe('needsRebalance', () => {
+    test('should only flag neighbours that are too close', () => {
+      expect(needsRebalance(1, 1 + 1e-9)).toBe(true);
+      expect(needsRebalance(1, 2)).toBe(false);
+      expect(needsRebalance(null, 1)).toBe(false);
+    });
+  });
+
+  describe('resolveQueueIndex', () => {
+    const queue = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    test('should place before or after an anchor', () => {
+      expect(resolveQueueIndex(queue, { beforeId: 2 })).toBe(1);
+      expect(resolveQueueIndex(queue, { afterId: 2 })).toBe(2);
+    });
+
+    test('should place at the top or bottom', () => {
+      expect(resolveQueueIndex(queue, { position: 'top' })).toBe(0);
+      expect(resolveQueueIndex(queue, { position: 'bottom' })).toBe(3);
+    });
+
+    test('should reject an anchor that is not queued', () => {
+      expect(() => resolveQueueIndex(queue, { beforeId: 9 })).toThrow(QueueMoveError);
+    });
+  });
+
+  describe('moveInQueue', () => {
+    test('should write only the moved game when there is room', async () => {
+      mockPrismaGame.findMany.mockResolvedValue([
+        { id: 1, queueRank: 1024 },
+        { id: 2, queueRank: 2048 }
+      ]);
+
+      const result = await moveInQueue(1, 5, { beforeId: 2 });
+
+      expect(mockPrismaGame.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 1, queueRank: { not: null }, status: { in: QUEUE_STATUSES }, id: { not: 5 } }
+      }));
+      expect(mockPrismaGame.update).toHaveBeenCalledTimes(1);
+      expect(mockPrismaGame.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { queueRank: 1536 } });
+      expect(result).toEqual({ queueRank: 1536, position: 2 });
+    });
+
+    test('should renumber the queue once a gap is exhausted', async () => {
+      mockPrismaGame.findMany.mockResolvedValue([
+        { id: 1, queueRank: 1 },
+        { id: 2, queueRank: 1 + 1e-9 }
+      ]);
+
+      const result = await moveInQueue(1, 5, { afterId: 1 });
+
+      expect(mockPrismaGame.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { queueRank: RANK_STEP } });
+      expect(mockPrismaGame.update).toHaveBeenCalledWith({ where: { id: 2 }, data: { queueRank: 2 * RANK_STEP } });
+      expect(result).toEqual({ queueRank: 1.5 * RANK_STEP, position: 2 });
+    });
+
+    describe('with a completed game in the middle of the queue', () => {
+      // Ranked library as stored; game 2 was finished and kept its rank
+      const library = [
+        { id: 1, queueRank: 1024, status: 'playing' },
+        { id: 2, queueRank: 2048, status: 'completed' },
+        { id: 3, queueRank: 3072, status: 'wishlist' }
+      ];
+
+      beforeEach(() => {
+        mockPrismaGame.findMany.mockImplementation(({ where }) => Promise.resolve(library
+          .filter(game => where.status.in.includes(game.status) && game.id !== where.id.not)
+          .map(({ id, queueRank }) => ({ id, queueRank }))));
+      });
+
+      test('should count positions over visible games only', async () => {
+        const result = await moveInQueue(1, 5, { afterId: 3 });
+
+        expect(result).toEqual({ queueRank: 3072 + RANK_STEP, position: 3 });
+      });
+
+      test('should place between the visible neighbours', async () => {
+        const result = await moveInQueue(1, 5, { afterId: 1 });
+
+        expect(result).toEqual({ queueRank: (1024 + 3072) / 2, position: 2 });
+      });
+
+      test('should not use the hidden game as an anchor', async () => {
+        await expect(moveInQueue(1, 5, { beforeId: 2 })).rejects.toThrow(QueueMoveError);
+        expect(mockPrismaGame.update).not.toHaveBeenCalled();
+      });
+
+      test('should put top and bottom against visible games', async () => {
+        await expect(moveInQueue(1, 1, { position: QUEUE_POSITIONS.BOTTOM }))
+          .resolves.toEqual({ queueRank: 3072 + RANK_STEP, position: 2 });
+        await expect(moveInQueue(1, 3, { position: QUEUE_POSITIONS.TOP }))
+          .resolves.toEqual({ queueRank: 1024 - RANK_STEP, position: 1 });
+      });
+    });
+  });
+});
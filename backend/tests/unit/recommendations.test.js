@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for Backlog Recommendations
+ * Tests preference parsing, length estimates, scoring reasons and exclusions
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrismaUser = {
+  findUnique: jest.fn()
+};
+const mockPrismaGame = {
+  findMany: jest.fn()
+};
+const mockPrismaPlaySession = {
+  findMany: jest.fn()
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    user: mockPrismaUser,
+    game: mockPrismaGame,
+    playSession: mockPrismaPlaySession
+  }
+}));
+
+const {
+  parseGamingPreferences,
+  buildLengthByGenre,
+  estimateRemainingMinutes,
+  scoreCandidate,
+  recommendGames
+} = await import('../../utils/recommendations.js');
+
+const now = new Date('2026-10-19T20:00:00Z');
+
+const emptyContext = {
+  favoriteGenres: [],
+  platforms: [],
+  ratedGames: [],
+  lengthByGenre: new Map(),
+  playtimeByGame: new Map(),
+  queuePositions: new Map(),
+  maxMinutes: null
+};
+
+const candidate = (overrides = {}) => ({
+  id: 1,
+  name: 'Hollow Knight',
+  genres: ['Platform', 'Adventure'],
+  platforms: ['PC'],
+  developer: 'Team Cherry',
+  rating: null,
+  progress: null,
+  addedAt: now,
+  ...overrides
+});
+
+describe('Backlog Recommendations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should read gaming preferences and tolerate bad JSON', () => {
+    expect(parseGamingPreferences('{"gaming":{"favoriteGenres":["RPG"]}}')).toEqual({
+      favoriteGenres: ['RPG'],
+      platforms: []
+    });
+    expect(parseGamingPreferences('not json')).toEqual({ favoriteGenres: [], platforms: [] });
+    expect(parseGamingPreferences(null)).toEqual({ favoriteGenres: [], platforms: [] });
+  });
+
+  test('should estimate length from progress before genre history', () => {
+    const lengthByGenre = buildLengthByGenre([
+      { genres: ['Adventure'], minutesPlayed: 600 },
+      { genres: ['Adventure'], minutesPlayed: 1200 },
+      { genres: ['Adventure'], minutesPlayed: 0 }
+    ]);
+    expect(lengthByGenre.get('adventure')).toBe(900);
+
+    expect(estimateRemainingMinutes({ genres: ['Adventure'], progress: { percent: 25 } }, 60, lengthByGenre))
+      .toEqual({ minutes: 180, basis: 'progress' });
+    expect(estimateRemainingMinutes({ genres: ['Adventure'], progress: null }, 100, lengthByGenre))
+      .toEqual({ minutes: 800, basis: 'genre' });
+    expect(estimateRemainingMinutes({ genres: ['Puzzle'], progress: null }, 0, lengthByGenre)).toBeNull();
+  });
+
+  test('should explain favorite genres, platforms and similar ratings', () => {
+    const result = scoreCandidate(candidate(), {
+      ...emptyContext,
+      favoriteGenres: ['adventure'],
+      platforms: ['pc'],
+      ratedGames: [{ id: 2, name: 'Celeste', genres: ['Platform'], userRating: 5 }]
+    }, now);
+
+    const factors = result.reasons.map(reason => reason.factor);
+    expect(factors).toEqual(expect.arrayContaining(['genre', 'platform', 'similarRatings']));
+    expect(result.reasons.find(reason => reason.factor === 'similarRatings').message).toContain('Celeste');
+    expect(result.score).toBeGreaterThan(0);
+  });
+
+  test('should penalize games longer than the time available', () => {
+    const context = {
+      ...emptyContext,
+      lengthByGenre: new Map([['adventure', 1200]])
+    };
+
+    const relaxed = scoreCandidate(candidate(), context, now);
+    const rushed = scoreCandidate(candidate(), { ...context, maxMinutes: 120 }, now);
+
+    expect(rushed.score).toBeLessThan(relaxed.score);
+    expect(rushed.reasons[0].message).toContain('longer than you have');
+  });
+
+  test('should skip excluded, finished and unreleased games', async () => {
+    mockPrismaUser.findUnique.mockResolvedValue({ preferences: null });
+    mockPrismaPlaySession.findMany.mockResolvedValue([]);
+    mockPrismaGame.findMany.mockResolvedValue([
+      { id: 1, name: 'Old', status: 'wishlist', genres: null, platforms: null, userRating: null, queueRank: null, addedAt: new Date('2025-10-19') },
+      { id: 2, name: 'New', status: 'wishlist', genres: null, platforms: null, userRating: null, queueRank: null, addedAt: now },
+      { id: 3, name: 'Done', status: 'completed', genres: null, platforms: null, userRating: 4, queueRank: null, addedAt: now },
+      { id: 4, name: 'Future', status: 'wishlist', releaseDate: new Date('2027-01-01'), genres: null, platforms: null, userRating: null, queueRank: null, addedAt: now }
+    ]);
+
+    const result = await recommendGames(1, { exclude: [2] }, now);
+
+    expect(result.picks.map(pick => pick.game.id)).toEqual([1]);
+    expect(result.candidateCount).toBe(1);
+    expect(result.excludedCount).toBe(1);
+    expect(result.picks[0].reasons[0].message).toContain('12 months');
+  });
+});
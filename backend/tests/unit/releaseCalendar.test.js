@@ -0,0 +1,220 @@
+/**
+ * Unit Tests for Release Calendar Utilities
+ * Tests per-platform release summaries, moved-date detection, IGDB refresh
+ * and month grouping
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrisma = {
+  game: { findMany: jest.fn(), update: jest.fn() },
+  gameReleaseDate: { upsert: jest.fn(), deleteMany: jest.fn() }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+// Mock IGDB service
+const mockGetReleaseDates = jest.fn();
+
+jest.unstable_mockModule('../../services/igdb.js', () => ({
+  getReleaseDates: mockGetReleaseDates
+}));
+
+// Mock notifications
+const mockNotifyReleaseDateChanged = jest.fn();
+
+jest.unstable_mockModule('../../utils/notifications.js', () => ({
+  notifyReleaseDateChanged: mockNotifyReleaseDateChanged
+}));
+
+const {
+  calendarWhere,
+  summarizeReleases,
+  planReleaseUpdate,
+  refreshReleaseDates,
+  buildCalendar,
+  getReleaseCalendar
+} = await import('../../utils/releaseCalendar.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('Release Calendar Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('calendarWhere', () => {
+    it('covers games releasing from today and undated wishlist entries', () => {
+      expect(calendarWhere(7, now)).toEqual({
+        userId: 7,
+        OR: [
+          { releaseDate: { gte: day('2026-10-19') } },
+          { status: 'wishlist', releaseDate: null }
+        ]
+      });
+      expect(calendarWhere(null, now)).not.toHaveProperty('userId');
+    });
+  });
+
+  describe('summarizeReleases', () => {
+    it('keeps the earliest dated release per platform', () => {
+      const summary = summarizeReleases([
+        { platform: 'PC', date: day('2027-03-05'), category: 0, human: 'Mar 05, 2027' },
+        { platform: 'PC', date: day('2027-02-26'), category: 0, human: 'Feb 26, 2027' },
+        { platform: 'PS5', date: null, category: 7, human: 'TBD' },
+        { platform: 'Switch', date: null, category: 7, human: 'TBD' },
+        { platform: 'Switch', date: day('2027-12-31'), category: 2, human: '2027' }
+      ]);
+
+      expect(summary).toEqual([
+        { platform: 'PC', date: day('2027-02-26'), precision: 'day', label: 'Feb 26, 2027' },
+        { platform: 'PS5', date: null, precision: 'tbd', label: 'TBD' },
+        { platform: 'Switch', date: day('2027-12-31'), precision: 'year', label: '2027' }
+      ]);
+    });
+  });
+
+  describe('planReleaseUpdate', () => {
+    const game = {
+      id: 1,
+      releaseDate: day('2027-02-26'),
+      releaseDates: [
+        { platform: 'PC', date: day('2027-02-26') },
+        { platform: 'Stadia', date: day('2027-02-26') }
+      ]
+    };
+
+    it('flags a delay on the game and the platform', () => {
+      const plan = planReleaseUpdate(game, [
+        { platform: 'PC', date: day('2027-05-14'), precision: 'day', label: 'May 14, 2027' }
+      ], now);
+
+      expect(plan.moved).toBe(true);
+      expect(plan.game).toEqual({
+        releaseDatesCheckedAt: now,
+        releaseDate: day('2027-05-14'),
+        previousReleaseDate: day('2027-02-26'),
+        releaseDateChangedAt: now
+      });
+      expect(plan.upserts[0].data).toMatchObject({ previousDate: day('2027-02-26'), changedAt: now });
+      expect(plan.removed).toEqual(['Stadia']);
+    });
+
+    it('does not treat a first date as a move', () => {
+      const plan = planReleaseUpdate({ id: 2, releaseDate: null, releaseDates: [] }, [
+        { platform: 'PC', date: day('2027-01-01'), precision: 'month', label: 'Jan 2027' }
+      ], now);
+
+      expect(plan.moved).toBe(false);
+      expect(plan.game).toEqual({ releaseDatesCheckedAt: now, releaseDate: day('2027-01-01') });
+      expect(plan.upserts[0].data).not.toHaveProperty('previousDate');
+    });
+
+    it('keeps stored dates when IGDB returns nothing', () => {
+      const plan = planReleaseUpdate(game, [], now);
+
+      expect(plan).toEqual({ game: { releaseDatesCheckedAt: now }, upserts: [], removed: [], moved: false });
+    });
+  });
+
+  describe('refreshReleaseDates', () => {
+    it('fetches each IGDB game once and updates every library copy', async () => {
+      const games = [
+        { id: 1, igdbId: 500, releaseDate: day('2027-02-26'), releaseDates: [] },
+        { id: 2, igdbId: 500, releaseDate: day('2027-02-26'), releaseDates: [] },
+        { id: 3, igdbId: 600, releaseDate: null, releaseDates: [] }
+      ];
+      const fetchReleaseDates = jest.fn().mockResolvedValue([
+        { gameId: 500, platform: 'PC', date: day('2027-03-12'), category: 0, human: 'Mar 12, 2027' }
+      ]);
+
+      const result = await refreshReleaseDates(games, now, { client: mockPrisma, fetchReleaseDates });
+
+      expect(fetchReleaseDates).toHaveBeenCalledTimes(1);
+      expect(fetchReleaseDates).toHaveBeenCalledWith([500, 600]);
+      expect(result).toEqual({ checked: 3, moved: [1, 2] });
+      expect(mockNotifyReleaseDateChanged).toHaveBeenCalledTimes(2);
+      expect(mockNotifyReleaseDateChanged).toHaveBeenCalledWith(games[0], day('2027-02-26'), day('2027-03-12'), mockPrisma);
+      expect(mockPrisma.gameReleaseDate.upsert).toHaveBeenCalledTimes(2);
+      expect(mockPrisma.gameReleaseDate.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { gameId_platform: { gameId: 1, platform: 'PC' } }
+      }));
+      expect(mockPrisma.game.update).toHaveBeenCalledWith({
+        where: { id: 3 },
+        data: { releaseDatesCheckedAt: now }
+      });
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('groups dated games by month and lists undated ones separately', () => {
+      const calendar = buildCalendar([
+        {
+          id: 1, igdbId: 500, name: 'Hollow Knight: Silksong', coverUrl: null, status: 'wishlist',
+          releaseDate: day('2027-05-14'), previousReleaseDate: day('2027-02-26'), releaseDateChangedAt: now,
+          platforms: null,
+          releaseDates: [{ platform: 'PC', date: day('2027-05-14'), precision: 'day', label: 'May 14, 2027' }]
+        },
+        {
+          id: 2, igdbId: 501, name: 'Avowed II', coverUrl: null, status: 'wishlist',
+          releaseDate: day('2027-05-02'), previousReleaseDate: null, releaseDateChangedAt: null,
+          platforms: '["Xbox Series X"]', releaseDates: []
+        },
+        {
+          id: 3, igdbId: 502, name: 'Fable', coverUrl: null, status: 'wishlist',
+          releaseDate: null, previousReleaseDate: null, releaseDateChangedAt: null,
+          platforms: null, releaseDates: []
+        }
+      ]);
+
+      expect(calendar.months).toHaveLength(1);
+      expect(calendar.months[0].month).toBe('2027-05');
+      expect(calendar.months[0].games.map(game => game.name)).toEqual(['Avowed II', 'Hollow Knight: Silksong']);
+      expect(calendar.months[0].games[0]).toMatchObject({
+        precision: 'day',
+        platforms: [{ platform: 'Xbox Series X', date: day('2027-05-02') }],
+        moved: null
+      });
+      expect(calendar.months[0].games[1]).toMatchObject({
+        label: 'May 14, 2027',
+        moved: { from: day('2027-02-26'), to: day('2027-05-14'), changedAt: now }
+      });
+      expect(calendar.undated.map(game => game.precision)).toEqual(['tbd']);
+    });
+  });
+
+  describe('getReleaseCalendar', () => {
+    it('refreshes stale games and reloads them', async () => {
+      const stale = { id: 1, igdbId: 500, name: 'Fable', releaseDate: null, releaseDatesCheckedAt: null, releaseDates: [] };
+      const fresh = { id: 2, igdbId: 501, name: 'Hades III', releaseDate: null, releaseDatesCheckedAt: now, releaseDates: [] };
+      mockPrisma.game.findMany.mockResolvedValue([stale, fresh]);
+      mockGetReleaseDates.mockResolvedValue([]);
+
+      const calendar = await getReleaseCalendar(7, { now }, mockPrisma);
+
+      expect(mockGetReleaseDates).toHaveBeenCalledWith([500]);
+      expect(mockPrisma.game.findMany).toHaveBeenCalledTimes(2);
+      expect(calendar).toMatchObject({ refreshed: 1, refreshFailed: false });
+    });
+
+    it('falls back to stored dates when IGDB fails', async () => {
+      mockPrisma.game.findMany.mockResolvedValue([
+        { id: 1, igdbId: 500, name: 'Fable', releaseDate: null, releaseDatesCheckedAt: null, releaseDates: [] }
+      ]);
+      mockGetReleaseDates.mockRejectedValue(new Error('IGDB API rate limit exceeded.'));
+
+      const calendar = await getReleaseCalendar(7, { now }, mockPrisma);
+
+      expect(calendar.refreshFailed).toBe(true);
+      expect(calendar.undated).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for Steam Library Import
+ * Tests export parsing, suggested statuses, matching and game creation
+ */
+import { jest } from '@jest/globals';
+
+// Mock IGDB service
+const mockSearchGames = jest.fn();
+
+jest.unstable_mockModule('../../services/igdb.js', () => ({
+  searchGames: mockSearchGames
+}));
+
+// Mock Prisma database; the transaction client is the same mock
+const mockTx = {
+  game: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  gameStatusChange: {
+    create: jest.fn()
+  },
+  playSession: {
+    create: jest.fn()
+  }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    ...mockTx,
+    $transaction: jest.fn(callback => callback(mockTx))
+  }
+}));
+
+const {
+  SteamExportError,
+  parseSteamExport,
+  suggestImportStatus,
+  matchSteamEntries
+} = await import('../../utils/steamImport.js');
+const { importLibraryGames, summarizeImport } = await import('../../utils/libraryImport.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('Steam Library Import', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseSteamExport', () => {
+    test('should read a GetOwnedGames response', () => {
+      const { entries, invalid } = parseSteamExport({
+        response: {
+          game_count: 3,
+          games: [
+            { appid: 620, name: 'Portal 2', playtime_forever: 754, rtime_last_played: 1760000000 },
+            { appid: 620, name: 'Portal 2', playtime_forever: 754 },
+            { appid: 400 }
+          ]
+        }
+      });
+
+      expect(entries).toEqual([{
+        row: 0,
+        steamAppId: 620,
+        name: 'Portal 2',
+        playtimeMinutes: 754,
+        lastPlayedAt: new Date(1760000000 * 1000)
+      }]);
+      expect(invalid).toEqual([{ row: 2, steamAppId: 400, error: 'Missing game name' }]);
+    });
+
+    test('should read hours from profile-style exports', () => {
+      const { entries } = parseSteamExport([{ appID: 10, name: 'Counter-Strike', hoursOnRecord: '1,234.5' }]);
+      expect(entries[0].playtimeMinutes).toBe(74070);
+    });
+
+    test('should reject data without a games list', () => {
+      expect(() => parseSteamExport({ response: {} })).toThrow(SteamExportError);
+    });
+  });
+
+  test('should suggest a status from playtime and last play', () => {
+    expect(suggestImportStatus({ playtimeMinutes: 0 }, now)).toBe('wishlist');
+    expect(suggestImportStatus({ playtimeMinutes: 90, lastPlayedAt: new Date('2026-10-10') }, now)).toBe('playing');
+    expect(suggestImportStatus({ playtimeMinutes: 90, lastPlayedAt: new Date('2025-01-01') }, now)).toBe('on_hold');
+  });
+
+  test('should flag matches that are already in the library', async () => {
+    mockSearchGames.mockResolvedValue([{ id: 72, name: 'Portal 2' }, { id: 71, name: 'Portal' }]);
+
+    const [item] = await matchSteamEntries(
+      [{ row: 0, steamAppId: 620, name: 'Portal 2', playtimeMinutes: 0, lastPlayedAt: null }],
+      new Set([72])
+    );
+
+    expect(item.match.id).toBe(72);
+    expect(item.confidenceLevel).toBe('high');
+    expect(item.alreadyInLibrary).toBe(true);
+    expect(item.suggestedStatus).toBe('wishlist');
+  });
+
+  test('should create new games with imported playtime and skip duplicates', async () => {
+    mockTx.game.findMany.mockResolvedValue([{ id: 5, igdbId: 72 }]);
+    mockTx.game.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, addedAt: now, ...data }));
+
+    const results = await importLibraryGames(1, [
+      { igdbId: 72, name: 'Portal 2' },
+      { igdbId: 1942, name: 'The Witcher 3', status: 'on_hold', genres: ['RPG'], playtimeMinutes: 600 }
+    ]);
+
+    expect(results).toEqual([
+      { index: 0, igdbId: 72, action: 'skip', success: false, skipped: true, gameId: 5, error: 'Game already in library' },
+      { index: 1, igdbId: 1942, action: 'create', success: true, gameId: 9 }
+    ]);
+    expect(mockTx.game.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 1, igdbId: 1942, status: 'on_hold', genres: '["RPG"]', importedMinutes: 600 })
+    });
+    // Lifetime playtime is not a session: it has no date
+    expect(mockTx.playSession.create).not.toHaveBeenCalled();
+    expect(summarizeImport(results)).toEqual({ created: 1, updated: 0, skipped: 1, failed: 0 });
+  });
+
+  test('should replace imported playtime when updating a duplicate', async () => {
+    mockTx.game.findMany.mockResolvedValue([{ id: 5, igdbId: 72, status: 'playing' }]);
+    mockTx.game.update.mockImplementation(({ data }) => Promise.resolve({ id: 5, igdbId: 72, status: 'playing', ...data }));
+
+    const results = await importLibraryGames(1, [
+      { igdbId: 72, name: 'Portal 2', playtimeMinutes: 1500 }
+    ], { onDuplicate: 'update' });
+
+    expect(results).toEqual([{ index: 0, igdbId: 72, action: 'update', success: true, gameId: 5 }]);
+    expect(mockTx.game.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 5 },
+      data: expect.objectContaining({ importedMinutes: 1500 })
+    }));
+    expect(mockTx.playSession.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for Tag Utilities
+ * Tests tag normalization, filtering and merging
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrismaTag = {
+  upsert: jest.fn(),
+  deleteMany: jest.fn()
+};
+const mockPrismaGameTag = {
+  findMany: jest.fn(),
+  create: jest.fn(),
+  upsert: jest.fn(),
+  deleteMany: jest.fn()
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: {
+    tag: mockPrismaTag,
+    gameTag: mockPrismaGameTag
+  }
+}));
+
+const {
+  MAX_TAG_LENGTH,
+  normalizeTagName,
+  parseTagList,
+  buildTagFilter,
+  tagNamesFromLinks,
+  setGameTags,
+  addTagsToGames,
+  mergeTags
+} = await import('../../utils/tags.js');
+
+describe('Tag Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrismaTag.upsert.mockImplementation(({ create }) => Promise.resolve({
+      id: create.name.length,
+      ...create
+    }));
+  });
+
+  describe('normalizeTagName', () => {
+    test('should trim, lowercase and collapse whitespace', () => {
+      expect(normalizeTagName('  Needs   Guide ')).toBe('needs guide');
+    });
+
+    test('should reject empty, overlong and non-string names', () => {
+      expect(normalizeTagName('   ')).toBeNull();
+      expect(normalizeTagName('x'.repeat(MAX_TAG_LENGTH + 1))).toBeNull();
+      expect(normalizeTagName(42)).toBeNull();
+    });
+  });
+
+  describe('parseTagList', () => {
+    test('should split comma-separated values and drop duplicates', () => {
+      expect(parseTagList('Portable, with-partner,portable')).toEqual(['portable', 'with-partner']);
+    });
+
+    test('should accept repeated query parameters', () => {
+      expect(parseTagList(['portable', 'co-op,local'])).toEqual(['portable', 'co-op', 'local']);
+    });
+
+    test('should return an empty list when nothing is given', () => {
+      expect(parseTagList(undefined)).toEqual([]);
+      expect(parseTagList(' , ')).toEqual([]);
+    });
+  });
+
+  describe('buildTagFilter', () => {
+    test('should match any tag by default', () => {
+      expect(buildTagFilter(['portable', 'co-op'])).toEqual({
+        tags: { some: { tag: { name: { in: ['portable', 'co-op'] } } } }
+      });
+    });
+
+    test('should require every tag in all mode', () => {
+      expect(buildTagFilter(['portable', 'co-op'], 'all')).toEqual({
+        AND: [
+          { tags: { some: { tag: { name: 'portable' } } } },
+          { tags: { some: { tag: { name: 'co-op' } } } }
+        ]
+      });
+    });
+
+    test('should not filter without tags', () => {
+      expect(buildTagFilter([], 'all')).toEqual({});
+    });
+  });
+
+  describe('tagNamesFromLinks', () => {
+    test('should return sorted names', () => {
+      expect(tagNamesFromLinks([{ tag: { name: 'rpg' } }, { tag: { name: 'co-op' } }])).toEqual(['co-op', 'rpg']);
+      expect(tagNamesFromLinks(undefined)).toEqual([]);
+    });
+  });
+
+  describe('setGameTags', () => {
+    test('should create missing tags and drop links not in the new set', async () => {
+      const names = await setGameTags(1, 10, ['rpg', 'portable']);
+
+      expect(mockPrismaTag.upsert).toHaveBeenCalledWith({
+        where: { userId_name: { userId: 1, name: 'rpg' } },
+        update: {},
+        create: { userId: 1, name: 'rpg' }
+      });
+      expect(mockPrismaGameTag.deleteMany).toHaveBeenCalledWith({
+        where: { gameId: 10, tagId: { notIn: [3, 8] } }
+      });
+      expect(mockPrismaGameTag.upsert).toHaveBeenCalledTimes(2);
+      expect(names).toEqual(['portable', 'rpg']);
+    });
+  });
+
+  describe('addTagsToGames', () => {
+    test('should only link games that do not carry the tag yet', async () => {
+      mockPrismaGameTag.findMany.mockResolvedValue([{ gameId: 10, tagId: 3 }]);
+
+      const added = await addTagsToGames(1, [10, 11], ['rpg']);
+
+      expect(added).toBe(1);
+      expect(mockPrismaGameTag.create).toHaveBeenCalledWith({ data: { gameId: 11, tagId: 3 } });
+    });
+  });
+
+  describe('mergeTags', () => {
+    test('should move games onto the target and delete the sources', async () => {
+      mockPrismaGameTag.findMany
+        .mockResolvedValueOnce([{ gameId: 10 }, { gameId: 11 }, { gameId: 11 }])
+        .mockResolvedValueOnce([{ gameId: 10 }]);
+
+      const retagged = await mergeTags(1, [2, 3]);
+
+      expect(retagged).toBe(1);
+      expect(mockPrismaGameTag.create).toHaveBeenCalledTimes(1);
+      expect(mockPrismaGameTag.create).toHaveBeenCalledWith({ data: { gameId: 11, tagId: 1 } });
+      expect(mockPrismaTag.deleteMany).toHaveBeenCalledWith({ where: { id: { in: [2, 3] } } });
+    });
+
+    test('should ignore the target in the source list', async () => {
+      const retagged = await mergeTags(1, [1]);
+
+      expect(retagged).toBe(0);
+      expect(mockPrismaTag.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
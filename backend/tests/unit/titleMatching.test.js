@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for Title Matching
+ * Tests title normalization, similarity scoring and IGDB candidate ranking
+ */
+import { jest } from '@jest/globals';
+
+// Mock IGDB service
+const mockSearchGames = jest.fn();
+
+jest.unstable_mockModule('../../services/igdb.js', () => ({
+  searchGames: mockSearchGames
+}));
+
+const {
+  MATCH_CONFIDENCE,
+  MIN_SEARCH_INTERVAL_MS,
+  normalizeTitle,
+  searchableTitle,
+  titleSimilarity,
+  rankCandidates,
+  matchTitle,
+  mapWithConcurrency,
+  createPacer
+} = await import('../../utils/titleMatching.js');
+
+describe('Title Matching', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should normalize store titles to a comparable form', () => {
+    expect(normalizeTitle('The Witcher® 3: Wild Hunt - Game of the Year Edition')).toBe('the witcher 3 wild hunt');
+    expect(normalizeTitle('FINAL FANTASY VII')).toBe('final fantasy 7');
+    expect(normalizeTitle('Tom Clancy’s Rainbow Six® Siege')).toBe('tom clancys rainbow six siege');
+    expect(normalizeTitle('Pokémon & Friends')).toBe('pokemon and friends');
+  });
+
+  test('should strip characters that break an IGDB search string', () => {
+    expect(searchableTitle('Portal™  "Still Alive"')).toBe('Portal Still Alive');
+  });
+
+  test('should score identical titles as 1 and unrelated titles low', () => {
+    expect(titleSimilarity('DARK SOULS™ III', 'Dark Souls 3')).toBe(1);
+    expect(titleSimilarity('Hades', 'Stardew Valley')).toBeLessThan(0.2);
+    expect(titleSimilarity('Half-Life 2', 'Half-Life 2: Episode One')).toBeGreaterThan(0.5);
+  });
+
+  test('should rank candidates and lower confidence for near ties', () => {
+    const exact = rankCandidates('Celeste', [{ id: 2, name: 'Celestian Tales' }, { id: 1, name: 'Celeste' }]);
+    expect(exact.match.id).toBe(1);
+    expect(exact.confidence).toBe(1);
+    expect(exact.level).toBe(MATCH_CONFIDENCE.HIGH);
+
+    const tied = rankCandidates('Doom Eternal X', [{ id: 1, name: 'Doom Eternal' }, { id: 2, name: 'Doom Eternal 2' }]);
+    expect(tied.confidence).toBeLessThan(tied.candidates[0].similarity);
+
+    expect(rankCandidates('Anything', [])).toMatchObject({ match: null, level: MATCH_CONFIDENCE.NONE });
+  });
+
+  test('should report search failures as unmatched instead of throwing', async () => {
+    mockSearchGames.mockRejectedValue(new Error('IGDB API rate limit exceeded. Please try again later.'));
+
+    const result = await matchTitle('Hades');
+
+    expect(mockSearchGames).toHaveBeenCalledWith('Hades', 10);
+    expect(result).toMatchObject({ match: null, level: MATCH_CONFIDENCE.NONE });
+    expect(result.error).toContain('rate limit');
+  });
+
+  test('should map with limited concurrency and keep input order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const result = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (value) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return value * 10;
+    });
+
+    expect(result).toEqual([10, 20, 30, 40, 50]);
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('should space out paced calls even when they run concurrently', async () => {
+    const waitForTurn = createPacer(40);
+    const starts = [];
+
+    await mapWithConcurrency([1, 2, 3, 4], 3, async () => {
+      await waitForTurn();
+      starts.push(Date.now());
+    });
+
+    for (let i = 1; i < starts.length; i++) {
+      expect(starts[i] - starts[i - 1]).toBeGreaterThanOrEqual(39);
+    }
+    expect(starts[3] - starts[0]).toBeGreaterThanOrEqual(119);
+  });
+
+  test('should not hold up a call after a quiet period', async () => {
+    const waitForTurn = createPacer(40);
+    await waitForTurn();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const before = Date.now();
+    await waitForTurn();
+
+    expect(Date.now() - before).toBeLessThan(20);
+  });
+
+  test('should pace IGDB searches across concurrent matches', async () => {
+    const searchedAt = [];
+    mockSearchGames.mockImplementation(async () => {
+      searchedAt.push(Date.now());
+      return [];
+    });
+
+    await Promise.all([matchTitle('Hades'), matchTitle('Celeste')]);
+
+    expect(searchedAt).toHaveLength(2);
+    expect(Math.abs(searchedAt[1] - searchedAt[0])).toBeGreaterThanOrEqual(MIN_SEARCH_INTERVAL_MS - 1);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Year in Review
+ * Tests the annual summary built from games, status history and play sessions
+ */
+import { jest } from '@jest/globals';
+
+// Mock Prisma database
+const mockPrisma = {
+  game: { findMany: jest.fn(), aggregate: jest.fn() },
+  gameStatusChange: { findMany: jest.fn() },
+  playSession: { findMany: jest.fn() }
+};
+
+jest.unstable_mockModule('../../db/database.js', () => ({
+  prisma: mockPrisma
+}));
+
+const {
+  YearInReviewError,
+  buildYearInReview,
+  getYearInReview,
+  getReviewYears
+} = await import('../../utils/yearInReview.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const games = [
+  // Added long ago, started and finished in 2025
+  {
+    id: 1, igdbId: 101, name: 'Old Epic', coverUrl: null, status: 'completed', userRating: 4.5,
+    genres: '["RPG"]', addedAt: '2021-03-01T00:00:00Z', completedAt: '2025-06-20T00:00:00Z'
+  },
+  // Started in 2024, played a lot more in 2025, still going
+  {
+    id: 2, igdbId: 102, name: 'Forever Game', coverUrl: null, status: 'playing', userRating: 5,
+    genres: '["Strategy"]', addedAt: '2024-01-10T00:00:00Z', completedAt: null
+  },
+  // Added and finished in 2025 with no status history
+  {
+    id: 3, igdbId: 103, name: 'Quick One', coverUrl: null, status: 'completed', userRating: null,
+    genres: '["RPG", "Puzzle"]', addedAt: '2025-02-01T00:00:00Z', completedAt: '2025-02-05T00:00:00Z'
+  }
+];
+
+const changes = [
+  { gameId: 1, fromStatus: null, toStatus: 'wishlist', changedAt: '2021-03-01T00:00:00Z' },
+  { gameId: 1, fromStatus: 'wishlist', toStatus: 'playing', changedAt: '2025-05-01T00:00:00Z' },
+  { gameId: 1, fromStatus: 'playing', toStatus: 'completed', changedAt: '2025-06-20T00:00:00Z' },
+  { gameId: 2, fromStatus: null, toStatus: 'playing', changedAt: '2024-01-10T00:00:00Z' }
+];
+
+const sessions = [
+  { gameId: 2, startedAt: '2024-02-01T20:00:00Z', endedAt: null, durationMinutes: 300 },
+  { gameId: 2, startedAt: '2025-03-01T20:00:00Z', endedAt: null, durationMinutes: 1200 },
+  { gameId: 1, startedAt: '2025-05-02T20:00:00Z', endedAt: null, durationMinutes: 600 },
+  { gameId: 1, startedAt: '2025-06-19T20:00:00Z', endedAt: null, durationMinutes: 120 }
+];
+
+describe('Year in Review', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildYearInReview', () => {
+    const review = buildYearInReview(2025, { games, changes, sessions }, now);
+
+    test('should summarize games started, finished and hours played in the year', () => {
+      expect(review.year).toBe(2025);
+      expect(review.partial).toBe(false);
+      expect(review.summary).toEqual({
+        gamesAdded: 1,
+        gamesStarted: 1,
+        gamesFinished: 2,
+        gamesPlayed: 2,
+        hoursPlayed: 32,
+        sessions: 3
+      });
+    });
+
+    test('should rank top-rated games, favorite genres and the longest game', () => {
+      expect(review.topRated.map(game => game.name)).toEqual(['Forever Game', 'Old Epic']);
+      expect(review.favoriteGenres).toEqual([
+        { genre: 'Strategy', hoursPlayed: 20, games: 1, finished: 0 },
+        { genre: 'RPG', hoursPlayed: 12, games: 2, finished: 2 },
+        { genre: 'Puzzle', hoursPlayed: 0, games: 1, finished: 1 }
+      ]);
+      expect(review.longestGame).toMatchObject({ name: 'Forever Game', hoursPlayed: 20 });
+    });
+
+    test('should report the oldest backlog game cleared', () => {
+      expect(review.oldestBacklogCleared).toMatchObject({ name: 'Old Epic', daysInBacklog: 1572 });
+    });
+
+    test('should build a twelve-month timeline', () => {
+      expect(review.timeline).toHaveLength(12);
+      expect(review.timeline[1]).toEqual({ month: '2025-02', added: 1, started: 0, finished: 1, sessions: 0, hoursPlayed: 0 });
+      expect(review.timeline[4]).toEqual({ month: '2025-05', added: 0, started: 1, finished: 0, sessions: 1, hoursPlayed: 10 });
+      expect(review.timeline[5].finished).toBe(1);
+    });
+
+    test('should return an empty review for a quiet year', () => {
+      const quiet = buildYearInReview(2023, { games, changes, sessions }, now);
+      expect(quiet.summary.gamesFinished).toBe(0);
+      expect(quiet.longestGame).toBeNull();
+      expect(quiet.oldestBacklogCleared).toBeNull();
+      expect(quiet.topRated).toEqual([]);
+    });
+  });
+
+  describe('getYearInReview', () => {
+    test('should read records up to the end of the year and mark the current year partial', async () => {
+      mockPrisma.game.findMany.mockResolvedValue([]);
+      mockPrisma.gameStatusChange.findMany.mockResolvedValue([]);
+      mockPrisma.playSession.findMany.mockResolvedValue([]);
+
+      const review = await getYearInReview(7, 2026, now);
+
+      const end = new Date('2027-01-01T00:00:00Z');
+      expect(mockPrisma.game.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7, addedAt: { lt: end } } }));
+      expect(mockPrisma.playSession.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 7, startedAt: { lt: end } } }));
+      expect(review.partial).toBe(true);
+    });
+
+    test('should refuse future years', async () => {
+      await expect(getYearInReview(7, 2027, now)).rejects.toThrow(YearInReviewError);
+      expect(mockPrisma.game.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReviewYears', () => {
+    test('should list years from the first game added to now, newest first', async () => {
+      mockPrisma.game.aggregate.mockResolvedValueOnce({ _min: { addedAt: new Date('2024-05-01T00:00:00Z') } });
+      expect(await getReviewYears(7, now)).toEqual([2026, 2025, 2024]);
+
+      mockPrisma.game.aggregate.mockResolvedValueOnce({ _min: { addedAt: null } });
+      expect(await getReviewYears(7, now)).toEqual([]);
+    });
+  });
+});
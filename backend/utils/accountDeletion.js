@@ -0,0 +1,237 @@
+/**
+ * Account Deletion Utilities
+ * Self-service deletion: a confirmed request starts a grace period the user can
+ * cancel; once it ends the account and everything attached to it is erased.
+ */
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { prisma } from '../db/database.js';
+import { blacklistUserTokens } from './tokenBlacklist.js';
+import { exportFilePath } from './dataExport.js';
+import { logSecurityEvent, SECURITY_EVENTS, SEVERITY_LEVELS } from './securityLogging.js';
+import { notifySecurityEvent } from './notifications.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Days between the request and the erasure
+export const DELETION_GRACE_DAYS = 7;
+
+export const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+/**
+ * Raised when a deletion request cannot be accepted
+ */
+export class AccountDeletionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountDeletionError';
+  }
+}
+
+/**
+ * Deletion state for the profile and danger-zone screens
+ * @param {object} user - User with deletionRequestedAt and deletionScheduledFor
+ * @returns {object|null} { requestedAt, scheduledFor } or null when none is pending
+ */
+export const formatDeletionStatus = (user) => (
+  user?.deletionScheduledFor
+    ? { requestedAt: user.deletionRequestedAt, scheduledFor: user.deletionScheduledFor }
+    : null
+);
+
+/**
+ * Start the grace period for deleting an account
+ * The user re-confirms by typing their email address. Asking again while a
+ * deletion is pending keeps the original date.
+ * @param {number} userId - Account to delete
+ * @param {string} confirmation - Text the user typed
+ * @param {Date} now - Request time
+ * @param {object} req - Request, for the security log
+ * @returns {Promise<object>} { requestedAt, scheduledFor }
+ * @throws {AccountDeletionError} When the confirmation does not match
+ */
+export const requestAccountDeletion = async (userId, confirmation, now = new Date(), req = null) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, deletionRequestedAt: true, deletionScheduledFor: true },
+  });
+  if (!user) {
+    throw new AccountDeletionError('User not found');
+  }
+
+  if (typeof confirmation !== 'string' || confirmation.trim().toLowerCase() !== user.email.toLowerCase()) {
+    throw new AccountDeletionError('Type your account email address to confirm deletion');
+  }
+
+  if (user.deletionScheduledFor) {
+    return formatDeletionStatus(user);
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      deletionRequestedAt: now,
+      deletionScheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+    },
+    select: { deletionRequestedAt: true, deletionScheduledFor: true },
+  });
+
+  logSecurityEvent(
+    SECURITY_EVENTS.ACCOUNT_DELETION_REQUESTED,
+    SEVERITY_LEVELS.MEDIUM,
+    'Account deletion requested',
+    { userId, scheduledFor: updated.deletionScheduledFor.toISOString() },
+    req
+  );
+  await notifySecurityEvent(
+    userId,
+    'Account deletion scheduled',
+    `Your account will be erased on ${updated.deletionScheduledFor.toISOString().slice(0, 10)} unless you cancel the deletion`
+  );
+
+  return formatDeletionStatus(updated);
+};
+
+/**
+ * Cancel a pending deletion
+ * @param {number} userId - Account owner
+ * @param {object} req - Request, for the security log
+ * @returns {Promise<boolean>} Whether a deletion was pending
+ */
+export const cancelAccountDeletion = async (userId, req = null) => {
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, deletionScheduledFor: { not: null } },
+    data: { deletionRequestedAt: null, deletionScheduledFor: null },
+  });
+
+  if (count > 0) {
+    logSecurityEvent(
+      SECURITY_EVENTS.ACCOUNT_DELETION_CANCELLED,
+      SEVERITY_LEVELS.LOW,
+      'Account deletion cancelled',
+      { userId },
+      req
+    );
+    await notifySecurityEvent(userId, 'Account deletion cancelled', 'Your account will be kept');
+  }
+
+  return count > 0;
+};
+
+/**
+ * Remove every avatar the user has uploaded
+ * Replaced avatars are left on disk by the upload route, so match on the
+ * avatar-<userId>- prefix rather than the current avatarUrl alone.
+ * @param {number} userId - Account owner
+ * @param {string} uploadsDir - Directory avatars are written to
+ * @returns {Promise<number>} Files removed
+ */
+export const removeUserUploads = async (userId, uploadsDir = UPLOADS_DIR) => {
+  let files;
+  try {
+    files = await fs.readdir(uploadsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const owned = files.filter(file => file.startsWith(`avatar-${userId}-`));
+  await Promise.all(owned.map(file => fs.rm(path.join(uploadsDir, file), { force: true })));
+  return owned.length;
+};
+
+// connect-sqlite3's all() drops the session ids, so read its table directly
+const listSessions = (store) => new Promise((resolve, reject) => {
+  if (store.db && store.table) {
+    store.db.all(`SELECT sid, sess FROM ${store.table}`, (error, rows) => {
+      if (error) return reject(error);
+      resolve(rows.map(row => ({ sid: row.sid, session: JSON.parse(row.sess) })));
+    });
+    return;
+  }
+
+  store.all((error, sessions) => {
+    if (error) return reject(error);
+    const entries = Array.isArray(sessions)
+      ? sessions.map(session => ({ sid: session.id, session }))
+      : Object.entries(sessions || {}).map(([sid, session]) => ({ sid, session }));
+    resolve(entries.filter(entry => entry.sid));
+  });
+});
+
+/**
+ * Destroy every stored session signed in as the user
+ * @param {number} userId - Account owner
+ * @param {object} store - express-session store
+ * @returns {Promise<number>} Sessions destroyed
+ */
+export const destroyUserSessions = async (userId, store) => {
+  if (!store) return 0;
+
+  const sessions = await listSessions(store);
+  const owned = sessions.filter(({ session }) => String(session?.passport?.user) === String(userId));
+  await Promise.all(owned.map(({ sid }) => new Promise((resolve, reject) => {
+    store.destroy(sid, error => (error ? reject(error) : resolve()));
+  })));
+  return owned.length;
+};
+
+/**
+ * Erase an account
+ * Tokens are revoked first so nothing issued to the account outlives it; the
+ * user row delete cascades to games, sessions, collections, tags and exports.
+ * @param {number} userId - Account to erase
+ * @param {object} options - { sessionStore, uploadsDir, reason, req }
+ * @returns {Promise<object>} { games, avatars, sessions } counts removed
+ */
+export const deleteAccount = async (userId, { sessionStore = null, uploadsDir = UPLOADS_DIR, reason = 'Account deleted', req = null } = {}) => {
+  const [games, exports] = await Promise.all([
+    prisma.game.count({ where: { userId } }),
+    prisma.dataExport.findMany({ where: { userId } }),
+  ]);
+
+  await blacklistUserTokens(userId, reason);
+  const sessions = await destroyUserSessions(userId, sessionStore);
+
+  await prisma.user.delete({ where: { id: userId } });
+
+  const avatars = await removeUserUploads(userId, uploadsDir);
+  await Promise.all(exports.map(job => fs.rm(exportFilePath(job), { force: true })));
+
+  logSecurityEvent(
+    SECURITY_EVENTS.ACCOUNT_DELETED,
+    SEVERITY_LEVELS.HIGH,
+    `Account deleted: ${reason}`,
+    { userId, games, avatars, sessions },
+    req
+  );
+
+  return { games, avatars, sessions };
+};
+
+/**
+ * Erase every account whose grace period has ended
+ * One failure is logged and does not stop the rest; it is retried next run.
+ * @param {Date} now - Current time
+ * @param {object} options - Passed to deleteAccount
+ * @returns {Promise<object>} { deleted, failed }
+ */
+export const processDueDeletions = async (now = new Date(), options = {}) => {
+  const due = await prisma.user.findMany({
+    where: { deletionScheduledFor: { lte: now } },
+    select: { id: true },
+  });
+
+  let deleted = 0;
+  for (const user of due) {
+    try {
+      await deleteAccount(user.id, { ...options, reason: 'Deletion grace period ended' });
+      deleted++;
+    } catch (error) {
+      console.error('Account deletion error:', error);
+    }
+  }
+
+  return { deleted, failed: due.length - deleted };
+};
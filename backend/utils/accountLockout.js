@@ -4,6 +4,7 @@
  */
 import { prisma } from '../db/database.js';
 import { logAccountLocked, logSecurityEvent, SEVERITY_LEVELS } from './securityLogging.js';
+import { notifySecurityEvent } from './notifications.js';
 
 // Configuration
 const MAX_FAILED_ATTEMPTS = 5;
@@ -51,6 +52,11 @@ export const recordFailedAttempt = async (email) => {
 
     if (shouldLock) {
       logAccountLocked(failedAttempts, { email: '[REDACTED]' });
+      await notifySecurityEvent(
+        user.id,
+        'Account locked after failed sign-ins',
+        `Sign-in was blocked for ${LOCKOUT_DURATION_MS / 1000 / 60} minutes after ${failedAttempts} failed attempts`
+      );
     }
 
     return {
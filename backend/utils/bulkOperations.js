@@ -0,0 +1,153 @@
+/**
+ * Bulk Library Operations
+ * Applies one action to many library games inside a single transaction
+ */
+import { prisma } from '../db/database.js';
+import { updateGameWithStatus, InvalidStatusTransitionError } from './gameStatus.js';
+import { addTagsToGames } from './tags.js';
+import { findUserCollection, appendToCollection, removeFromCollection } from './collections.js';
+
+export const BULK_ACTIONS = {
+  SET_STATUS: 'set_status',
+  CLEAR_RATING: 'clear_rating',
+  ADD_TAGS: 'add_tags',
+  MOVE_TO_COLLECTION: 'move_to_collection',
+  DELETE: 'delete',
+};
+
+export const BULK_ACTION_VALUES = Object.values(BULK_ACTIONS);
+
+export const MAX_BULK_ITEMS = 200;
+
+/**
+ * Raised when the request as a whole cannot be applied (not a per-item failure)
+ */
+export class BulkOperationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Raised inside the transaction to roll back an all-or-nothing request
+ */
+class BulkRollback extends Error {
+  constructor(results) {
+    super('Bulk operation rolled back');
+    this.results = results;
+  }
+}
+
+const succeeded = (gameId, extra = {}) => ({ gameId, success: true, ...extra });
+const failed = (gameId, error, extra = {}) => ({ gameId, success: false, error, ...extra });
+
+/**
+ * Apply the action to the games that exist; returns per-game results
+ */
+const runAction = async (userId, action, games, params, tx) => {
+  const ids = games.map(game => game.id);
+
+  switch (action) {
+    case BULK_ACTIONS.SET_STATUS: {
+      const results = [];
+      for (const game of games) {
+        try {
+          const updated = await updateGameWithStatus(game, {}, params.status, tx);
+          results.push(succeeded(game.id, { status: updated.status }));
+        } catch (error) {
+          if (!(error instanceof InvalidStatusTransitionError)) {
+            throw error;
+          }
+          results.push(failed(game.id, error.message, {
+            currentStatus: error.fromStatus,
+            allowedStatuses: error.allowed,
+          }));
+        }
+      }
+      return results;
+    }
+
+    case BULK_ACTIONS.CLEAR_RATING:
+      await tx.game.updateMany({ where: { id: { in: ids }, userId }, data: { userRating: null } });
+      return ids.map(id => succeeded(id));
+
+    case BULK_ACTIONS.ADD_TAGS:
+      await addTagsToGames(userId, ids, params.tags, tx);
+      return ids.map(id => succeeded(id, { tagsAdded: params.tags }));
+
+    case BULK_ACTIONS.MOVE_TO_COLLECTION: {
+      const target = await findUserCollection(userId, params.collectionId, tx);
+      if (!target) {
+        throw new BulkOperationError('Collection not found', 404);
+      }
+      if (params.fromCollectionId !== undefined) {
+        const source = await findUserCollection(userId, params.fromCollectionId, tx);
+        if (!source) {
+          throw new BulkOperationError('Source collection not found', 404);
+        }
+        await removeFromCollection(source.id, ids, tx);
+      }
+      await appendToCollection(target.id, ids, tx);
+      return ids.map(id => succeeded(id, { collectionId: target.id }));
+    }
+
+    case BULK_ACTIONS.DELETE:
+      await tx.game.deleteMany({ where: { id: { in: ids }, userId } });
+      return ids.map(id => succeeded(id, { deleted: true }));
+
+    default:
+      throw new BulkOperationError(`Unknown bulk action: ${action}`);
+  }
+};
+
+/**
+ * Apply a bulk action to a user's games
+ * Games that are not in the library, or whose status cannot make the requested
+ * transition, are reported as failures. By default the rest are still applied;
+ * with allOrNothing any failure rolls the whole batch back.
+ * @param {number} userId - Owner of the games
+ * @param {object} request - { action, gameIds, status, tags, collectionId, fromCollectionId, allOrNothing }
+ * @returns {Promise<object>} { applied, results } in the order of the requested IDs
+ * @throws {BulkOperationError} When the request as a whole is invalid
+ */
+export const applyBulkOperation = async (userId, request) => {
+  const { action, allOrNothing = false } = request;
+  const gameIds = [...new Set(request.gameIds)];
+
+  const order = new Map(gameIds.map((id, index) => [id, index]));
+  const byRequestOrder = (a, b) => order.get(a.gameId) - order.get(b.gameId);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const games = await tx.game.findMany({
+        where: { id: { in: gameIds }, userId },
+      });
+      const found = new Set(games.map(game => game.id));
+      const missing = gameIds
+        .filter(id => !found.has(id))
+        .map(id => failed(id, 'Game not found'));
+
+      const results = [...missing, ...await runAction(userId, action, games, request, tx)]
+        .sort(byRequestOrder);
+
+      if (allOrNothing && results.some(result => !result.success)) {
+        throw new BulkRollback(results);
+      }
+
+      return { applied: true, results };
+    });
+  } catch (error) {
+    if (error instanceof BulkRollback) {
+      // Nothing was written, so report items that would have succeeded as skipped
+      return {
+        applied: false,
+        results: error.results.map(result => (
+          result.success ? failed(result.gameId, 'Rolled back', { skipped: true }) : result
+        )),
+      };
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,238 @@
+/**
+ * Calendar Feed Utilities
+ * Per-user iCalendar (.ics) feed of library release dates, protected by a
+ * random token. Only a SHA-256 hash of the token is stored, so a feed URL can
+ * be shown once and then only rotated or revoked.
+ */
+import crypto from 'crypto';
+import { prisma } from '../db/database.js';
+import { buildCalendar, RELEASE_PRECISIONS } from './releaseCalendar.js';
+import { notifySecurityEvent } from './notifications.js';
+
+// Released games stay in the feed this long, so they do not vanish from calendars on release day
+export const FEED_HISTORY_DAYS = 90;
+
+// Feed tokens are 32 random bytes, hex encoded
+export const FEED_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+const PRODUCT_ID = '-//Game Backlog Tracker//Release Calendar//EN';
+const UID_DOMAIN = 'game-backlog-tracker';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token - Feed token
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Feed URL path for a token, relative to the API origin
+ * @param {string} token - Feed token
+ * @returns {string} Path such as /api/calendar/<token>.ics
+ */
+export const feedPath = (token) => `/api/calendar/${token}.ics`;
+
+/**
+ * Feed status for the settings UI (the token itself cannot be recovered)
+ * @param {object} user - User with calendarFeedTokenHash and calendarFeedCreatedAt
+ * @returns {object} { enabled, createdAt }
+ */
+export const formatFeedStatus = (user) => ({
+  enabled: Boolean(user.calendarFeedTokenHash),
+  createdAt: user.calendarFeedTokenHash ? user.calendarFeedCreatedAt : null,
+});
+
+/**
+ * Create a feed token, replacing (and so invalidating) any previous one
+ * @param {number} userId - Feed owner
+ * @param {Date} now - Creation time
+ * @returns {Promise<object>} { token, path, createdAt }
+ */
+export const rotateFeedToken = async (userId, now = new Date(), client = prisma) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await client.user.update({
+    where: { id: userId },
+    data: { calendarFeedTokenHash: hashFeedToken(token), calendarFeedCreatedAt: now },
+  });
+  await notifySecurityEvent(userId, 'New calendar feed URL created', 'Any previous feed URL no longer works', null, client);
+
+  return { token, path: feedPath(token), createdAt: now };
+};
+
+/**
+ * Revoke the feed token; the feed URL stops working immediately
+ * @param {number} userId - Feed owner
+ */
+export const revokeFeedToken = async (userId, client = prisma) => {
+  await client.user.update({
+    where: { id: userId },
+    data: { calendarFeedTokenHash: null, calendarFeedCreatedAt: null },
+  });
+  await notifySecurityEvent(userId, 'Calendar feed URL revoked', null, null, client);
+};
+
+/**
+ * Find the owner of a feed token
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<object|null>} { id } or null when the token is malformed or unknown
+ */
+export const findFeedOwner = async (token, client = prisma) => {
+  if (typeof token !== 'string' || !FEED_TOKEN_PATTERN.test(token)) {
+    return null;
+  }
+
+  return client.user.findUnique({
+    where: { calendarFeedTokenHash: hashFeedToken(token) },
+    select: { id: true },
+  });
+};
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ * Splits between characters, never inside a multi-byte one.
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line joined with CRLF and a leading space
+ */
+export const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatDateTime = (date) => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+// Readable date for a platform line or an approximate summary
+const describeDate = (date, precision, label) => {
+  if (!date) return 'TBA';
+  if (label) return label;
+  const iso = new Date(date).toISOString();
+  return precision === RELEASE_PRECISIONS.DAY || !precision ? iso.slice(0, 10) : iso.slice(0, 7);
+};
+
+/**
+ * Stable event UID for a game in a user's feed
+ * Keyed on the IGDB ID rather than the library row, so removing and re-adding
+ * a game (or restoring a backup) updates the same calendar event.
+ * @param {number} userId - Feed owner
+ * @param {number} igdbId - IGDB game ID
+ * @returns {string} UID
+ */
+export const eventUid = (userId, igdbId) => `release-${igdbId}-${userId}@${UID_DOMAIN}`;
+
+const buildEvent = (userId, game, now) => {
+  const start = new Date(game.releaseDate);
+  const exact = game.precision === RELEASE_PRECISIONS.DAY;
+  const summary = exact
+    ? `${game.name} releases`
+    : `${game.name} (expected ${describeDate(start, game.precision, game.label)})`;
+
+  const description = [];
+  if (game.platforms.length > 0) {
+    description.push(`Platforms: ${game.platforms
+      .map(platform => (platform.precision ? `${platform.platform} (${describeDate(platform.date, platform.precision, platform.label)})` : platform.platform))
+      .join(', ')}`);
+  }
+  if (game.moved) {
+    description.push(`Moved from ${describeDate(game.moved.from)} to ${describeDate(game.moved.to)}`);
+  }
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(userId, game.igdbId)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(new Date(start.getTime() + DAY_MS))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description.length > 0 ? [`DESCRIPTION:${escapeText(description.join('\n'))}`] : []),
+    'CATEGORIES:Game release',
+    'TRANSP:TRANSPARENT',
+  ];
+
+  // Release-day reminder at 09:00, only when the day is actually known
+  if (exact) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(`${game.name} is out today`)}`,
+      'TRIGGER:PT9H',
+      'END:VALARM',
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Render calendar games as an iCalendar document
+ * Games without a date are left out; every other game is one all-day event.
+ * @param {number} userId - Feed owner
+ * @param {Array<object>} games - Games as formatted by buildCalendar
+ * @param {Date} now - Generation time
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+export const buildIcs = (userId, games, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Game releases',
+    'X-PUBLISHED-TTL:PT12H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    ...games
+      .filter(game => game.releaseDate)
+      .flatMap(game => buildEvent(userId, game, now)),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * iCalendar feed for a user: library games releasing within the last
+ * FEED_HISTORY_DAYS or later, using the stored (refreshed) release dates
+ * @param {number} userId - Feed owner
+ * @param {Date} now - Generation time
+ * @returns {Promise<string>} text/calendar body
+ */
+export const getCalendarFeed = async (userId, now = new Date(), client = prisma) => {
+  const games = await client.game.findMany({
+    where: {
+      userId,
+      releaseDate: { gte: new Date(now.getTime() - FEED_HISTORY_DAYS * DAY_MS) },
+    },
+    include: { releaseDates: true },
+  });
+
+  const { months } = buildCalendar(games);
+  return buildIcs(userId, months.flatMap(month => month.games), now);
+};
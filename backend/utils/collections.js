@@ -0,0 +1,95 @@
+/**
+ * Collection Utilities
+ * Membership and manual ordering of games inside user collections
+ */
+import { prisma } from '../db/database.js';
+
+/**
+ * Find a collection owned by a user
+ * @param {number} userId - User ID
+ * @param {number} collectionId - Collection ID
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<object|null>} Collection or null
+ */
+export const findUserCollection = async (userId, collectionId, client = prisma) => {
+  if (!Number.isInteger(collectionId)) {
+    return null;
+  }
+  return client.collection.findFirst({
+    where: { id: collectionId, userId },
+  });
+};
+
+/**
+ * Append games to the end of a collection, skipping games that are already members
+ * @param {number} collectionId - Collection ID
+ * @param {Array<number>} gameIds - Games to add, in the order they should appear
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<number>} Number of games added
+ */
+export const appendToCollection = async (collectionId, gameIds, client = prisma) => {
+  const existing = await client.collectionGame.findMany({
+    where: { collectionId },
+    select: { gameId: true, position: true },
+  });
+
+  const members = new Set(existing.map(entry => entry.gameId));
+  let nextPosition = existing.reduce((max, entry) => Math.max(max, entry.position), -1) + 1;
+  let added = 0;
+
+  for (const gameId of gameIds) {
+    if (members.has(gameId)) {
+      continue;
+    }
+    await client.collectionGame.create({
+      data: { collectionId, gameId, position: nextPosition++ },
+    });
+    members.add(gameId);
+    added++;
+  }
+
+  return added;
+};
+
+/**
+ * Remove games from a collection
+ * @param {number} collectionId - Collection ID
+ * @param {Array<number>} gameIds - Games to remove
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<number>} Number of games removed
+ */
+export const removeFromCollection = async (collectionId, gameIds, client = prisma) => {
+  const result = await client.collectionGame.deleteMany({
+    where: { collectionId, gameId: { in: gameIds } },
+  });
+  return result.count;
+};
+
+/**
+ * Check that a requested order is a permutation of the current members
+ * @param {Array<number>} memberIds - Current member game IDs
+ * @param {Array<number>} orderedIds - Requested order
+ * @returns {boolean} True if every member appears exactly once
+ */
+export const isValidOrder = (memberIds, orderedIds) => {
+  if (memberIds.length !== orderedIds.length) {
+    return false;
+  }
+  const requested = new Set(orderedIds);
+  return requested.size === orderedIds.length && memberIds.every(id => requested.has(id));
+};
+
+/**
+ * Rewrite member positions to match a manual order
+ * @param {number} collectionId - Collection ID
+ * @param {Array<number>} orderedIds - Game IDs in their new order
+ * @param {object} client - Prisma client or transaction client
+ */
+export const reorderCollection = async (collectionId, orderedIds, client = prisma) => {
+  for (let position = 0; position < orderedIds.length; position++) {
+    await client.collectionGame.update({
+      where: { collectionId_gameId: { collectionId, gameId: orderedIds[position] } },
+      data: { position },
+    });
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing and writing for spreadsheet import/export
+ */
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Raised when the text cannot be read as CSV
+ */
+export class CsvParseError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'CsvParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted fields with embedded commas, quotes and newlines, CRLF line
+ * endings and a leading byte-order mark. Blank lines are dropped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ * @throws {CsvParseError} On an unterminated quoted field
+ */
+export const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let quoteStartLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+      quoteStartLine = line;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvParseError('Unterminated quoted field', quoteStartLine);
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Undo the formula guard added by formatCsvCell
+ */
+export const unguardCell = (value) => {
+  return typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+};
+
+/**
+ * Format one value as a CSV cell
+ * Text that a spreadsheet would evaluate as a formula is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from a header row and data rows
+ * @param {Array<string>} headers - Header cells
+ * @param {Array<Array>} rows - Data rows
+ * @returns {string} CSV with CRLF line endings
+ */
+export const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(row => row.map(formatCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+};
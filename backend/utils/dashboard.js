@@ -0,0 +1,152 @@
+/**
+ * Dashboard Utilities
+ * One aggregate of what the dashboard shows: games in progress, recent
+ * activity, backlog counts, upcoming wishlist releases and a suggested next game
+ */
+import { prisma } from '../db/database.js';
+import { GAME_STATUSES, GAME_STATUS_VALUES, normalizeStatus } from './gameStatus.js';
+import { parseJsonList } from './gameFormat.js';
+import { parseProgress } from './gameProgress.js';
+import { getPlaytimeByGame, getSessionMinutes } from './playtime.js';
+import { BACKLOG_STATUSES } from './libraryStats.js';
+import { recommendGames, formatRecommendation } from './recommendations.js';
+
+export const DASHBOARD_LIMITS = {
+  playing: 6,
+  activity: 10,
+  upcoming: 5,
+};
+
+export const ACTIVITY_TYPES = {
+  ADDED: 'added',
+  STATUS: 'status',
+  SESSION: 'session',
+};
+
+const gameSummary = (game) => ({
+  id: game.id,
+  name: game.name,
+  coverUrl: game.coverUrl,
+});
+
+/**
+ * Status counts plus the backlog total
+ * @param {Array<object>} groups - prisma groupBy rows of { status, _count: { status } }
+ * @returns {object} { total, backlog, byStatus }
+ */
+export const summarizeCounts = (groups) => {
+  const byStatus = Object.fromEntries(GAME_STATUS_VALUES.map(status => [status, 0]));
+  groups.forEach(group => {
+    const status = normalizeStatus(group.status) || group.status;
+    byStatus[status] = (byStatus[status] || 0) + group._count.status;
+  });
+
+  return {
+    total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+    backlog: BACKLOG_STATUSES.reduce((sum, status) => sum + byStatus[status], 0),
+    byStatus,
+  };
+};
+
+/**
+ * Merge status changes and play sessions into one newest-first feed
+ * A change with no previous status is the game being added.
+ * @param {Array<object>} changes - Status changes with game included
+ * @param {Array<object>} sessions - Play sessions with game included
+ * @param {number} limit - Entries to keep
+ * @param {Date} now - Reference time for running sessions
+ * @returns {Array<object>} { type, at, game, ... }
+ */
+export const buildActivityFeed = (changes, sessions, limit = DASHBOARD_LIMITS.activity, now = new Date()) => {
+  const entries = [
+    ...changes.map(change => (change.fromStatus
+      ? { type: ACTIVITY_TYPES.STATUS, at: change.changedAt, game: gameSummary(change.game), fromStatus: change.fromStatus, toStatus: change.toStatus }
+      : { type: ACTIVITY_TYPES.ADDED, at: change.changedAt, game: gameSummary(change.game), toStatus: change.toStatus })),
+    ...sessions.map(session => ({
+      type: ACTIVITY_TYPES.SESSION,
+      at: session.startedAt,
+      game: gameSummary(session.game),
+      minutes: getSessionMinutes(session, now),
+      running: !session.endedAt && session.durationMinutes === null,
+    })),
+  ];
+
+  return entries
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, limit);
+};
+
+/**
+ * Everything the dashboard renders, in one call
+ * @param {number} userId - Library owner
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} { counts, playing, recentActivity, upcomingReleases, suggestion }
+ */
+export const buildDashboard = async (userId, now = new Date()) => {
+  const gameSelect = { id: true, name: true, coverUrl: true };
+
+  const [groups, playingGames, changes, sessions, upcoming, lastSessions, recommendation] = await Promise.all([
+    prisma.game.groupBy({
+      by: ['status'],
+      where: { userId },
+      _count: { status: true },
+    }),
+    prisma.game.findMany({
+      where: { userId, status: GAME_STATUSES.PLAYING },
+      select: { ...gameSelect, progress: true, platforms: true, updatedAt: true },
+    }),
+    prisma.gameStatusChange.findMany({
+      where: { game: { userId } },
+      orderBy: { changedAt: 'desc' },
+      take: DASHBOARD_LIMITS.activity,
+      include: { game: { select: gameSelect } },
+    }),
+    prisma.playSession.findMany({
+      where: { userId },
+      orderBy: { startedAt: 'desc' },
+      take: DASHBOARD_LIMITS.activity,
+      include: { game: { select: gameSelect } },
+    }),
+    prisma.game.findMany({
+      where: { userId, status: GAME_STATUSES.WISHLIST, releaseDate: { gt: now } },
+      orderBy: { releaseDate: 'asc' },
+      take: DASHBOARD_LIMITS.upcoming,
+      select: { ...gameSelect, releaseDate: true, platforms: true },
+    }),
+    prisma.playSession.groupBy({
+      by: ['gameId'],
+      where: { userId },
+      _max: { startedAt: true },
+    }),
+    recommendGames(userId, { limit: 1 }, now),
+  ]);
+
+  const playtimeByGame = await getPlaytimeByGame(userId, playingGames.map(game => game.id));
+  const lastPlayedByGame = new Map(lastSessions.map(row => [row.gameId, row._max.startedAt]));
+
+  // Most recently played first; games never played fall back to when they were last touched
+  const playing = playingGames
+    .map(game => ({
+      ...gameSummary(game),
+      platforms: parseJsonList(game.platforms),
+      progress: parseProgress(game.progress),
+      minutesPlayed: playtimeByGame.get(game.id) || 0,
+      lastPlayedAt: lastPlayedByGame.get(game.id) || null,
+      sortAt: lastPlayedByGame.get(game.id) || game.updatedAt,
+    }))
+    .sort((a, b) => new Date(b.sortAt) - new Date(a.sortAt))
+    .slice(0, DASHBOARD_LIMITS.playing)
+    .map(({ sortAt: _sortAt, ...game }) => game);
+
+  return {
+    counts: summarizeCounts(groups),
+    playing,
+    recentActivity: buildActivityFeed(changes, sessions, DASHBOARD_LIMITS.activity, now),
+    upcomingReleases: upcoming.map(game => ({
+      ...gameSummary(game),
+      releaseDate: game.releaseDate,
+      platforms: parseJsonList(game.platforms),
+    })),
+    suggestion: recommendation.picks.length > 0 ? formatRecommendation(recommendation.picks[0]) : null,
+  };
+};
@@ -0,0 +1,375 @@
+/**
+ * Account Data Export (GDPR)
+ * Builds the versioned export document, renders it as JSON or a zip of JSON/CSV
+ * files, and runs exports for large accounts as background jobs
+ */
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { prisma } from '../db/database.js';
+import { parseJsonList } from './gameFormat.js';
+import { parseProgress } from './gameProgress.js';
+import { tagNamesFromLinks } from './tags.js';
+import { getSessionMinutes } from './playtime.js';
+import { fromCents } from './ownership.js';
+import { toCsv } from './csv.js';
+import { buildLibraryCsv, EXPORT_COLUMN_KEYS } from './libraryCsv.js';
+import { createZip } from './zip.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Version of the export document; bump the major part on breaking shape changes
+ * 1.0: profile only. 2.0: library, status history, sessions, collections and tags.
+ * 2.1: ownership records.
+ */
+export const EXPORT_VERSION = '2.1';
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  ZIP: 'zip',
+};
+
+export const EXPORT_FORMAT_VALUES = Object.values(EXPORT_FORMATS);
+
+export const EXPORT_JOB_STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  READY: 'ready',
+  FAILED: 'failed',
+};
+
+// Accounts with more rows than this (games + status changes + sessions) export in the background
+export const ASYNC_EXPORT_THRESHOLD = 5000;
+
+// Finished export files are kept this long for download
+export const EXPORT_RETENTION_HOURS = 24;
+
+// A job still pending/running after this long was cut off (e.g. by a restart)
+const STALE_JOB_MINUTES = 60;
+
+export const EXPORTS_DIR = path.join(__dirname, '../exports');
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.JSON]: 'application/json',
+  [EXPORT_FORMATS.ZIP]: 'application/zip',
+};
+
+const PROFILE_FIELDS = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  displayName: true,
+  bio: true,
+  avatarUrl: true,
+  theme: true,
+  preferences: true,
+  createdAt: true,
+  updatedAt: true,
+  lastLogin: true,
+  provider: true,
+  // Tokens, Google IDs and lockout counters are deliberately left out
+};
+
+const parsePreferences = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Rows an export would contain, to decide between an inline and a background export
+ * @param {number} userId - Account owner
+ * @returns {Promise<number>} Library games + status changes + play sessions
+ */
+export const countExportRecords = async (userId, client = prisma) => {
+  const [games, statusChanges, sessions] = await Promise.all([
+    client.game.count({ where: { userId } }),
+    client.gameStatusChange.count({ where: { game: { userId } } }),
+    client.playSession.count({ where: { userId } }),
+  ]);
+  return games + statusChanges + sessions;
+};
+
+/**
+ * Build the export document for an account
+ * @param {number} userId - Account owner
+ * @param {Date} now - Export time
+ * @returns {Promise<object|null>} Export document, or null when the user does not exist
+ */
+export const buildExportData = async (userId, now = new Date(), client = prisma) => {
+  const user = await client.user.findUnique({ where: { id: userId }, select: PROFILE_FIELDS });
+  if (!user) {
+    return null;
+  }
+
+  const [games, statusChanges, sessions, collections, tags, ownerships] = await Promise.all([
+    client.game.findMany({
+      where: { userId },
+      include: { tags: { include: { tag: true } } },
+      orderBy: { id: 'asc' },
+    }),
+    client.gameStatusChange.findMany({
+      where: { game: { userId } },
+      orderBy: [{ changedAt: 'asc' }, { id: 'asc' }],
+    }),
+    client.playSession.findMany({
+      where: { userId },
+      orderBy: [{ startedAt: 'asc' }, { id: 'asc' }],
+    }),
+    client.collection.findMany({
+      where: { userId },
+      include: { games: { orderBy: { position: 'asc' } } },
+      orderBy: { id: 'asc' },
+    }),
+    client.tag.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' },
+    }),
+    client.gameOwnership.findMany({
+      where: { userId },
+      orderBy: { id: 'asc' },
+    }),
+  ]);
+
+  return {
+    exportVersion: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    profile: {
+      ...user,
+      preferences: parsePreferences(user.preferences),
+    },
+    library: games.map(game => ({
+      id: game.id,
+      igdbId: game.igdbId,
+      name: game.name,
+      summary: game.summary,
+      coverUrl: game.coverUrl,
+      releaseDate: game.releaseDate,
+      platforms: parseJsonList(game.platforms) || [],
+      genres: parseJsonList(game.genres) || [],
+      developer: game.developer,
+      publisher: game.publisher,
+      rating: game.rating,
+      status: game.status,
+      userRating: game.userRating,
+      notes: game.notes,
+      progress: parseProgress(game.progress),
+      queueRank: game.queueRank,
+      importedMinutes: game.importedMinutes,
+      tags: tagNamesFromLinks(game.tags),
+      addedAt: game.addedAt,
+      updatedAt: game.updatedAt,
+      completedAt: game.completedAt,
+    })),
+    statusHistory: statusChanges.map(change => ({
+      gameId: change.gameId,
+      fromStatus: change.fromStatus,
+      toStatus: change.toStatus,
+      changedAt: change.changedAt,
+    })),
+    sessions: sessions.map(session => ({
+      id: session.id,
+      gameId: session.gameId,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      durationMinutes: session.durationMinutes,
+      note: session.note,
+    })),
+    collections: collections.map(collection => ({
+      id: collection.id,
+      name: collection.name,
+      description: collection.description,
+      createdAt: collection.createdAt,
+      games: collection.games.map(entry => ({
+        gameId: entry.gameId,
+        position: entry.position,
+        addedAt: entry.addedAt,
+      })),
+    })),
+    tags: tags.map(tag => ({ name: tag.name, createdAt: tag.createdAt })),
+    ownerships: ownerships.map(ownership => ({
+      gameId: ownership.gameId,
+      platform: ownership.platform,
+      format: ownership.format,
+      storefront: ownership.storefront,
+      purchasedAt: ownership.purchasedAt,
+      price: fromCents(ownership.priceCents),
+      currency: ownership.currency,
+    })),
+  };
+};
+
+/**
+ * Zip of the export: the full JSON document plus spreadsheet-friendly CSVs
+ * @param {object} data - Export document
+ * @returns {Buffer} Zip file
+ */
+export const buildExportArchive = (data) => {
+  const gameNames = new Map(data.library.map(game => [game.id, game.name]));
+  const exportedAt = new Date(data.exportedAt);
+
+  const minutesByGame = new Map(data.library.map(game => [game.id, game.importedMinutes || 0]));
+  data.sessions.forEach(session => {
+    const minutes = getSessionMinutes(session, exportedAt);
+    minutesByGame.set(session.gameId, (minutesByGame.get(session.gameId) || 0) + minutes);
+  });
+
+  // buildLibraryCsv reads stored rows (JSON list columns, tag links)
+  const libraryRows = data.library.map(game => ({
+    ...game,
+    platforms: JSON.stringify(game.platforms),
+    genres: JSON.stringify(game.genres),
+    progress: game.progress ? JSON.stringify(game.progress) : null,
+    tags: game.tags.map(name => ({ tag: { name } })),
+    minutesPlayed: minutesByGame.get(game.id) || 0,
+  }));
+
+  return createZip([
+    { name: 'export.json', data: JSON.stringify(data, null, 2) },
+    { name: 'library.csv', data: buildLibraryCsv(libraryRows, EXPORT_COLUMN_KEYS) },
+    {
+      name: 'status-history.csv',
+      data: toCsv(
+        ['gameId', 'game', 'fromStatus', 'toStatus', 'changedAt'],
+        data.statusHistory.map(change => [
+          change.gameId, gameNames.get(change.gameId), change.fromStatus, change.toStatus, change.changedAt,
+        ])
+      ),
+    },
+    {
+      name: 'play-sessions.csv',
+      data: toCsv(
+        ['id', 'gameId', 'game', 'startedAt', 'endedAt', 'durationMinutes', 'note'],
+        data.sessions.map(session => [
+          session.id, session.gameId, gameNames.get(session.gameId), session.startedAt,
+          session.endedAt, session.durationMinutes, session.note,
+        ])
+      ),
+    },
+  ], exportedAt);
+};
+
+/**
+ * Render an export document in the requested format
+ * @param {object} data - Export document
+ * @param {string} format - 'json' or 'zip'
+ * @returns {object} { content, contentType, fileName }
+ */
+export const renderExport = (data, format) => {
+  const date = data.exportedAt.slice(0, 10);
+  return {
+    content: format === EXPORT_FORMATS.ZIP ? buildExportArchive(data) : JSON.stringify(data, null, 2),
+    contentType: CONTENT_TYPES[format],
+    fileName: `profile-export-${date}.${format}`,
+  };
+};
+
+/**
+ * Where a finished job's file is stored
+ */
+export const exportFilePath = (job) => path.join(EXPORTS_DIR, `${job.id}.${job.format}`);
+
+/**
+ * Build a job's export and store the file; failures are recorded on the job
+ * @param {string} jobId - DataExport id
+ */
+export const runExportJob = async (jobId) => {
+  const job = await prisma.dataExport.update({
+    where: { id: jobId },
+    data: { status: EXPORT_JOB_STATUSES.RUNNING },
+  });
+
+  try {
+    const data = await buildExportData(job.userId);
+    if (!data) {
+      throw new Error('User not found');
+    }
+
+    const { content, fileName } = renderExport(data, job.format);
+    await fs.mkdir(EXPORTS_DIR, { recursive: true });
+    await fs.writeFile(exportFilePath(job), content);
+
+    const completedAt = new Date();
+    await prisma.dataExport.update({
+      where: { id: jobId },
+      data: {
+        status: EXPORT_JOB_STATUSES.READY,
+        fileName,
+        fileSize: Buffer.byteLength(content),
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000),
+      },
+    });
+  } catch (error) {
+    console.error('Data export job error:', error);
+    await prisma.dataExport.update({
+      where: { id: jobId },
+      data: { status: EXPORT_JOB_STATUSES.FAILED, error: 'Export failed', completedAt: new Date() },
+    });
+  }
+};
+
+/**
+ * Queue a background export, reusing one that is already in progress
+ * @param {number} userId - Account owner
+ * @param {string} format - 'json' or 'zip'
+ * @returns {Promise<object>} DataExport record
+ */
+export const startExportJob = async (userId, format) => {
+  const inProgress = await prisma.dataExport.findFirst({
+    where: {
+      userId,
+      format,
+      status: { in: [EXPORT_JOB_STATUSES.PENDING, EXPORT_JOB_STATUSES.RUNNING] },
+    },
+  });
+  if (inProgress) {
+    return inProgress;
+  }
+
+  const job = await prisma.dataExport.create({
+    data: {
+      id: crypto.randomBytes(16).toString('hex'),
+      userId,
+      format,
+      status: EXPORT_JOB_STATUSES.PENDING,
+      expiresAt: new Date(Date.now() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  // Not awaited: the export carries on after the response is sent and records its own failures
+  runExportJob(job.id).catch(error => console.error('Data export job error:', error));
+
+  return job;
+};
+
+/**
+ * Remove expired export files and fail jobs that never finished
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} { removed, failed }
+ */
+export const cleanupExports = async (now = new Date()) => {
+  const expired = await prisma.dataExport.findMany({
+    where: { expiresAt: { lte: now } },
+  });
+
+  await Promise.all(expired.map(job => fs.rm(exportFilePath(job), { force: true })));
+  await prisma.dataExport.deleteMany({ where: { id: { in: expired.map(job => job.id) } } });
+
+  const stale = await prisma.dataExport.updateMany({
+    where: {
+      status: { in: [EXPORT_JOB_STATUSES.PENDING, EXPORT_JOB_STATUSES.RUNNING] },
+      createdAt: { lt: new Date(now.getTime() - STALE_JOB_MINUTES * 60 * 1000) },
+    },
+    data: { status: EXPORT_JOB_STATUSES.FAILED, error: 'Export was interrupted', completedAt: now },
+  });
+
+  return { removed: expired.length, failed: stale.count };
+};
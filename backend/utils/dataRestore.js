@@ -0,0 +1,435 @@
+/**
+ * Account Restore
+ * Rebuilds a library and preferences from a profile export (see dataExport.js),
+ * merging into or replacing the current account, with a conflict report
+ */
+import { prisma } from '../db/database.js';
+import { EXPORT_VERSION } from './dataExport.js';
+import { normalizeStatus, DEFAULT_GAME_STATUS, GAME_STATUSES, recordInitialStatus } from './gameStatus.js';
+import { parseProgress, serializeProgress } from './gameProgress.js';
+import { parseTagList, setGameTags, ensureTags } from './tags.js';
+import { appendToCollection } from './collections.js';
+import { OWNERSHIP_FORMAT_VALUES, toCents, normalizeCurrency } from './ownership.js';
+
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+export const RESTORE_MODE_VALUES = Object.values(RESTORE_MODES);
+
+export const MAX_RESTORE_GAMES = 10000;
+
+// Restores write a row per game, session and history entry; allow for large libraries
+const RESTORE_TIMEOUT_MS = 120000;
+
+// Fields compared when a restored game is already in the library
+const CONFLICT_FIELDS = ['status', 'userRating', 'notes', 'completedAt', 'tags'];
+
+/**
+ * Raised when the file cannot be restored at all
+ */
+export class RestoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RestoreError';
+  }
+}
+
+/**
+ * Raised inside the transaction to roll back a dry run
+ */
+class DryRunRollback extends Error {
+  constructor(report) {
+    super('Dry run rolled back');
+    this.report = report;
+  }
+}
+
+const parseVersion = (version) => {
+  const match = typeof version === 'string' && version.match(/^(\d+)\.(\d+)$/);
+  return match ? { major: parseInt(match[1]), minor: parseInt(match[2]) } : null;
+};
+
+/**
+ * Check an export's schema version against what this server writes
+ * 1.x exports hold only the profile; newer minor versions may carry fields that are ignored.
+ * @param {object} data - Parsed export
+ * @returns {object} { version, hasLibrary, warnings }
+ * @throws {RestoreError} When the version is missing, unreadable or from a newer major version
+ */
+export const checkExportVersion = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new RestoreError('Expected the JSON file produced by the profile export');
+  }
+
+  const version = parseVersion(data.exportVersion);
+  const current = parseVersion(EXPORT_VERSION);
+  if (!version) {
+    throw new RestoreError('The file has no readable exportVersion; is it a profile export?');
+  }
+  if (version.major > current.major) {
+    throw new RestoreError(
+      `Export version ${data.exportVersion} is newer than this server supports (${current.major}.x)`
+    );
+  }
+
+  const warnings = [];
+  if (version.major < 2) {
+    warnings.push(`Export version ${data.exportVersion} contains only the profile; no games were restored`);
+  } else if (version.major === current.major && version.minor > current.minor) {
+    warnings.push(`Export version ${data.exportVersion} is newer than ${EXPORT_VERSION}; unknown fields were ignored`);
+  }
+
+  const hasLibrary = version.major >= 2;
+  if (hasLibrary && !Array.isArray(data.library)) {
+    throw new RestoreError('The export has no library list');
+  }
+  if (hasLibrary && data.library.length > MAX_RESTORE_GAMES) {
+    throw new RestoreError(`A restore can contain at most ${MAX_RESTORE_GAMES} games`);
+  }
+
+  return { version: data.exportVersion, hasLibrary, warnings };
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+/**
+ * Create data for a game from an export entry; invalid entries return null
+ */
+export const buildRestoredGameData = (userId, entry) => {
+  const igdbId = Number(entry?.igdbId);
+  const name = typeof entry?.name === 'string' ? entry.name.trim().slice(0, 255) : '';
+  if (!Number.isInteger(igdbId) || igdbId < 1 || !name) {
+    return null;
+  }
+
+  const status = normalizeStatus(entry.status) || DEFAULT_GAME_STATUS;
+  const userRating = Number(entry.userRating);
+  const platforms = toList(entry.platforms);
+  const genres = toList(entry.genres);
+
+  return {
+    userId,
+    igdbId,
+    name,
+    summary: entry.summary || null,
+    coverUrl: entry.coverUrl || null,
+    releaseDate: toDate(entry.releaseDate),
+    platforms: platforms.length ? JSON.stringify(platforms) : null,
+    genres: genres.length ? JSON.stringify(genres) : null,
+    developer: entry.developer || null,
+    publisher: entry.publisher || null,
+    rating: typeof entry.rating === 'number' ? entry.rating : null,
+    status,
+    userRating: userRating >= 1 && userRating <= 5 ? userRating : null,
+    notes: typeof entry.notes === 'string' ? entry.notes.slice(0, 2000) : null,
+    progress: entry.progress ? serializeProgress(parseProgress(JSON.stringify(entry.progress))) : null,
+    queueRank: typeof entry.queueRank === 'number' ? entry.queueRank : null,
+    importedMinutes: Number.isInteger(entry.importedMinutes) && entry.importedMinutes > 0 ? entry.importedMinutes : 0,
+    addedAt: toDate(entry.addedAt) || new Date(),
+    completedAt: status === GAME_STATUSES.COMPLETED ? toDate(entry.completedAt) || new Date() : null,
+  };
+};
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return toDate(a)?.getTime() === toDate(b)?.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify([...(a || [])].sort()) === JSON.stringify([...(b || [])].sort());
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+/**
+ * Fields where the library copy and the exported copy of a game disagree
+ */
+export const describeConflict = (existing, entry) => {
+  const current = {
+    status: existing.status,
+    userRating: existing.userRating,
+    notes: existing.notes,
+    completedAt: existing.completedAt,
+    tags: existing.tags.map(link => link.tag.name),
+  };
+  const exported = {
+    status: normalizeStatus(entry.status),
+    userRating: entry.userRating ?? null,
+    notes: entry.notes ?? null,
+    completedAt: toDate(entry.completedAt),
+    tags: parseTagList(toList(entry.tags)),
+  };
+
+  return CONFLICT_FIELDS
+    .filter(field => !sameValue(current[field], exported[field]))
+    .map(field => ({ field, current: current[field], exported: exported[field] }));
+};
+
+/**
+ * Profile columns restored from the export (identity fields are never touched)
+ * In merge mode current preferences win and the export only fills gaps.
+ */
+const buildProfileUpdate = (user, profile, mode) => {
+  if (!profile) {
+    return null;
+  }
+
+  let current = {};
+  try {
+    current = user.preferences ? JSON.parse(user.preferences) : {};
+  } catch {
+    current = {};
+  }
+
+  const exported = profile.preferences || {};
+  const preferences = mode === RESTORE_MODES.REPLACE
+    ? exported
+    : Object.fromEntries(
+      [...new Set([...Object.keys(exported), ...Object.keys(current)])].map(section => [
+        section,
+        { ...(exported[section] || {}), ...(current[section] || {}) },
+      ])
+    );
+
+  const data = { preferences: JSON.stringify(preferences) };
+  ['displayName', 'bio', 'theme'].forEach(field => {
+    if (profile[field] !== undefined && (mode === RESTORE_MODES.REPLACE || !user[field])) {
+      data[field] = profile[field];
+    }
+  });
+  return data;
+};
+
+const restoreInTransaction = async (userId, data, { mode, profile, hasLibrary }, tx) => {
+  const report = {
+    profileRestored: false,
+    games: { created: 0, skipped: 0, invalid: 0, replaced: 0, deleted: 0 },
+    statusHistory: 0,
+    sessions: 0,
+    ownerships: 0,
+    collections: 0,
+    tags: 0,
+    conflicts: [],
+    warnings: [],
+  };
+
+  const user = await tx.user.findUnique({ where: { id: userId } });
+  const profileUpdate = buildProfileUpdate(user, profile, mode);
+  if (profileUpdate) {
+    await tx.user.update({ where: { id: userId }, data: profileUpdate });
+    report.profileRestored = true;
+  }
+
+  if (!hasLibrary) {
+    return report;
+  }
+
+  const existing = await tx.game.findMany({
+    where: { userId },
+    include: { tags: { include: { tag: true } } },
+  });
+  const existingByIgdbId = new Map(existing.map(game => [game.igdbId, game]));
+
+  if (mode === RESTORE_MODES.REPLACE) {
+    // Cascades remove status history, sessions, collection entries and tag links
+    await tx.game.deleteMany({ where: { userId } });
+    await tx.collection.deleteMany({ where: { userId } });
+    await tx.tag.deleteMany({ where: { userId } });
+    report.games.deleted = existing.length;
+  }
+
+  // Export game ID -> new library game, for history, sessions and collections
+  const restored = new Map();
+  const seen = new Set();
+
+  for (const entry of data.library) {
+    const gameData = buildRestoredGameData(userId, entry);
+    if (!gameData || seen.has(gameData.igdbId)) {
+      report.games.invalid++;
+      continue;
+    }
+    seen.add(gameData.igdbId);
+
+    const current = existingByIgdbId.get(gameData.igdbId);
+    if (current) {
+      const differences = describeConflict(current, entry);
+      if (differences.length > 0) {
+        report.conflicts.push({
+          igdbId: gameData.igdbId,
+          name: gameData.name,
+          existingGameId: current.id,
+          resolution: mode === RESTORE_MODES.REPLACE ? 'replaced' : 'kept_existing',
+          differences,
+        });
+      }
+      if (mode === RESTORE_MODES.MERGE) {
+        report.games.skipped++;
+        continue;
+      }
+      report.games.replaced++;
+    }
+
+    const game = await tx.game.create({ data: gameData });
+    restored.set(entry.id, game);
+    report.games.created++;
+
+    const tagNames = parseTagList(toList(entry.tags));
+    if (tagNames.length > 0) {
+      await setGameTags(userId, game.id, tagNames, tx);
+    }
+  }
+
+  const history = Array.isArray(data.statusHistory) ? data.statusHistory : [];
+  const gamesWithHistory = new Set();
+  for (const change of history) {
+    const gameId = restored.get(change.gameId)?.id;
+    const toStatus = normalizeStatus(change.toStatus);
+    if (!gameId || !toStatus) continue;
+
+    await tx.gameStatusChange.create({
+      data: {
+        gameId,
+        fromStatus: normalizeStatus(change.fromStatus),
+        toStatus,
+        changedAt: toDate(change.changedAt) || new Date(),
+      },
+    });
+    gamesWithHistory.add(gameId);
+    report.statusHistory++;
+  }
+
+  // Games exported without history still get their starting status recorded
+  for (const game of restored.values()) {
+    if (!gamesWithHistory.has(game.id)) {
+      await recordInitialStatus(game, tx);
+    }
+  }
+
+  const sessions = Array.isArray(data.sessions) ? data.sessions : [];
+  let unfinished = 0;
+  for (const session of sessions) {
+    const gameId = restored.get(session.gameId)?.id;
+    const startedAt = toDate(session.startedAt);
+    if (!gameId || !startedAt) continue;
+
+    // A timer that was running at export time would never stop; leave it out
+    const endedAt = toDate(session.endedAt);
+    if (!endedAt && session.durationMinutes == null) {
+      unfinished++;
+      continue;
+    }
+
+    await tx.playSession.create({
+      data: {
+        userId,
+        gameId,
+        startedAt,
+        endedAt,
+        durationMinutes: Number.isInteger(session.durationMinutes) ? session.durationMinutes : null,
+        note: typeof session.note === 'string' ? session.note.slice(0, 500) : null,
+      },
+    });
+    report.sessions++;
+  }
+  if (unfinished > 0) {
+    report.warnings.push(`${unfinished} running play session${unfinished === 1 ? ' was' : 's were'} not restored`);
+  }
+
+  // Added in export 2.1; older exports have no ownership records
+  const ownerships = Array.isArray(data.ownerships) ? data.ownerships : [];
+  for (const ownership of ownerships) {
+    const gameId = restored.get(ownership.gameId)?.id;
+    const platform = typeof ownership.platform === 'string' ? ownership.platform.trim().slice(0, 100) : '';
+    if (!gameId || !platform || !OWNERSHIP_FORMAT_VALUES.includes(ownership.format)) continue;
+
+    // A price is only kept with a currency it can be read in
+    const currency = normalizeCurrency(ownership.currency);
+    const priceCents = currency && typeof ownership.price === 'number' && ownership.price >= 0 ? toCents(ownership.price) : null;
+
+    await tx.gameOwnership.create({
+      data: {
+        userId,
+        gameId,
+        platform,
+        format: ownership.format,
+        storefront: typeof ownership.storefront === 'string' ? ownership.storefront.slice(0, 100) : null,
+        purchasedAt: toDate(ownership.purchasedAt),
+        priceCents,
+        currency: priceCents === null ? null : currency,
+      },
+    });
+    report.ownerships++;
+  }
+
+  const collections = Array.isArray(data.collections) ? data.collections : [];
+  for (const exported of collections) {
+    const name = typeof exported?.name === 'string' ? exported.name.trim() : '';
+    if (!name) continue;
+
+    const collection = await tx.collection.upsert({
+      where: { userId_name: { userId, name } },
+      update: {},
+      create: { userId, name, description: exported.description || null },
+    });
+    const members = (Array.isArray(exported.games) ? exported.games : [])
+      .slice()
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .map(entry => restored.get(entry.gameId)?.id)
+      .filter(Boolean);
+    await appendToCollection(collection.id, members, tx);
+    report.collections++;
+  }
+
+  // Tags that were not on any game at export time
+  const tagNames = parseTagList(toList((Array.isArray(data.tags) ? data.tags : []).map(tag => tag?.name)));
+  await ensureTags(userId, tagNames, tx);
+  report.tags = tagNames.length;
+
+  return report;
+};
+
+/**
+ * Restore an account from a profile export
+ * Everything runs in one transaction. In merge mode games already in the library
+ * are kept and listed as conflicts when they differ; in replace mode the library,
+ * collections and tags are cleared first. A dry run reports without writing.
+ * @param {number} userId - Account to restore into
+ * @param {object} data - Parsed export
+ * @param {object} options - { mode: 'merge'|'replace', dryRun, profile } where profile
+ *   holds the validated displayName, bio, theme and preferences to restore (or null)
+ * @returns {Promise<object>} Restore report
+ * @throws {RestoreError} When the export cannot be restored
+ */
+export const restoreAccount = async (userId, data, { mode = RESTORE_MODES.MERGE, dryRun = false, profile = null } = {}) => {
+  const { version, hasLibrary, warnings } = checkExportVersion(data);
+
+  const finish = (report) => ({
+    mode,
+    dryRun,
+    exportVersion: version,
+    ...report,
+    warnings: [...warnings, ...report.warnings],
+  });
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const report = await restoreInTransaction(userId, data, { mode, profile, hasLibrary }, tx);
+      if (dryRun) {
+        throw new DryRunRollback(report);
+      }
+      return finish(report);
+    }, { timeout: RESTORE_TIMEOUT_MS });
+  } catch (error) {
+    if (error instanceof DryRunRollback) {
+      return finish(error.report);
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Email Unsubscribe Links
+ * Per-user unsubscribe tokens, signed with HMAC so links need no database
+ * lookup to verify and never expire. Changing EMAIL_UNSUBSCRIBE_SECRET (or
+ * JWT_SECRET, its fallback) invalidates every link already sent.
+ */
+import crypto from 'crypto';
+
+// <userId>.<base64url HMAC-SHA256>
+export const UNSUBSCRIBE_TOKEN_PATTERN = /^(\d+)\.([\w-]{43})$/;
+
+const getSecret = () => {
+  const secret = process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('EMAIL_UNSUBSCRIBE_SECRET or JWT_SECRET must be set to sign unsubscribe links');
+  }
+  return secret;
+};
+
+const sign = (userId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`email-unsubscribe:${userId}`)
+  .digest('base64url');
+
+/**
+ * Unsubscribe token for a user
+ * @param {number} userId - Recipient
+ * @returns {string} Token
+ */
+export const createUnsubscribeToken = (userId) => `${userId}.${sign(userId)}`;
+
+/**
+ * Check an unsubscribe token
+ * @param {string} token - Token from an unsubscribe link
+ * @returns {number|null} User ID, or null when the token is malformed or forged
+ */
+export const verifyUnsubscribeToken = (token) => {
+  const match = typeof token === 'string' ? token.match(UNSUBSCRIBE_TOKEN_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+
+  const userId = parseInt(match[1], 10);
+  const expected = Buffer.from(sign(userId));
+  const actual = Buffer.from(match[2]);
+  return crypto.timingSafeEqual(expected, actual) ? userId : null;
+};
+
+/**
+ * Unsubscribe links for an email to a user
+ * page is the confirmation page linked from the email body; oneClick is the
+ * API endpoint for the List-Unsubscribe header (RFC 8058 one-click POST).
+ * @param {number} userId - Recipient
+ * @returns {object} { page, oneClick }
+ */
+export const unsubscribeLinks = (userId) => {
+  const token = encodeURIComponent(createUnsubscribeToken(userId));
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+  return {
+    page: `${frontendUrl}/unsubscribe?token=${token}`,
+    oneClick: `${apiUrl}/api/email/unsubscribe?token=${token}`,
+  };
+};
@@ -0,0 +1,236 @@
+/**
+ * Library Filter Utilities
+ * Turns GET /api/games query parameters into a Prisma where clause
+ */
+import { prisma } from '../db/database.js';
+import { normalizeStatus } from './gameStatus.js';
+import { toCents, normalizeCurrency } from './ownership.js';
+
+// JSON array columns that can be matched element by element
+const JSON_LIST_COLUMNS = ['genres', 'platforms'];
+
+/**
+ * Parse a list from a query string value or array
+ * Accepts "RPG,Action" as well as repeated parameters
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} Unique non-empty trimmed values
+ */
+export const parseListParam = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(part => part.trim())
+    .filter(Boolean);
+  return [...new Set(parts)];
+};
+
+/**
+ * Parse a comma-separated status list
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>|null} Canonical statuses, or null if any is unknown
+ */
+export const parseStatusList = (value) => {
+  const statuses = parseListParam(value).map(normalizeStatus);
+  if (statuses.length === 0 || statuses.includes(null)) {
+    return null;
+  }
+  return [...new Set(statuses)];
+};
+
+/**
+ * Add a condition to a where clause without clobbering earlier ones
+ * @param {object} where - Prisma where clause (mutated)
+ * @param {object} condition - Condition to AND in
+ * @returns {object} The where clause
+ */
+export const addCondition = (where, condition) => {
+  where.AND = [...(where.AND || []), condition];
+  return where;
+};
+
+/**
+ * Build a numeric range condition
+ * @param {string|undefined} min - Inclusive lower bound
+ * @param {string|undefined} max - Inclusive upper bound
+ * @returns {object|null} Prisma range filter
+ */
+export const buildRange = (min, max) => {
+  const range = {};
+  if (min !== undefined && min !== '') range.gte = parseFloat(min);
+  if (max !== undefined && max !== '') range.lte = parseFloat(max);
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Build a release date range from whole years
+ * @param {string|undefined} fromYear - First year included
+ * @param {string|undefined} toYear - Last year included
+ * @returns {object|null} Prisma date filter
+ */
+export const buildYearRange = (fromYear, toYear) => {
+  const range = {};
+  if (fromYear) range.gte = new Date(Date.UTC(parseInt(fromYear), 0, 1));
+  if (toYear) range.lt = new Date(Date.UTC(parseInt(toYear) + 1, 0, 1));
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Build a date range; a date-only upper bound includes that whole day
+ * @param {string|undefined} from - ISO date or datetime
+ * @param {string|undefined} to - ISO date or datetime
+ * @returns {object|null} Prisma date filter
+ */
+export const buildDateRange = (from, to) => {
+  const range = {};
+  if (from) range.gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.lt = end;
+    } else {
+      range.lte = end;
+    }
+  }
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Find a user's games whose JSON list column contains any of the given values
+ * Matching is case-insensitive on whole elements, done in SQLite with json_each
+ * @param {number} userId - User ID
+ * @param {string} column - 'genres' or 'platforms'
+ * @param {Array<string>} values - Values to look for
+ * @returns {Promise<Array<number>>} Matching game IDs
+ */
+export const findGameIdsWithListValues = async (userId, column, values) => {
+  if (!JSON_LIST_COLUMNS.includes(column)) {
+    throw new Error(`Unsupported list column: ${column}`);
+  }
+  if (values.length === 0) {
+    return [];
+  }
+
+  const placeholders = values.map(() => '?').join(', ');
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT DISTINCT g.id AS id
+     FROM games g, json_each(CASE WHEN json_valid(g.${column}) THEN g.${column} ELSE '[]' END) AS item
+     WHERE g.userId = ? AND lower(item.value) IN (${placeholders})`,
+    userId,
+    ...values.map(value => value.toLowerCase())
+  );
+
+  return rows.map(row => Number(row.id));
+};
+
+/**
+ * Count the values of a JSON list column across a user's library
+ * @param {number} userId - User ID
+ * @param {string} column - 'genres' or 'platforms'
+ * @returns {Promise<Array<object>>} { value, count } sorted by count
+ */
+export const countListValues = async (userId, column) => {
+  if (!JSON_LIST_COLUMNS.includes(column)) {
+    throw new Error(`Unsupported list column: ${column}`);
+  }
+
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT item.value AS value, COUNT(DISTINCT g.id) AS count
+     FROM games g, json_each(CASE WHEN json_valid(g.${column}) THEN g.${column} ELSE '[]' END) AS item
+     WHERE g.userId = ?
+     GROUP BY item.value
+     ORDER BY count DESC, item.value ASC`,
+    userId
+  );
+
+  return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+};
+
+/**
+ * Build the condition for the ownership filters
+ * Conditions on one owned copy are combined, so ownedPlatform=PS5 with
+ * format=physical matches games with a physical PS5 copy.
+ * @param {object} filters - Validated query parameters
+ * @returns {object|null} Prisma condition, or null when no ownership filter is set
+ */
+export const buildOwnershipFilter = (filters) => {
+  const { owned, ownedPlatform, format, storefront, currency, priceMin, priceMax, purchasedFrom, purchasedTo } = filters;
+  const copy = {};
+
+  const platforms = parseListParam(ownedPlatform);
+  if (platforms.length > 0) copy.platform = { in: platforms };
+  if (format) copy.format = format;
+  const storefronts = parseListParam(storefront);
+  if (storefronts.length > 0) copy.storefront = { in: storefronts };
+  if (currency) copy.currency = normalizeCurrency(currency);
+
+  const price = buildRange(priceMin, priceMax);
+  if (price) copy.priceCents = Object.fromEntries(Object.entries(price).map(([op, value]) => [op, toCents(value)]));
+
+  const purchasedAt = buildDateRange(purchasedFrom, purchasedTo);
+  if (purchasedAt) copy.purchasedAt = purchasedAt;
+
+  if (Object.keys(copy).length > 0) return { ownerships: { some: copy } };
+  if (owned === 'true') return { ownerships: { some: {} } };
+  if (owned === 'false') return { ownerships: { none: {} } };
+  return null;
+};
+
+/**
+ * Apply the rich library filters to a where clause
+ * @param {object} where - Prisma where clause already scoped to the user (mutated)
+ * @param {number} userId - User ID
+ * @param {object} filters - Validated query parameters
+ * @returns {Promise<object>} The where clause
+ */
+export const applyLibraryFilters = async (where, userId, filters) => {
+  const {
+    status,
+    genre,
+    platform,
+    developer,
+    publisher,
+    userRatingMin,
+    userRatingMax,
+    igdbRatingMin,
+    igdbRatingMax,
+    releaseYearFrom,
+    releaseYearTo,
+    addedFrom,
+    addedTo,
+  } = filters;
+
+  if (status) {
+    addCondition(where, { status: { in: parseStatusList(status) } });
+  }
+
+  for (const [column, value] of [['genres', genre], ['platforms', platform]]) {
+    const values = parseListParam(value);
+    if (values.length > 0) {
+      const ids = await findGameIdsWithListValues(userId, column, values);
+      addCondition(where, { id: { in: ids } });
+    }
+  }
+
+  if (developer) addCondition(where, { developer: { contains: developer } });
+  if (publisher) addCondition(where, { publisher: { contains: publisher } });
+
+  const userRating = buildRange(userRatingMin, userRatingMax);
+  if (userRating) addCondition(where, { userRating });
+
+  const igdbRating = buildRange(igdbRatingMin, igdbRatingMax);
+  if (igdbRating) addCondition(where, { rating: igdbRating });
+
+  const releaseDate = buildYearRange(releaseYearFrom, releaseYearTo);
+  if (releaseDate) addCondition(where, { releaseDate });
+
+  const addedAt = buildDateRange(addedFrom, addedTo);
+  if (addedAt) addCondition(where, { addedAt });
+
+  const ownership = buildOwnershipFilter(filters);
+  if (ownership) addCondition(where, ownership);
+
+  return where;
+};
@@ -0,0 +1,42 @@
+/**
+ * Library Game Formatting
+ * Shapes stored game rows for API responses
+ */
+import { parseProgress } from './gameProgress.js';
+import { tagNamesFromLinks } from './tags.js';
+import { formatOwnership } from './ownership.js';
+
+/**
+ * Parse a JSON array column (platforms, genres)
+ * @param {string|null} value - Stored JSON string
+ * @returns {Array|null} Parsed array
+ */
+export const parseJsonList = (value) => {
+  return value ? JSON.parse(value) : null;
+};
+
+/**
+ * Format a library game for list responses
+ * Owned copies are included when the query loaded them
+ * @param {object} game - Game record
+ * @returns {object} API representation
+ */
+export const formatLibraryGame = (game) => ({
+  id: game.id,
+  igdbId: game.igdbId,
+  name: game.name,
+  status: game.status,
+  rating: game.userRating, // Use userRating from schema
+  notes: game.notes,
+  coverUrl: game.coverUrl,
+  releaseDate: game.releaseDate,
+  platforms: parseJsonList(game.platforms),
+  genres: parseJsonList(game.genres),
+  createdAt: game.addedAt, // Use addedAt from schema
+  updatedAt: game.updatedAt,
+  completedAt: game.completedAt,
+  progress: parseProgress(game.progress),
+  tags: tagNamesFromLinks(game.tags),
+  queueRank: game.queueRank ?? null,
+  ...(game.ownerships && { ownerships: game.ownerships.map(formatOwnership) }),
+});
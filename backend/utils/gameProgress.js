@@ -0,0 +1,133 @@
+/**
+ * Game Progress Utilities
+ * Structured progress (percent, milestones, completion goal) stored as JSON in games.progress
+ */
+import { GAME_STATUSES } from './gameStatus.js';
+
+/**
+ * What a player is aiming for with a game
+ */
+export const COMPLETION_GOALS = {
+  MAIN_STORY: 'main_story',
+  FULL_COMPLETION: 'full_completion',
+};
+
+export const COMPLETION_GOAL_VALUES = Object.values(COMPLETION_GOALS);
+
+export const MAX_MILESTONES = 50;
+
+/**
+ * Derive percent complete from a milestone checklist
+ * @param {Array} milestones - Milestones with a completed flag
+ * @returns {number|null} Percent (0-100) or null without milestones
+ */
+export const percentFromMilestones = (milestones) => {
+  if (!milestones || milestones.length === 0) {
+    return null;
+  }
+  const done = milestones.filter(milestone => milestone.completed).length;
+  return Math.round((done / milestones.length) * 100);
+};
+
+/**
+ * Parse the stored progress column
+ * Older rows hold free-text progress notes, which are kept as `notes`
+ * @param {string|null} value - Raw games.progress value
+ * @returns {object|null} Structured progress
+ */
+export const parseProgress = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    parsed = null;
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return {
+      percent: null,
+      goal: COMPLETION_GOALS.MAIN_STORY,
+      milestones: [],
+      notes: String(value),
+    };
+  }
+
+  return {
+    percent: typeof parsed.percent === 'number' ? parsed.percent : null,
+    goal: COMPLETION_GOAL_VALUES.includes(parsed.goal) ? parsed.goal : COMPLETION_GOALS.MAIN_STORY,
+    milestones: Array.isArray(parsed.milestones) ? parsed.milestones : [],
+    notes: parsed.notes || null,
+  };
+};
+
+/**
+ * Merge a progress update into the existing progress
+ * Omitted fields keep their current value; percent follows milestones unless given explicitly
+ * @param {object|null} current - Current structured progress
+ * @param {object} update - Validated progress fields from the request
+ * @returns {object} New structured progress
+ */
+export const mergeProgress = (current, update) => {
+  const base = current || {
+    percent: null,
+    goal: COMPLETION_GOALS.MAIN_STORY,
+    milestones: [],
+    notes: null,
+  };
+
+  const milestones = update.milestones !== undefined
+    ? update.milestones.map(milestone => ({
+      title: String(milestone.title).trim(),
+      completed: Boolean(milestone.completed),
+    }))
+    : base.milestones;
+
+  let percent = base.percent;
+  if (update.percent !== undefined && update.percent !== null) {
+    percent = Math.round(Number(update.percent));
+  } else if (update.milestones !== undefined) {
+    percent = percentFromMilestones(milestones);
+  }
+
+  return {
+    percent,
+    goal: update.goal || base.goal,
+    milestones,
+    notes: update.notes !== undefined ? (update.notes || null) : base.notes,
+  };
+};
+
+/**
+ * Serialize structured progress for storage
+ * @param {object|null} progress - Structured progress
+ * @returns {string|null} JSON string
+ */
+export const serializeProgress = (progress) => {
+  return progress ? JSON.stringify(progress) : null;
+};
+
+/**
+ * Suggest a status change based on progress
+ * @param {string} status - Current game status
+ * @param {object|null} progress - Structured progress
+ * @returns {object|null} Suggestion, or null when nothing to suggest
+ */
+export const suggestStatusForProgress = (status, progress) => {
+  if (!progress || progress.percent === null || progress.percent < 100) {
+    return null;
+  }
+  if (status === GAME_STATUSES.COMPLETED) {
+    return null;
+  }
+
+  return {
+    status: GAME_STATUSES.COMPLETED,
+    reason: progress.goal === COMPLETION_GOALS.FULL_COMPLETION
+      ? 'Progress reached 100% completion'
+      : 'Main story progress reached 100%',
+  };
+};
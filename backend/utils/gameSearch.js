@@ -0,0 +1,93 @@
+/**
+ * Library Search Utilities
+ * Full-text search over a user's games using the games_fts FTS5 index
+ */
+import { prisma } from '../db/database.js';
+
+export const MAX_SEARCH_LENGTH = 200;
+
+// Column weights for bm25(), in games_fts column order:
+// name, summary, notes, developer, publisher, genres, platforms
+const COLUMN_WEIGHTS = [10.0, 1.0, 2.0, 4.0, 4.0, 3.0, 2.0];
+
+// Control characters mark matches inside snippets; they cannot appear in
+// normal text, so user content is escaped before markers become <mark> tags
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Turn free text into a safe FTS5 query
+ * Every word is quoted so FTS operators in user input are treated as text,
+ * and the last word is a prefix match so results follow the user as they type
+ * @param {string} text - Raw search text
+ * @returns {string|null} FTS5 MATCH expression, or null when nothing is searchable
+ */
+export const buildFtsQuery = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const words = text
+    .slice(0, MAX_SEARCH_LENGTH)
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(word => /[\p{L}\p{N}]/u.test(word));
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  return words
+    .map((word, index) => (index === words.length - 1 ? `"${word}"*` : `"${word}"`))
+    .join(' ');
+};
+
+/**
+ * Escape HTML and turn snippet match markers into <mark> tags
+ * @param {string|null} snippet - Raw snippet from FTS5
+ * @returns {string|null} HTML-safe snippet
+ */
+export const formatSnippet = (snippet) => {
+  if (!snippet) {
+    return null;
+  }
+  return snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(new RegExp(MATCH_START, 'g'), '<mark>')
+    .replace(new RegExp(MATCH_END, 'g'), '</mark>');
+};
+
+/**
+ * Search a user's library
+ * @param {number} userId - User ID
+ * @param {string} text - Raw search text
+ * @returns {Promise<Array<object>>} Matches ordered best first: { gameId, score, snippet }
+ */
+export const searchLibrary = async (userId, text) => {
+  const ftsQuery = buildFtsQuery(text);
+  if (!ftsQuery) {
+    return [];
+  }
+
+  const [name, summary, notes, developer, publisher, genres, platforms] = COLUMN_WEIGHTS;
+  const rows = await prisma.$queryRaw`
+    SELECT
+      g.id AS id,
+      bm25(games_fts, ${name}, ${summary}, ${notes}, ${developer}, ${publisher}, ${genres}, ${platforms}) AS rank,
+      snippet(games_fts, -1, ${MATCH_START}, ${MATCH_END}, '…', 12) AS snippet
+    FROM games_fts
+    JOIN games g ON g.id = games_fts.rowid
+    WHERE games_fts MATCH ${ftsQuery} AND g.userId = ${userId}
+    ORDER BY rank
+  `;
+
+  // bm25() is lower-is-better; flip it so a higher score means a better match
+  return rows.map(row => ({
+    gameId: Number(row.id),
+    score: -Number(row.rank),
+    snippet: formatSnippet(row.snippet),
+  }));
+};
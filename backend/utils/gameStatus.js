@@ -0,0 +1,181 @@
+/**
+ * Game Status State Machine
+ * Canonical library statuses, allowed transitions and status history
+ */
+import { prisma } from '../db/database.js';
+
+/**
+ * Canonical status values stored in games.status
+ */
+export const GAME_STATUSES = {
+  WISHLIST: 'wishlist',
+  PLAYING: 'playing',
+  ON_HOLD: 'on_hold',
+  COMPLETED: 'completed',
+  DROPPED: 'dropped',
+};
+
+export const GAME_STATUS_VALUES = Object.values(GAME_STATUSES);
+
+export const DEFAULT_GAME_STATUS = GAME_STATUSES.WISHLIST;
+
+/**
+ * Allowed transitions from each status (staying on the same status is always allowed)
+ */
+export const STATUS_TRANSITIONS = {
+  [GAME_STATUSES.WISHLIST]: [GAME_STATUSES.PLAYING, GAME_STATUSES.COMPLETED, GAME_STATUSES.DROPPED],
+  [GAME_STATUSES.PLAYING]: [GAME_STATUSES.ON_HOLD, GAME_STATUSES.COMPLETED, GAME_STATUSES.DROPPED, GAME_STATUSES.WISHLIST],
+  [GAME_STATUSES.ON_HOLD]: [GAME_STATUSES.PLAYING, GAME_STATUSES.COMPLETED, GAME_STATUSES.DROPPED, GAME_STATUSES.WISHLIST],
+  [GAME_STATUSES.COMPLETED]: [GAME_STATUSES.PLAYING],
+  [GAME_STATUSES.DROPPED]: [GAME_STATUSES.PLAYING, GAME_STATUSES.WISHLIST],
+};
+
+/**
+ * Status names used by older clients, mapped to their canonical value
+ */
+const LEGACY_STATUS_ALIASES = {
+  want_to_play: GAME_STATUSES.WISHLIST,
+};
+
+/**
+ * Map a status (canonical or legacy alias) to its canonical value
+ * @param {string} status - Status supplied by a client
+ * @returns {string|null} Canonical status, or null if unknown
+ */
+export const normalizeStatus = (status) => {
+  if (typeof status !== 'string') {
+    return null;
+  }
+
+  const value = status.trim().toLowerCase();
+  if (GAME_STATUS_VALUES.includes(value)) {
+    return value;
+  }
+
+  return LEGACY_STATUS_ALIASES[value] || null;
+};
+
+/**
+ * Check whether a game may move from one status to another
+ * @param {string} fromStatus - Current canonical status
+ * @param {string} toStatus - Requested canonical status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (fromStatus, toStatus) => {
+  if (fromStatus === toStatus) {
+    return true;
+  }
+
+  // Rows that predate the canonical model may still hold an unknown status
+  const allowed = STATUS_TRANSITIONS[normalizeStatus(fromStatus)];
+  if (!allowed) {
+    return GAME_STATUS_VALUES.includes(toStatus);
+  }
+
+  return allowed.includes(toStatus);
+};
+
+/**
+ * Build the game update data for a status change, including completedAt handling
+ * @param {object} game - Existing game record
+ * @param {string} toStatus - Requested canonical status
+ * @param {Date} now - Timestamp of the change
+ * @returns {object} Prisma update data
+ */
+export const buildStatusUpdate = (game, toStatus, now = new Date()) => {
+  const data = { status: toStatus };
+
+  if (toStatus === GAME_STATUSES.COMPLETED && game.status !== GAME_STATUSES.COMPLETED) {
+    data.completedAt = now;
+  } else if (toStatus !== GAME_STATUSES.COMPLETED && game.completedAt) {
+    data.completedAt = null;
+  }
+
+  return data;
+};
+
+/**
+ * Error raised when a requested status transition is not allowed
+ */
+export class InvalidStatusTransitionError extends Error {
+  constructor(fromStatus, toStatus) {
+    super(`Cannot change status from ${fromStatus} to ${toStatus}`);
+    this.name = 'InvalidStatusTransitionError';
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.allowed = STATUS_TRANSITIONS[fromStatus] || [];
+  }
+}
+
+/**
+ * Update a game, applying a status change (if any) and recording it in the history table
+ * @param {object} game - Existing game record
+ * @param {object} data - Other fields to update
+ * @param {string|undefined} status - Requested status (canonical or legacy alias)
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<object>} Updated game
+ */
+export const updateGameWithStatus = async (game, data, status, client = prisma) => {
+  const updateData = { ...data };
+  let toStatus = null;
+
+  if (status !== undefined && status !== null) {
+    toStatus = normalizeStatus(status);
+    if (!toStatus || !canTransition(game.status, toStatus)) {
+      throw new InvalidStatusTransitionError(game.status, toStatus || status);
+    }
+    Object.assign(updateData, buildStatusUpdate(game, toStatus));
+  }
+
+  const statusChanged = toStatus !== null && toStatus !== game.status;
+
+  const run = async (tx) => {
+    const updated = await tx.game.update({
+      where: { id: game.id },
+      data: updateData,
+    });
+
+    if (statusChanged) {
+      await tx.gameStatusChange.create({
+        data: {
+          gameId: game.id,
+          fromStatus: game.status,
+          toStatus,
+        },
+      });
+    }
+
+    return updated;
+  };
+
+  // Nested calls already run inside a transaction client without $transaction
+  return client.$transaction ? client.$transaction(run) : run(client);
+};
+
+/**
+ * Record the initial status of a newly added game
+ * @param {object} game - Created game record
+ * @param {object} client - Prisma client or transaction client
+ */
+export const recordInitialStatus = async (game, client = prisma) => {
+  await client.gameStatusChange.create({
+    data: {
+      gameId: game.id,
+      fromStatus: null,
+      toStatus: game.status,
+      changedAt: game.addedAt,
+    },
+  });
+};
+
+/**
+ * Get the status history for a game, oldest first
+ * @param {number} gameId - Game ID
+ * @returns {Promise<Array>} Status changes
+ */
+export const getStatusHistory = async (gameId) => {
+  return prisma.gameStatusChange.findMany({
+    where: { gameId },
+    orderBy: [{ changedAt: 'asc' }, { id: 'asc' }],
+  });
+};
@@ -0,0 +1,229 @@
+/**
+ * Library CSV Utilities
+ * Column definitions for exporting the library and reading mapped CSV rows back in
+ */
+import { parseJsonList } from './gameFormat.js';
+import { parseProgress } from './gameProgress.js';
+import { MAX_TAGS_PER_GAME, tagNamesFromLinks, parseTagList } from './tags.js';
+import { normalizeStatus } from './gameStatus.js';
+import { toCsv, unguardCell } from './csv.js';
+
+export const MAX_CSV_IMPORT_ROWS = 1000;
+
+// Separator for list cells (platforms, genres, tags); genre names contain commas and slashes
+export const LIST_SEPARATOR = '; ';
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+const formatList = (values) => (values && values.length > 0 ? values.join(LIST_SEPARATOR) : null);
+
+/**
+ * Exportable columns, keyed by the header written to the file
+ * Headers match the import field names so an export can be re-imported as-is.
+ */
+export const EXPORT_COLUMNS = {
+  id: game => game.id,
+  igdbId: game => game.igdbId,
+  name: game => game.name,
+  status: game => game.status,
+  userRating: game => game.userRating,
+  rating: game => (game.rating === null ? null : Math.round(game.rating * 10) / 10),
+  platforms: game => formatList(parseJsonList(game.platforms)),
+  genres: game => formatList(parseJsonList(game.genres)),
+  developer: game => game.developer,
+  publisher: game => game.publisher,
+  releaseDate: game => formatDate(game.releaseDate),
+  addedAt: game => formatDate(game.addedAt),
+  completedAt: game => formatDate(game.completedAt),
+  notes: game => game.notes,
+  tags: game => formatList(tagNamesFromLinks(game.tags)),
+  minutesPlayed: game => game.minutesPlayed ?? 0,
+  progressPercent: game => parseProgress(game.progress)?.percent ?? null,
+  summary: game => game.summary,
+  coverUrl: game => game.coverUrl,
+};
+
+export const EXPORT_COLUMN_KEYS = Object.keys(EXPORT_COLUMNS);
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'igdbId', 'name', 'status', 'userRating', 'platforms', 'genres',
+  'releaseDate', 'addedAt', 'completedAt', 'notes', 'tags', 'minutesPlayed',
+];
+
+/**
+ * Build the library CSV
+ * @param {Array<object>} games - Game records with tags included and minutesPlayed set
+ * @param {Array<string>} columns - Column keys in output order
+ * @returns {string} CSV text
+ */
+export const buildLibraryCsv = (games, columns = DEFAULT_EXPORT_COLUMNS) => {
+  return toCsv(columns, games.map(game => columns.map(column => EXPORT_COLUMNS[column](game))));
+};
+
+/**
+ * Fields a CSV column can be mapped to when importing
+ */
+export const IMPORT_FIELDS = [
+  'igdbId', 'name', 'status', 'userRating', 'rating', 'notes', 'platforms', 'genres',
+  'developer', 'publisher', 'releaseDate', 'addedAt', 'completedAt', 'tags', 'summary', 'coverUrl',
+];
+
+// Other header spellings recognised when no mapping is given
+const HEADER_ALIASES = {
+  igdbId: ['igdb', 'igdbid', 'igdbgameid'],
+  name: ['title', 'game', 'gamename', 'gametitle'],
+  userRating: ['myrating', 'userrating', 'score'],
+  rating: ['igdbrating', 'criticrating'],
+  platforms: ['platform'],
+  genres: ['genre'],
+  releaseDate: ['released', 'releasedate'],
+  addedAt: ['added', 'dateadded'],
+  completedAt: ['completed', 'datecompleted', 'finished'],
+};
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guess a mapping from file headers to import fields
+ * @param {Array<string>} headers - Header row
+ * @returns {object} { field: header }
+ */
+export const autoMapColumns = (headers) => {
+  const byKey = new Map(headers.map(header => [headerKey(header), header]));
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const candidates = [field.toLowerCase(), ...(HEADER_ALIASES[field] || [])];
+    const match = candidates.find(key => byKey.has(key));
+    if (match) {
+      mapping[field] = byKey.get(match);
+    }
+  });
+  return mapping;
+};
+
+const splitList = (value) => unguardCell(value)
+  .split(/[;|]/)
+  .map(part => part.trim())
+  .filter(Boolean);
+
+const readDate = (value, label, errors) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${label} is not a valid date`);
+    return undefined;
+  }
+  return date.toISOString();
+};
+
+const readNumber = (value, label, min, max, errors) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    errors.push(`${label} must be a number between ${min} and ${max}`);
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Read one mapped CSV row into an import item
+ * Empty cells are left out so an update never clears a field by accident.
+ * @param {object} cells - { field: raw cell text } for the mapped columns
+ * @returns {object} { item, errors }
+ */
+export const readImportRow = (cells) => {
+  const item = {};
+  const errors = [];
+
+  Object.entries(cells).forEach(([field, raw]) => {
+    const value = typeof raw === 'string' ? raw.trim() : '';
+    if (value === '') {
+      return;
+    }
+
+    switch (field) {
+      case 'igdbId': {
+        const igdbId = Number(value);
+        if (Number.isInteger(igdbId) && igdbId > 0) {
+          item.igdbId = igdbId;
+        } else {
+          errors.push('igdbId must be a positive whole number');
+        }
+        break;
+      }
+      case 'status': {
+        const status = normalizeStatus(value.replace(/\s+/g, '_'));
+        if (status) {
+          item.status = status;
+        } else {
+          errors.push(`Unknown status "${value}"`);
+        }
+        break;
+      }
+      case 'userRating':
+        item.userRating = readNumber(value, 'userRating', 1, 5, errors);
+        break;
+      case 'rating':
+        item.rating = readNumber(value, 'rating', 0, 100, errors);
+        break;
+      case 'releaseDate':
+      case 'addedAt':
+      case 'completedAt':
+        item[field] = readDate(value, field, errors);
+        break;
+      case 'platforms':
+      case 'genres':
+        item[field] = splitList(value);
+        break;
+      case 'tags':
+        item.tags = parseTagList(splitList(value));
+        if (item.tags.length > MAX_TAGS_PER_GAME) {
+          errors.push(`A game can have at most ${MAX_TAGS_PER_GAME} tags`);
+          delete item.tags;
+        }
+        break;
+      case 'name':
+        if (value.length > 255) {
+          errors.push('name must not exceed 255 characters');
+        } else {
+          item.name = unguardCell(value);
+        }
+        break;
+      case 'notes':
+        if (value.length > 2000) {
+          errors.push('notes must not exceed 2000 characters');
+        } else {
+          item.notes = unguardCell(value);
+        }
+        break;
+      default:
+        item[field] = unguardCell(value);
+    }
+  });
+
+  Object.keys(item).forEach(key => item[key] === undefined && delete item[key]);
+
+  if (item.igdbId === undefined && !errors.some(error => error.startsWith('igdbId'))) {
+    errors.push('igdbId is required');
+  }
+
+  return { item, errors };
+};
+
+/**
+ * Pair data rows with the mapping
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {object} mapping - { field: header }
+ * @returns {Array<object>} { row, item, errors } numbered as in a spreadsheet (header is row 1)
+ */
+export const readImportRows = (headers, rows, mapping) => {
+  const columnIndex = Object.fromEntries(
+    Object.entries(mapping).map(([field, header]) => [field, headers.indexOf(header)])
+  );
+
+  return rows.map((row, index) => {
+    const cells = Object.fromEntries(
+      Object.entries(columnIndex).map(([field, column]) => [field, row[column]])
+    );
+    return { row: index + 2, ...readImportRow(cells) };
+  });
+};
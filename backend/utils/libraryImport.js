@@ -0,0 +1,216 @@
+/**
+ * Library Import Utilities
+ * Creates (or updates) library games from reviewed import rows, one transaction per game
+ */
+import { prisma } from '../db/database.js';
+import {
+  GAME_STATUSES,
+  DEFAULT_GAME_STATUS,
+  normalizeStatus,
+  canTransition,
+  recordInitialStatus,
+  updateGameWithStatus,
+  InvalidStatusTransitionError
+} from './gameStatus.js';
+import { setGameTags } from './tags.js';
+
+export const MAX_IMPORT_ITEMS = 500;
+
+/**
+ * What to do with a row whose IGDB ID is already in the library
+ */
+export const DUPLICATE_POLICIES = {
+  SKIP: 'skip',
+  UPDATE: 'update',
+};
+
+export const DUPLICATE_POLICY_VALUES = Object.values(DUPLICATE_POLICIES);
+
+export const IMPORT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SKIP: 'skip',
+  ERROR: 'error',
+};
+
+// Library columns an import row may carry, stored as-is or JSON-encoded
+const TEXT_FIELDS = ['name', 'summary', 'coverUrl', 'developer', 'publisher', 'notes'];
+const NUMBER_FIELDS = ['userRating', 'rating'];
+const DATE_FIELDS = ['releaseDate'];
+const LIST_FIELDS = ['platforms', 'genres'];
+
+/**
+ * Column values for a new game from an import row
+ * @param {number} userId - Owner of the library
+ * @param {object} item - { igdbId, name, summary, coverUrl, releaseDate, platforms, genres,
+ *   developer, publisher, rating, status, userRating, notes, addedAt, completedAt }
+ * @returns {object} Prisma create data
+ */
+export const buildImportedGameData = (userId, item) => {
+  const status = normalizeStatus(item.status) || DEFAULT_GAME_STATUS;
+  return {
+    userId,
+    igdbId: parseInt(item.igdbId),
+    name: item.name,
+    summary: item.summary || null,
+    status,
+    completedAt: status === GAME_STATUSES.COMPLETED ? (item.completedAt ? new Date(item.completedAt) : new Date()) : null,
+    userRating: item.userRating ? parseFloat(item.userRating) : null,
+    notes: item.notes || null,
+    coverUrl: item.coverUrl || null,
+    releaseDate: item.releaseDate ? new Date(item.releaseDate) : null,
+    platforms: item.platforms?.length ? JSON.stringify(item.platforms) : null,
+    genres: item.genres?.length ? JSON.stringify(item.genres) : null,
+    developer: item.developer || null,
+    publisher: item.publisher || null,
+    rating: item.rating ? parseFloat(item.rating) : null,
+    ...(item.addedAt && { addedAt: new Date(item.addedAt) }),
+  };
+};
+
+/**
+ * Column changes for an existing game; only fields present on the row are touched
+ * @param {object} item - Import row
+ * @returns {object} Prisma update data (status is handled separately)
+ */
+export const buildImportedUpdateData = (item) => {
+  const data = {};
+  TEXT_FIELDS.forEach(field => {
+    if (item[field] !== undefined) data[field] = item[field] || null;
+  });
+  NUMBER_FIELDS.forEach(field => {
+    if (item[field] !== undefined) data[field] = item[field] === null || item[field] === '' ? null : parseFloat(item[field]);
+  });
+  DATE_FIELDS.forEach(field => {
+    if (item[field] !== undefined) data[field] = item[field] ? new Date(item[field]) : null;
+  });
+  LIST_FIELDS.forEach(field => {
+    if (item[field] !== undefined) data[field] = item[field]?.length ? JSON.stringify(item[field]) : null;
+  });
+  if (data.name === null) {
+    delete data.name;
+  }
+  return data;
+};
+
+/**
+ * Lifetime playtime carried over from another service (Steam, Playnite)
+ * Kept on the game rather than as a play session: the total has no date, so
+ * it counts towards lifetime playtime but never towards weekly or yearly figures.
+ * @param {object} item - Import row
+ * @returns {number|undefined} Whole minutes, or undefined when the row has none
+ */
+export const readImportedMinutes = (item) => {
+  if (item.playtimeMinutes === undefined || item.playtimeMinutes === null) return undefined;
+  const minutes = Math.round(Number(item.playtimeMinutes));
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+};
+
+const createGame = async (userId, item, tx) => {
+  const created = await tx.game.create({
+    data: { ...buildImportedGameData(userId, item), importedMinutes: readImportedMinutes(item) || 0 },
+  });
+  await recordInitialStatus(created, tx);
+  if (item.tags?.length) {
+    await setGameTags(userId, created.id, item.tags, tx);
+  }
+  return created;
+};
+
+const updateGame = async (userId, game, item, tx) => {
+  // The source reports a lifetime total, so it replaces the previous import's figure
+  const importedMinutes = readImportedMinutes(item);
+  const data = {
+    ...buildImportedUpdateData(item),
+    ...(importedMinutes !== undefined && { importedMinutes }),
+  };
+  const updated = await updateGameWithStatus(game, data, item.status, tx);
+  if (item.tags !== undefined) {
+    await setGameTags(userId, game.id, item.tags || [], tx);
+  }
+  return updated;
+};
+
+/**
+ * Add reviewed import rows to a user's library
+ * Rows whose IGDB ID is already in the library are skipped or, with the update
+ * policy, merged into the existing game. A failure on one row does not stop the
+ * others. A dry run reports the same per-row actions without writing anything.
+ * @param {number} userId - Owner of the library
+ * @param {Array<object>} items - Import rows (see buildImportedGameData) plus
+ *   optional tags and playtimeMinutes
+ * @param {object} options - { onDuplicate: 'skip'|'update', dryRun }
+ * @returns {Promise<Array<object>>} Per-row results in input order
+ */
+export const importLibraryGames = async (userId, items, { onDuplicate = DUPLICATE_POLICIES.SKIP, dryRun = false } = {}) => {
+  const existing = await prisma.game.findMany({
+    where: { userId, igdbId: { in: items.map(item => parseInt(item.igdbId)) } },
+  });
+  const existingByIgdbId = new Map(existing.map(game => [game.igdbId, game]));
+  const seenInImport = new Set();
+
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    const igdbId = parseInt(item.igdbId);
+    const base = { index, igdbId };
+
+    // The same game twice in one file: only the first row counts
+    if (seenInImport.has(igdbId)) {
+      results.push({ ...base, action: IMPORT_ACTIONS.ERROR, success: false, error: 'Duplicate of an earlier row' });
+      continue;
+    }
+    seenInImport.add(igdbId);
+
+    const current = existingByIgdbId.get(igdbId);
+
+    if (current && onDuplicate !== DUPLICATE_POLICIES.UPDATE) {
+      results.push({ ...base, action: IMPORT_ACTIONS.SKIP, success: false, skipped: true, gameId: current.id, error: 'Game already in library' });
+      continue;
+    }
+
+    if (!current && !item.name) {
+      results.push({ ...base, action: IMPORT_ACTIONS.ERROR, success: false, error: 'A name is required to add a new game' });
+      continue;
+    }
+
+    if (dryRun) {
+      const toStatus = normalizeStatus(item.status);
+      if (current && toStatus && !canTransition(current.status, toStatus)) {
+        const error = new InvalidStatusTransitionError(current.status, toStatus);
+        results.push({ ...base, action: IMPORT_ACTIONS.ERROR, success: false, gameId: current.id, error: error.message });
+      } else {
+        results.push({ ...base, action: current ? IMPORT_ACTIONS.UPDATE : IMPORT_ACTIONS.CREATE, success: true, ...(current && { gameId: current.id }) });
+      }
+      continue;
+    }
+
+    try {
+      const game = await prisma.$transaction(tx => (
+        current ? updateGame(userId, current, item, tx) : createGame(userId, item, tx)
+      ));
+      existingByIgdbId.set(igdbId, game);
+      results.push({ ...base, action: current ? IMPORT_ACTIONS.UPDATE : IMPORT_ACTIONS.CREATE, success: true, gameId: game.id });
+    } catch (error) {
+      if (error instanceof InvalidStatusTransitionError) {
+        results.push({ ...base, action: IMPORT_ACTIONS.ERROR, success: false, gameId: current.id, error: error.message });
+      } else if (error.code === 'P2002') {
+        results.push({ ...base, action: IMPORT_ACTIONS.SKIP, success: false, skipped: true, error: 'Game already in library' });
+      } else {
+        console.error('Import game error:', error);
+        results.push({ ...base, action: IMPORT_ACTIONS.ERROR, success: false, error: 'Failed to save game' });
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Summarize per-row import results
+ */
+export const summarizeImport = (results) => ({
+  created: results.filter(result => result.action === IMPORT_ACTIONS.CREATE).length,
+  updated: results.filter(result => result.action === IMPORT_ACTIONS.UPDATE).length,
+  skipped: results.filter(result => result.action === IMPORT_ACTIONS.SKIP).length,
+  failed: results.filter(result => result.action === IMPORT_ACTIONS.ERROR).length,
+});
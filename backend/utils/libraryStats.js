@@ -0,0 +1,261 @@
+/**
+ * Library Statistics Utilities
+ * Monthly timelines rebuilt from status history, and breakdowns of the library
+ * by genre, platform, developer and release decade
+ */
+import { prisma } from '../db/database.js';
+import { GAME_STATUSES, normalizeStatus } from './gameStatus.js';
+import { parseJsonList } from './gameFormat.js';
+
+// Games still waiting to be finished
+export const BACKLOG_STATUSES = [GAME_STATUSES.WISHLIST, GAME_STATUSES.PLAYING, GAME_STATUSES.ON_HOLD];
+
+export const DEFAULT_TIMELINE_MONTHS = 12;
+export const MAX_TIMELINE_MONTHS = 60;
+export const DEFAULT_BREAKDOWN_LIMIT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket label used when a game has no value for a breakdown
+export const UNKNOWN_BUCKET = 'Unknown';
+
+/**
+ * Month key (YYYY-MM, UTC) for a date
+ */
+export const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+/**
+ * Consecutive month keys ending with the month containing now, oldest first
+ * @param {number} months - Number of months
+ * @param {Date} now - Reference time
+ * @returns {Array<string>} Month keys
+ */
+export const monthRange = (months, now = new Date()) => {
+  const end = new Date(now);
+  return Array.from({ length: months }, (_, i) => (
+    monthKey(new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (months - 1 - i), 1)))
+  ));
+};
+
+// First instant after the month, so "at the end of the month" is changedAt < this
+const monthEnd = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1));
+};
+
+/**
+ * Status a game had at a point in time
+ * Games added before status history existed fall back to their current status.
+ * @param {object} game - Game with addedAt and status
+ * @param {Array<object>} changes - The game's status changes, oldest first
+ * @param {Date} at - Point in time
+ * @returns {string|null} Status, or null if the game was not in the library yet
+ */
+export const statusAt = (game, changes, at) => {
+  if (new Date(game.addedAt) >= at) {
+    return null;
+  }
+  if (changes.length === 0) {
+    return normalizeStatus(game.status) || game.status;
+  }
+
+  let status = null;
+  for (const change of changes) {
+    if (new Date(change.changedAt) >= at) break;
+    status = change.toStatus;
+  }
+  // Added before its first recorded change: it held that change's fromStatus
+  const resolved = status ?? changes[0].fromStatus ?? changes[0].toStatus;
+  return normalizeStatus(resolved) || resolved;
+};
+
+/**
+ * Status changes per game, oldest first
+ * @param {Array<object>} changes - Status changes with gameId and changedAt
+ * @returns {Map<number, Array<object>>} gameId => changes
+ */
+export const groupChangesByGame = (changes) => {
+  const changesByGame = new Map();
+  [...changes]
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt))
+    .forEach(change => {
+      if (!changesByGame.has(change.gameId)) changesByGame.set(change.gameId, []);
+      changesByGame.get(change.gameId).push(change);
+    });
+  return changesByGame;
+};
+
+/**
+ * Every time a game was completed
+ * Games with no status history fall back to their completedAt.
+ * @param {object} game - Game with completedAt
+ * @param {Array<object>} history - The game's status changes
+ * @returns {Array<Date|string>} Completion times
+ */
+export const getCompletionDates = (game, history) => (
+  history.length > 0
+    ? history.filter(change => normalizeStatus(change.toStatus) === GAME_STATUSES.COMPLETED).map(change => change.changedAt)
+    : [game.completedAt].filter(Boolean)
+);
+
+/**
+ * Monthly additions, completions and backlog size
+ * Completions come from status history; games with no history count their
+ * completedAt instead.
+ * @param {Array<object>} games - Games with id, status, addedAt and completedAt
+ * @param {Array<object>} changes - Status changes with gameId, fromStatus, toStatus and changedAt
+ * @param {object} options - { months, now }
+ * @returns {Array<object>} { month, added, completed, backlog } oldest first
+ */
+export const buildTimeline = (games, changes, { months = DEFAULT_TIMELINE_MONTHS, now = new Date() } = {}) => {
+  const keys = monthRange(months, now);
+  const buckets = new Map(keys.map(key => [key, { month: key, added: 0, completed: 0, backlog: 0 }]));
+
+  const changesByGame = groupChangesByGame(changes);
+
+  games.forEach(game => {
+    const history = changesByGame.get(game.id) || [];
+
+    const added = buckets.get(monthKey(game.addedAt));
+    if (added) added.added++;
+
+    getCompletionDates(game, history).forEach(date => {
+      const bucket = buckets.get(monthKey(date));
+      if (bucket) bucket.completed++;
+    });
+
+    keys.forEach(key => {
+      // The current month is measured now rather than at its end
+      const at = key === monthKey(now) ? new Date(now) : monthEnd(key);
+      if (BACKLOG_STATUSES.includes(statusAt(game, history, at))) {
+        buckets.get(key).backlog++;
+      }
+    });
+  });
+
+  return [...buckets.values()];
+};
+
+/**
+ * Release decade label for a date, e.g. "1990s"
+ */
+export const releaseDecade = (date) => {
+  if (!date) return null;
+  const year = new Date(date).getUTCFullYear();
+  return Number.isNaN(year) ? null : `${Math.floor(year / 10) * 10}s`;
+};
+
+/**
+ * Group games into buckets and summarize each
+ * A game with several values (genres, platforms) counts once in each.
+ * @param {Array<object>} games - Library games
+ * @param {Function} keysOf - game => Array of bucket names
+ * @param {object} options - { limit, sortBy: 'count'|'key' }
+ * @returns {Array<object>} { key, count, completed, averageRating } largest first,
+ *   with anything past the limit folded into "Other"
+ */
+export const buildBreakdown = (games, keysOf, { limit = DEFAULT_BREAKDOWN_LIMIT, sortBy = 'count' } = {}) => {
+  const buckets = new Map();
+
+  games.forEach(game => {
+    const keys = keysOf(game).filter(Boolean);
+    (keys.length > 0 ? [...new Set(keys)] : [UNKNOWN_BUCKET]).forEach(key => {
+      if (!buckets.has(key)) buckets.set(key, { key, count: 0, completed: 0, ratings: [] });
+      const bucket = buckets.get(key);
+      bucket.count++;
+      if (normalizeStatus(game.status) === GAME_STATUSES.COMPLETED) bucket.completed++;
+      if (game.userRating !== null && game.userRating !== undefined) bucket.ratings.push(game.userRating);
+    });
+  });
+
+  const summarize = ({ ratings, ...bucket }) => ({
+    ...bucket,
+    averageRating: ratings.length > 0
+      ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10
+      : null,
+  });
+
+  const sorted = [...buckets.values()].sort((a, b) => (
+    sortBy === 'key' ? a.key.localeCompare(b.key) : b.count - a.count || a.key.localeCompare(b.key)
+  ));
+  if (!limit || sorted.length <= limit) {
+    return sorted.map(summarize);
+  }
+
+  const rest = sorted.slice(limit).reduce((other, bucket) => ({
+    ...other,
+    count: other.count + bucket.count,
+    completed: other.completed + bucket.completed,
+    ratings: other.ratings.concat(bucket.ratings),
+  }), { key: 'Other', count: 0, completed: 0, ratings: [] });
+
+  return [...sorted.slice(0, limit), rest].map(summarize);
+};
+
+/**
+ * Time from adding a game to completing it
+ * @param {Array<object>} games - Games with addedAt and completedAt
+ * @returns {object} { count, averageDays, medianDays }
+ */
+export const summarizeTimeToComplete = (games) => {
+  const days = games
+    .filter(game => game.completedAt && game.addedAt)
+    .map(game => Math.max(0, (new Date(game.completedAt) - new Date(game.addedAt)) / DAY_MS))
+    .sort((a, b) => a - b);
+
+  if (days.length === 0) {
+    return { count: 0, averageDays: null, medianDays: null };
+  }
+
+  const middle = Math.floor(days.length / 2);
+  const median = days.length % 2 ? days[middle] : (days[middle - 1] + days[middle]) / 2;
+  const round = (value) => Math.round(value * 10) / 10;
+
+  return {
+    count: days.length,
+    averageDays: round(days.reduce((sum, value) => sum + value, 0) / days.length),
+    medianDays: round(median),
+  };
+};
+
+/**
+ * Timeline, breakdowns and completion time for a user's library
+ * @param {number} userId - Library owner
+ * @param {object} options - { months, limit, now }
+ * @returns {Promise<object>} { months, timeline, breakdowns, timeToComplete }
+ */
+export const getLibraryStats = async (userId, { months = DEFAULT_TIMELINE_MONTHS, limit = DEFAULT_BREAKDOWN_LIMIT, now = new Date() } = {}, client = prisma) => {
+  const [games, changes] = await Promise.all([
+    client.game.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        status: true,
+        userRating: true,
+        addedAt: true,
+        completedAt: true,
+        releaseDate: true,
+        genres: true,
+        platforms: true,
+        developer: true,
+      },
+    }),
+    client.gameStatusChange.findMany({
+      where: { game: { userId } },
+      select: { gameId: true, fromStatus: true, toStatus: true, changedAt: true },
+      orderBy: { changedAt: 'asc' },
+    }),
+  ]);
+
+  return {
+    months,
+    timeline: buildTimeline(games, changes, { months, now }),
+    breakdowns: {
+      genre: buildBreakdown(games, game => parseJsonList(game.genres), { limit }),
+      platform: buildBreakdown(games, game => parseJsonList(game.platforms), { limit }),
+      developer: buildBreakdown(games, game => [game.developer], { limit }),
+      decade: buildBreakdown(games, game => [releaseDecade(game.releaseDate)], { limit: 0, sortBy: 'key' }),
+    },
+    timeToComplete: summarizeTimeToComplete(games),
+  };
+};
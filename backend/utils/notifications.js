@@ -0,0 +1,312 @@
+/**
+ * Notification Utilities
+ * In-app notifications and their producers. Every type belongs to one of the
+ * notification preferences from the settings screen (gameUpdates, achievements,
+ * system); a notification is only created when that preference is on. The
+ * email flag covers optional emails and is what unsubscribe links turn off.
+ */
+import crypto from 'crypto';
+import { prisma } from '../db/database.js';
+import { GAME_STATUSES } from './gameStatus.js';
+
+export const NOTIFICATION_TYPES = {
+  RELEASE_DAY: 'release_day',
+  METADATA_CHANGE: 'metadata_change',
+  SECURITY: 'security',
+};
+
+export const NOTIFICATION_TYPE_VALUES = Object.values(NOTIFICATION_TYPES);
+
+// Preference flag (preferences.notifications.<flag>) that controls each type
+export const TYPE_PREFERENCES = {
+  [NOTIFICATION_TYPES.RELEASE_DAY]: 'gameUpdates',
+  [NOTIFICATION_TYPES.METADATA_CHANGE]: 'gameUpdates',
+  [NOTIFICATION_TYPES.SECURITY]: 'system',
+};
+
+export const DEFAULT_NOTIFICATION_LIMIT = 20;
+export const MAX_NOTIFICATION_LIMIT = 100;
+
+// Notifications older than this are removed by the daily cleanup
+export const NOTIFICATION_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the notification flags from a stored preferences JSON string
+ * Flags default to on, matching the settings screen.
+ * @param {string|null} value - User.preferences
+ * @returns {object} { gameUpdates, achievements, system, email }
+ */
+export const readNotificationPreferences = (value) => {
+  let notifications = {};
+  try {
+    notifications = (value ? JSON.parse(value) : {})?.notifications || {};
+  } catch {
+    // Unreadable preferences fall back to the defaults
+  }
+
+  return {
+    gameUpdates: notifications.gameUpdates !== false,
+    achievements: notifications.achievements !== false,
+    system: notifications.system !== false,
+    email: notifications.email !== false,
+  };
+};
+
+/**
+ * Turn off optional emails for a user (unsubscribe link)
+ * Other preferences are kept; the flag can be turned back on in settings.
+ * @param {number} userId - User
+ * @returns {Promise<boolean>} false when the user does not exist
+ */
+export const unsubscribeFromEmail = async (userId, client = prisma) => {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: { preferences: true },
+  });
+  if (!user) {
+    return false;
+  }
+
+  let preferences = {};
+  try {
+    preferences = (user.preferences ? JSON.parse(user.preferences) : {}) || {};
+  } catch {
+    // Unreadable preferences are replaced
+  }
+
+  await client.user.update({
+    where: { id: userId },
+    data: {
+      preferences: JSON.stringify({
+        ...preferences,
+        notifications: { ...preferences.notifications, email: false },
+      }),
+    },
+  });
+  return true;
+};
+
+/**
+ * Shape a notification for API responses
+ * @param {object} notification - Notification record
+ * @returns {object} API representation
+ */
+export const formatNotification = (notification) => {
+  let data = null;
+  try {
+    data = notification.data ? JSON.parse(notification.data) : null;
+  } catch {
+    data = null;
+  }
+
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    gameId: notification.gameId,
+    data,
+    read: notification.readAt !== null,
+    readAt: notification.readAt,
+    createdAt: notification.createdAt,
+  };
+};
+
+/**
+ * Create a notification if the user's preferences allow its type
+ * Never throws: a failed notification must not fail the action that produced it.
+ * @param {number} userId - Recipient
+ * @param {object} notification - { type, title, body, gameId, data, dedupeKey }
+ * @returns {Promise<object|null>} Created record, or null when skipped or failed
+ */
+export const notify = async (userId, { type, title, body = null, gameId = null, data = null, dedupeKey = null }, client = prisma) => {
+  try {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: { preferences: true },
+    });
+    if (!user || !readNotificationPreferences(user.preferences)[TYPE_PREFERENCES[type]]) {
+      return null;
+    }
+
+    if (dedupeKey) {
+      const existing = await client.notification.findUnique({
+        where: { userId_dedupeKey: { userId, dedupeKey } },
+        select: { id: true },
+      });
+      if (existing) {
+        return null;
+      }
+    }
+
+    return await client.notification.create({
+      data: {
+        userId,
+        gameId,
+        type,
+        title,
+        body,
+        data: data ? JSON.stringify(data) : null,
+        dedupeKey,
+      },
+    });
+  } catch (error) {
+    console.error('Notification error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Security notification (controlled by the system preference)
+ * @param {number} userId - Recipient
+ * @param {string} title - Short description of the event
+ * @param {string|null} body - Details
+ * @param {string|null} dedupeKey - Set to notify an event only once
+ * @returns {Promise<object|null>} Created record or null
+ */
+export const notifySecurityEvent = (userId, title, body = null, dedupeKey = null, client = prisma) => (
+  notify(userId, { type: NOTIFICATION_TYPES.SECURITY, title, body, dedupeKey }, client)
+);
+
+/**
+ * Security notification for a sign-in from a browser not seen before
+ * Browsers are told apart by a hash of the user agent.
+ * @param {number} userId - Recipient
+ * @param {string|null} userAgent - User-Agent header of the sign-in request
+ * @returns {Promise<object|null>} Created record or null
+ */
+export const notifyNewSignIn = (userId, userAgent, client = prisma) => {
+  const agent = (userAgent || 'Unknown browser').slice(0, 200);
+  const fingerprint = crypto.createHash('sha256').update(agent).digest('hex').slice(0, 16);
+
+  return notifySecurityEvent(userId, 'New sign-in to your account', `Signed in from ${agent}`, `sign_in:${fingerprint}`, client);
+};
+
+const isoDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Metadata-change notification for a game whose release date moved
+ * @param {object} game - Game with id, userId and name
+ * @param {Date} from - Previous release date
+ * @param {Date} to - New release date
+ * @returns {Promise<object|null>} Created record or null
+ */
+export const notifyReleaseDateChanged = (game, from, to, client = prisma) => notify(game.userId, {
+  type: NOTIFICATION_TYPES.METADATA_CHANGE,
+  title: `${game.name} ${new Date(to) > new Date(from) ? 'was delayed' : 'is coming sooner'}`,
+  body: `Release date moved from ${isoDay(from)} to ${isoDay(to)}`,
+  gameId: game.id,
+  data: { field: 'releaseDate', from, to },
+  dedupeKey: `metadata_change:${game.id}:releaseDate:${isoDay(to)}`,
+}, client);
+
+/**
+ * Release-day notifications for library games releasing today (UTC)
+ * Games whose date is only known to the month, quarter or year are skipped,
+ * as are completed and dropped ones.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Notifications created
+ */
+export const notifyReleasesToday = async (now = new Date(), client = prisma) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const games = await client.game.findMany({
+    where: {
+      releaseDate: { gte: start, lt: new Date(start.getTime() + DAY_MS) },
+      status: { notIn: [GAME_STATUSES.COMPLETED, GAME_STATUSES.DROPPED] },
+    },
+    include: { releaseDates: true },
+  });
+
+  let created = 0;
+  for (const game of games) {
+    // Without per-platform rows the stored date is IGDB's exact first release date
+    const releasing = game.releaseDates.filter(row => row.date && row.date.getTime() === game.releaseDate.getTime());
+    if (releasing.length > 0 && !releasing.some(row => row.precision === 'day')) {
+      continue;
+    }
+
+    const platforms = releasing.filter(row => row.precision === 'day').map(row => row.platform);
+    const notification = await notify(game.userId, {
+      type: NOTIFICATION_TYPES.RELEASE_DAY,
+      title: `${game.name} is out today`,
+      body: platforms.length > 0 ? `Available on ${platforms.join(', ')}` : null,
+      gameId: game.id,
+      dedupeKey: `release_day:${game.id}:${isoDay(start)}`,
+    }, client);
+    if (notification) created++;
+  }
+
+  return created;
+};
+
+/**
+ * Unread notifications for the bell
+ * @param {number} userId - Recipient
+ * @returns {Promise<number>} Unread count
+ */
+export const countUnreadNotifications = (userId, client = prisma) => (
+  client.notification.count({ where: { userId, readAt: null } })
+);
+
+/**
+ * A page of a user's notifications, newest first
+ * @param {number} userId - Recipient
+ * @param {object} options - { unreadOnly, limit, before } where before is a notification ID
+ * @returns {Promise<object>} { notifications, unreadCount, hasMore }
+ */
+export const listNotifications = async (userId, { unreadOnly = false, limit = DEFAULT_NOTIFICATION_LIMIT, before = null } = {}, client = prisma) => {
+  const [rows, unreadCount] = await Promise.all([
+    client.notification.findMany({
+      where: {
+        userId,
+        ...(unreadOnly && { readAt: null }),
+        ...(before && { id: { lt: before } }),
+      },
+      orderBy: { id: 'desc' },
+      take: limit + 1,
+    }),
+    countUnreadNotifications(userId, client),
+  ]);
+
+  return {
+    notifications: rows.slice(0, limit).map(formatNotification),
+    unreadCount,
+    hasMore: rows.length > limit,
+  };
+};
+
+/**
+ * Mark notifications read or unread
+ * @param {number} userId - Recipient
+ * @param {Array<number>|null} ids - Notifications to change, or null for all of them
+ * @param {boolean} read - Target state
+ * @param {Date} now - Read time
+ * @returns {Promise<number>} Notifications changed
+ */
+export const markNotifications = async (userId, ids, read = true, now = new Date(), client = prisma) => {
+  const { count } = await client.notification.updateMany({
+    where: {
+      userId,
+      ...(ids && { id: { in: ids } }),
+      readAt: read ? null : { not: null },
+    },
+    data: { readAt: read ? now : null },
+  });
+
+  return count;
+};
+
+/**
+ * Remove notifications past the retention period
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Notifications removed
+ */
+export const cleanupNotifications = async (now = new Date(), client = prisma) => {
+  const { count } = await client.notification.deleteMany({
+    where: { createdAt: { lt: new Date(now.getTime() - NOTIFICATION_RETENTION_DAYS * DAY_MS) } },
+  });
+
+  return count;
+};
@@ -0,0 +1,218 @@
+/**
+ * Ownership Utilities
+ * Records of the copies a user owns of a library game (platform, physical or
+ * digital, storefront, purchase date and price) and the spend report
+ */
+import { prisma } from '../db/database.js';
+import { GAME_STATUSES } from './gameStatus.js';
+
+export const OWNERSHIP_FORMATS = {
+  PHYSICAL: 'physical',
+  DIGITAL: 'digital',
+};
+
+export const OWNERSHIP_FORMAT_VALUES = Object.values(OWNERSHIP_FORMATS);
+
+export const MAX_OWNERSHIPS_PER_GAME = 20;
+
+// Statuses that mean a game has been played, now or at some point in its history
+export const STARTED_STATUSES = [GAME_STATUSES.PLAYING, GAME_STATUSES.ON_HOLD, GAME_STATUSES.COMPLETED];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Raised when ownership input is inconsistent (e.g. a price without a currency)
+ */
+export class OwnershipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OwnershipError';
+  }
+}
+
+/**
+ * Convert a decimal price to stored minor units
+ * @param {number|string|null} price - Price such as 59.99
+ * @returns {number|null} Minor units such as 5999
+ */
+export const toCents = (price) => {
+  if (price === null || price === undefined || price === '') {
+    return null;
+  }
+  return Math.round(parseFloat(price) * 100);
+};
+
+/**
+ * Convert stored minor units back to a decimal price
+ * @param {number|null} cents - Minor units
+ * @returns {number|null} Price
+ */
+export const fromCents = (cents) => (cents === null || cents === undefined ? null : cents / 100);
+
+/**
+ * Normalize a currency code
+ * @param {string|null} value - Currency code in any case
+ * @returns {string|null} Upper-case ISO 4217 code, or null when it does not look like one
+ */
+export const normalizeCurrency = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const code = value.trim().toUpperCase();
+  return CURRENCY_PATTERN.test(code) ? code : null;
+};
+
+/**
+ * Shape an ownership record for API responses
+ * @param {object} ownership - GameOwnership record
+ * @returns {object} API representation
+ */
+export const formatOwnership = (ownership) => ({
+  id: ownership.id,
+  gameId: ownership.gameId,
+  platform: ownership.platform,
+  format: ownership.format,
+  storefront: ownership.storefront,
+  purchasedAt: ownership.purchasedAt,
+  price: fromCents(ownership.priceCents),
+  currency: ownership.currency,
+  createdAt: ownership.createdAt,
+  updatedAt: ownership.updatedAt,
+});
+
+/**
+ * Turn validated request input into stored fields
+ * Only fields present in the input are returned, so it serves both create and update.
+ * Clearing the price clears the currency with it.
+ * @param {object} input - Request body
+ * @param {object|null} existing - Current record when updating
+ * @returns {object} Prisma data
+ * @throws {OwnershipError} When a price is given without a currency
+ */
+export const buildOwnershipData = (input, existing = null) => {
+  const data = {};
+
+  if (input.platform !== undefined) data.platform = input.platform.trim();
+  if (input.format !== undefined) data.format = input.format;
+  if (input.storefront !== undefined) data.storefront = input.storefront?.trim() || null;
+  if (input.purchasedAt !== undefined) data.purchasedAt = input.purchasedAt ? new Date(input.purchasedAt) : null;
+  if (input.price !== undefined) data.priceCents = toCents(input.price);
+  if (input.currency !== undefined) data.currency = normalizeCurrency(input.currency);
+
+  const priceCents = data.priceCents !== undefined ? data.priceCents : existing?.priceCents ?? null;
+  if (priceCents === null) {
+    if (input.price !== undefined) data.currency = null;
+  } else if (!(data.currency !== undefined ? data.currency : existing?.currency)) {
+    throw new OwnershipError('A currency is required with a purchase price');
+  }
+
+  return data;
+};
+
+// Sum priced copies per (key, currency), largest first
+const sumBy = (copies, keyOf, keyName) => {
+  const totals = new Map();
+  copies.forEach(copy => {
+    const key = keyOf(copy);
+    const id = `${key}\u0000${copy.currency}`;
+    const entry = totals.get(id) || { [keyName]: key, currency: copy.currency, cents: 0, purchases: 0 };
+    entry.cents += copy.priceCents;
+    entry.purchases++;
+    totals.set(id, entry);
+  });
+
+  return [...totals.values()]
+    .sort((a, b) => b.cents - a.cents || String(a[keyName]).localeCompare(String(b[keyName])))
+    .map(({ cents, ...entry }) => ({ ...entry, spent: fromCents(cents) }));
+};
+
+/**
+ * Build the spend report from ownership records
+ * Totals are kept per currency; amounts in different currencies are never added up.
+ * @param {Array<object>} ownerships - Ownership records with game ({ id, name, coverUrl, status })
+ * @param {Set<number>} startedGameIds - Games that have been played at some point
+ * @returns {object} { totals, neverStarted, byStorefront, byPlatform, byFormat, byYear, unpriced }
+ */
+export const buildSpendReport = (ownerships, startedGameIds) => {
+  const priced = ownerships.filter(copy => copy.priceCents !== null && copy.currency);
+  const isUnstarted = (copy) => !startedGameIds.has(copy.gameId) && !STARTED_STATUSES.includes(copy.game.status);
+  const unstarted = priced.filter(isUnstarted);
+
+  const neverStartedByCurrency = new Map(
+    sumBy(unstarted, () => 'all', 'key').map(entry => [entry.currency, entry])
+  );
+  const totals = sumBy(priced, () => 'all', 'key').map(({ currency, spent, purchases }) => ({
+    currency,
+    spent,
+    purchases,
+    neverStarted: neverStartedByCurrency.get(currency)?.spent || 0,
+    neverStartedPurchases: neverStartedByCurrency.get(currency)?.purchases || 0,
+  }));
+
+  // Unplayed games, most money first
+  const unstartedGames = new Map();
+  unstarted.forEach(copy => {
+    const entry = unstartedGames.get(copy.gameId) || {
+      id: copy.game.id,
+      name: copy.game.name,
+      coverUrl: copy.game.coverUrl,
+      status: copy.game.status,
+      copies: [],
+    };
+    entry.copies.push(copy);
+    unstartedGames.set(copy.gameId, entry);
+  });
+  const neverStarted = [...unstartedGames.values()]
+    .map(({ copies, ...game }) => ({
+      ...game,
+      spent: sumBy(copies, () => 'all', 'key').map(({ currency, spent }) => ({ currency, spent })),
+      cents: copies.reduce((sum, copy) => sum + copy.priceCents, 0),
+    }))
+    .sort((a, b) => b.cents - a.cents || a.name.localeCompare(b.name))
+    .map(({ cents: _cents, ...game }) => game);
+
+  return {
+    totals,
+    neverStarted,
+    byStorefront: sumBy(priced, copy => copy.storefront || 'Unknown', 'storefront'),
+    byPlatform: sumBy(priced, copy => copy.platform, 'platform'),
+    byFormat: sumBy(priced, copy => copy.format, 'format'),
+    byYear: sumBy(priced, copy => (copy.purchasedAt ? new Date(copy.purchasedAt).getUTCFullYear() : null), 'year')
+      .sort((a, b) => (b.year ?? -1) - (a.year ?? -1) || a.currency.localeCompare(b.currency)),
+    unpriced: ownerships.length - priced.length,
+  };
+};
+
+/**
+ * Spend report for a user
+ * @param {number} userId - Library owner
+ * @param {object|null} purchasedAt - Optional Prisma date filter on the purchase date
+ * @returns {Promise<object>} Report (see buildSpendReport)
+ */
+export const getSpendReport = async (userId, purchasedAt = null, client = prisma) => {
+  const [ownerships, played, imported, startedChanges] = await Promise.all([
+    client.gameOwnership.findMany({
+      where: { userId, ...(purchasedAt && { purchasedAt }) },
+      include: { game: { select: { id: true, name: true, coverUrl: true, status: true } } },
+    }),
+    client.playSession.groupBy({
+      by: ['gameId'],
+      where: { userId },
+    }),
+    // Games with playtime carried over by an import were played elsewhere
+    client.game.findMany({
+      where: { userId, importedMinutes: { gt: 0 } },
+      select: { id: true },
+    }),
+    client.gameStatusChange.groupBy({
+      by: ['gameId'],
+      where: { game: { userId }, toStatus: { in: STARTED_STATUSES } },
+    }),
+  ]);
+
+  const startedGameIds = new Set([
+    ...[...played, ...startedChanges].map(row => row.gameId),
+    ...imported.map(game => game.id),
+  ]);
+  return buildSpendReport(ownerships, startedGameIds);
+};
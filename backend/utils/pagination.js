@@ -0,0 +1,229 @@
+/**
+ * Cursor Pagination Utilities
+ * Keyset pagination for the library listing with an id tiebreaker
+ *
+ * Cursors are opaque base64url JSON pointing at the first or last row of a page.
+ * They carry the sort they were issued for, so a cursor cannot be replayed
+ * against a different ordering.
+ */
+
+export const SORT_FIELDS = ['name', 'addedAt', 'updatedAt', 'userRating', 'releaseDate'];
+
+// Columns that can hold NULL and therefore need an explicit null ordering
+export const NULLABLE_SORT_FIELDS = ['userRating', 'releaseDate'];
+
+const DATE_SORT_FIELDS = ['addedAt', 'updatedAt', 'releaseDate'];
+
+export const NULL_ORDERINGS = ['first', 'last'];
+
+export const CURSOR_DIRECTIONS = {
+  NEXT: 'next',
+  PREV: 'prev',
+};
+
+/**
+ * Raised when a cursor cannot be decoded or belongs to another sort
+ */
+export class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Encode a cursor
+ * @param {object} payload - Cursor contents
+ * @returns {string} Opaque cursor
+ */
+export const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {object} Cursor contents
+ * @throws {InvalidCursorError} When the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new InvalidCursorError();
+  }
+  if (!payload || typeof payload !== 'object' || !payload.s || !payload.d) {
+    throw new InvalidCursorError();
+  }
+  return payload;
+};
+
+const flipOrder = (order) => (order === 'asc' ? 'desc' : 'asc');
+const flipNulls = (nulls) => (nulls === 'first' ? 'last' : 'first');
+
+/**
+ * Build the orderBy for a sort, with id as tiebreaker
+ * @param {string} sort - Sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @param {string} nulls - 'first' or 'last'
+ * @returns {Array<object>} Prisma orderBy
+ */
+export const buildOrderBy = (sort, order, nulls) => {
+  const primary = NULLABLE_SORT_FIELDS.includes(sort)
+    ? { [sort]: { sort: order, nulls } }
+    : { [sort]: order };
+  return [primary, { id: order }];
+};
+
+/**
+ * Build the where condition selecting rows strictly after a cursor position
+ * @param {string} sort - Sort field
+ * @param {string} order - Effective order ('asc' or 'desc')
+ * @param {string} nulls - Effective null ordering ('first' or 'last')
+ * @param {*} value - Sort value of the cursor row (null allowed)
+ * @param {number} id - ID of the cursor row
+ * @returns {object} Prisma where condition
+ */
+export const buildKeysetCondition = (sort, order, nulls, value, id) => {
+  const cmp = order === 'asc' ? 'gt' : 'lt';
+  const nullable = NULLABLE_SORT_FIELDS.includes(sort);
+
+  if (value === null) {
+    const conditions = [{ [sort]: null, id: { [cmp]: id } }];
+    if (nulls === 'first') {
+      conditions.push({ [sort]: { not: null } });
+    }
+    return { OR: conditions };
+  }
+
+  const conditions = [
+    { [sort]: { [cmp]: value } },
+    { [sort]: value, id: { [cmp]: id } },
+  ];
+  if (nullable && nulls === 'last') {
+    conditions.push({ [sort]: null });
+  }
+  return { OR: conditions };
+};
+
+/**
+ * Serialize a row's sort value for a cursor
+ */
+const cursorValue = (row, sort) => {
+  const value = row[sort];
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Revive a cursor's sort value for querying
+ */
+const queryValue = (value, sort) => {
+  if (value === null) {
+    return null;
+  }
+  return DATE_SORT_FIELDS.includes(sort) ? new Date(value) : value;
+};
+
+/**
+ * Plan the query for one page
+ * @param {object} options - { sort, order, nulls, limit, cursor }
+ * @returns {object} { where, orderBy, take, reverse } where `where` may be null
+ * @throws {InvalidCursorError} When the cursor does not fit the sort
+ */
+export const planPage = ({ sort, order, nulls, limit, cursor }) => {
+  if (!cursor) {
+    return { where: null, orderBy: buildOrderBy(sort, order, nulls), take: limit + 1, reverse: false };
+  }
+
+  const decoded = decodeCursor(cursor);
+  if (decoded.s !== sort || decoded.o !== order || decoded.n !== nulls || !Number.isInteger(decoded.id)) {
+    throw new InvalidCursorError('Cursor does not match the requested sort');
+  }
+
+  // Going backwards walks the reversed ordering, then flips the rows back
+  const reverse = decoded.d === CURSOR_DIRECTIONS.PREV;
+  const effectiveOrder = reverse ? flipOrder(order) : order;
+  const effectiveNulls = reverse ? flipNulls(nulls) : nulls;
+
+  return {
+    where: buildKeysetCondition(sort, effectiveOrder, effectiveNulls, queryValue(decoded.v, sort), decoded.id),
+    orderBy: buildOrderBy(sort, effectiveOrder, effectiveNulls),
+    take: limit + 1,
+    reverse,
+  };
+};
+
+/**
+ * Trim the extra row fetched by planPage and build the neighbouring cursors
+ * @param {Array<object>} rows - Rows as returned for the plan (limit + 1 at most)
+ * @param {object} options - { sort, order, nulls, limit, cursor, reverse }
+ * @returns {object} { items, nextCursor, prevCursor }
+ */
+export const buildPage = (rows, { sort, order, nulls, limit, cursor, reverse }) => {
+  const hasMore = rows.length > limit;
+  let items = rows.slice(0, limit);
+  if (reverse) {
+    items = items.reverse();
+  }
+
+  const makeCursor = (row, direction) => encodeCursor({
+    s: sort,
+    o: order,
+    n: nulls,
+    v: cursorValue(row, sort),
+    id: row.id,
+    d: direction,
+  });
+
+  if (items.length === 0) {
+    return { items, nextCursor: null, prevCursor: null };
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Forward: more rows mean a next page; any cursor means there was a previous one.
+  // Backward: the other way round.
+  const hasNext = reverse ? true : hasMore;
+  const hasPrev = reverse ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    nextCursor: hasNext ? makeCursor(last, CURSOR_DIRECTIONS.NEXT) : null,
+    prevCursor: hasPrev ? makeCursor(first, CURSOR_DIRECTIONS.PREV) : null,
+  };
+};
+
+/**
+ * Page through rows already ranked in memory (full-text relevance)
+ * @param {Array<object>} rows - All rows in order
+ * @param {object} options - { limit, cursor }
+ * @returns {object} { items, nextCursor, prevCursor }
+ */
+export const pageInMemory = (rows, { limit, cursor }) => {
+  let start = 0;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (decoded.s !== 'relevance' || !Number.isInteger(decoded.off) || decoded.off < 0) {
+      throw new InvalidCursorError('Cursor does not match the requested sort');
+    }
+    start = decoded.off;
+  }
+
+  const items = rows.slice(start, start + limit);
+  const end = start + items.length;
+
+  return {
+    items,
+    nextCursor: end < rows.length
+      ? encodeCursor({ s: 'relevance', off: end, d: CURSOR_DIRECTIONS.NEXT })
+      : null,
+    prevCursor: start > 0
+      ? encodeCursor({ s: 'relevance', off: Math.max(0, start - limit), d: CURSOR_DIRECTIONS.PREV })
+      : null,
+  };
+};
@@ -0,0 +1,158 @@
+/**
+ * Playtime Utilities
+ * Duration math and per-game / per-week / per-user aggregation of play sessions
+ */
+import { prisma } from '../db/database.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_WEEK = 7 * 24 * 60 * MS_PER_MINUTE;
+
+// Longest a single session can be, whether logged by hand or timed
+export const MAX_SESSION_MINUTES = 24 * 60;
+
+/**
+ * Compute whole minutes between two timestamps
+ * @param {Date} startedAt - Session start
+ * @param {Date} endedAt - Session end
+ * @returns {number} Minutes (never negative)
+ */
+export const minutesBetween = (startedAt, endedAt) => {
+  const diff = new Date(endedAt).getTime() - new Date(startedAt).getTime();
+  return Math.max(0, Math.round(diff / MS_PER_MINUTE));
+};
+
+/**
+ * End time for a timer stopped (or counted) at a given moment
+ * Capped at MAX_SESSION_MINUTES after the start, so a timer left running
+ * for days does not turn into a days-long session.
+ * @param {Date} startedAt - Timer start
+ * @param {Date} now - Stop time
+ * @returns {Date} End time
+ */
+export const capTimerEnd = (startedAt, now = new Date()) => new Date(Math.min(
+  new Date(now).getTime(),
+  new Date(startedAt).getTime() + MAX_SESSION_MINUTES * MS_PER_MINUTE
+));
+
+/**
+ * Get the length of a session in minutes; running sessions count up to now,
+ * capped at MAX_SESSION_MINUTES
+ * @param {object} session - Play session record
+ * @param {Date} now - Reference time for running sessions
+ * @returns {number} Minutes played
+ */
+export const getSessionMinutes = (session, now = new Date()) => {
+  if (session.durationMinutes !== null && session.durationMinutes !== undefined) {
+    return session.durationMinutes;
+  }
+  return minutesBetween(session.startedAt, session.endedAt || capTimerEnd(session.startedAt, now));
+};
+
+/**
+ * Get the start (Monday 00:00 UTC) of the week containing a date
+ * @param {Date} date - Any date
+ * @returns {Date} Week start
+ */
+export const getWeekStart = (date) => {
+  const d = new Date(date);
+  const day = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day));
+};
+
+/**
+ * Bucket sessions into consecutive weeks, oldest first, including empty weeks
+ * @param {Array} sessions - Play sessions
+ * @param {number} weeks - Number of weeks to return
+ * @param {Date} now - Reference time
+ * @returns {Array<{weekStart: string, minutes: number, sessions: number}>} Weekly totals
+ */
+export const bucketSessionsByWeek = (sessions, weeks = 12, now = new Date()) => {
+  const currentWeek = getWeekStart(now).getTime();
+  const buckets = [];
+
+  for (let i = weeks - 1; i >= 0; i--) {
+    buckets.push({
+      weekStart: new Date(currentWeek - i * MS_PER_WEEK).toISOString().slice(0, 10),
+      minutes: 0,
+      sessions: 0,
+    });
+  }
+
+  const firstWeek = currentWeek - (weeks - 1) * MS_PER_WEEK;
+  sessions.forEach(session => {
+    const week = getWeekStart(session.startedAt).getTime();
+    if (week < firstWeek || week > currentWeek) {
+      return;
+    }
+    const bucket = buckets[Math.round((week - firstWeek) / MS_PER_WEEK)];
+    bucket.minutes += getSessionMinutes(session, now);
+    bucket.sessions += 1;
+  });
+
+  return buckets;
+};
+
+/**
+ * Total minutes played per game for a user: sessions plus any lifetime
+ * playtime carried over by an import
+ * @param {number} userId - User ID
+ * @param {Array<number>} gameIds - Optional subset of games
+ * @returns {Promise<Map<number, number>>} Minutes keyed by game ID
+ */
+export const getPlaytimeByGame = async (userId, gameIds = null) => {
+  const where = { userId };
+  if (gameIds) {
+    where.gameId = { in: gameIds };
+  }
+
+  const [sessions, imported] = await Promise.all([
+    prisma.playSession.findMany({
+      where,
+      select: { gameId: true, startedAt: true, endedAt: true, durationMinutes: true },
+    }),
+    prisma.game.findMany({
+      where: { userId, importedMinutes: { gt: 0 }, ...(gameIds && { id: { in: gameIds } }) },
+      select: { id: true, importedMinutes: true },
+    }),
+  ]);
+
+  const totals = new Map(imported.map(game => [game.id, game.importedMinutes]));
+  const now = new Date();
+  sessions.forEach(session => {
+    totals.set(session.gameId, (totals.get(session.gameId) || 0) + getSessionMinutes(session, now));
+  });
+
+  return totals;
+};
+
+/**
+ * Playtime summary for a user: lifetime total plus weekly breakdown
+ * Imported playtime has no date, so it is in the total but not in any week.
+ * @param {number} userId - User ID
+ * @param {number} weeks - Number of weeks in the breakdown
+ * @returns {Promise<object>} Playtime summary
+ */
+export const getUserPlaytimeSummary = async (userId, weeks = 12) => {
+  const [sessions, imported] = await Promise.all([
+    prisma.playSession.findMany({
+      where: { userId },
+      select: { gameId: true, startedAt: true, endedAt: true, durationMinutes: true },
+    }),
+    prisma.game.aggregate({
+      where: { userId },
+      _sum: { importedMinutes: true },
+    }),
+  ]);
+
+  const now = new Date();
+  const importedMinutes = imported._sum.importedMinutes || 0;
+  const totalMinutes = importedMinutes + sessions.reduce((sum, session) => sum + getSessionMinutes(session, now), 0);
+
+  return {
+    totalMinutes,
+    totalHours: Math.round((totalMinutes / 60) * 10) / 10,
+    importedMinutes,
+    sessionCount: sessions.length,
+    byWeek: bucketSessionsByWeek(sessions, weeks, now),
+  };
+};
@@ -0,0 +1,124 @@
+/**
+ * Up Next Queue Utilities
+ * Fractional ranks on games.queueRank so a move only rewrites the moved game
+ *
+ * A game placed between two neighbours gets the midpoint of their ranks. When
+ * repeated moves squeeze a gap below MIN_RANK_GAP, the queue is renumbered once.
+ */
+import { prisma } from '../db/database.js';
+import { GAME_STATUSES } from './gameStatus.js';
+
+export const RANK_STEP = 1024;
+export const MIN_RANK_GAP = 1e-6;
+
+// Finished games keep their rank but drop out of the queue view
+export const QUEUE_STATUSES = [GAME_STATUSES.WISHLIST, GAME_STATUSES.PLAYING, GAME_STATUSES.ON_HOLD];
+
+export const QUEUE_POSITIONS = {
+  TOP: 'top',
+  BOTTOM: 'bottom',
+};
+
+/**
+ * Raised when a move refers to a game that is not queued
+ */
+export class QueueMoveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueMoveError';
+  }
+}
+
+/**
+ * Rank for a slot between two neighbours
+ * @param {number|null} lower - Rank of the game that will come first (null at the top)
+ * @param {number|null} upper - Rank of the game that will come next (null at the bottom)
+ * @returns {number} New rank
+ */
+export const rankBetween = (lower, upper) => {
+  if (lower === null && upper === null) return RANK_STEP;
+  if (lower === null) return upper - RANK_STEP;
+  if (upper === null) return lower + RANK_STEP;
+  return (lower + upper) / 2;
+};
+
+/**
+ * Whether two neighbours are too close to split again
+ */
+export const needsRebalance = (lower, upper) => {
+  return lower !== null && upper !== null && upper - lower < MIN_RANK_GAP;
+};
+
+/**
+ * Ranked games in queue order, as GET /queue shows them: finished games that
+ * kept their rank are left out, so they can neither anchor a move nor shift
+ * positions
+ */
+const loadQueue = (userId, excludeGameId, client) => {
+  return client.game.findMany({
+    where: { userId, queueRank: { not: null }, status: { in: QUEUE_STATUSES }, id: { not: excludeGameId } },
+    orderBy: [{ queueRank: 'asc' }, { id: 'asc' }],
+    select: { id: true, queueRank: true },
+  });
+};
+
+/**
+ * Renumber queued games with even spacing, keeping their order
+ * @param {Array<object>} queue - Queued games in order ({ id, queueRank })
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<Array<object>>} The queue with its new ranks
+ */
+export const rebalanceQueue = async (queue, client = prisma) => {
+  const renumbered = queue.map((entry, index) => ({ ...entry, queueRank: (index + 1) * RANK_STEP }));
+  for (const entry of renumbered) {
+    await client.game.update({ where: { id: entry.id }, data: { queueRank: entry.queueRank } });
+  }
+  return renumbered;
+};
+
+/**
+ * Find where a move lands in the queue
+ * @param {Array<object>} queue - Queued games in order, without the moved game
+ * @param {object} target - { beforeId } | { afterId } | { position }
+ * @returns {number} Index the moved game will occupy
+ */
+export const resolveQueueIndex = (queue, { beforeId, afterId, position }) => {
+  if (beforeId !== undefined || afterId !== undefined) {
+    const anchorId = beforeId !== undefined ? beforeId : afterId;
+    const anchorIndex = queue.findIndex(entry => entry.id === anchorId);
+    if (anchorIndex === -1) {
+      throw new QueueMoveError('The game to move next to is not in the queue');
+    }
+    return beforeId !== undefined ? anchorIndex : anchorIndex + 1;
+  }
+  return position === QUEUE_POSITIONS.TOP ? 0 : queue.length;
+};
+
+/**
+ * Place a game in the queue, adding it if it was not queued
+ * @param {number} userId - Owner of the game
+ * @param {number} gameId - Game to move
+ * @param {object} target - { beforeId } | { afterId } | { position: 'top'|'bottom' }
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<object>} { queueRank, position } with a 1-based position
+ */
+export const moveInQueue = async (userId, gameId, target, client = prisma) => {
+  let queue = await loadQueue(userId, gameId, client);
+  const index = resolveQueueIndex(queue, target);
+
+  const neighbours = () => [
+    index > 0 ? queue[index - 1].queueRank : null,
+    index < queue.length ? queue[index].queueRank : null,
+  ];
+
+  let [lower, upper] = neighbours();
+  if (needsRebalance(lower, upper)) {
+    queue = await rebalanceQueue(queue, client);
+    [lower, upper] = neighbours();
+  }
+
+  const queueRank = rankBetween(lower, upper);
+  await client.game.update({ where: { id: gameId }, data: { queueRank } });
+
+  return { queueRank, position: index + 1 };
+};
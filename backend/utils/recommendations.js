@@ -0,0 +1,296 @@
+/**
+ * Backlog Recommendation Utilities
+ * Scores unplayed library games for "What should I play next?" with a reason per factor
+ *
+ * Each factor yields a value in [-1, 1] that is multiplied by its weight; the
+ * factors that moved the score are returned as human-readable reasons.
+ */
+import { prisma } from '../db/database.js';
+import { GAME_STATUSES } from './gameStatus.js';
+import { parseJsonList } from './gameFormat.js';
+import { parseProgress } from './gameProgress.js';
+import { getPlaytimeByGame } from './playtime.js';
+
+// Games that have not been started yet, or were parked before getting far
+export const RECOMMENDABLE_STATUSES = [GAME_STATUSES.WISHLIST, GAME_STATUSES.ON_HOLD];
+
+export const RECOMMENDATION_WEIGHTS = {
+  genre: 3,
+  similarRatings: 2,
+  platform: 1.5,
+  length: 1.5,
+  queue: 1,
+  age: 1,
+  criticRating: 0.5,
+};
+
+export const MAX_ALTERNATIVES = 10;
+
+// Used when neither progress nor similar finished games say how long a game is
+const LONG_GAME_MINUTES = 60 * 60;
+const AGE_CAP_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lower = (values) => (values || []).map(value => String(value).toLowerCase());
+
+const clamp = (value, min = -1, max = 1) => Math.min(max, Math.max(min, value));
+
+const formatHours = (minutes) => {
+  const hours = Math.round(minutes / 60);
+  return hours < 1 ? 'under an hour' : `about ${hours}h`;
+};
+
+const formatAge = (days) => {
+  if (days >= 60) return `${Math.floor(days / 30)} months`;
+  if (days >= 14) return `${Math.floor(days / 7)} weeks`;
+  return `${days} day${days === 1 ? '' : 's'}`;
+};
+
+/**
+ * Read preferences.gaming from the stored user preferences JSON
+ * @param {string|null} value - Raw users.preferences value
+ * @returns {object} { favoriteGenres, platforms } as arrays
+ */
+export const parseGamingPreferences = (value) => {
+  let preferences = {};
+  try {
+    preferences = value ? JSON.parse(value) : {};
+  } catch {
+    preferences = {};
+  }
+  const gaming = preferences?.gaming || {};
+  return {
+    favoriteGenres: Array.isArray(gaming.favoriteGenres) ? gaming.favoriteGenres : [],
+    platforms: Array.isArray(gaming.platforms) ? gaming.platforms : [],
+  };
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Typical minutes the user spent finishing games of each genre
+ * @param {Array<object>} finishedGames - Completed games with parsed genres and minutesPlayed
+ * @returns {Map<string, number>} Median minutes keyed by lower-cased genre
+ */
+export const buildLengthByGenre = (finishedGames) => {
+  const byGenre = new Map();
+  finishedGames
+    .filter(game => game.minutesPlayed > 0)
+    .forEach(game => {
+      lower(game.genres).forEach(genre => {
+        byGenre.set(genre, [...(byGenre.get(genre) || []), game.minutesPlayed]);
+      });
+    });
+  return new Map([...byGenre].map(([genre, minutes]) => [genre, median(minutes)]));
+};
+
+/**
+ * Estimate how long a game will take
+ * Progress plus logged playtime wins; otherwise the user's own history with the genre
+ * @returns {object|null} { minutes, basis: 'progress'|'genre' }
+ */
+export const estimateRemainingMinutes = (game, minutesPlayed, lengthByGenre) => {
+  const percent = game.progress?.percent;
+  if (minutesPlayed > 0 && percent > 0 && percent < 100) {
+    return { minutes: Math.round(minutesPlayed * (100 - percent) / percent), basis: 'progress' };
+  }
+
+  const typical = lower(game.genres)
+    .map(genre => lengthByGenre.get(genre))
+    .filter(minutes => minutes !== undefined);
+  if (typical.length > 0) {
+    return { minutes: Math.max(0, Math.round(median(typical) - minutesPlayed)), basis: 'genre' };
+  }
+
+  return null;
+};
+
+/**
+ * Rated library games that share a genre or developer with the candidate
+ */
+const findSimilarRated = (game, ratedGames) => {
+  const genres = new Set(lower(game.genres));
+  const developer = game.developer?.toLowerCase();
+  return ratedGames.filter(other => (
+    other.id !== game.id && (
+      lower(other.genres).some(genre => genres.has(genre)) ||
+      (developer && other.developer?.toLowerCase() === developer)
+    )
+  ));
+};
+
+/**
+ * Score one candidate game
+ * @param {object} game - Candidate with parsed genres/platforms/progress
+ * @param {object} context - { favoriteGenres, platforms, ratedGames, lengthByGenre,
+ *   playtimeByGame, queuePositions, maxMinutes }
+ * @param {Date} now - Reference time
+ * @returns {object} { score, reasons, estimatedMinutes }
+ */
+export const scoreCandidate = (game, context, now = new Date()) => {
+  const reasons = [];
+  let score = 0;
+
+  const addFactor = (factor, value, message) => {
+    const contribution = RECOMMENDATION_WEIGHTS[factor] * clamp(value);
+    score += contribution;
+    if (message && contribution !== 0) {
+      reasons.push({ factor, impact: Math.round(contribution * 100) / 100, message });
+    }
+  };
+
+  const favoriteGenres = new Set(lower(context.favoriteGenres));
+  if (favoriteGenres.size > 0) {
+    const matched = (game.genres || []).filter(genre => favoriteGenres.has(genre.toLowerCase()));
+    if (matched.length > 0) {
+      addFactor('genre', 0.5 + 0.5 * Math.min(matched.length, 2) / 2,
+        `Matches your favorite genre${matched.length === 1 ? '' : 's'}: ${matched.join(', ')}`);
+    }
+  }
+
+  const platforms = new Set(lower(context.platforms));
+  if (platforms.size > 0 && game.platforms?.length > 0) {
+    const available = game.platforms.filter(platform => platforms.has(platform.toLowerCase()));
+    if (available.length > 0) {
+      addFactor('platform', 1, `Playable on ${available.join(', ')}`);
+    } else {
+      addFactor('platform', -0.5, 'Not on any of your platforms');
+    }
+  }
+
+  const similar = findSimilarRated(game, context.ratedGames);
+  if (similar.length > 0) {
+    const average = similar.reduce((sum, other) => sum + other.userRating, 0) / similar.length;
+    const examples = [...similar]
+      .sort((a, b) => b.userRating - a.userRating)
+      .slice(0, 2)
+      .map(other => other.name);
+    addFactor('similarRatings', (average - 3) / 2,
+      `You rated similar games ${Math.round(average * 10) / 10}★ on average (${examples.join(', ')})`);
+  }
+
+  const minutesPlayed = context.playtimeByGame.get(game.id) || 0;
+  const estimate = estimateRemainingMinutes(game, minutesPlayed, context.lengthByGenre);
+  if (estimate) {
+    const source = estimate.basis === 'progress' ? 'left based on your progress' : 'judging by similar games you finished';
+    if (context.maxMinutes && estimate.minutes > context.maxMinutes) {
+      addFactor('length', -1, `Probably longer than you have (${formatHours(estimate.minutes)} ${source})`);
+    } else {
+      addFactor('length', 1 - 2 * Math.min(estimate.minutes, LONG_GAME_MINUTES) / LONG_GAME_MINUTES,
+        `Should take ${formatHours(estimate.minutes)} ${source}`);
+    }
+  }
+
+  const queuePosition = context.queuePositions.get(game.id);
+  if (queuePosition !== undefined) {
+    addFactor('queue', 1 / queuePosition, `#${queuePosition} in your Up Next queue`);
+  }
+
+  const daysWaiting = Math.max(0, Math.floor((now - new Date(game.addedAt)) / DAY_MS));
+  if (daysWaiting >= 7) {
+    addFactor('age', Math.min(daysWaiting, AGE_CAP_DAYS) / AGE_CAP_DAYS,
+      `Waiting in your backlog for ${formatAge(daysWaiting)}`);
+  }
+
+  if (game.rating) {
+    addFactor('criticRating', (game.rating - 70) / 30,
+      game.rating >= 80 ? `Highly rated (${Math.round(game.rating)}/100)` : null);
+  }
+
+  reasons.sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact));
+
+  return {
+    score: Math.round(score * 100) / 100,
+    reasons,
+    estimatedMinutes: estimate?.minutes ?? null,
+  };
+};
+
+/**
+ * Rank the user's unplayed games
+ * @param {number} userId - Owner of the library
+ * @param {object} options - { exclude: game IDs skipped tonight, maxMinutes, limit }
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} { picks, candidateCount, excludedCount }
+ */
+export const recommendGames = async (userId, { exclude = [], maxMinutes = null, limit = 3 } = {}, now = new Date()) => {
+  const [user, games] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { preferences: true } }),
+    prisma.game.findMany({
+      where: { userId },
+      select: {
+        id: true, name: true, status: true, coverUrl: true, releaseDate: true,
+        genres: true, platforms: true, developer: true, rating: true, userRating: true,
+        progress: true, queueRank: true, addedAt: true,
+      },
+    }),
+  ]);
+
+  const library = games.map(game => ({
+    ...game,
+    genres: parseJsonList(game.genres) || [],
+    platforms: parseJsonList(game.platforms) || [],
+    progress: parseProgress(game.progress),
+  }));
+
+  const excluded = new Set(exclude);
+  const released = (game) => !game.releaseDate || new Date(game.releaseDate) <= now;
+  const eligible = library.filter(game => RECOMMENDABLE_STATUSES.includes(game.status) && released(game));
+  const candidates = eligible.filter(game => !excluded.has(game.id));
+
+  const playtimeByGame = await getPlaytimeByGame(userId);
+  const finished = library
+    .filter(game => game.status === GAME_STATUSES.COMPLETED)
+    .map(game => ({ ...game, minutesPlayed: playtimeByGame.get(game.id) || 0 }));
+
+  const queued = library
+    .filter(game => game.queueRank !== null && RECOMMENDABLE_STATUSES.includes(game.status))
+    .sort((a, b) => a.queueRank - b.queueRank || a.id - b.id);
+
+  const context = {
+    ...parseGamingPreferences(user?.preferences),
+    ratedGames: library.filter(game => game.userRating !== null),
+    lengthByGenre: buildLengthByGenre(finished),
+    playtimeByGame,
+    queuePositions: new Map(queued.map((game, index) => [game.id, index + 1])),
+    maxMinutes,
+  };
+
+  const picks = candidates
+    .map(game => ({ game, ...scoreCandidate(game, context, now) }))
+    .sort((a, b) => b.score - a.score || a.game.id - b.game.id)
+    .slice(0, limit);
+
+  return {
+    picks,
+    candidateCount: candidates.length,
+    excludedCount: eligible.length - candidates.length,
+  };
+};
+
+/**
+ * Shape a recommendation pick for API responses
+ * @param {object} pick - { game, score, reasons, estimatedMinutes } from recommendGames
+ * @returns {object} Pick with the game trimmed to what the card shows
+ */
+export const formatRecommendation = ({ game, score, reasons, estimatedMinutes }) => ({
+  game: {
+    id: game.id,
+    name: game.name,
+    status: game.status,
+    coverUrl: game.coverUrl,
+    genres: game.genres,
+    platforms: game.platforms,
+    rating: game.userRating,
+    progress: game.progress,
+    queueRank: game.queueRank,
+  },
+  score,
+  estimatedMinutes,
+  reasons,
+});
@@ -0,0 +1,309 @@
+/**
+ * Release Calendar Utilities
+ * Keeps unreleased games' dates current from IGDB release_dates (per platform,
+ * earliest across regions), flags games whose date moved, and groups upcoming
+ * games by month
+ */
+import { prisma } from '../db/database.js';
+import { getReleaseDates } from '../services/igdb.js';
+import { GAME_STATUSES } from './gameStatus.js';
+import { parseJsonList } from './gameFormat.js';
+import { monthKey } from './libraryStats.js';
+import { notifyReleaseDateChanged } from './notifications.js';
+
+export const RELEASE_PRECISIONS = {
+  DAY: 'day',
+  MONTH: 'month',
+  QUARTER: 'quarter',
+  YEAR: 'year',
+  TBD: 'tbd',
+};
+
+// Dates checked more recently than this are not fetched again
+export const REFRESH_INTERVAL_HOURS = 24;
+
+// IGDB takes up to 50 games per release_dates query
+export const REFRESH_BATCH_SIZE = 50;
+
+// Games refreshed inline by one calendar request; the daily job covers the rest
+export const MAX_REFRESH_PER_REQUEST = 100;
+
+// Games refreshed by one run of the daily job
+export const MAX_REFRESH_PER_RUN = 2000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// IGDB release date categories: 0 exact day, 1 month, 2 year, 3-6 Q1-Q4, 7 TBD
+const CATEGORY_PRECISIONS = {
+  0: RELEASE_PRECISIONS.DAY,
+  1: RELEASE_PRECISIONS.MONTH,
+  2: RELEASE_PRECISIONS.YEAR,
+  3: RELEASE_PRECISIONS.QUARTER,
+  4: RELEASE_PRECISIONS.QUARTER,
+  5: RELEASE_PRECISIONS.QUARTER,
+  6: RELEASE_PRECISIONS.QUARTER,
+  7: RELEASE_PRECISIONS.TBD,
+};
+
+const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Library games the calendar covers: anything releasing today or later,
+ * plus wishlisted games with no date yet
+ * @param {number|null} userId - Library owner, or null for every user
+ * @param {Date} now - Current time
+ * @returns {object} Prisma where clause
+ */
+export const calendarWhere = (userId, now = new Date()) => ({
+  ...(userId !== null && { userId }),
+  OR: [
+    { releaseDate: { gte: startOfDay(now) } },
+    { status: GAME_STATUSES.WISHLIST, releaseDate: null },
+  ],
+});
+
+/**
+ * Reduce IGDB release rows to one date per platform
+ * A dated release beats a TBD one; among dated ones the earliest region wins.
+ * @param {Array<object>} releases - Rows from getReleaseDates for one game
+ * @returns {Array<object>} { platform, date, precision, label } sorted by platform
+ */
+export const summarizeReleases = (releases) => {
+  const byPlatform = new Map();
+  releases.forEach(release => {
+    const entry = {
+      platform: release.platform,
+      date: release.date,
+      precision: release.date ? CATEGORY_PRECISIONS[release.category] || RELEASE_PRECISIONS.DAY : RELEASE_PRECISIONS.TBD,
+      label: release.human,
+    };
+    const current = byPlatform.get(release.platform);
+    if (!current || (entry.date && (!current.date || entry.date < current.date))) {
+      byPlatform.set(release.platform, entry);
+    }
+  });
+
+  return [...byPlatform.values()].sort((a, b) => a.platform.localeCompare(b.platform));
+};
+
+/**
+ * Work out the writes for one game after a refresh
+ * A date counts as moved when a known date changes (including to TBD); a TBD
+ * game getting its first date is not a move.
+ * @param {object} game - Game with releaseDate and releaseDates (stored rows)
+ * @param {Array<object>} fresh - summarizeReleases output
+ * @param {Date} now - Refresh time
+ * @returns {object} { game: data, upserts: [{ platform, data }], removed: [platform], moved }
+ */
+export const planReleaseUpdate = (game, fresh, now = new Date()) => {
+  const gameData = { releaseDatesCheckedAt: now };
+  if (fresh.length === 0) {
+    // IGDB has nothing (or no credentials): keep what is stored
+    return { game: gameData, upserts: [], removed: [], moved: false };
+  }
+
+  const stored = new Map((game.releaseDates || []).map(row => [row.platform, row]));
+  const upserts = fresh.map(release => {
+    const current = stored.get(release.platform);
+    const data = {
+      date: release.date,
+      precision: release.precision,
+      label: release.label,
+    };
+    if (current?.date && !sameDate(current.date, release.date)) {
+      data.previousDate = current.date;
+      data.changedAt = now;
+    }
+    return { platform: release.platform, data };
+  });
+
+  const freshPlatforms = new Set(fresh.map(release => release.platform));
+  const removed = [...stored.keys()].filter(platform => !freshPlatforms.has(platform));
+
+  const earliest = fresh
+    .filter(release => release.date)
+    .map(release => release.date)
+    .sort((a, b) => a - b)[0];
+
+  let moved = false;
+  if (earliest && !sameDate(game.releaseDate, earliest)) {
+    gameData.releaseDate = earliest;
+    if (game.releaseDate) {
+      gameData.previousReleaseDate = game.releaseDate;
+      gameData.releaseDateChangedAt = now;
+      moved = true;
+    }
+  }
+
+  return { game: gameData, upserts, removed, moved };
+};
+
+/**
+ * Refresh release dates for library games from IGDB
+ * Games sharing an IGDB ID (in different libraries) are fetched once. Owners
+ * of games whose date moved get a metadata-change notification.
+ * @param {Array<object>} games - Games with id, userId, igdbId, name, releaseDate and releaseDates
+ * @param {Date} now - Refresh time
+ * @param {object} options - { client, fetchReleaseDates } for tests
+ * @returns {Promise<object>} { checked, moved: [gameId] }
+ */
+export const refreshReleaseDates = async (games, now = new Date(), { client = prisma, fetchReleaseDates = getReleaseDates } = {}) => {
+  const gamesByIgdbId = new Map();
+  games.forEach(game => {
+    gamesByIgdbId.set(game.igdbId, [...(gamesByIgdbId.get(game.igdbId) || []), game]);
+  });
+  const igdbIds = [...gamesByIgdbId.keys()];
+
+  const result = { checked: 0, moved: [] };
+  for (let i = 0; i < igdbIds.length; i += REFRESH_BATCH_SIZE) {
+    const batch = igdbIds.slice(i, i + REFRESH_BATCH_SIZE);
+    const releases = await fetchReleaseDates(batch);
+
+    for (const igdbId of batch) {
+      const fresh = summarizeReleases(releases.filter(release => release.gameId === igdbId));
+
+      for (const game of gamesByIgdbId.get(igdbId)) {
+        const plan = planReleaseUpdate(game, fresh, now);
+
+        for (const { platform, data } of plan.upserts) {
+          await client.gameReleaseDate.upsert({
+            where: { gameId_platform: { gameId: game.id, platform } },
+            update: data,
+            create: { gameId: game.id, platform, ...data },
+          });
+        }
+        if (plan.removed.length > 0) {
+          await client.gameReleaseDate.deleteMany({ where: { gameId: game.id, platform: { in: plan.removed } } });
+        }
+        await client.game.update({ where: { id: game.id }, data: plan.game });
+
+        result.checked++;
+        if (plan.moved) {
+          result.moved.push(game.id);
+          await notifyReleaseDateChanged(game, game.releaseDate, plan.game.releaseDate, client);
+        }
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Refresh the calendar games of every user whose dates are due a check
+ * Used by the daily job.
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} { checked, moved: [gameId] }
+ */
+export const refreshUpcomingReleases = async (now = new Date(), client = prisma) => {
+  const games = await client.game.findMany({
+    where: {
+      AND: [
+        calendarWhere(null, now),
+        {
+          OR: [
+            { releaseDatesCheckedAt: null },
+            { releaseDatesCheckedAt: { lt: new Date(now.getTime() - REFRESH_INTERVAL_HOURS * HOUR_MS) } },
+          ],
+        },
+      ],
+    },
+    orderBy: { releaseDatesCheckedAt: 'asc' },
+    take: MAX_REFRESH_PER_RUN,
+    include: { releaseDates: true },
+  });
+
+  return refreshReleaseDates(games, now, { client });
+};
+
+const formatCalendarGame = (game) => {
+  const platforms = (game.releaseDates || [])
+    .map(row => ({ platform: row.platform, date: row.date, precision: row.precision, label: row.label }))
+    .sort((a, b) => (a.date ? a.date.getTime() : Infinity) - (b.date ? b.date.getTime() : Infinity) || a.platform.localeCompare(b.platform));
+  const headline = platforms.find(row => sameDate(row.date, game.releaseDate));
+  const moved = game.previousReleaseDate && !sameDate(game.previousReleaseDate, game.releaseDate);
+
+  return {
+    id: game.id,
+    igdbId: game.igdbId,
+    name: game.name,
+    coverUrl: game.coverUrl,
+    status: game.status,
+    releaseDate: game.releaseDate,
+    precision: game.releaseDate ? headline?.precision || RELEASE_PRECISIONS.DAY : RELEASE_PRECISIONS.TBD,
+    label: headline?.label || null,
+    platforms: platforms.length > 0
+      ? platforms
+      : (parseJsonList(game.platforms) || []).map(platform => ({ platform, date: game.releaseDate, precision: null, label: null })),
+    moved: moved
+      ? { from: game.previousReleaseDate, to: game.releaseDate, changedAt: game.releaseDateChangedAt }
+      : null,
+  };
+};
+
+/**
+ * Group calendar games by release month
+ * @param {Array<object>} games - Games with releaseDates included
+ * @returns {object} { months: [{ month, games }], undated: [game] }
+ */
+export const buildCalendar = (games) => {
+  const formatted = games.map(formatCalendarGame);
+  const months = new Map();
+
+  formatted
+    .filter(game => game.releaseDate)
+    .sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate) || a.name.localeCompare(b.name))
+    .forEach(game => {
+      const key = monthKey(new Date(game.releaseDate));
+      months.set(key, [...(months.get(key) || []), game]);
+    });
+
+  return {
+    months: [...months.entries()].map(([month, monthGames]) => ({ month, games: monthGames })),
+    undated: formatted
+      .filter(game => !game.releaseDate)
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+};
+
+/**
+ * Release calendar for a user
+ * Dates older than REFRESH_INTERVAL_HOURS (or all, with refresh) are fetched
+ * from IGDB first; when IGDB is unreachable the stored dates are used.
+ * @param {number} userId - Library owner
+ * @param {object} options - { refresh, now }
+ * @returns {Promise<object>} { generatedAt, refreshed, refreshFailed, months, undated }
+ */
+export const getReleaseCalendar = async (userId, { refresh = false, now = new Date() } = {}, client = prisma) => {
+  const load = () => client.game.findMany({
+    where: calendarWhere(userId, now),
+    include: { releaseDates: true },
+  });
+
+  let games = await load();
+  const staleBefore = new Date(now.getTime() - REFRESH_INTERVAL_HOURS * HOUR_MS);
+  const due = games
+    .filter(game => refresh || !game.releaseDatesCheckedAt || game.releaseDatesCheckedAt < staleBefore)
+    .slice(0, MAX_REFRESH_PER_REQUEST);
+
+  let refreshed = 0;
+  let refreshFailed = false;
+  if (due.length > 0) {
+    try {
+      refreshed = (await refreshReleaseDates(due, now, { client })).checked;
+      games = await load();
+    } catch (error) {
+      console.error('Release date refresh failed:', error.message);
+      refreshFailed = true;
+    }
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    refreshed,
+    refreshFailed,
+    ...buildCalendar(games),
+  };
+};
@@ -18,6 +18,9 @@ export const SECURITY_EVENTS = {
   INVALID_TOKEN: 'invalid_token',
   TOKEN_BLACKLISTED: 'token_blacklisted',
   ADMIN_ACTION: 'admin_action',
+  ACCOUNT_DELETION_REQUESTED: 'account_deletion_requested',
+  ACCOUNT_DELETION_CANCELLED: 'account_deletion_cancelled',
+  ACCOUNT_DELETED: 'account_deleted',
 };
 
 /**
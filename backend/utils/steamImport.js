@@ -0,0 +1,116 @@
+/**
+ * Steam Library Import Utilities
+ * Reads a Steam owned-games export and matches each title to IGDB for review
+ */
+import { GAME_STATUSES } from './gameStatus.js';
+import { matchImportEntries } from './titleMatching.js';
+import { ImportFormatError } from '../importers/helpers.js';
+
+const RECENTLY_PLAYED_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when the upload is not a Steam export at all
+ */
+export class SteamExportError extends ImportFormatError {
+  constructor(message) {
+    super(message);
+    this.name = 'SteamExportError';
+  }
+}
+
+/**
+ * Playtime in minutes from either export style
+ * GetOwnedGames gives playtime_forever in minutes; profile exports give hours as text
+ */
+const readPlaytime = (entry) => {
+  if (entry.playtime_forever !== undefined) {
+    return Math.max(0, Math.round(Number(entry.playtime_forever) || 0));
+  }
+  const hours = entry.hoursOnRecord ?? entry.hours_on_record ?? entry.hours;
+  if (hours !== undefined) {
+    return Math.max(0, Math.round(parseFloat(String(hours).replace(/,/g, '')) * 60) || 0);
+  }
+  return 0;
+};
+
+const readLastPlayed = (entry) => {
+  const seconds = Number(entry.rtime_last_played ?? entry.lastPlayed ?? 0);
+  return seconds > 0 ? new Date(seconds * 1000) : null;
+};
+
+/**
+ * Parse a Steam owned-games export
+ * Accepts the GetOwnedGames response ({ response: { games } }), { games }, or a bare array.
+ * @param {object|Array} data - Parsed export JSON
+ * @returns {object} { entries, invalid } where invalid lists rows that cannot be imported
+ * @throws {SteamExportError} When no games list can be found
+ */
+export const parseSteamExport = (data) => {
+  const games = Array.isArray(data)
+    ? data
+    : data?.response?.games ?? data?.games;
+
+  if (!Array.isArray(games)) {
+    throw new SteamExportError('Expected a Steam owned-games export with a "games" list');
+  }
+
+  const entries = [];
+  const invalid = [];
+  const seen = new Set();
+
+  games.forEach((entry, row) => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    const steamAppId = Number(entry?.appid ?? entry?.appID) || null;
+
+    if (!name) {
+      invalid.push({ row, steamAppId, error: 'Missing game name' });
+      return;
+    }
+
+    const key = steamAppId ?? name.toLowerCase();
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    entries.push({
+      row,
+      steamAppId,
+      name,
+      playtimeMinutes: readPlaytime(entry),
+      lastPlayedAt: readLastPlayed(entry),
+    });
+  });
+
+  return { entries, invalid };
+};
+
+/**
+ * Starting status for an imported game, based on how it was played
+ * @param {object} entry - Parsed export entry
+ * @param {Date} now - Reference time
+ * @returns {string} Canonical status
+ */
+export const suggestImportStatus = (entry, now = new Date()) => {
+  if (!entry.playtimeMinutes) {
+    return GAME_STATUSES.WISHLIST;
+  }
+  if (entry.lastPlayedAt && now - entry.lastPlayedAt <= RECENTLY_PLAYED_DAYS * DAY_MS) {
+    return GAME_STATUSES.PLAYING;
+  }
+  return GAME_STATUSES.ON_HOLD;
+};
+
+/**
+ * Match a batch of export entries to IGDB
+ * @param {Array<object>} entries - Parsed entries
+ * @param {Set<number>} libraryIgdbIds - IGDB IDs already in the user's library
+ * @returns {Promise<Array<object>>} Entries with match, confidence, candidates and suggested status
+ */
+export const matchSteamEntries = (entries, libraryIgdbIds = new Set()) => {
+  return matchImportEntries(
+    entries.map(entry => ({ ...entry, suggestedStatus: suggestImportStatus(entry) })),
+    libraryIgdbIds
+  );
+};
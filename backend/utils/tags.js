@@ -0,0 +1,191 @@
+/**
+ * Tag Utilities
+ * Free-form per-user labels attached to library games
+ */
+import { prisma } from '../db/database.js';
+
+export const MAX_TAG_LENGTH = 50;
+export const MAX_TAGS_PER_GAME = 30;
+
+/**
+ * How a multi-tag filter combines its tags
+ */
+export const TAG_MODES = {
+  ANY: 'any',
+  ALL: 'all',
+};
+
+export const TAG_MODE_VALUES = Object.values(TAG_MODES);
+
+/**
+ * Normalize a tag name so "Needs Guide " and "needs guide" are the same tag
+ * @param {string} name - Raw tag name
+ * @returns {string|null} Normalized name, or null when empty or too long
+ */
+export const normalizeTagName = (name) => {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const normalized = name.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!normalized || normalized.length > MAX_TAG_LENGTH) {
+    return null;
+  }
+  return normalized;
+};
+
+/**
+ * Parse a tag list from a query string value or array
+ * Accepts "portable,with-partner" as well as repeated ?tags= parameters
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} Unique normalized tag names
+ */
+export const parseTagList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','));
+
+  const names = parts.map(normalizeTagName).filter(Boolean);
+  return [...new Set(names)];
+};
+
+/**
+ * Build the Prisma where fragment for a tag filter on games
+ * Games are already scoped to the user, and tags only attach to their owner's games
+ * @param {Array<string>} names - Normalized tag names
+ * @param {string} mode - 'any' or 'all'
+ * @returns {object} Where fragment to spread into a game query
+ */
+export const buildTagFilter = (names, mode = TAG_MODES.ANY) => {
+  if (names.length === 0) {
+    return {};
+  }
+  if (mode === TAG_MODES.ALL) {
+    return {
+      AND: names.map(name => ({ tags: { some: { tag: { name } } } })),
+    };
+  }
+  return {
+    tags: { some: { tag: { name: { in: names } } } },
+  };
+};
+
+/**
+ * Flatten a game's tag links into sorted tag names
+ * @param {Array|undefined} links - GameTag rows with their tag included
+ * @returns {Array<string>} Tag names
+ */
+export const tagNamesFromLinks = (links) => {
+  if (!links) {
+    return [];
+  }
+  return links.map(link => link.tag.name).sort();
+};
+
+/**
+ * Find or create a user's tags by name
+ * @param {number} userId - User ID
+ * @param {Array<string>} names - Normalized tag names
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<Array<object>>} Tag records
+ */
+export const ensureTags = async (userId, names, client = prisma) => {
+  const tags = [];
+  for (const name of names) {
+    tags.push(await client.tag.upsert({
+      where: { userId_name: { userId, name } },
+      update: {},
+      create: { userId, name },
+    }));
+  }
+  return tags;
+};
+
+/**
+ * Replace a game's tags with the given names
+ * @param {number} userId - Owner of the game
+ * @param {number} gameId - Game ID
+ * @param {Array<string>} names - Normalized tag names
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<Array<string>>} The game's tag names
+ */
+export const setGameTags = async (userId, gameId, names, client = prisma) => {
+  const tags = await ensureTags(userId, names, client);
+
+  await client.gameTag.deleteMany({
+    where: { gameId, tagId: { notIn: tags.map(tag => tag.id) } },
+  });
+
+  for (const tag of tags) {
+    await client.gameTag.upsert({
+      where: { gameId_tagId: { gameId, tagId: tag.id } },
+      update: {},
+      create: { gameId, tagId: tag.id },
+    });
+  }
+
+  return tags.map(tag => tag.name).sort();
+};
+
+/**
+ * Add tags to games without touching their other tags
+ * @param {number} userId - Owner of the games
+ * @param {Array<number>} gameIds - Game IDs
+ * @param {Array<string>} names - Normalized tag names
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<number>} Number of new game/tag links
+ */
+export const addTagsToGames = async (userId, gameIds, names, client = prisma) => {
+  const tags = await ensureTags(userId, names, client);
+  const existing = await client.gameTag.findMany({
+    where: { gameId: { in: gameIds }, tagId: { in: tags.map(tag => tag.id) } },
+    select: { gameId: true, tagId: true },
+  });
+  const linked = new Set(existing.map(link => `${link.gameId}:${link.tagId}`));
+
+  let added = 0;
+  for (const gameId of gameIds) {
+    for (const tag of tags) {
+      if (linked.has(`${gameId}:${tag.id}`)) {
+        continue;
+      }
+      await client.gameTag.create({ data: { gameId, tagId: tag.id } });
+      added++;
+    }
+  }
+  return added;
+};
+
+/**
+ * Merge source tags into a target tag
+ * Games carrying a source tag end up with the target tag; source tags are deleted
+ * @param {number} targetId - Tag that survives
+ * @param {Array<number>} sourceIds - Tags folded into the target
+ * @param {object} client - Prisma client or transaction client
+ * @returns {Promise<number>} Number of games that gained the target tag
+ */
+export const mergeTags = async (targetId, sourceIds, client = prisma) => {
+  const sources = sourceIds.filter(id => id !== targetId);
+  if (sources.length === 0) {
+    return 0;
+  }
+
+  const [sourceLinks, targetLinks] = await Promise.all([
+    client.gameTag.findMany({ where: { tagId: { in: sources } }, select: { gameId: true } }),
+    client.gameTag.findMany({ where: { tagId: targetId }, select: { gameId: true } }),
+  ]);
+
+  const alreadyTagged = new Set(targetLinks.map(link => link.gameId));
+  const gameIds = [...new Set(sourceLinks.map(link => link.gameId))]
+    .filter(gameId => !alreadyTagged.has(gameId));
+
+  for (const gameId of gameIds) {
+    await client.gameTag.create({ data: { gameId, tagId: targetId } });
+  }
+
+  // Links to the source tags go with them (cascade)
+  await client.tag.deleteMany({ where: { id: { in: sources } } });
+
+  return gameIds.length;
+};
@@ -0,0 +1,239 @@
+/**
+ * Title Matching Utilities
+ * Fuzzy matching of imported game titles to IGDB search results with a confidence score
+ */
+import { searchGames } from '../services/igdb.js';
+
+export const MATCH_CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+  NONE: 'none',
+};
+
+// Matches at or above HIGH_CONFIDENCE are accepted without review by default
+export const HIGH_CONFIDENCE = 0.9;
+export const MEDIUM_CONFIDENCE = 0.7;
+
+export const MAX_MATCH_CANDIDATES = 5;
+
+// Store and edition suffixes that IGDB lists under the base game
+const EDITION_SUFFIXES = [
+  'game of the year edition',
+  'goty edition',
+  'goty',
+  'definitive edition',
+  'complete edition',
+  'enhanced edition',
+  'special edition',
+  'deluxe edition',
+  'gold edition',
+  'standard edition',
+  'directors cut',
+  'remastered',
+];
+
+const ROMAN_NUMERALS = { ii: '2', iii: '3', iv: '4', v: '5', vi: '6', vii: '7', viii: '8', ix: '9', x: '10' };
+
+/**
+ * Reduce a title to a comparable form
+ * Drops trademark symbols, accents, punctuation and edition suffixes, and
+ * spells roman numerals as digits ("Final Fantasy VII" → "final fantasy 7")
+ * @param {string} title - Title as exported
+ * @returns {string} Normalized title
+ */
+export const normalizeTitle = (title) => {
+  // Symbols go before NFKD, which would otherwise spell ™ as "TM"
+  let normalized = String(title || '')
+    .replace(/[™®©]/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  for (const suffix of EDITION_SUFFIXES) {
+    if (normalized.endsWith(` ${suffix}`)) {
+      normalized = normalized.slice(0, -suffix.length - 1).trim();
+    }
+  }
+
+  return normalized
+    .split(' ')
+    .map(word => ROMAN_NUMERALS[word] || word)
+    .join(' ');
+};
+
+/**
+ * Clean a title for use as an IGDB search string
+ */
+export const searchableTitle = (title) => {
+  return String(title || '').replace(/[™®©"]/g, '').replace(/\s+/g, ' ').trim();
+};
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const pairs = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+};
+
+/**
+ * Similarity of two titles between 0 and 1 (Sørensen–Dice over character bigrams)
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity
+ */
+export const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let leftSize = 0;
+  let rightSize = 0;
+  let overlap = 0;
+  leftPairs.forEach((count, pair) => {
+    leftSize += count;
+    overlap += Math.min(count, rightPairs.get(pair) || 0);
+  });
+  rightPairs.forEach(count => { rightSize += count; });
+
+  return leftSize + rightSize === 0 ? 0 : (2 * overlap) / (leftSize + rightSize);
+};
+
+/**
+ * Bucket a confidence score
+ */
+export const confidenceLevel = (confidence) => {
+  if (confidence >= HIGH_CONFIDENCE) return MATCH_CONFIDENCE.HIGH;
+  if (confidence >= MEDIUM_CONFIDENCE) return MATCH_CONFIDENCE.MEDIUM;
+  if (confidence > 0) return MATCH_CONFIDENCE.LOW;
+  return MATCH_CONFIDENCE.NONE;
+};
+
+/**
+ * Rank search results against an imported title
+ * A runner-up that scores almost as well makes the best match less certain.
+ * @param {string} title - Imported title
+ * @param {Array<object>} results - IGDB search results ({ id, name, ... })
+ * @returns {object} { match, confidence, level, candidates }
+ */
+export const rankCandidates = (title, results) => {
+  const candidates = results
+    .map(result => ({ ...result, similarity: Math.round(titleSimilarity(title, result.name) * 100) / 100 }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_MATCH_CANDIDATES);
+
+  if (candidates.length === 0) {
+    return { match: null, confidence: 0, level: MATCH_CONFIDENCE.NONE, candidates };
+  }
+
+  const [best, runnerUp] = candidates;
+  let confidence = best.similarity;
+  if (runnerUp && best.similarity < 1 && best.similarity - runnerUp.similarity < 0.05) {
+    confidence *= 0.9;
+  }
+  confidence = Math.round(confidence * 100) / 100;
+
+  return { match: best, confidence, level: confidenceLevel(confidence), candidates };
+};
+
+// IGDB allows 4 requests per second; searches start at least this far apart,
+// with some headroom, so a large import does not run into 429 responses
+export const MIN_SEARCH_INTERVAL_MS = 300;
+
+/**
+ * Space out calls: each caller waits until at least `intervalMs` after the
+ * previous caller's turn
+ * @param {number} intervalMs - Minimum time between turns
+ * @returns {Function} Async function that resolves when it is the caller's turn
+ */
+export const createPacer = (intervalMs) => {
+  let nextTurn = 0;
+
+  return async () => {
+    const now = Date.now();
+    const turn = Math.max(now, nextTurn);
+    nextTurn = turn + intervalMs;
+    if (turn > now) {
+      await new Promise(resolve => setTimeout(resolve, turn - now));
+    }
+  };
+};
+
+// Shared by every import in the process, since the limit applies to the app's credentials
+const waitForSearchTurn = createPacer(MIN_SEARCH_INTERVAL_MS);
+
+/**
+ * Search IGDB for a title and pick the closest result
+ * @param {string} title - Imported title
+ * @returns {Promise<object>} { match, confidence, level, candidates, error? }
+ */
+export const matchTitle = async (title) => {
+  const query = searchableTitle(title);
+  if (!query) {
+    return { match: null, confidence: 0, level: MATCH_CONFIDENCE.NONE, candidates: [] };
+  }
+
+  try {
+    await waitForSearchTurn();
+    return rankCandidates(title, await searchGames(query, 10));
+  } catch (error) {
+    return { match: null, confidence: 0, level: MATCH_CONFIDENCE.NONE, candidates: [], error: error.message };
+  }
+};
+
+/**
+ * Map over items with at most `concurrency` promises in flight
+ * @param {Array} items - Inputs
+ * @param {number} concurrency - Parallel calls
+ * @param {Function} fn - Async mapper (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+// IGDB searches in flight at once while matching a batch; waitForSearchTurn
+// keeps their rate under IGDB's limit
+const MATCH_CONCURRENCY = 3;
+
+/**
+ * Match a batch of imported entries to IGDB by name
+ * @param {Array<object>} entries - Imported entries, each with a name
+ * @param {Set<number>} libraryIgdbIds - IGDB IDs already in the user's library
+ * @returns {Promise<Array<object>>} Entries with match, confidence, confidenceLevel, candidates and alreadyInLibrary
+ */
+export const matchImportEntries = async (entries, libraryIgdbIds = new Set()) => {
+  return mapWithConcurrency(entries, MATCH_CONCURRENCY, async (entry) => {
+    const { match, confidence, level, candidates, error } = await matchTitle(entry.name);
+    return {
+      ...entry,
+      match,
+      confidence,
+      confidenceLevel: level,
+      candidates,
+      alreadyInLibrary: match ? libraryIgdbIds.has(match.id) : false,
+      ...(error && { error }),
+    };
+  });
+};
@@ -0,0 +1,237 @@
+/**
+ * Year in Review Utilities
+ * Builds the annual summary of a user's library: what was started, finished
+ * and played, the highlights, and a month-by-month timeline
+ */
+import { prisma } from '../db/database.js';
+import { GAME_STATUSES, normalizeStatus } from './gameStatus.js';
+import { parseJsonList } from './gameFormat.js';
+import { getSessionMinutes } from './playtime.js';
+import { groupChangesByGame, getCompletionDates, monthKey } from './libraryStats.js';
+
+export const TOP_RATED_LIMIT = 5;
+export const TOP_GENRES_LIMIT = 5;
+
+// Earliest year a review can be asked for
+export const MIN_REVIEW_YEAR = 1970;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 10) / 10;
+
+/**
+ * Raised when a review is asked for a year that has not started yet
+ */
+export class YearInReviewError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'YearInReviewError';
+  }
+}
+
+/**
+ * Start and end (exclusive) of a calendar year in UTC
+ */
+export const yearBounds = (year) => ({
+  start: new Date(Date.UTC(year, 0, 1)),
+  end: new Date(Date.UTC(year + 1, 0, 1)),
+});
+
+const summarizeGame = (game) => ({
+  id: game.id,
+  igdbId: game.igdbId,
+  name: game.name,
+  coverUrl: game.coverUrl,
+  userRating: game.userRating,
+});
+
+/**
+ * Build a year in review from library records
+ * A game counts as started in the year its first session or first move to
+ * "playing" happened, and as finished in every year it was completed.
+ * @param {number} year - Calendar year (UTC)
+ * @param {object} records - { games, changes, sessions } for one user
+ * @param {Date} now - Current time; a review of the current year is marked partial
+ * @returns {object} Review
+ */
+export const buildYearInReview = (year, { games, changes, sessions }, now = new Date()) => {
+  const { start, end } = yearBounds(year);
+  const inYear = (date) => date && new Date(date) >= start && new Date(date) < end;
+
+  const changesByGame = groupChangesByGame(changes);
+  const gamesById = new Map(games.map(game => [game.id, game]));
+
+  const timeline = Array.from({ length: 12 }, (_, month) => ({
+    month: monthKey(new Date(Date.UTC(year, month, 1))),
+    added: 0,
+    started: 0,
+    finished: 0,
+    minutesPlayed: 0,
+    sessions: 0,
+  }));
+  const monthOf = (date) => timeline[new Date(date).getUTCMonth()];
+
+  // Play time in the year, per game
+  const minutesByGame = new Map();
+  const firstSessionByGame = new Map();
+  sessions.forEach(session => {
+    const first = firstSessionByGame.get(session.gameId);
+    if (!first || new Date(session.startedAt) < new Date(first)) {
+      firstSessionByGame.set(session.gameId, session.startedAt);
+    }
+    if (!inYear(session.startedAt)) return;
+
+    const minutes = getSessionMinutes(session, now);
+    minutesByGame.set(session.gameId, (minutesByGame.get(session.gameId) || 0) + minutes);
+    const bucket = monthOf(session.startedAt);
+    bucket.minutesPlayed += minutes;
+    bucket.sessions++;
+  });
+
+  const started = [];
+  const finished = [];
+  games.forEach(game => {
+    const history = changesByGame.get(game.id) || [];
+
+    if (inYear(game.addedAt)) {
+      monthOf(game.addedAt).added++;
+    }
+
+    const firstPlaying = history.find(change => normalizeStatus(change.toStatus) === GAME_STATUSES.PLAYING)?.changedAt;
+    const startedAt = [firstPlaying, firstSessionByGame.get(game.id)]
+      .filter(Boolean)
+      .sort((a, b) => new Date(a) - new Date(b))[0];
+    if (inYear(startedAt)) {
+      started.push(game);
+      monthOf(startedAt).started++;
+    }
+
+    const completions = getCompletionDates(game, history).filter(inYear);
+    if (completions.length > 0) {
+      finished.push({ game, completedAt: new Date(completions[completions.length - 1]) });
+      completions.forEach(date => monthOf(date).finished++);
+    }
+  });
+
+  const playedIds = [...minutesByGame.keys()].filter(id => gamesById.has(id));
+  const totalMinutes = timeline.reduce((sum, month) => sum + month.minutesPlayed, 0);
+
+  // Rated games that were finished or played this year, best first
+  const topRated = [...new Set([...finished.map(entry => entry.game), ...playedIds.map(id => gamesById.get(id))])]
+    .filter(game => game.userRating !== null && game.userRating !== undefined)
+    .sort((a, b) => b.userRating - a.userRating || (minutesByGame.get(b.id) || 0) - (minutesByGame.get(a.id) || 0))
+    .slice(0, TOP_RATED_LIMIT)
+    .map(summarizeGame);
+
+  // Genres weighted by time played, with finished games counted even without sessions
+  const genres = new Map();
+  const countGenres = (game, minutes, finishedGame) => {
+    parseJsonList(game.genres).forEach(genre => {
+      const entry = genres.get(genre) || { genre, minutesPlayed: 0, games: new Set(), finished: 0 };
+      entry.minutesPlayed += minutes;
+      entry.games.add(game.id);
+      if (finishedGame) entry.finished++;
+      genres.set(genre, entry);
+    });
+  };
+  playedIds.forEach(id => countGenres(gamesById.get(id), minutesByGame.get(id), false));
+  finished.forEach(({ game }) => countGenres(game, 0, true));
+  const favoriteGenres = [...genres.values()]
+    .sort((a, b) => b.minutesPlayed - a.minutesPlayed || b.games.size - a.games.size || a.genre.localeCompare(b.genre))
+    .slice(0, TOP_GENRES_LIMIT)
+    .map(entry => ({ genre: entry.genre, hoursPlayed: toHours(entry.minutesPlayed), games: entry.games.size, finished: entry.finished }));
+
+  const longestId = [...playedIds].sort((a, b) => minutesByGame.get(b) - minutesByGame.get(a))[0];
+
+  const oldestCleared = [...finished]
+    .sort((a, b) => new Date(a.game.addedAt) - new Date(b.game.addedAt))[0];
+
+  return {
+    year,
+    partial: now < end,
+    generatedAt: now.toISOString(),
+    summary: {
+      gamesAdded: timeline.reduce((sum, month) => sum + month.added, 0),
+      gamesStarted: started.length,
+      gamesFinished: finished.length,
+      gamesPlayed: playedIds.length,
+      hoursPlayed: toHours(totalMinutes),
+      sessions: timeline.reduce((sum, month) => sum + month.sessions, 0),
+    },
+    topRated,
+    favoriteGenres,
+    longestGame: longestId
+      ? { ...summarizeGame(gamesById.get(longestId)), hoursPlayed: toHours(minutesByGame.get(longestId)) }
+      : null,
+    oldestBacklogCleared: oldestCleared
+      ? {
+        ...summarizeGame(oldestCleared.game),
+        addedAt: oldestCleared.game.addedAt,
+        completedAt: oldestCleared.completedAt,
+        daysInBacklog: Math.round((oldestCleared.completedAt - new Date(oldestCleared.game.addedAt)) / DAY_MS),
+      }
+      : null,
+    timeline: timeline.map(({ minutesPlayed, ...month }) => ({ ...month, hoursPlayed: toHours(minutesPlayed) })),
+  };
+};
+
+/**
+ * Year in review for a user
+ * @param {number} userId - Library owner
+ * @param {number} year - Calendar year; the current year gives a partial review
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} Review (see buildYearInReview)
+ * @throws {YearInReviewError} For a year that has not started
+ */
+export const getYearInReview = async (userId, year, now = new Date(), client = prisma) => {
+  if (year > now.getUTCFullYear()) {
+    throw new YearInReviewError('That year has not happened yet');
+  }
+
+  const { end } = yearBounds(year);
+  const [games, changes, sessions] = await Promise.all([
+    client.game.findMany({
+      where: { userId, addedAt: { lt: end } },
+      select: {
+        id: true,
+        igdbId: true,
+        name: true,
+        coverUrl: true,
+        status: true,
+        userRating: true,
+        genres: true,
+        addedAt: true,
+        completedAt: true,
+      },
+    }),
+    client.gameStatusChange.findMany({
+      where: { game: { userId }, changedAt: { lt: end } },
+      select: { gameId: true, fromStatus: true, toStatus: true, changedAt: true },
+    }),
+    // Earlier sessions are needed to tell whether a game was first started this year
+    client.playSession.findMany({
+      where: { userId, startedAt: { lt: end } },
+      select: { gameId: true, startedAt: true, endedAt: true, durationMinutes: true },
+    }),
+  ]);
+
+  return buildYearInReview(year, { games, changes, sessions }, now);
+};
+
+/**
+ * Years a review can be shown for: from the first game added up to now
+ * @param {number} userId - Library owner
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<number>>} Years, newest first
+ */
+export const getReviewYears = async (userId, now = new Date(), client = prisma) => {
+  const { _min: { addedAt } } = await client.game.aggregate({
+    where: { userId },
+    _min: { addedAt: true },
+  });
+  if (!addedAt) return [];
+
+  const first = Math.max(MIN_REVIEW_YEAR, new Date(addedAt).getUTCFullYear());
+  const current = now.getUTCFullYear();
+  return Array.from({ length: current - first + 1 }, (_, i) => current - i);
+};
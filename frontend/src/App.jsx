@@ -9,7 +9,12 @@ import About from './pages/About';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Library from './pages/Library';
+import Queue from './pages/Queue';
+import ReleaseCalendar from './pages/ReleaseCalendar';
+import Import from './pages/Import';
+import YearInReview from './pages/YearInReview';
 import ProfilePage from './pages/ProfilePage';
+import Unsubscribe from './pages/Unsubscribe';
 import OAuthCallback from './components/auth/OAuthCallback';
 import { AnnouncerProvider, SkipLink } from './components/ui/Accessibility';
 import './App.css'
@@ -31,6 +36,7 @@ function App() {
             <Route path="/about" element={<About />} />
             <Route path="/login" element={<Login />} />
             <Route path="/auth/callback" element={<OAuthCallback />} />
+            <Route path="/unsubscribe" element={<Unsubscribe />} />
             
             {/* Protected Routes */}
             <Route 
@@ -49,6 +55,38 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/queue" 
+              element={
+                <ProtectedRoute>
+                  <Queue />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/calendar" 
+              element={
+                <ProtectedRoute>
+                  <ReleaseCalendar />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/import" 
+              element={
+                <ProtectedRoute>
+                  <Import />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/year-in-review/:year?" 
+              element={
+                <ProtectedRoute>
+                  <YearInReview />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/profile" 
               element={
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthProvider';
 import UserProfile from './auth/UserProfile';
+import NotificationBell from './notifications/NotificationBell';
 import Tooltip, { InfoTooltip } from './ui/Tooltip';
 
 const Navigation = () => {
@@ -118,6 +119,38 @@ const Navigation = () => {
                       Library
                     </Link>
                   </Tooltip>
+
+                  <Tooltip 
+                    content="Line up what to play next and drag games into order"
+                    position="bottom"
+                  >
+                    <Link
+                      to="/queue"
+                      className={`${
+                        isActive('/queue') 
+                          ? 'text-sky-400 border-b-2 border-sky-400' 
+                          : 'text-slate-100 hover:text-white'
+                      } px-3 py-2 text-sm font-medium transition-colors duration-200`}
+                    >
+                      Up Next
+                    </Link>
+                  </Tooltip>
+
+                  <Tooltip 
+                    content="Upcoming releases from your wishlist, by month"
+                    position="bottom"
+                  >
+                    <Link
+                      to="/calendar"
+                      className={`${
+                        isActive('/calendar') 
+                          ? 'text-sky-400 border-b-2 border-sky-400' 
+                          : 'text-slate-100 hover:text-white'
+                      } px-3 py-2 text-sm font-medium transition-colors duration-200`}
+                    >
+                      Calendar
+                    </Link>
+                  </Tooltip>
                 </>
               )}
               
@@ -134,9 +167,12 @@ const Navigation = () => {
             </div>
 
             {/* Authentication Section */}
-            <div className="flex items-center">
+            <div className="flex items-center gap-2">
               {isAuthenticated && user ? (
-                <UserProfile />
+                <>
+                  <NotificationBell />
+                  <UserProfile />
+                </>
               ) : (
                 <Link
                   to="/login"
@@ -150,6 +186,7 @@ const Navigation = () => {
 
           {/* Mobile menu button */}
           <div className="md:hidden flex items-center">
+            {isAuthenticated && user && <NotificationBell className="mr-1" />}
             <button
               onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
               className="inline-flex items-center justify-center p-2 rounded-md text-slate-300 hover:text-white hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-sky-500"
@@ -219,6 +256,30 @@ const Navigation = () => {
                 >
                   Library
                 </Link>
+                <Link
+                  to="/queue"
+                  className={`${
+                    isActive('/queue') 
+                      ? 'text-sky-400 bg-slate-600' 
+                      : 'text-slate-300 hover:text-white hover:bg-slate-600'
+                  } block px-3 py-3 text-base font-medium rounded-md transition-colors duration-200`}
+                  style={{ minHeight: '44px' }}
+                  onClick={() => setIsMobileMenuOpen(false)}
+                >
+                  Up Next
+                </Link>
+                <Link
+                  to="/calendar"
+                  className={`${
+                    isActive('/calendar') 
+                      ? 'text-sky-400 bg-slate-600' 
+                      : 'text-slate-300 hover:text-white hover:bg-slate-600'
+                  } block px-3 py-3 text-base font-medium rounded-md transition-colors duration-200`}
+                  style={{ minHeight: '44px' }}
+                  onClick={() => setIsMobileMenuOpen(false)}
+                >
+                  Calendar
+                </Link>
               </>
             )}
             
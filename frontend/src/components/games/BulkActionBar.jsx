@@ -0,0 +1,161 @@
+/**
+ * Bulk Action Bar Component
+ *
+ * Sticky bar shown while games are selected in the Library grid
+ * Features: set status, clear ratings, add a tag, move to a collection, delete
+ */
+import React, { useState } from 'react';
+import { XMarkIcon, TrashIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+import { GAME_STATUSES, formatStatus } from '../../utils/gameStatus';
+
+const selectClass = `
+  px-2 py-1.5 text-sm bg-slate-900 border border-slate-600 rounded-lg text-slate-200
+  focus:outline-none focus:ring-2 focus:ring-sky-400/50 disabled:opacity-50
+`;
+
+const BulkActionBar = ({
+  accessToken,
+  selectedIds,
+  collections = [],
+  currentCollectionId = null,
+  onSelectAll,
+  onClear,
+  onApplied
+}) => {
+  const [working, setWorking] = useState(false);
+  const [tagName, setTagName] = useState('');
+
+  const count = selectedIds.length;
+
+  const run = async (operation, label) => {
+    try {
+      setWorking(true);
+      const response = await api.games.bulk({ ...operation, gameIds: selectedIds }, accessToken);
+
+      if (response.failed === 0) {
+        toast.success(`${label}: ${response.succeeded} game${response.succeeded === 1 ? '' : 's'}`);
+      } else {
+        const firstError = response.results.find(result => !result.success)?.error;
+        toast.error(`${label}: ${response.succeeded} updated, ${response.failed} failed${firstError ? ` (${firstError})` : ''}`);
+      }
+      onApplied(operation.action, response);
+    } catch (err) {
+      toast.error(err.message || 'Bulk action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStatus = (e) => {
+    const status = e.target.value;
+    if (!status) return;
+    run({ action: 'set_status', status }, `Marked ${formatStatus(status)}`);
+  };
+
+  const handleClearRating = () => {
+    run({ action: 'clear_rating' }, 'Cleared rating');
+  };
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const name = tagName.trim();
+    if (!name) return;
+    setTagName('');
+    run({ action: 'add_tags', tags: [name] }, `Tagged "${name.toLowerCase()}"`);
+  };
+
+  const handleMove = (e) => {
+    const collectionId = parseInt(e.target.value);
+    if (!collectionId) return;
+    const target = collections.find(collection => collection.id === collectionId);
+    run({
+      action: 'move_to_collection',
+      collectionId,
+      ...(currentCollectionId && currentCollectionId !== collectionId && { fromCollectionId: currentCollectionId })
+    }, `${currentCollectionId ? 'Moved' : 'Added'} to ${target?.name || 'collection'}`);
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Remove ${count} game${count === 1 ? '' : 's'} from your library? This cannot be undone.`)) {
+      return;
+    }
+    run({ action: 'delete' }, 'Removed');
+  };
+
+  if (count === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="sticky top-4 z-20 mb-6 p-3 bg-slate-800/95 backdrop-blur border border-sky-500/30 rounded-xl shadow-lg flex flex-wrap items-center gap-3"
+      role="toolbar"
+      aria-label="Bulk actions"
+    >
+      <span className="text-sm font-medium text-white">{count} selected</span>
+      <button onClick={onSelectAll} className="text-xs text-sky-400 hover:text-sky-300">
+        Select all
+      </button>
+
+      <select value="" onChange={handleStatus} disabled={working} className={selectClass} aria-label="Set status">
+        <option value="">Set status…</option>
+        {GAME_STATUSES.map(status => (
+          <option key={status} value={status}>{formatStatus(status)}</option>
+        ))}
+      </select>
+
+      {collections.length > 0 && (
+        <select value="" onChange={handleMove} disabled={working} className={selectClass} aria-label="Move to collection">
+          <option value="">{currentCollectionId ? 'Move to…' : 'Add to collection…'}</option>
+          {collections
+            .filter(collection => collection.id !== currentCollectionId)
+            .map(collection => (
+              <option key={collection.id} value={collection.id}>{collection.name}</option>
+            ))}
+        </select>
+      )}
+
+      <form onSubmit={handleAddTag} className="flex items-center">
+        <input
+          type="text"
+          value={tagName}
+          onChange={(e) => setTagName(e.target.value)}
+          placeholder="Add tag"
+          maxLength={50}
+          disabled={working}
+          className={`${selectClass} w-28`}
+          aria-label="Tag to add to selected games"
+        />
+      </form>
+
+      <button
+        onClick={handleClearRating}
+        disabled={working}
+        className="px-3 py-1.5 text-sm text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white disabled:opacity-50"
+      >
+        Clear rating
+      </button>
+
+      <button
+        onClick={handleDelete}
+        disabled={working}
+        className="flex items-center space-x-1 px-3 py-1.5 text-sm text-red-400 border border-red-600/50 rounded-lg hover:bg-red-600 hover:text-white disabled:opacity-50"
+      >
+        <TrashIcon className="h-4 w-4" />
+        <span>Delete</span>
+      </button>
+
+      <button
+        onClick={onClear}
+        className="ml-auto p-1 text-slate-400 hover:text-white"
+        aria-label="Clear selection"
+      >
+        <XMarkIcon className="h-5 w-5" />
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
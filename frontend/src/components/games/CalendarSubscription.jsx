@@ -0,0 +1,141 @@
+/**
+ * Calendar Subscription Component
+ *
+ * Creates, rotates and revokes the private .ics feed URL of the release
+ * calendar. The server keeps only a hash of the token, so the URL is shown
+ * once, right after it is created.
+ */
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+
+const CalendarSubscription = ({ accessToken }) => {
+  const [status, setStatus] = useState(null);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!accessToken) return;
+
+    const loadStatus = async () => {
+      try {
+        setStatus(await api.calendarFeed.status(accessToken));
+      } catch (err) {
+        console.error('Failed to load calendar feed status:', err);
+      }
+    };
+
+    loadStatus();
+  }, [accessToken]);
+
+  const handleRotate = async () => {
+    if (status?.enabled && !window.confirm('Calendars subscribed to the current URL will stop updating. Create a new URL?')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await api.calendarFeed.rotate(accessToken);
+      setStatus({ enabled: true, createdAt: response.createdAt });
+      setFeedUrl(api.calendarFeed.url(response.path));
+    } catch (err) {
+      toast.error(err.message || 'Failed to create calendar feed URL');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke the calendar feed URL? Subscribed calendars will stop updating.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await api.calendarFeed.revoke(accessToken);
+      setStatus({ enabled: response.enabled, createdAt: response.createdAt });
+      setFeedUrl(null);
+      toast.success('Calendar feed URL revoked');
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke calendar feed URL');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Feed URL copied to clipboard');
+    } catch {
+      toast.error('Could not copy, select the URL and copy it instead');
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <section className="bg-slate-800 rounded-xl border border-slate-700 p-4 mb-8" aria-labelledby="calendar-subscription">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 id="calendar-subscription" className="text-lg font-semibold text-white">Subscribe in your calendar</h2>
+          <p className="text-sm text-slate-400">
+            {status.enabled
+              ? `Feed URL created ${new Date(status.createdAt).toLocaleDateString()}`
+              : 'Get a private .ics URL for Google Calendar, Apple Calendar or Outlook'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleRotate}
+            disabled={busy}
+            className="px-3 py-1.5 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-lg disabled:opacity-50"
+          >
+            {status.enabled ? 'New URL' : 'Create URL'}
+          </button>
+          {status.enabled && (
+            <button
+              onClick={handleRevoke}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm text-slate-300 border border-slate-600 rounded-lg hover:border-red-500 hover:text-red-300 disabled:opacity-50"
+            >
+              Revoke
+            </button>
+          )}
+        </div>
+      </div>
+
+      {feedUrl && (
+        <div className="mt-4 space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 px-2 py-1.5 text-xs font-mono bg-slate-900 border border-slate-600 rounded-lg text-slate-200"
+              aria-label="Calendar feed URL"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1.5 text-xs text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white"
+            >
+              Copy
+            </button>
+            <a
+              href={feedUrl.replace(/^https?:/, 'webcal:')}
+              className="px-3 py-1.5 text-xs text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white"
+            >
+              Open
+            </a>
+          </div>
+          <p className="text-xs text-amber-300">
+            Copy it now: the URL is not shown again. Anyone with it can see your release calendar.
+          </p>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CalendarSubscription;
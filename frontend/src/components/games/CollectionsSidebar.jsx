@@ -0,0 +1,214 @@
+/**
+ * Collections Sidebar Component
+ *
+ * Lists the user's collections on the Library page
+ * Features: select a collection to filter the grid, create/delete collections,
+ * manual ordering and removal of games inside the selected collection
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  PlusIcon,
+  TrashIcon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+
+const CollectionsSidebar = ({ accessToken, selectedId, onSelect, refreshKey = 0, onCollectionsChange }) => {
+  const [collections, setCollections] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const loadCollections = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      const response = await api.collections.list(accessToken);
+      setCollections(response.collections || []);
+      if (onCollectionsChange) {
+        onCollectionsChange(response.collections || []);
+      }
+    } catch (err) {
+      console.error('Failed to load collections:', err);
+    }
+  }, [accessToken, onCollectionsChange]);
+
+  const loadMembers = useCallback(async () => {
+    if (!accessToken || !selectedId) {
+      setMembers([]);
+      return;
+    }
+    try {
+      const response = await api.collections.get(selectedId, accessToken);
+      setMembers(response.games || []);
+    } catch (err) {
+      console.error('Failed to load collection games:', err);
+      setMembers([]);
+    }
+  }, [accessToken, selectedId]);
+
+  useEffect(() => {
+    loadCollections();
+  }, [loadCollections, refreshKey]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers, refreshKey]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    try {
+      setCreating(true);
+      await api.collections.create({ name }, accessToken);
+      setNewName('');
+      toast.success(`Created "${name}"`);
+      loadCollections();
+    } catch (err) {
+      toast.error(err.message || 'Failed to create collection');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (collection) => {
+    if (!confirm(`Delete the collection "${collection.name}"? Games stay in your library.`)) {
+      return;
+    }
+
+    try {
+      await api.collections.remove(collection.id, accessToken);
+      toast.success(`Deleted "${collection.name}"`);
+      if (selectedId === collection.id) {
+        onSelect(null);
+      }
+      loadCollections();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete collection');
+    }
+  };
+
+  const moveMember = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= members.length) return;
+
+    const reordered = [...members];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setMembers(reordered);
+
+    try {
+      await api.collections.reorder(selectedId, reordered.map(game => game.id), accessToken);
+    } catch (err) {
+      toast.error(err.message || 'Failed to reorder collection');
+      loadMembers();
+    }
+  };
+
+  const removeMember = async (game) => {
+    try {
+      await api.collections.removeGame(selectedId, game.id, accessToken);
+      setMembers(prev => prev.filter(member => member.id !== game.id));
+      loadCollections();
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove game from collection');
+    }
+  };
+
+  const itemClass = (active) => `
+    w-full flex items-center justify-between px-3 py-2 rounded-lg text-sm text-left
+    transition-colors duration-200
+    ${active ? 'bg-sky-600/20 text-sky-300 border border-sky-500/30' : 'text-slate-300 hover:bg-slate-700/50 border border-transparent'}
+  `;
+
+  return (
+    <aside className="bg-slate-800 rounded-xl border border-slate-700 p-4" aria-label="Collections">
+      <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-3">Collections</h2>
+
+      <div className="space-y-1">
+        <button onClick={() => onSelect(null)} className={itemClass(!selectedId)}>
+          <span>All games</span>
+        </button>
+
+        {collections.map((collection) => (
+          <div key={collection.id} className="group relative">
+            <button onClick={() => onSelect(collection.id)} className={itemClass(selectedId === collection.id)}>
+              <span className="truncate pr-6">{collection.name}</span>
+              <span className="text-xs text-slate-500">{collection.gameCount}</span>
+            </button>
+            <button
+              onClick={() => handleDelete(collection)}
+              className="absolute right-10 top-1/2 -translate-y-1/2 p-1 text-slate-500 hover:text-red-400 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+              aria-label={`Delete collection ${collection.name}`}
+            >
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleCreate} className="mt-4 flex items-center space-x-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New collection"
+          maxLength={100}
+          className="flex-1 min-w-0 px-3 py-2 text-sm bg-slate-900 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-sky-400/50 focus:border-sky-400"
+          aria-label="New collection name"
+        />
+        <button
+          type="submit"
+          disabled={creating || !newName.trim()}
+          className="p-2 rounded-lg text-slate-300 bg-slate-700 hover:bg-sky-600 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          aria-label="Create collection"
+        >
+          <PlusIcon className="h-4 w-4" />
+        </button>
+      </form>
+
+      {selectedId && members.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-xs font-semibold text-slate-500 uppercase tracking-wide mb-2">Order</h3>
+          <ol className="space-y-1">
+            {members.map((game, index) => (
+              <li key={game.id} className="flex items-center justify-between text-sm text-slate-300 px-2 py-1 rounded hover:bg-slate-700/50">
+                <span className="truncate">{index + 1}. {game.name}</span>
+                <span className="flex items-center flex-shrink-0">
+                  <button
+                    onClick={() => moveMember(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 text-slate-500 hover:text-white disabled:opacity-30"
+                    aria-label={`Move ${game.name} up`}
+                  >
+                    <ChevronUpIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => moveMember(index, 1)}
+                    disabled={index === members.length - 1}
+                    className="p-1 text-slate-500 hover:text-white disabled:opacity-30"
+                    aria-label={`Move ${game.name} down`}
+                  >
+                    <ChevronDownIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => removeMember(game)}
+                    className="p-1 text-slate-500 hover:text-red-400"
+                    aria-label={`Remove ${game.name} from collection`}
+                  >
+                    <XMarkIcon className="h-4 w-4" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default CollectionsSidebar;
@@ -0,0 +1,97 @@
+/**
+ * CSV Export Panel Component
+ *
+ * Download the library as a spreadsheet with a choice of columns
+ */
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+
+// Exportable columns (mirrors EXPORT_COLUMNS on the backend); `checked` marks the defaults
+const EXPORT_COLUMNS = [
+  { id: 'id', label: 'Library ID' },
+  { id: 'igdbId', label: 'IGDB ID', checked: true },
+  { id: 'name', label: 'Name', checked: true },
+  { id: 'status', label: 'Status', checked: true },
+  { id: 'userRating', label: 'My rating', checked: true },
+  { id: 'rating', label: 'IGDB rating' },
+  { id: 'platforms', label: 'Platforms', checked: true },
+  { id: 'genres', label: 'Genres', checked: true },
+  { id: 'developer', label: 'Developer' },
+  { id: 'publisher', label: 'Publisher' },
+  { id: 'releaseDate', label: 'Release date', checked: true },
+  { id: 'addedAt', label: 'Added', checked: true },
+  { id: 'completedAt', label: 'Completed', checked: true },
+  { id: 'notes', label: 'Notes', checked: true },
+  { id: 'tags', label: 'Tags', checked: true },
+  { id: 'minutesPlayed', label: 'Minutes played', checked: true },
+  { id: 'progressPercent', label: 'Progress %' },
+  { id: 'summary', label: 'Summary' },
+  { id: 'coverUrl', label: 'Cover URL' },
+];
+
+const CsvExportPanel = ({ accessToken }) => {
+  const [columns, setColumns] = useState(
+    () => EXPORT_COLUMNS.filter(column => column.checked).map(column => column.id)
+  );
+  const [downloading, setDownloading] = useState(false);
+
+  const toggleColumn = (id) => {
+    setColumns(current => (current.includes(id)
+      ? current.filter(column => column !== id)
+      // Keep the file's column order stable whatever order boxes are ticked in
+      : EXPORT_COLUMNS.map(column => column.id).filter(column => column === id || current.includes(column))));
+  };
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const { blob, filename } = await api.games.exportCsv(columns, {}, accessToken);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `game-library-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message || 'Failed to export library');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <section className="bg-slate-800 rounded-xl border border-slate-700 p-6 mb-8">
+      <h2 className="text-2xl font-bold text-white mb-2">Export to CSV</h2>
+      <p className="text-slate-400 mb-4">
+        Download your whole library as a spreadsheet. Pick the columns to include.
+      </p>
+      <fieldset className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-2 mb-4">
+        <legend className="sr-only">Columns</legend>
+        {EXPORT_COLUMNS.map(column => (
+          <label key={column.id} className="flex items-center gap-2 text-sm text-slate-300">
+            <input
+              type="checkbox"
+              checked={columns.includes(column.id)}
+              onChange={() => toggleColumn(column.id)}
+              className="rounded border-slate-600 bg-slate-900 text-sky-500 focus:ring-sky-400/50"
+            />
+            {column.label}
+          </label>
+        ))}
+      </fieldset>
+      <button
+        type="button"
+        onClick={handleDownload}
+        disabled={downloading || columns.length === 0}
+        className="px-4 py-2 text-sm font-medium text-white bg-slate-700 border border-slate-600 rounded-lg hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {downloading ? 'Preparing…' : 'Download CSV'}
+      </button>
+    </section>
+  );
+};
+
+export default CsvExportPanel;
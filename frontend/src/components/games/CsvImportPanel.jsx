@@ -0,0 +1,231 @@
+/**
+ * CSV Import Panel Component
+ *
+ * Import library rows from a spreadsheet
+ * Features: automatic column mapping with manual overrides, skip/update policy
+ * for games already in the library, dry-run report per row before saving
+ */
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+
+// Fields a column can be mapped to (mirrors IMPORT_FIELDS on the backend)
+const IMPORT_FIELDS = [
+  { id: 'igdbId', label: 'IGDB ID', required: true },
+  { id: 'name', label: 'Name' },
+  { id: 'status', label: 'Status' },
+  { id: 'userRating', label: 'My rating' },
+  { id: 'rating', label: 'IGDB rating' },
+  { id: 'notes', label: 'Notes' },
+  { id: 'platforms', label: 'Platforms' },
+  { id: 'genres', label: 'Genres' },
+  { id: 'developer', label: 'Developer' },
+  { id: 'publisher', label: 'Publisher' },
+  { id: 'releaseDate', label: 'Release date' },
+  { id: 'addedAt', label: 'Added' },
+  { id: 'completedAt', label: 'Completed' },
+  { id: 'tags', label: 'Tags' },
+  { id: 'summary', label: 'Summary' },
+  { id: 'coverUrl', label: 'Cover URL' },
+];
+
+const ACTION_STYLES = {
+  create: 'text-emerald-400',
+  update: 'text-sky-400',
+  skip: 'text-slate-400',
+  error: 'text-rose-400',
+};
+
+const selectClass = `
+  w-full px-2 py-1 text-sm bg-slate-900 border border-slate-600 rounded-lg text-slate-200
+  focus:outline-none focus:ring-2 focus:ring-sky-400/50
+`;
+
+const CsvImportPanel = ({ accessToken }) => {
+  const [csv, setCsv] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [onDuplicate, setOnDuplicate] = useState('skip');
+  const [report, setReport] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  // Every change re-runs the dry run so the report always matches what Import will do
+  const preview = async (text, columnMapping, policy) => {
+    try {
+      setWorking(true);
+      const response = await api.games.import.csv(
+        { csv: text, mapping: columnMapping, onDuplicate: policy, dryRun: true },
+        accessToken
+      );
+      setMapping(response.mapping);
+      setReport(response);
+    } catch (err) {
+      toast.error(err.message || 'Failed to read CSV');
+      setReport(null);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    setCsv(text);
+    setFileName(file.name);
+    // No mapping on the first pass: the server guesses one from the headers
+    await preview(text, undefined, onDuplicate);
+  };
+
+  const handleMappingChange = (field, header) => {
+    const next = { ...mapping, [field]: header };
+    if (!header) delete next[field];
+    preview(csv, next, onDuplicate);
+  };
+
+  const handlePolicyChange = (policy) => {
+    setOnDuplicate(policy);
+    preview(csv, mapping, policy);
+  };
+
+  const handleImport = async () => {
+    try {
+      setWorking(true);
+      const response = await api.games.import.csv(
+        { csv, mapping, onDuplicate, dryRun: false },
+        accessToken
+      );
+      setReport(response);
+      setCsv(null);
+      toast.success(`Added ${response.created}, updated ${response.updated} game${response.created + response.updated === 1 ? '' : 's'}`);
+    } catch (err) {
+      toast.error(err.message || 'CSV import failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const willWrite = report ? report.created + report.updated : 0;
+
+  return (
+    <section className="bg-slate-800 rounded-xl border border-slate-700 p-6 mb-8">
+      <h2 className="text-2xl font-bold text-white mb-2">CSV</h2>
+      <p className="text-slate-400 mb-4">
+        Upload a spreadsheet with one game per row and an IGDB ID column. A library export from this
+        page can be imported again as-is. Nothing is saved until you press Import.
+      </p>
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-slate-700 border border-slate-600 rounded-lg hover:bg-slate-600 cursor-pointer">
+          <input
+            type="file"
+            accept="text/csv,.csv"
+            onChange={handleFile}
+            disabled={working}
+            className="sr-only"
+          />
+          Choose CSV file…
+        </label>
+        {fileName && <span className="text-sm text-slate-400">{fileName}</span>}
+      </div>
+
+      {report && (
+        <div className="mt-6 space-y-6">
+          {csv && (
+            <>
+              <div>
+                <h3 className="text-lg font-semibold text-white mb-3">Columns</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                  {IMPORT_FIELDS.map(field => (
+                    <label key={field.id} className="block text-sm">
+                      <span className={field.required ? 'text-white' : 'text-slate-400'}>
+                        {field.label}{field.required && ' *'}
+                      </span>
+                      <select
+                        value={mapping[field.id] || ''}
+                        onChange={(e) => handleMappingChange(field.id, e.target.value)}
+                        disabled={working}
+                        className={`${selectClass} mt-1`}
+                      >
+                        <option value="">— Not imported —</option>
+                        {report.columns.map(column => (
+                          <option key={column} value={column}>{column}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                {report.unmappedColumns.length > 0 && (
+                  <p className="mt-2 text-xs text-slate-500">
+                    Ignored columns: {report.unmappedColumns.join(', ')}
+                  </p>
+                )}
+              </div>
+
+              <label className="block text-sm max-w-xs">
+                <span className="text-slate-400">Games already in your library</span>
+                <select
+                  value={onDuplicate}
+                  onChange={(e) => handlePolicyChange(e.target.value)}
+                  disabled={working}
+                  className={`${selectClass} mt-1`}
+                >
+                  <option value="skip">Skip them</option>
+                  <option value="update">Update them with the file&apos;s values</option>
+                </select>
+              </label>
+            </>
+          )}
+
+          <div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+              <p className="text-sm text-slate-300" role="status">
+                {report.dryRun ? 'Preview: ' : 'Imported: '}
+                {report.created} to add, {report.updated} to update, {report.skipped} skipped
+                {report.failed > 0 && <span className="text-rose-400">, {report.failed} with errors</span>}
+              </p>
+              {csv && (
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={working || willWrite === 0}
+                  className="px-4 py-2 text-sm font-medium text-white bg-sky-600 rounded-lg hover:bg-sky-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {working ? 'Working…' : `Import ${willWrite} game${willWrite === 1 ? '' : 's'}`}
+                </button>
+              )}
+            </div>
+
+            <div className="overflow-x-auto max-h-96 border border-slate-700 rounded-lg">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-slate-900 text-slate-400 sticky top-0">
+                  <tr>
+                    <th className="p-2 font-medium">Row</th>
+                    <th className="p-2 font-medium">Game</th>
+                    <th className="p-2 font-medium">Action</th>
+                    <th className="p-2 font-medium">Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map(row => (
+                    <tr key={row.row} className="border-t border-slate-700">
+                      <td className="p-2 text-slate-500">{row.row}</td>
+                      <td className="p-2 text-slate-200">
+                        {row.name || (row.igdbId ? `IGDB #${row.igdbId}` : '—')}
+                      </td>
+                      <td className={`p-2 capitalize ${ACTION_STYLES[row.action]}`}>{row.action}</td>
+                      <td className="p-2 text-slate-400">{row.errors?.join('; ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CsvImportPanel;
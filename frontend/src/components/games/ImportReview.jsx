@@ -0,0 +1,232 @@
+/**
+ * Import Review Component
+ *
+ * Review table for titles matched from another service's export before they are added to the library
+ * Features: confidence badges, pick another IGDB candidate or search again,
+ * per-row status, skip rows, filter to rows that need a look
+ */
+import React, { useState, useMemo } from 'react';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+import { GAME_STATUSES, formatStatus } from '../../utils/gameStatus';
+
+const CONFIDENCE_STYLES = {
+  high: 'text-emerald-400 bg-emerald-400/10 border-emerald-400/30',
+  medium: 'text-amber-400 bg-amber-400/10 border-amber-400/30',
+  low: 'text-rose-400 bg-rose-400/10 border-rose-400/30',
+  none: 'text-slate-400 bg-slate-400/10 border-slate-400/30',
+};
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'review', label: 'Needs review' },
+  { id: 'included', label: 'Will import' },
+  { id: 'library', label: 'Already in library' },
+];
+
+const selectClass = `
+  w-full px-2 py-1 text-sm bg-slate-900 border border-slate-600 rounded-lg text-slate-200
+  focus:outline-none focus:ring-2 focus:ring-sky-400/50
+`;
+
+const formatHours = (minutes) => (minutes > 0 ? `${Math.round((minutes / 60) * 10) / 10}h` : '—');
+
+// Search results come back in IGDB shape; the review rows use import candidates
+const toCandidate = (game) => ({
+  igdbId: game.id,
+  name: game.name,
+  similarity: null,
+  summary: game.summary,
+  coverUrl: game.coverUrl,
+  releaseDate: game.releaseDate,
+  platforms: game.platforms,
+  genres: game.genres,
+  developer: game.developer,
+  publisher: game.publisher,
+  rating: game.rating,
+});
+
+const ReviewRow = ({ row, accessToken, onChange }) => {
+  const [query, setQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+  const selected = row.candidates.find(candidate => candidate.igdbId === row.selectedIgdbId);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      setSearching(true);
+      const response = await api.games.search(query.trim(), 5, 0, accessToken);
+      const found = (response.games || []).map(toCandidate);
+      if (found.length === 0) {
+        toast(`No IGDB results for "${query.trim()}"`);
+        return;
+      }
+      onChange({ candidates: found, selectedIgdbId: found[0].igdbId, include: true });
+      setQuery('');
+    } catch (err) {
+      toast.error(err.message || 'Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <tr className={`border-t border-slate-700 align-top ${row.include ? '' : 'opacity-60'}`}>
+      <td className="p-3">
+        <input
+          type="checkbox"
+          checked={row.include}
+          disabled={!selected}
+          onChange={(e) => onChange({ include: e.target.checked })}
+          className="h-4 w-4 accent-sky-500"
+          aria-label={`Import ${row.name}`}
+        />
+      </td>
+      <td className="p-3">
+        <div className="text-white">{row.name}</div>
+        {row.playtimeMinutes > 0 && (
+          <div className="text-xs text-slate-500">{formatHours(row.playtimeMinutes)} played</div>
+        )}
+        {row.alreadyInLibrary && row.selectedIgdbId === row.match?.igdbId && (
+          <div className="text-xs text-sky-400 mt-1">Already in your library</div>
+        )}
+      </td>
+      <td className="p-3 min-w-[16rem]">
+        <select
+          value={row.selectedIgdbId ?? ''}
+          onChange={(e) => {
+            const igdbId = e.target.value ? parseInt(e.target.value) : null;
+            onChange({ selectedIgdbId: igdbId, include: igdbId !== null });
+          }}
+          className={selectClass}
+          aria-label={`IGDB match for ${row.name}`}
+        >
+          <option value="">No match — skip</option>
+          {row.candidates.map(candidate => (
+            <option key={candidate.igdbId} value={candidate.igdbId}>
+              {candidate.name}
+              {candidate.releaseDate ? ` (${new Date(candidate.releaseDate).getFullYear()})` : ''}
+              {candidate.similarity !== null ? ` · ${Math.round(candidate.similarity * 100)}%` : ''}
+            </option>
+          ))}
+        </select>
+        <form onSubmit={handleSearch} className="flex items-center mt-2">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search IGDB instead…"
+            className="flex-1 px-2 py-1 text-xs bg-transparent border border-dashed border-slate-600 rounded-l-lg text-slate-300 placeholder-slate-500 focus:outline-none focus:border-sky-400"
+            aria-label={`Search IGDB for ${row.name}`}
+          />
+          <button
+            type="submit"
+            disabled={searching}
+            className="px-2 py-1 border border-l-0 border-dashed border-slate-600 rounded-r-lg text-slate-400 hover:text-white disabled:opacity-50"
+            aria-label="Search"
+          >
+            <MagnifyingGlassIcon className="h-4 w-4" />
+          </button>
+        </form>
+      </td>
+      <td className="p-3">
+        <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full border ${CONFIDENCE_STYLES[row.confidenceLevel]}`}>
+          {row.confidenceLevel === 'none' ? 'No match' : `${Math.round(row.confidence * 100)}%`}
+        </span>
+      </td>
+      <td className="p-3">
+        <select
+          value={row.status}
+          onChange={(e) => onChange({ status: e.target.value })}
+          className={selectClass}
+          aria-label={`Status for ${row.name}`}
+        >
+          {GAME_STATUSES.map(status => (
+            <option key={status} value={status}>{formatStatus(status)}</option>
+          ))}
+        </select>
+      </td>
+    </tr>
+  );
+};
+
+const ImportReview = ({ sourceName, rows, accessToken, onRowsChange, onImport, importing }) => {
+  const [filter, setFilter] = useState('all');
+
+  const visibleRows = useMemo(() => rows.filter(row => {
+    switch (filter) {
+      case 'review': return row.confidenceLevel !== 'high';
+      case 'included': return row.include;
+      case 'library': return row.alreadyInLibrary;
+      default: return true;
+    }
+  }), [rows, filter]);
+
+  const includedCount = rows.filter(row => row.include).length;
+
+  const updateRow = (rowNumber, changes) => {
+    onRowsChange(rows.map(row => (row.row === rowNumber ? { ...row, ...changes } : row)));
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex flex-wrap gap-2" role="group" aria-label="Filter rows">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFilter(option.id)}
+              aria-pressed={filter === option.id}
+              className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+                filter === option.id
+                  ? 'text-sky-300 bg-sky-500/10 border-sky-500/40'
+                  : 'text-slate-400 border-slate-600 hover:text-white hover:border-slate-500'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <button
+          onClick={onImport}
+          disabled={importing || includedCount === 0}
+          className="px-6 py-2 bg-gradient-to-r from-sky-600 to-blue-600 hover:from-sky-700 hover:to-blue-700 text-white font-semibold rounded-lg disabled:opacity-50 transition-all duration-200"
+        >
+          {importing ? 'Importing...' : `Import ${includedCount} game${includedCount === 1 ? '' : 's'}`}
+        </button>
+      </div>
+
+      <div className="overflow-x-auto bg-slate-800 rounded-xl border border-slate-700">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="p-3 w-8"><span className="sr-only">Import</span></th>
+              <th className="p-3">{sourceName} title</th>
+              <th className="p-3">IGDB match</th>
+              <th className="p-3">Confidence</th>
+              <th className="p-3">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <ReviewRow
+                key={row.row}
+                row={row}
+                accessToken={accessToken}
+                onChange={(changes) => updateRow(row.row, changes)}
+              />
+            ))}
+          </tbody>
+        </table>
+        {visibleRows.length === 0 && (
+          <p className="p-6 text-center text-slate-400">Nothing to show for this filter</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportReview;
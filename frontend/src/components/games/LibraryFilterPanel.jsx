@@ -0,0 +1,309 @@
+/**
+ * Library Filter Panel Component
+ *
+ * Collapsible panel of library filters (statuses, genres, platforms, companies,
+ * rating/year/date ranges, owned copies and what was paid for them). Edits are drafted locally and applied together so
+ * typing does not refetch the library on every keystroke.
+ */
+import React, { useState, useEffect } from 'react';
+import { AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+import { api } from '../../utils/api';
+import { GAME_STATUSES, formatStatus } from '../../utils/gameStatus';
+import { LIBRARY_FILTER_KEYS, emptyLibraryFilters, splitFilterList as splitList } from '../../utils/libraryFilters';
+import { OWNERSHIP_FORMATS, formatOwnershipFormat } from '../../utils/ownership';
+
+const inputClass = `
+  w-full px-2 py-1.5 text-sm bg-slate-900 border border-slate-600 rounded-lg text-white
+  placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-sky-400/50 focus:border-sky-400
+`;
+
+const RangeInputs = ({ label, minKey, maxKey, draft, onChange, inputProps }) => (
+  <div>
+    <span className="block text-xs text-slate-400 mb-1">{label}</span>
+    <div className="flex items-center space-x-2">
+      <input
+        {...inputProps}
+        value={draft[minKey]}
+        onChange={(e) => onChange(minKey, e.target.value)}
+        placeholder="From"
+        className={inputClass}
+        aria-label={`${label} from`}
+      />
+      <span className="text-slate-500">–</span>
+      <input
+        {...inputProps}
+        value={draft[maxKey]}
+        onChange={(e) => onChange(maxKey, e.target.value)}
+        placeholder="To"
+        className={inputClass}
+        aria-label={`${label} to`}
+      />
+    </div>
+  </div>
+);
+
+const ChipList = ({ label, options, selected, onToggle }) => {
+  if (options.length === 0) return null;
+  return (
+    <div>
+      <span className="block text-xs text-slate-400 mb-1">{label}</span>
+      <div className="flex flex-wrap gap-1.5">
+        {options.map(({ value, label: optionLabel, count }) => {
+          const active = selected.includes(value);
+          return (
+            <button
+              key={value}
+              type="button"
+              onClick={() => onToggle(value)}
+              className={`
+                px-2 py-0.5 text-xs rounded-full border transition-colors duration-200
+                ${active ? 'bg-sky-600/20 text-sky-300 border-sky-500/40' : 'text-slate-300 border-slate-600 hover:border-slate-500'}
+              `}
+              aria-pressed={active}
+            >
+              {optionLabel || value}{count !== undefined && <span className="text-slate-500"> {count}</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const LibraryFilterPanel = ({ accessToken, filters, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(filters);
+  const [options, setOptions] = useState({
+    genres: [],
+    platforms: [],
+    developers: [],
+    publishers: [],
+    ownedPlatforms: [],
+    storefronts: [],
+    currencies: []
+  });
+
+  // Follow the URL when it changes from outside (back/forward, reset)
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  useEffect(() => {
+    if (!open || !accessToken) return;
+    api.games.getFilterOptions(accessToken)
+      .then(setOptions)
+      .catch(err => console.error('Failed to load filter options:', err));
+  }, [open, accessToken]);
+
+  const activeCount = LIBRARY_FILTER_KEYS.filter(key => filters[key]).length;
+
+  const setField = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleListValue = (key, value) => {
+    const current = splitList(draft[key]);
+    const next = current.includes(value)
+      ? current.filter(item => item !== value)
+      : [...current, value];
+    setField(key, next.join(','));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  const handleReset = () => {
+    const empty = emptyLibraryFilters();
+    setDraft(empty);
+    onApply(empty);
+  };
+
+  return (
+    <div className="mb-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-2 px-4 py-2 text-sm text-slate-300 bg-slate-800 border border-slate-700 rounded-lg hover:border-slate-600 transition-colors"
+        aria-expanded={open}
+        aria-controls="library-filter-panel"
+      >
+        <AdjustmentsHorizontalIcon className="h-5 w-5" />
+        <span>Filters{activeCount > 0 ? ` (${activeCount})` : ''}</span>
+      </button>
+
+      {open && (
+        <form
+          id="library-filter-panel"
+          onSubmit={handleSubmit}
+          className="mt-3 p-4 bg-slate-800 border border-slate-700 rounded-xl space-y-4"
+        >
+          <ChipList
+            label="Status"
+            options={GAME_STATUSES.map(status => ({ value: status, label: formatStatus(status) }))}
+            selected={splitList(draft.status)}
+            onToggle={(value) => toggleListValue('status', value)}
+          />
+
+          <ChipList
+            label="Genres"
+            options={options.genres}
+            selected={splitList(draft.genre)}
+            onToggle={(value) => toggleListValue('genre', value)}
+          />
+
+          <ChipList
+            label="Platforms"
+            options={options.platforms}
+            selected={splitList(draft.platform)}
+            onToggle={(value) => toggleListValue('platform', value)}
+          />
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="block text-xs text-slate-400 mb-1">Developer</span>
+              <input
+                type="text"
+                list="library-filter-developers"
+                value={draft.developer}
+                onChange={(e) => setField('developer', e.target.value)}
+                className={inputClass}
+              />
+              <datalist id="library-filter-developers">
+                {options.developers.map(({ value }) => <option key={value} value={value} />)}
+              </datalist>
+            </label>
+            <label className="block">
+              <span className="block text-xs text-slate-400 mb-1">Publisher</span>
+              <input
+                type="text"
+                list="library-filter-publishers"
+                value={draft.publisher}
+                onChange={(e) => setField('publisher', e.target.value)}
+                className={inputClass}
+              />
+              <datalist id="library-filter-publishers">
+                {options.publishers.map(({ value }) => <option key={value} value={value} />)}
+              </datalist>
+            </label>
+
+            <RangeInputs
+              label="My rating"
+              minKey="userRatingMin"
+              maxKey="userRatingMax"
+              draft={draft}
+              onChange={setField}
+              inputProps={{ type: 'number', min: 0, max: 5, step: 0.5 }}
+            />
+            <RangeInputs
+              label="IGDB rating"
+              minKey="igdbRatingMin"
+              maxKey="igdbRatingMax"
+              draft={draft}
+              onChange={setField}
+              inputProps={{ type: 'number', min: 0, max: 100 }}
+            />
+            <RangeInputs
+              label="Release year"
+              minKey="releaseYearFrom"
+              maxKey="releaseYearTo"
+              draft={draft}
+              onChange={setField}
+              inputProps={{ type: 'number', min: 1950, max: 2100 }}
+            />
+            <RangeInputs
+              label="Added to library"
+              minKey="addedFrom"
+              maxKey="addedTo"
+              draft={draft}
+              onChange={setField}
+              inputProps={{ type: 'date' }}
+            />
+          </div>
+
+          <fieldset className="space-y-4 pt-4 border-t border-slate-700">
+            <legend className="text-sm font-medium text-slate-300 mb-2">Ownership</legend>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <label className="block">
+                <span className="block text-xs text-slate-400 mb-1">Owned</span>
+                <select value={draft.owned} onChange={(e) => setField('owned', e.target.value)} className={inputClass}>
+                  <option value="">Any</option>
+                  <option value="true">Owned</option>
+                  <option value="false">Not owned</option>
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-xs text-slate-400 mb-1">Format</span>
+                <select value={draft.format} onChange={(e) => setField('format', e.target.value)} className={inputClass}>
+                  <option value="">Any</option>
+                  {OWNERSHIP_FORMATS.map(format => (
+                    <option key={format} value={format}>{formatOwnershipFormat(format)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-xs text-slate-400 mb-1">Currency</span>
+                <select value={draft.currency} onChange={(e) => setField('currency', e.target.value)} className={inputClass}>
+                  <option value="">Any</option>
+                  {options.currencies.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                </select>
+              </label>
+            </div>
+
+            <ChipList
+              label="Owned on"
+              options={options.ownedPlatforms}
+              selected={splitList(draft.ownedPlatform)}
+              onToggle={(value) => toggleListValue('ownedPlatform', value)}
+            />
+
+            <ChipList
+              label="Storefronts"
+              options={options.storefronts}
+              selected={splitList(draft.storefront)}
+              onToggle={(value) => toggleListValue('storefront', value)}
+            />
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <RangeInputs
+                label="Price paid"
+                minKey="priceMin"
+                maxKey="priceMax"
+                draft={draft}
+                onChange={setField}
+                inputProps={{ type: 'number', min: 0, step: 0.01 }}
+              />
+              <RangeInputs
+                label="Purchased"
+                minKey="purchasedFrom"
+                maxKey="purchasedTo"
+                draft={draft}
+                onChange={setField}
+                inputProps={{ type: 'date' }}
+              />
+            </div>
+          </fieldset>
+
+          <div className="flex items-center justify-end space-x-3">
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-2 text-sm text-slate-400 hover:text-white transition-colors"
+            >
+              Reset
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-lg transition-colors"
+            >
+              Apply filters
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default LibraryFilterPanel;
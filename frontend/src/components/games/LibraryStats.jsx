@@ -0,0 +1,263 @@
+/**
+ * Library Statistics Component
+ *
+ * Charts of how the library changes over time and what it is made of
+ * Features: monthly additions vs completions, backlog size line, breakdowns by
+ * genre / platform / developer / release decade, time from added to completed
+ */
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+
+const RANGES = [
+  { label: '6 months', months: 6 },
+  { label: '1 year', months: 12 },
+  { label: '2 years', months: 24 },
+];
+
+const BREAKDOWNS = [
+  { id: 'genre', label: 'Genre' },
+  { id: 'platform', label: 'Platform' },
+  { id: 'developer', label: 'Developer' },
+  { id: 'decade', label: 'Release decade' },
+];
+
+const CHART_HEIGHT = 160;
+
+const formatMonth = (month, withYear = false) => {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, index - 1, 1)).toLocaleDateString(undefined, {
+    month: 'short',
+    ...(withYear && { year: 'numeric' }),
+    timeZone: 'UTC',
+  });
+};
+
+const formatDays = (days) => {
+  if (days === null || days === undefined) return '—';
+  if (days < 1) return 'under a day';
+  return days < 60 ? `${Math.round(days)} days` : `${Math.round(days / 30)} months`;
+};
+
+// Month labels under a chart, thinned out on long ranges
+const MonthAxis = ({ timeline }) => {
+  const every = Math.ceil(timeline.length / 12);
+  return (
+    <div className="flex gap-1 mt-1">
+      {timeline.map((month, index) => (
+        <span key={month.month} className="flex-1 text-center text-[10px] text-slate-500">
+          {index % every === 0 ? formatMonth(month.month, index === 0 || month.month.endsWith('-01')) : ''}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+// Paired bars per month: added (sky) and completed (purple)
+const MonthlyBars = ({ timeline }) => {
+  const max = Math.max(1, ...timeline.flatMap(month => [month.added, month.completed]));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1" style={{ height: CHART_HEIGHT }}>
+        {timeline.map(month => (
+          <div
+            key={month.month}
+            className="flex-1 flex items-end justify-center gap-0.5 h-full"
+            title={`${formatMonth(month.month, true)}: ${month.added} added, ${month.completed} completed`}
+          >
+            <div className="w-1/2 max-w-3 bg-sky-400 rounded-t" style={{ height: `${(month.added / max) * 100}%` }} />
+            <div className="w-1/2 max-w-3 bg-purple-400 rounded-t" style={{ height: `${(month.completed / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <MonthAxis timeline={timeline} />
+    </div>
+  );
+};
+
+// Backlog size at the end of each month as a line
+const BacklogLine = ({ timeline }) => {
+  const max = Math.max(1, ...timeline.map(month => month.backlog));
+  const step = timeline.length > 1 ? 100 / (timeline.length - 1) : 0;
+  const points = timeline
+    .map((month, index) => `${index * step},${100 - (month.backlog / max) * 100}`)
+    .join(' ');
+
+  return (
+    <div>
+      <svg
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+        className="w-full"
+        style={{ height: CHART_HEIGHT }}
+        role="img"
+        aria-label={`Backlog size from ${timeline[0]?.backlog ?? 0} to ${timeline[timeline.length - 1]?.backlog ?? 0} games`}
+      >
+        <polyline points={`0,100 ${points} 100,100`} className="fill-emerald-400/10" stroke="none" />
+        <polyline points={points} fill="none" className="stroke-emerald-400" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <MonthAxis timeline={timeline} />
+    </div>
+  );
+};
+
+const BreakdownBars = ({ buckets }) => {
+  const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+
+  if (buckets.length === 0) {
+    return <p className="text-sm text-slate-500">No games yet</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {buckets.map(bucket => (
+        <li key={bucket.key}>
+          <div className="flex justify-between text-xs mb-1">
+            <span className="text-slate-300 truncate pr-2">{bucket.key}</span>
+            <span className="text-slate-500 flex-shrink-0">
+              {bucket.count} · {bucket.completed} completed
+              {bucket.averageRating !== null && ` · ★ ${bucket.averageRating}`}
+            </span>
+          </div>
+          <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+            <div className="h-full bg-sky-500/40" style={{ width: `${(bucket.count / max) * 100}%` }}>
+              <div
+                className="h-full bg-purple-400"
+                style={{ width: `${bucket.count ? (bucket.completed / bucket.count) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const LibraryStats = ({ accessToken }) => {
+  const [months, setMonths] = useState(12);
+  const [breakdown, setBreakdown] = useState('genre');
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!accessToken) return;
+
+    const loadStats = async () => {
+      try {
+        setLoading(true);
+        setStats(await api.games.getStatsOverview({ months }, accessToken));
+      } catch (err) {
+        toast.error(err.message || 'Failed to load statistics');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadStats();
+  }, [accessToken, months]);
+
+  const totals = stats?.timeline.reduce(
+    (sum, month) => ({ added: sum.added + month.added, completed: sum.completed + month.completed }),
+    { added: 0, completed: 0 }
+  );
+
+  return (
+    <section className="bg-slate-800 rounded-xl border border-slate-700 p-6 mb-8" aria-busy={loading}>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-white">📊 Statistics</h2>
+          <Link to="/year-in-review" className="text-sm text-sky-400 hover:text-sky-300">
+            See your year in review →
+          </Link>
+        </div>
+        <div className="flex gap-2" role="group" aria-label="Time range">
+          {RANGES.map(range => (
+            <button
+              key={range.months}
+              onClick={() => setMonths(range.months)}
+              aria-pressed={months === range.months}
+              className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+                months === range.months
+                  ? 'text-sky-300 bg-sky-500/10 border-sky-500/40'
+                  : 'text-slate-400 border-slate-600 hover:text-white hover:border-slate-500'
+              }`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!stats ? (
+        <p className="text-slate-400">Loading statistics…</p>
+      ) : (
+        <div className={`space-y-8 ${loading ? 'opacity-60' : ''}`}>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            <div>
+              <div className="text-2xl font-bold text-sky-400">{totals.added}</div>
+              <div className="text-sm text-slate-400">Added</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-purple-400">{totals.completed}</div>
+              <div className="text-sm text-slate-400">Completed</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-emerald-400">
+                {stats.timeline[stats.timeline.length - 1]?.backlog ?? 0}
+              </div>
+              <div className="text-sm text-slate-400">In backlog now</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-white">{formatDays(stats.timeToComplete.averageDays)}</div>
+              <div className="text-sm text-slate-400">
+                Average added → completed
+                {stats.timeToComplete.count > 0 && ` (median ${formatDays(stats.timeToComplete.medianDays)})`}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-medium text-white">Added and completed per month</h3>
+                <div className="flex gap-3 text-xs text-slate-400">
+                  <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-sky-400" />Added</span>
+                  <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-purple-400" />Completed</span>
+                </div>
+              </div>
+              <MonthlyBars timeline={stats.timeline} />
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-white mb-3">Backlog size</h3>
+              <BacklogLine timeline={stats.timeline} />
+            </div>
+          </div>
+
+          <div>
+            <div className="flex flex-wrap gap-2 mb-4" role="group" aria-label="Breakdown">
+              {BREAKDOWNS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setBreakdown(option.id)}
+                  aria-pressed={breakdown === option.id}
+                  className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+                    breakdown === option.id
+                      ? 'text-sky-300 bg-sky-500/10 border-sky-500/40'
+                      : 'text-slate-400 border-slate-600 hover:text-white hover:border-slate-500'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <BreakdownBars buckets={stats.breakdowns[breakdown]} />
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default LibraryStats;
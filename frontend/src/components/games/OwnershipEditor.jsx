@@ -0,0 +1,206 @@
+/**
+ * Ownership Editor Component
+ *
+ * Lists the copies owned of a library game and adds, edits or removes them:
+ * platform, physical or digital, storefront, purchase date and price
+ */
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+import { OWNERSHIP_FORMATS, formatOwnershipFormat, formatPrice } from '../../utils/ownership';
+
+const inputClass = `
+  w-full px-2 py-1 text-xs bg-slate-900 border border-slate-600 rounded-lg text-white
+  placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-sky-400/50 focus:border-sky-400
+`;
+
+const emptyForm = (platforms) => ({
+  platform: platforms?.length === 1 ? platforms[0] : '',
+  format: 'digital',
+  storefront: '',
+  purchasedAt: '',
+  price: '',
+  currency: localStorage.getItem('ownershipCurrency') || 'USD'
+});
+
+const toForm = (ownership) => ({
+  platform: ownership.platform,
+  format: ownership.format,
+  storefront: ownership.storefront || '',
+  purchasedAt: ownership.purchasedAt ? ownership.purchasedAt.slice(0, 10) : '',
+  price: ownership.price ?? '',
+  currency: ownership.currency || localStorage.getItem('ownershipCurrency') || 'USD'
+});
+
+const OwnershipEditor = ({ game, accessToken, onChange }) => {
+  const ownerships = game.ownerships || [];
+  const [form, setForm] = useState(() => emptyForm(game.platforms));
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyForm(game.platforms));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const hasPrice = form.price !== '';
+    const payload = {
+      platform: form.platform.trim(),
+      format: form.format,
+      storefront: form.storefront.trim() || null,
+      purchasedAt: form.purchasedAt || null,
+      price: hasPrice ? parseFloat(form.price) : null,
+      currency: hasPrice ? form.currency.trim().toUpperCase() : null
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        const response = await api.games.ownership.update(game.id, editingId, payload, accessToken);
+        onChange(ownerships.map(item => (item.id === editingId ? response.ownership : item)));
+      } else {
+        const response = await api.games.ownership.create(game.id, payload, accessToken);
+        onChange([...ownerships, response.ownership]);
+      }
+      if (hasPrice) localStorage.setItem('ownershipCurrency', payload.currency);
+      resetForm();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save ownership');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (ownership) => {
+    try {
+      await api.games.ownership.remove(game.id, ownership.id, accessToken);
+      onChange(ownerships.filter(item => item.id !== ownership.id));
+      if (editingId === ownership.id) resetForm();
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove ownership');
+    }
+  };
+
+  const startEditing = (ownership) => {
+    setEditingId(ownership.id);
+    setForm(toForm(ownership));
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-slate-900/60 border border-slate-700 rounded-lg space-y-3">
+      {ownerships.length > 0 && (
+        <ul className="space-y-1.5">
+          {ownerships.map(ownership => (
+            <li key={ownership.id} className="flex items-start justify-between text-xs text-slate-300">
+              <button
+                type="button"
+                onClick={() => startEditing(ownership)}
+                className={`text-left hover:text-white ${editingId === ownership.id ? 'text-sky-300' : ''}`}
+              >
+                {ownership.platform} · {formatOwnershipFormat(ownership.format)}
+                {ownership.storefront && ` · ${ownership.storefront}`}
+                {ownership.price !== null && ` · ${formatPrice(ownership.price, ownership.currency)}`}
+                {ownership.purchasedAt && (
+                  <span className="block text-slate-500">Bought {new Date(ownership.purchasedAt).toLocaleDateString()}</span>
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRemove(ownership)}
+                className="ml-2 text-slate-500 hover:text-red-400"
+                aria-label={`Remove ${ownership.platform} copy of ${game.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            list={`ownership-platforms-${game.id}`}
+            value={form.platform}
+            onChange={(e) => setField('platform', e.target.value)}
+            placeholder="Platform"
+            maxLength={100}
+            required
+            className={inputClass}
+            aria-label="Owned platform"
+          />
+          <datalist id={`ownership-platforms-${game.id}`}>
+            {(game.platforms || []).map(platform => <option key={platform} value={platform} />)}
+          </datalist>
+          <select
+            value={form.format}
+            onChange={(e) => setField('format', e.target.value)}
+            className={inputClass}
+            aria-label="Format"
+          >
+            {OWNERSHIP_FORMATS.map(format => (
+              <option key={format} value={format}>{formatOwnershipFormat(format)}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={form.storefront}
+            onChange={(e) => setField('storefront', e.target.value)}
+            placeholder="Storefront"
+            maxLength={100}
+            className={inputClass}
+            aria-label="Storefront"
+          />
+          <input
+            type="date"
+            value={form.purchasedAt}
+            onChange={(e) => setField('purchasedAt', e.target.value)}
+            className={inputClass}
+            aria-label="Purchase date"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.price}
+            onChange={(e) => setField('price', e.target.value)}
+            placeholder="Price"
+            className={inputClass}
+            aria-label="Price paid"
+          />
+          <input
+            type="text"
+            value={form.currency}
+            onChange={(e) => setField('currency', e.target.value)}
+            placeholder="USD"
+            maxLength={3}
+            pattern="[A-Za-z]{3}"
+            className={`${inputClass} uppercase`}
+            aria-label="Currency"
+          />
+        </div>
+        <div className="flex justify-end space-x-2">
+          {editingId && (
+            <button type="button" onClick={resetForm} className="px-2 py-1 text-xs text-slate-400 hover:text-white">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-3 py-1 text-xs font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-lg disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : editingId ? 'Save copy' : 'Add copy'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default OwnershipEditor;
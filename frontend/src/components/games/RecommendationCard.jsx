@@ -0,0 +1,193 @@
+/**
+ * Recommendation Card Component
+ *
+ * Shows the "What should I play next?" pick with the reasons behind it
+ * Features: "not tonight" exclusions kept until the end of the day, time budget,
+ * alternative picks
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { XMarkIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+import { formatStatus, getStatusColor } from '../../utils/gameStatus';
+
+const EXCLUSIONS_KEY = 'recommendation:notTonight';
+
+const TIME_BUDGETS = [
+  { label: 'Any length', hours: null },
+  { label: 'About an hour', hours: 1 },
+  { label: 'An evening', hours: 3 },
+  { label: 'A weekend', hours: 12 },
+];
+
+// Exclusions are stored with the day they were made and dropped the next day
+const today = () => new Date().toDateString();
+
+const readExclusions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(EXCLUSIONS_KEY));
+    return stored?.day === today() && Array.isArray(stored.gameIds) ? stored.gameIds : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeExclusions = (gameIds) => {
+  localStorage.setItem(EXCLUSIONS_KEY, JSON.stringify({ day: today(), gameIds }));
+};
+
+const formatEstimate = (minutes) => {
+  if (minutes === null || minutes === undefined) return null;
+  return minutes < 60 ? 'under an hour' : `~${Math.round(minutes / 60)}h`;
+};
+
+const RecommendationCard = ({ accessToken, onClose }) => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [excluded, setExcluded] = useState(readExclusions);
+  const [maxHours, setMaxHours] = useState(null);
+
+  const loadRecommendation = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.games.getRecommendation({ exclude: excluded, maxHours }, accessToken);
+      setResult(response);
+    } catch (err) {
+      toast.error(err.message || 'Failed to pick a game');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken, excluded, maxHours]);
+
+  useEffect(() => {
+    loadRecommendation();
+  }, [loadRecommendation]);
+
+  const notTonight = (gameId) => {
+    const next = [...excluded, gameId];
+    writeExclusions(next);
+    setExcluded(next);
+  };
+
+  const resetExclusions = () => {
+    writeExclusions([]);
+    setExcluded([]);
+  };
+
+  const pick = result?.recommendation;
+
+  return (
+    <section
+      className="bg-slate-800 rounded-xl border border-orange-500/30 p-6 mb-12"
+      aria-label="Game recommendation"
+      aria-busy={loading}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-white">🎲 What should I play next?</h2>
+        <button onClick={onClose} className="p-1 text-slate-400 hover:text-white" aria-label="Close recommendation">
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6" role="group" aria-label="Time available">
+        {TIME_BUDGETS.map(budget => (
+          <button
+            key={budget.label}
+            onClick={() => setMaxHours(budget.hours)}
+            aria-pressed={maxHours === budget.hours}
+            className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+              maxHours === budget.hours
+                ? 'text-orange-300 bg-orange-500/10 border-orange-500/40'
+                : 'text-slate-400 border-slate-600 hover:text-white hover:border-slate-500'
+            }`}
+          >
+            {budget.label}
+          </button>
+        ))}
+      </div>
+
+      {loading && !result && <p className="text-slate-400">Looking through your backlog...</p>}
+
+      {result && !pick && (
+        <div className="text-center py-6">
+          <p className="text-slate-300 mb-4">{result.message}</p>
+          {result.excluded > 0 && (
+            <button onClick={resetExclusions} className="text-sm text-sky-400 hover:text-sky-300">
+              Clear tonight&apos;s skips
+            </button>
+          )}
+        </div>
+      )}
+
+      {pick && (
+        <div className={loading ? 'opacity-60 transition-opacity' : ''}>
+          <div className="flex gap-4">
+            <div className="h-32 w-24 flex-shrink-0 rounded-lg bg-slate-700 overflow-hidden">
+              {pick.game.coverUrl && (
+                <img src={pick.game.coverUrl} alt={`${pick.game.name} cover`} className="h-full w-full object-cover" />
+              )}
+            </div>
+            <div className="flex-1 min-w-0">
+              <h3 className="text-xl font-semibold text-white mb-1">{pick.game.name}</h3>
+              <div className="flex items-center gap-2 mb-3">
+                <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full border ${getStatusColor(pick.game.status)}`}>
+                  {formatStatus(pick.game.status)}
+                </span>
+                {formatEstimate(pick.estimatedMinutes) && (
+                  <span className="text-xs text-slate-400">{formatEstimate(pick.estimatedMinutes)} to go</span>
+                )}
+              </div>
+              <ul className="space-y-1 text-sm">
+                {pick.reasons.map(reason => (
+                  <li key={reason.factor} className={reason.impact >= 0 ? 'text-slate-300' : 'text-slate-500'}>
+                    {reason.impact >= 0 ? '✓' : '–'} {reason.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mt-6">
+            <button
+              onClick={() => notTonight(pick.game.id)}
+              disabled={loading}
+              className="flex items-center gap-1 px-4 py-2 text-sm text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white disabled:opacity-50"
+            >
+              <ArrowPathIcon className="h-4 w-4" />
+              Not tonight
+            </button>
+            {excluded.length > 0 && (
+              <button onClick={resetExclusions} className="text-xs text-slate-500 hover:text-slate-300">
+                Skipped {excluded.length} tonight · reset
+              </button>
+            )}
+          </div>
+
+          {result.alternatives.length > 0 && (
+            <div className="mt-6 pt-4 border-t border-slate-700">
+              <p className="text-xs uppercase tracking-wide text-slate-500 mb-2">Also worth a look</p>
+              <ul className="space-y-1">
+                {result.alternatives.map(alternative => (
+                  <li key={alternative.game.id} className="flex items-center justify-between text-sm">
+                    <span className="text-slate-300 truncate" title={alternative.reasons[0]?.message}>
+                      {alternative.game.name}
+                    </span>
+                    <button
+                      onClick={() => notTonight(alternative.game.id)}
+                      className="ml-2 text-xs text-slate-500 hover:text-slate-300"
+                      aria-label={`Skip ${alternative.game.name} tonight`}
+                    >
+                      Not tonight
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default RecommendationCard;
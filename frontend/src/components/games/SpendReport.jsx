@@ -0,0 +1,147 @@
+/**
+ * Spend Report Component
+ *
+ * What the library cost, per currency, and how much of it went on games that
+ * were never started. Breakdowns by storefront, platform, format and year.
+ */
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+import { formatStatus } from '../../utils/gameStatus';
+import { formatOwnershipFormat, formatPrice } from '../../utils/ownership';
+
+const BREAKDOWNS = [
+  { id: 'byStorefront', key: 'storefront', label: 'Storefront' },
+  { id: 'byPlatform', key: 'platform', label: 'Platform' },
+  { id: 'byFormat', key: 'format', label: 'Format' },
+  { id: 'byYear', key: 'year', label: 'Year' },
+];
+
+const NEVER_STARTED_SHOWN = 8;
+
+const bucketLabel = (breakdown, value) => {
+  if (breakdown === 'format') return formatOwnershipFormat(value);
+  if (breakdown === 'year') return value ?? 'Unknown date';
+  return value;
+};
+
+const SpendReport = ({ accessToken }) => {
+  const [report, setReport] = useState(null);
+  const [breakdown, setBreakdown] = useState(BREAKDOWNS[0]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!accessToken) return;
+
+    const loadReport = async () => {
+      try {
+        setLoading(true);
+        setReport(await api.games.getSpendReport({}, accessToken));
+      } catch (err) {
+        toast.error(err.message || 'Failed to load spend report');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReport();
+  }, [accessToken]);
+
+  if (loading && !report) {
+    return <p className="text-sm text-slate-400 mb-8">Adding up your purchases…</p>;
+  }
+  if (!report) return null;
+
+  const rows = report[breakdown.id];
+  const max = Math.max(1, ...rows.map(row => row.spent));
+
+  return (
+    <section className="bg-slate-800 rounded-xl border border-slate-700 p-6 mb-8">
+      <h2 className="text-2xl font-bold text-white mb-1">💸 Spending</h2>
+      <p className="text-sm text-slate-400 mb-6">
+        From the purchase prices on your owned copies
+        {report.unpriced > 0 && ` · ${report.unpriced} ${report.unpriced === 1 ? 'copy has' : 'copies have'} no price`}
+      </p>
+
+      {report.totals.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          Add owned copies with a purchase price to your games to see what your library cost.
+        </p>
+      ) : (
+        <div className="space-y-8">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {report.totals.map(total => (
+              <div key={total.currency} className="bg-slate-900/60 rounded-lg p-4">
+                <div className="text-3xl font-bold text-white">{formatPrice(total.spent, total.currency)}</div>
+                <div className="text-xs text-slate-400">{total.purchases} purchase{total.purchases === 1 ? '' : 's'}</div>
+                <div className="mt-3 text-sm text-rose-300">
+                  {formatPrice(total.neverStarted, total.currency)} on games never started
+                  <span className="text-slate-500"> ({Math.round((total.neverStarted / total.spent) * 100) || 0}%)</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-white">Where it went</h3>
+                <select
+                  value={breakdown.id}
+                  onChange={(e) => setBreakdown(BREAKDOWNS.find(option => option.id === e.target.value))}
+                  className="bg-slate-900 border border-slate-600 rounded-lg text-white text-xs px-2 py-1"
+                  aria-label="Spend breakdown"
+                >
+                  {BREAKDOWNS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                </select>
+              </div>
+              <ul className="space-y-2">
+                {rows.map(row => (
+                  <li key={`${row[breakdown.key]}-${row.currency}`}>
+                    <div className="flex justify-between text-xs mb-1">
+                      <span className="text-slate-300 truncate pr-2">{bucketLabel(breakdown.key, row[breakdown.key])}</span>
+                      <span className="text-slate-500 flex-shrink-0">
+                        {formatPrice(row.spent, row.currency)} · {row.purchases}
+                      </span>
+                    </div>
+                    <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+                      <div className="h-full bg-emerald-500/60" style={{ width: `${(row.spent / max) * 100}%` }} />
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-semibold text-white mb-4">Bought, never started</h3>
+              {report.neverStarted.length === 0 ? (
+                <p className="text-sm text-slate-500">You have played everything you paid for. Nice.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {report.neverStarted.slice(0, NEVER_STARTED_SHOWN).map(game => (
+                    <li key={game.id} className="flex justify-between text-sm">
+                      <span className="text-slate-300 truncate pr-2">
+                        {game.name}
+                        <span className="text-xs text-slate-500"> · {formatStatus(game.status)}</span>
+                      </span>
+                      <span className="text-rose-300 flex-shrink-0">
+                        {game.spent.map(entry => formatPrice(entry.spent, entry.currency)).join(' + ')}
+                      </span>
+                    </li>
+                  ))}
+                  {report.neverStarted.length > NEVER_STARTED_SHOWN && (
+                    <li className="text-xs text-slate-500">
+                      and {report.neverStarted.length - NEVER_STARTED_SHOWN} more
+                    </li>
+                  )}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SpendReport;
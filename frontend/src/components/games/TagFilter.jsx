@@ -0,0 +1,128 @@
+/**
+ * Tag Filter Component
+ *
+ * Tag chips with usage counts for filtering the Library grid
+ * Features: toggle tags, match any/all, rename and merge tags
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { PencilSquareIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { api } from '../../utils/api';
+
+const TagFilter = ({ accessToken, selectedTags, tagMode, onChange, refreshKey = 0 }) => {
+  const [tags, setTags] = useState([]);
+  const [editing, setEditing] = useState(false);
+
+  const loadTags = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      const response = await api.tags.list('usage', accessToken);
+      setTags(response.tags || []);
+    } catch (err) {
+      console.error('Failed to load tags:', err);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    loadTags();
+  }, [loadTags, refreshKey]);
+
+  const toggleTag = (name) => {
+    const next = selectedTags.includes(name)
+      ? selectedTags.filter(tag => tag !== name)
+      : [...selectedTags, name];
+    onChange(next, tagMode);
+  };
+
+  // Renaming onto an existing tag name merges the two tags
+  const renameTag = async (tag) => {
+    const name = prompt(`Rename "${tag.name}" to:`, tag.name);
+    if (!name || name.trim().toLowerCase() === tag.name) return;
+
+    const existing = tags.find(other => other.name === name.trim().toLowerCase());
+    try {
+      if (existing) {
+        if (!confirm(`"${existing.name}" already exists. Merge "${tag.name}" into it?`)) return;
+        await api.tags.merge(existing.id, [tag.id], accessToken);
+        toast.success(`Merged "${tag.name}" into "${existing.name}"`);
+      } else {
+        await api.tags.rename(tag.id, name, accessToken);
+        toast.success(`Renamed "${tag.name}"`);
+      }
+      if (selectedTags.includes(tag.name)) {
+        onChange(selectedTags.filter(selected => selected !== tag.name), tagMode);
+      }
+      loadTags();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update tag');
+    }
+  };
+
+  if (tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="bg-slate-800 rounded-xl border border-slate-700 p-4 mt-6" aria-label="Tags">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-slate-400 uppercase tracking-wide">Tags</h2>
+        <button
+          onClick={() => setEditing(!editing)}
+          className={`p-1 rounded ${editing ? 'text-sky-400' : 'text-slate-500 hover:text-white'}`}
+          aria-label={editing ? 'Finish editing tags' : 'Edit tags'}
+          aria-pressed={editing}
+        >
+          <PencilSquareIcon className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {tags.map((tag) => {
+          const active = selectedTags.includes(tag.name);
+          return (
+            <button
+              key={tag.id}
+              onClick={() => (editing ? renameTag(tag) : toggleTag(tag.name))}
+              className={`
+                px-2 py-1 text-xs rounded-full border transition-colors duration-200
+                ${active
+                  ? 'bg-sky-600/20 text-sky-300 border-sky-500/40'
+                  : 'text-slate-300 border-slate-600 hover:border-slate-500'}
+              `}
+              aria-pressed={editing ? undefined : active}
+            >
+              {tag.name} <span className="text-slate-500">{tag.gameCount}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {selectedTags.length > 1 && (
+        <div className="mt-3 flex items-center space-x-2 text-xs text-slate-400">
+          <span>Match</span>
+          {['any', 'all'].map(mode => (
+            <button
+              key={mode}
+              onClick={() => onChange(selectedTags, mode)}
+              className={`px-2 py-0.5 rounded ${tagMode === mode ? 'bg-slate-700 text-white' : 'hover:text-white'}`}
+              aria-pressed={tagMode === mode}
+            >
+              {mode}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedTags.length > 0 && (
+        <button
+          onClick={() => onChange([], tagMode)}
+          className="mt-3 text-xs text-slate-500 hover:text-white"
+        >
+          Clear tag filter
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default TagFilter;
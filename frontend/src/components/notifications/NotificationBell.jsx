@@ -0,0 +1,194 @@
+/**
+ * Notification Bell Component
+ *
+ * Unread count in the navigation bar and a dropdown of recent notifications:
+ * release days, release date changes and security events. Polls for new ones
+ * while the tab is visible.
+ */
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import clsx from 'clsx';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthProvider';
+import { api } from '../../utils/api';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const SHOWN = 10;
+
+const TYPE_ICONS = {
+  release_day: '🎉',
+  metadata_change: '📅',
+  security: '🔒',
+};
+
+// Where a notification leads when clicked
+const TYPE_LINKS = {
+  release_day: '/library',
+  metadata_change: '/calendar',
+  security: '/profile',
+};
+
+const formatAge = (date) => {
+  const minutes = Math.round((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+const NotificationBell = ({ className = '' }) => {
+  const { accessToken } = useAuth();
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const dropdownRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  const loadNotifications = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      const response = await api.notifications.list({ limit: SHOWN }, accessToken);
+      setNotifications(response.notifications);
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Failed to load notifications:', err);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    loadNotifications();
+    const interval = setInterval(() => {
+      if (document.visibilityState === 'visible') loadNotifications();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadNotifications]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (
+        dropdownRef.current &&
+        !dropdownRef.current.contains(event.target) &&
+        !buttonRef.current.contains(event.target)
+      ) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setIsOpen(false);
+      buttonRef.current?.focus();
+    }
+  };
+
+  const toggle = () => {
+    if (!isOpen) loadNotifications();
+    setIsOpen(!isOpen);
+  };
+
+  const markRead = async (ids) => {
+    setNotifications(prev => prev.map(item => (ids.includes(item.id) ? { ...item, read: true } : item)));
+    try {
+      const response = await api.notifications.markRead(ids, true, accessToken);
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Failed to mark notification read:', err);
+    }
+  };
+
+  const markAllRead = async () => {
+    setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+    try {
+      const response = await api.notifications.markAllRead(accessToken);
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Failed to mark notifications read:', err);
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.read) markRead([notification.id]);
+    setIsOpen(false);
+    if (TYPE_LINKS[notification.type]) navigate(TYPE_LINKS[notification.type]);
+  };
+
+  return (
+    <div className={clsx('relative', className)} onKeyDown={handleKeyDown}>
+      <button
+        ref={buttonRef}
+        onClick={toggle}
+        className="relative p-2 rounded-lg text-slate-300 hover:text-white hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-sky-400/50"
+        aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        style={{ minWidth: '44px', minHeight: '44px' }}
+      >
+        <BellIcon className="h-6 w-6 mx-auto" aria-hidden="true" />
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-rose-500 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div
+          ref={dropdownRef}
+          className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-slate-800 border border-slate-700 rounded-xl shadow-lg z-50"
+          role="menu"
+          aria-label="Notifications"
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+            <h2 className="text-sm font-semibold text-white">Notifications</h2>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-sky-400 hover:text-sky-300">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-slate-400">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-slate-700">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => openNotification(notification)}
+                    className={clsx(
+                      'w-full flex gap-3 px-4 py-3 text-left hover:bg-slate-700/60',
+                      !notification.read && 'bg-sky-500/5'
+                    )}
+                    role="menuitem"
+                  >
+                    <span aria-hidden="true">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                    <span className="flex-1 min-w-0">
+                      <span className={clsx('block text-sm', notification.read ? 'text-slate-300' : 'text-white font-medium')}>
+                        {notification.title}
+                      </span>
+                      {notification.body && (
+                        <span className="block text-xs text-slate-400 truncate">{notification.body}</span>
+                      )}
+                      <span className="block text-xs text-slate-500 mt-0.5">{formatAge(notification.createdAt)}</span>
+                    </span>
+                    {!notification.read && (
+                      <span className="mt-1.5 h-2 w-2 rounded-full bg-sky-400 flex-shrink-0" aria-label="Unread" />
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
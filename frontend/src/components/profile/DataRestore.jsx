@@ -0,0 +1,206 @@
+/**
+ * Data Restore Component
+ *
+ * Upload a profile export and rebuild the library and preferences from it
+ * Features: merge or replace mode, dry-run preview with conflict report, confirm to apply
+ */
+import React, { useState } from 'react';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+
+const MODES = [
+  { id: 'merge', label: 'Merge', help: 'Add games that are missing; games already in your library are kept as they are' },
+  { id: 'replace', label: 'Replace', help: 'Delete your current library, collections and tags, then rebuild them from the file' },
+];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleDateString();
+  return String(value);
+};
+
+const DataRestore = () => {
+  const [exportData, setExportData] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [report, setReport] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const runRestore = async (data, restoreMode, dryRun) => {
+    const response = await fetch('/api/profile/restore', {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('token')}`,
+      },
+      body: JSON.stringify({ data, mode: restoreMode, dryRun }),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || 'Failed to restore profile data');
+    }
+    return body;
+  };
+
+  const preview = async (data, restoreMode) => {
+    try {
+      setWorking(true);
+      setReport(await runRestore(data, restoreMode, true));
+    } catch (error) {
+      toast.error(error.message);
+      setReport(null);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      toast.error('That file is not valid JSON. Choose the JSON export (or export.json from the zip).');
+      return;
+    }
+
+    setExportData(data);
+    setFileName(file.name);
+    await preview(data, mode);
+  };
+
+  const handleModeChange = (restoreMode) => {
+    setMode(restoreMode);
+    if (exportData) preview(exportData, restoreMode);
+  };
+
+  const handleRestore = async () => {
+    if (mode === 'replace' && !confirm('Replace your whole library with the contents of this file? Games not in the file will be deleted.')) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      const result = await runRestore(exportData, mode, false);
+      setReport(result);
+      setExportData(null);
+      toast.success(`Restored ${result.games.created} game${result.games.created === 1 ? '' : 's'}`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="inline-flex items-center px-4 py-2 border border-slate-600 text-sm font-medium rounded-lg text-slate-300 bg-slate-800 hover:bg-slate-700 cursor-pointer transition-colors">
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            disabled={working}
+            className="sr-only"
+          />
+          <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+          Choose Export File
+        </label>
+        {fileName && <span className="text-xs text-slate-400">{fileName}</span>}
+      </div>
+
+      <fieldset className="space-y-2">
+        <legend className="sr-only">Restore mode</legend>
+        {MODES.map(option => (
+          <label key={option.id} className="flex items-start space-x-2 text-sm">
+            <input
+              type="radio"
+              name="restore-mode"
+              value={option.id}
+              checked={mode === option.id}
+              onChange={() => handleModeChange(option.id)}
+              disabled={working}
+              className="mt-1 accent-sky-500"
+            />
+            <span>
+              <span className="text-white">{option.label}</span>
+              <span className="block text-xs text-slate-400">{option.help}</span>
+            </span>
+          </label>
+        ))}
+      </fieldset>
+
+      {report && (
+        <div className="rounded-lg border border-slate-600 bg-slate-800/60 p-4 space-y-3" role="status">
+          <p className="text-sm text-slate-300">
+            {report.dryRun ? 'Preview' : 'Restored'} (export version {report.exportVersion}):{' '}
+            {report.games.created} game{report.games.created === 1 ? '' : 's'} to add
+            {report.games.skipped > 0 && `, ${report.games.skipped} already in your library`}
+            {report.games.deleted > 0 && `, ${report.games.deleted} current games removed`}
+            {report.games.invalid > 0 && `, ${report.games.invalid} unreadable`}
+            ; {report.sessions} play sessions, {report.ownerships ?? 0} owned copies, {report.statusHistory} status changes, {report.collections} collections
+          </p>
+
+          {report.warnings.length > 0 && (
+            <ul className="text-xs text-amber-400 list-disc list-inside">
+              {report.warnings.map(warning => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+
+          {report.conflicts.length > 0 && (
+            <div>
+              <p className="text-xs font-medium text-slate-300 mb-2">
+                {report.conflicts.length} game{report.conflicts.length === 1 ? ' differs' : 's differ'} from your library
+                {mode === 'merge' ? ' (your current version is kept)' : ' (the file\'s version will be used)'}
+              </p>
+              <div className="max-h-60 overflow-y-auto">
+                <table className="w-full text-xs text-left">
+                  <thead className="text-slate-500">
+                    <tr>
+                      <th className="py-1 pr-2">Game</th>
+                      <th className="py-1 pr-2">Field</th>
+                      <th className="py-1 pr-2">In library</th>
+                      <th className="py-1">In file</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-slate-300">
+                    {report.conflicts.flatMap(conflict => conflict.differences.map((difference, index) => (
+                      <tr key={`${conflict.igdbId}-${difference.field}`} className="border-t border-slate-700">
+                        <td className="py-1 pr-2">{index === 0 ? conflict.name : ''}</td>
+                        <td className="py-1 pr-2 text-slate-400">{difference.field}</td>
+                        <td className="py-1 pr-2">{formatValue(difference.current)}</td>
+                        <td className="py-1">{formatValue(difference.exported)}</td>
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {report.dryRun && exportData && (
+            <button
+              onClick={handleRestore}
+              disabled={working}
+              className={`inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${
+                mode === 'replace'
+                  ? 'border border-red-600 text-red-400 bg-red-600/10 hover:bg-red-600 hover:text-white'
+                  : 'border border-sky-600 text-sky-300 bg-sky-600/10 hover:bg-sky-600 hover:text-white'
+              }`}
+            >
+              {working ? 'Restoring...' : mode === 'replace' ? 'Replace My Library' : 'Restore Missing Games'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataRestore;
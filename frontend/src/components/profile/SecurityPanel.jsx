@@ -9,11 +9,19 @@ import {
   ExclamationTriangleIcon 
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
+import DataRestore from './DataRestore';
+
+const EXPORT_POLL_INTERVAL = 3000;
 
 const SecurityPanel = ({ profile, onUpdate }) => {
   const [sessions, setSessions] = useState([]);
   const [loadingSessions, setLoadingSessions] = useState(true);
   const [showDangerZone, setShowDangerZone] = useState(false);
+  const [exportFormat, setExportFormat] = useState('json');
+  const [exporting, setExporting] = useState(false);
+  const [deletion, setDeletion] = useState(profile?.deletion ?? null);
+  const [deleteConfirmation, setDeleteConfirmation] = useState('');
+  const [deleting, setDeleting] = useState(false);
 
   // Fetch user sessions
   useEffect(() => {
@@ -43,36 +51,85 @@ const SecurityPanel = ({ profile, onUpdate }) => {
     fetchSessions();
   }, []);
 
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+  });
+
+  const saveDownload = async (response, fallbackName) => {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+
+    // Create download link
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  // Large accounts get a background job; poll it until the file is ready
+  const waitForExportJob = async (job) => {
+    let current = job;
+    while (current.status === 'pending' || current.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, EXPORT_POLL_INTERVAL));
+      const response = await fetch(`/api/profile/export/jobs/${current.id}`, {
+        credentials: 'include',
+        headers: authHeaders(),
+      });
+      if (!response.ok) {
+        throw new Error('Failed to check export status');
+      }
+      current = (await response.json()).job;
+    }
+
+    if (current.status !== 'ready') {
+      throw new Error(current.error || 'Export failed');
+    }
+    return current;
+  };
+
   const handleExportData = async () => {
     try {
+      setExporting(true);
       toast.loading('Preparing your data export...', { id: 'export' });
-      
-      const response = await fetch('/api/profile/export', {
+
+      const response = await fetch(`/api/profile/export?format=${exportFormat}`, {
         credentials: 'include',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
+        headers: authHeaders(),
       });
 
       if (!response.ok) {
         throw new Error('Failed to export data');
       }
 
-      // Create download link
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `profile-export-${new Date().toISOString().slice(0, 10)}.json`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      const fallbackName = `profile-export-${new Date().toISOString().slice(0, 10)}.${exportFormat}`;
+
+      if (response.status === 202) {
+        toast.loading('Your library is large, so the export is being built in the background...', { id: 'export' });
+        const { job } = await response.json();
+        const ready = await waitForExportJob(job);
+        const download = await fetch(ready.downloadUrl, {
+          credentials: 'include',
+          headers: authHeaders(),
+        });
+        if (!download.ok) {
+          throw new Error('Failed to download export');
+        }
+        await saveDownload(download, ready.fileName || fallbackName);
+      } else {
+        await saveDownload(response, fallbackName);
+      }
 
       toast.success('Profile data exported successfully', { id: 'export' });
     } catch (error) {
       console.error('Export error:', error);
       toast.error('Failed to export profile data', { id: 'export' });
+    } finally {
+      setExporting(false);
     }
   };
 
@@ -98,6 +155,59 @@ const SecurityPanel = ({ profile, onUpdate }) => {
     return ComputerDesktopIcon;
   };
 
+  const handleRequestDeletion = async () => {
+    try {
+      setDeleting(true);
+      const response = await fetch('/api/profile', {
+        method: 'DELETE',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        },
+        body: JSON.stringify({ confirmation: deleteConfirmation }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to request account deletion');
+      }
+
+      setDeletion(data.deletion);
+      setDeleteConfirmation('');
+      toast.success('Your account is scheduled for deletion');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      setDeleting(true);
+      const response = await fetch('/api/profile/deletion/cancel', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        },
+      });
+
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to cancel account deletion');
+      }
+
+      setDeletion(null);
+      toast.success('Account deletion cancelled');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
   const SecurityCard = ({ title, description, children, variant = 'default' }) => {
     const bgColor = variant === 'danger' ? 'bg-red-500/10 border-red-500/20' : 'bg-slate-700/50 border-slate-600';
     
@@ -238,18 +348,39 @@ const SecurityPanel = ({ profile, onUpdate }) => {
               title="Data Export"
               description="Download a copy of your account data (GDPR compliant)"
             >
-              <button
-                onClick={handleExportData}
-                className="inline-flex items-center px-4 py-2 border border-slate-600 text-sm font-medium rounded-lg text-slate-300 bg-slate-800 hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:ring-offset-2 focus:ring-offset-slate-900 transition-colors"
-              >
-                <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
-                Export My Data
-              </button>
+              <div className="flex flex-wrap items-center gap-3">
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  disabled={exporting}
+                  aria-label="Export format"
+                  className="px-3 py-2 text-sm bg-slate-800 border border-slate-600 rounded-lg text-slate-300 focus:outline-none focus:ring-2 focus:ring-slate-500"
+                >
+                  <option value="json">JSON (single file)</option>
+                  <option value="zip">ZIP (JSON + CSV spreadsheets)</option>
+                </select>
+                <button
+                  onClick={handleExportData}
+                  disabled={exporting}
+                  className="inline-flex items-center px-4 py-2 border border-slate-600 text-sm font-medium rounded-lg text-slate-300 bg-slate-800 hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:ring-offset-2 focus:ring-offset-slate-900 transition-colors disabled:opacity-50"
+                >
+                  <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                  {exporting ? 'Exporting...' : 'Export My Data'}
+                </button>
+              </div>
               <p className="text-xs text-slate-500 mt-2">
-                Includes profile information, preferences, and gaming data
+                Includes your profile, preferences, every library game with notes and progress,
+                status history, play sessions, collections and tags
               </p>
             </SecurityCard>
 
+            <SecurityCard
+              title="Restore From Export"
+              description="Rebuild your library and preferences from a profile export file"
+            >
+              <DataRestore />
+            </SecurityCard>
+
             <SecurityCard
               title="Privacy Settings"
               description="Control how your information is shared"
@@ -276,7 +407,7 @@ const SecurityPanel = ({ profile, onUpdate }) => {
             </button>
           </div>
           
-          {showDangerZone && (
+          {(showDangerZone || deletion) && (
             <SecurityCard
               title="Delete Account"
               description="Permanently delete your account and all associated data"
@@ -284,20 +415,51 @@ const SecurityPanel = ({ profile, onUpdate }) => {
             >
               <div className="flex items-start space-x-3">
                 <ExclamationTriangleIcon className="h-5 w-5 text-red-400 mt-0.5 flex-shrink-0" />
-                <div className="flex-1">
-                  <p className="text-sm text-red-300 mb-3">
-                    This action cannot be undone. This will permanently delete your account,
-                    profile information, and remove all associated data from our servers.
-                  </p>
-                  <button
-                    onClick={() => {
-                      toast.error('Account deletion feature coming soon');
-                    }}
-                    className="inline-flex items-center px-4 py-2 border border-red-600 text-sm font-medium rounded-lg text-red-400 bg-red-600/10 hover:bg-red-600 hover:text-white focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 focus:ring-offset-slate-900 transition-colors"
-                  >
-                    Delete My Account
-                  </button>
-                </div>
+                {deletion ? (
+                  <div className="flex-1">
+                    <p className="text-sm text-red-300 mb-3" role="status">
+                      Your account will be deleted on{' '}
+                      <span className="font-medium">{new Date(deletion.scheduledFor).toLocaleString()}</span>.
+                      Until then you can change your mind and keep everything as it is.
+                    </p>
+                    <button
+                      onClick={handleCancelDeletion}
+                      disabled={deleting}
+                      className="inline-flex items-center px-4 py-2 border border-slate-600 text-sm font-medium rounded-lg text-slate-300 bg-slate-800 hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:ring-offset-2 focus:ring-offset-slate-900 disabled:opacity-50 transition-colors"
+                    >
+                      {deleting ? 'Cancelling...' : 'Cancel Deletion'}
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex-1">
+                    <p className="text-sm text-red-300 mb-3">
+                      Your account, library, play history, collections, uploaded avatar and exports will be
+                      erased after a 7-day grace period, and you will be signed out everywhere. You can cancel
+                      any time before then; after that it cannot be undone.
+                    </p>
+                    <label htmlFor="delete-confirmation" className="block text-xs text-slate-400 mb-1">
+                      Type <span className="font-mono text-slate-300">{profile?.email}</span> to confirm
+                    </label>
+                    <input
+                      id="delete-confirmation"
+                      type="email"
+                      value={deleteConfirmation}
+                      onChange={(e) => setDeleteConfirmation(e.target.value)}
+                      autoComplete="off"
+                      className="w-full sm:w-80 mb-3 px-3 py-2 bg-slate-800 border border-slate-600 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                    <div>
+                      <button
+                        onClick={handleRequestDeletion}
+                        disabled={deleting || deleteConfirmation.trim().toLowerCase() !== profile?.email?.toLowerCase()}
+                        className="inline-flex items-center px-4 py-2 border border-red-600 text-sm font-medium rounded-lg text-red-400 bg-red-600/10 hover:bg-red-600 hover:text-white focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 focus:ring-offset-slate-900 disabled:opacity-50 disabled:hover:bg-red-600/10 disabled:hover:text-red-400 transition-colors"
+                      >
+                        <TrashIcon className="h-4 w-4 mr-2" />
+                        {deleting ? 'Scheduling...' : 'Delete My Account'}
+                      </button>
+                    </div>
+                  </div>
+                )}
               </div>
             </SecurityCard>
           )}
@@ -29,6 +29,7 @@ const SettingsPanel = ({ profile, onUpdate }) => {
         gameUpdates: profile?.preferences?.notifications?.gameUpdates ?? true,
         achievements: profile?.preferences?.notifications?.achievements ?? true,
         system: profile?.preferences?.notifications?.system ?? true,
+        email: profile?.preferences?.notifications?.email ?? true,
       },
       privacy: {
         profileVisible: profile?.preferences?.privacy?.profileVisible ?? true,
@@ -55,6 +56,7 @@ const SettingsPanel = ({ profile, onUpdate }) => {
       setValue('notifications.gameUpdates', profile.preferences?.notifications?.gameUpdates ?? true);
       setValue('notifications.achievements', profile.preferences?.notifications?.achievements ?? true);
       setValue('notifications.system', profile.preferences?.notifications?.system ?? true);
+      setValue('notifications.email', profile.preferences?.notifications?.email ?? true);
       setValue('privacy.profileVisible', profile.preferences?.privacy?.profileVisible ?? true);
       setValue('privacy.statisticsVisible', profile.preferences?.privacy?.statisticsVisible ?? true);
       setValue('gaming.favoriteGenres', profile.preferences?.gaming?.favoriteGenres || []);
@@ -90,6 +92,7 @@ const SettingsPanel = ({ profile, onUpdate }) => {
     setValue('notifications.gameUpdates', profile?.preferences?.notifications?.gameUpdates ?? true);
     setValue('notifications.achievements', profile?.preferences?.notifications?.achievements ?? true);
     setValue('notifications.system', profile?.preferences?.notifications?.system ?? true);
+    setValue('notifications.email', profile?.preferences?.notifications?.email ?? true);
     setValue('privacy.profileVisible', profile?.preferences?.privacy?.profileVisible ?? true);
     setValue('privacy.statisticsVisible', profile?.preferences?.privacy?.statisticsVisible ?? true);
     setValue('gaming.favoriteGenres', profile?.preferences?.gaming?.favoriteGenres || []);
@@ -230,6 +233,13 @@ const SettingsPanel = ({ profile, onUpdate }) => {
                 checked={watchedValues.notifications?.system}
                 onChange={(checked) => setValue('notifications.system', checked)}
               />
+              <ToggleSwitch
+                name="notifications.email"
+                label="Email Updates"
+                description="Welcome and other optional emails; account emails are always sent"
+                checked={watchedValues.notifications?.email}
+                onChange={(checked) => setValue('notifications.email', checked)}
+              />
             </div>
           </div>
         </div>
@@ -2,26 +2,77 @@
  * Dashboard Page Component
  * User Story #9: Implement Protected Routes and Authentication Guards
  * User Story #13: UX Design Optimization - Enhanced loading states and user feedback
- * 
+ *
  * Main dashboard for authenticated users - first protected route
+ * Renders the /api/dashboard aggregate: backlog counts, games in progress,
+ * upcoming wishlist releases, recent activity and a suggested next game
  */
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthProvider';
 import { DashboardCardSkeleton } from '../components/ui/SkeletonLoader';
-import LoadingSpinner from '../components/ui/LoadingSpinner';
+import RecommendationCard from '../components/games/RecommendationCard';
 import { toast } from 'react-hot-toast';
 import { useAnnouncer } from '../components/ui/Accessibility';
+import { api } from '../utils/api';
+import { formatStatus } from '../utils/gameStatus';
+
+const formatHours = (minutes) => {
+  if (!minutes) return 'Not played yet';
+  const hours = Math.round((minutes / 60) * 10) / 10;
+  return hours < 1 ? `${minutes}m played` : `${hours}h played`;
+};
+
+const formatRelative = (value) => {
+  const days = Math.floor((Date.now() - new Date(value)) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'Today';
+  if (days === 1) return 'Yesterday';
+  if (days < 30) return `${days} days ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+const formatReleaseDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+const describeActivity = (entry) => {
+  switch (entry.type) {
+    case 'added':
+      return `Added to ${formatStatus(entry.toStatus)}`;
+    case 'status':
+      return `${formatStatus(entry.fromStatus)} → ${formatStatus(entry.toStatus)}`;
+    case 'session':
+      return entry.running ? 'Playing now' : `Played for ${entry.minutes} min`;
+    default:
+      return '';
+  }
+};
+
+const GameThumb = ({ game, size = 'w-10 h-14' }) => (
+  game.coverUrl ? (
+    <img src={game.coverUrl} alt="" className={`${size} object-cover rounded flex-shrink-0`} />
+  ) : (
+    <div className={`${size} bg-slate-700 rounded flex-shrink-0 flex items-center justify-center`} aria-hidden="true">🎮</div>
+  )
+);
+
+const StatCard = ({ title, icon, value, caption, color, hover }) => (
+  <div className={`bg-slate-800 rounded-xl border border-slate-700 p-6 ${hover} transition-colors duration-200`}>
+    <div className="flex items-center justify-between mb-4">
+      <h3 className="text-lg font-semibold text-white">{title}</h3>
+      <div className="text-2xl">{icon}</div>
+    </div>
+    <p className={`text-3xl font-bold ${color} mb-2`}>{value}</p>
+    <p className="text-sm text-slate-400">{caption}</p>
+  </div>
+);
 
 const Dashboard = () => {
-  const { user } = useAuth();
+  const { user, accessToken } = useAuth();
+  const navigate = useNavigate();
   const { announceLoading, announceLoadingComplete, announceSuccess, announceError } = useAnnouncer();
   const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    backlog: 0,
-    playing: 0,
-    completed: 0
-  });
-  const [actionLoading, setActionLoading] = useState(null);
+  const [dashboard, setDashboard] = useState(null);
+  const [showRecommendation, setShowRecommendation] = useState(false);
 
   const getGreeting = () => {
     const hour = new Date().getHours();
@@ -30,25 +81,15 @@ const Dashboard = () => {
     return 'Good evening';
   };
 
-  // Simulate loading dashboard data
   useEffect(() => {
+    if (!accessToken) return;
+
     const loadDashboardData = async () => {
       try {
         setLoading(true);
         announceLoading('Loading your gaming dashboard');
-        
-        // Simulate API call
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Mock data - in real app, this would come from API
-        setStats({
-          backlog: 12,
-          playing: 3,
-          completed: 47
-        });
-        
+        setDashboard(await api.dashboard.get(accessToken));
         announceLoadingComplete('Dashboard loaded successfully');
-        toast.success('Dashboard updated');
       } catch (error) {
         console.error('Failed to load dashboard:', error);
         announceError('Failed to load dashboard data');
@@ -59,56 +100,37 @@ const Dashboard = () => {
     };
 
     loadDashboardData();
-  }, [announceLoading, announceLoadingComplete, announceError]);
+  }, [accessToken, announceLoading, announceLoadingComplete, announceError]);
 
-  const handleQuickAction = async (action) => {
-    setActionLoading(action);
-    
-    try {
-      // Announce the action is starting
-      const actionMessages = {
-        add: 'Adding new game to your library',
-        library: 'Opening your game library',
-        random: 'Finding a random game recommendation',
-        stats: 'Loading your gaming statistics'
-      };
-      
-      announceLoading(actionMessages[action] || 'Processing action');
-      
-      // Simulate action processing
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      switch (action) {
-        case 'add':
-          announceSuccess('Ready to add your first game');
-          toast.success('Ready to add your first game!');
-          break;
-        case 'library':
-          announceSuccess('Opening your library');
-          toast.success('Opening your library...');
-          break;
-        case 'random':
-          announceSuccess('Found a random game recommendation');
-          toast.success('🎲 Found a random game for you!');
-          break;
-        case 'stats':
-          announceSuccess('Gaming statistics loaded');
-          toast.success('📊 Loading your gaming statistics...');
-          break;
-        default:
-          announceSuccess('Action completed');
-          toast.success('Action completed!');
-      }
-    } catch (error) {
-      announceError('Action failed. Please try again.');
-      toast.error('Action failed. Please try again.');
-    } finally {
-      setActionLoading(null);
+  const handleQuickAction = (action) => {
+    switch (action) {
+      // Recommendations come from the API, the card handles its own loading state
+      case 'random':
+        setShowRecommendation(true);
+        announceSuccess('Showing a game recommendation from your backlog');
+        break;
+      case 'add':
+        navigate('/library', { state: { showSearch: true } });
+        break;
+      case 'library':
+        navigate('/library');
+        break;
+      case 'stats':
+        navigate('/library', { state: { showStats: true } });
+        break;
+      default:
+        break;
     }
   };
 
+  const counts = dashboard?.counts;
+  const suggestion = dashboard?.suggestion;
+  const completionRate = counts?.total
+    ? Math.round((counts.byStatus.completed / counts.total) * 100)
+    : 0;
+
   return (
-    <main 
+    <main
       className="min-h-screen bg-slate-900 py-8"
       id="main-content"
       role="main"
@@ -127,7 +149,7 @@ const Dashboard = () => {
 
         {/* Primary Metric Display - Single Focus Design */}
         <div className="mb-12">
-          {loading ? (
+          {loading || !counts ? (
             <div className="bg-slate-800 rounded-xl border border-slate-700 p-12 text-center">
               <DashboardCardSkeleton />
             </div>
@@ -135,48 +157,35 @@ const Dashboard = () => {
             <div className="bg-gradient-to-br from-slate-800 to-slate-700 rounded-xl border border-slate-700 p-12 text-center">
               <div className="max-w-md mx-auto">
                 <div className="text-6xl mb-6">📚</div>
-                <h2 className="text-5xl font-bold text-sky-400 mb-4">{stats.backlog}</h2>
+                <h2 className="text-5xl font-bold text-sky-400 mb-4">{counts.backlog}</h2>
                 <p className="text-xl text-slate-300 mb-8">
-                  {stats.backlog === 0 ? 'No games in your backlog yet' : 'Games in your backlog'}
+                  {counts.backlog === 0 ? 'No games in your backlog yet' : 'Games in your backlog'}
                 </p>
-                
-                {stats.backlog === 0 ? (
-                  <button 
+
+                {counts.total === 0 ? (
+                  <button
                     onClick={() => handleQuickAction('add')}
-                    disabled={actionLoading === 'add'}
-                    className="inline-flex items-center justify-center px-8 py-4 text-lg font-bold rounded-xl !text-white bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-600 disabled:opacity-75 border border-emerald-500/30 hover:border-emerald-400/50 shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:ring-offset-2 focus:ring-offset-slate-900 transition-all duration-200 hover:-translate-y-0.5 disabled:transform-none disabled:cursor-not-allowed min-h-[56px]"
+                    className="inline-flex items-center justify-center px-8 py-4 text-lg font-bold rounded-xl !text-white bg-emerald-600 hover:bg-emerald-700 border border-emerald-500/30 hover:border-emerald-400/50 shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:ring-offset-2 focus:ring-offset-slate-900 transition-all duration-200 hover:-translate-y-0.5 min-h-[56px]"
                   >
-                    {actionLoading === 'add' ? (
-                      <>
-                        <LoadingSpinner size="sm" color="white" className="mr-3" />
-                        Getting Started...
-                      </>
-                    ) : (
-                      <>
-                        <span className="text-2xl mr-3">➕</span>
-                        Add Your First Game
-                      </>
-                    )}
+                    <span className="text-2xl mr-3">➕</span>
+                    Add Your First Game
                   </button>
                 ) : (
                   <div className="space-y-4">
-                    <p className="text-slate-400">Ready to start playing?</p>
-                    <button 
+                    {suggestion ? (
+                      <p className="text-slate-400">
+                        Up next: <span className="text-white font-semibold">{suggestion.game.name}</span>
+                        {suggestion.reasons[0] && <span className="block text-sm mt-1">{suggestion.reasons[0].message}</span>}
+                      </p>
+                    ) : (
+                      <p className="text-slate-400">Ready to start playing?</p>
+                    )}
+                    <button
                       onClick={() => handleQuickAction('random')}
-                      disabled={actionLoading === 'random'}
-                      className="inline-flex items-center justify-center px-6 py-4 text-base font-semibold rounded-xl text-white bg-gradient-to-r from-sky-600 to-sky-700 hover:from-sky-700 hover:to-sky-800 disabled:from-sky-700 disabled:to-sky-700 disabled:opacity-75 border border-sky-500/30 hover:border-sky-400/50 shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-sky-400 focus:ring-offset-2 focus:ring-offset-slate-900 transition-all duration-200 hover:-translate-y-0.5 disabled:transform-none disabled:cursor-not-allowed min-h-[52px]"
+                      className="inline-flex items-center justify-center px-6 py-4 text-base font-semibold rounded-xl text-white bg-gradient-to-r from-sky-600 to-sky-700 hover:from-sky-700 hover:to-sky-800 border border-sky-500/30 hover:border-sky-400/50 shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-sky-400 focus:ring-offset-2 focus:ring-offset-slate-900 transition-all duration-200 hover:-translate-y-0.5 min-h-[52px]"
                     >
-                      {actionLoading === 'random' ? (
-                        <>
-                          <LoadingSpinner size="sm" color="white" className="mr-2" />
-                          Picking...
-                        </>
-                      ) : (
-                        <>
-                          <span className="text-xl mr-2">🎲</span>
-                          Pick a Random Game
-                        </>
-                      )}
+                      <span className="text-xl mr-2">🎲</span>
+                      What Should I Play?
                     </button>
                   </div>
                 )}
@@ -185,8 +194,15 @@ const Dashboard = () => {
           )}
         </div>
 
+        {showRecommendation && (
+          <RecommendationCard
+            accessToken={accessToken}
+            onClose={() => setShowRecommendation(false)}
+          />
+        )}
+
         {/* Progressive Disclosure: Secondary Stats */}
-        {!loading && stats.backlog > 0 && (
+        {!loading && counts?.total > 0 && (
           <div className="mb-12">
             <details className="group">
               <summary className="cursor-pointer text-slate-400 hover:text-slate-300 transition-colors mb-6 flex items-center justify-center">
@@ -195,83 +211,117 @@ const Dashboard = () => {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
                 </svg>
               </summary>
-              
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
-                {/* Currently Playing */}
-                <div className="bg-slate-800 rounded-xl border border-slate-700 p-6 hover:border-yellow-500 transition-colors duration-200">
-                  <div className="flex items-center justify-between mb-4">
-                    <h3 className="text-lg font-semibold text-white">Currently Playing</h3>
-                    <div className="text-2xl">🎯</div>
-                  </div>
-                  <p className="text-3xl font-bold text-yellow-400 mb-2">{stats.playing}</p>
-                  <p className="text-sm text-slate-400">Active games</p>
-                </div>
 
-                {/* Completed */}
-                <div className="bg-slate-800 rounded-xl border border-slate-700 p-6 hover:border-green-500 transition-colors duration-200">
-                  <div className="flex items-center justify-between mb-4">
-                    <h3 className="text-lg font-semibold text-white">Completed</h3>
-                    <div className="text-2xl">✅</div>
-                  </div>
-                  <p className="text-3xl font-bold text-green-400 mb-2">{stats.completed}</p>
-                  <p className="text-sm text-slate-400">Games finished</p>
-                </div>
-
-                {/* Completion Rate */}
-                <div className="bg-slate-800 rounded-xl border border-slate-700 p-6 hover:border-purple-500 transition-colors duration-200">
-                  <div className="flex items-center justify-between mb-4">
-                    <h3 className="text-lg font-semibold text-white">Completion Rate</h3>
-                    <div className="text-2xl">📊</div>
-                  </div>
-                  <p className="text-3xl font-bold text-purple-400 mb-2">
-                    {Math.round((stats.completed / (stats.backlog + stats.playing + stats.completed)) * 100)}%
-                  </p>
-                  <p className="text-sm text-slate-400">Games completed</p>
-                </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
+                <StatCard
+                  title="Currently Playing"
+                  icon="🎯"
+                  value={counts.byStatus.playing}
+                  caption="Active games"
+                  color="text-yellow-400"
+                  hover="hover:border-yellow-500"
+                />
+                <StatCard
+                  title="Completed"
+                  icon="✅"
+                  value={counts.byStatus.completed}
+                  caption="Games finished"
+                  color="text-green-400"
+                  hover="hover:border-green-500"
+                />
+                <StatCard
+                  title="Completion Rate"
+                  icon="📊"
+                  value={`${completionRate}%`}
+                  caption={`Of ${counts.total} games in your library`}
+                  color="text-purple-400"
+                  hover="hover:border-purple-500"
+                />
               </div>
             </details>
           </div>
         )}
 
+        {/* Currently Playing and Upcoming Releases */}
+        {!loading && dashboard && (dashboard.playing.length > 0 || dashboard.upcomingReleases.length > 0) && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-12">
+            <section className="lg:col-span-2 bg-slate-800 rounded-xl border border-slate-700 p-6">
+              <h2 className="text-2xl font-bold text-white mb-6">Currently Playing</h2>
+              {dashboard.playing.length === 0 ? (
+                <p className="text-slate-400">Nothing in progress. Pick something from your backlog!</p>
+              ) : (
+                <ul className="space-y-4">
+                  {dashboard.playing.map(game => (
+                    <li key={game.id}>
+                      <div className="flex items-center space-x-4">
+                        <GameThumb game={game} />
+                        <div className="flex-1 min-w-0">
+                          <div className="flex justify-between items-baseline">
+                            <p className="text-white font-medium truncate">{game.name}</p>
+                            <span className="text-xs text-slate-400 ml-2 flex-shrink-0">{formatHours(game.minutesPlayed)}</span>
+                          </div>
+                          {game.progress?.percent !== null && game.progress?.percent !== undefined ? (
+                            <div className="mt-2 flex items-center gap-2">
+                              <div className="flex-1 h-2 bg-slate-700 rounded-full overflow-hidden">
+                                <div className="h-full bg-sky-500" style={{ width: `${game.progress.percent}%` }} />
+                              </div>
+                              <span className="text-xs text-slate-400 w-9 text-right">{game.progress.percent}%</span>
+                            </div>
+                          ) : (
+                            <p className="text-xs text-slate-500 mt-1">
+                              {game.lastPlayedAt ? `Last played ${formatRelative(game.lastPlayedAt).toLowerCase()}` : 'No progress tracked'}
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            <section className="bg-slate-800 rounded-xl border border-slate-700 p-6">
+              <h2 className="text-2xl font-bold text-white mb-6">Coming Soon</h2>
+              {dashboard.upcomingReleases.length === 0 ? (
+                <p className="text-slate-400">No upcoming releases on your wishlist</p>
+              ) : (
+                <ul className="space-y-4">
+                  {dashboard.upcomingReleases.map(game => (
+                    <li key={game.id}>
+                      <div className="flex items-center space-x-3">
+                        <GameThumb game={game} size="w-8 h-11" />
+                        <div className="min-w-0">
+                          <p className="text-white text-sm font-medium truncate">{game.name}</p>
+                          <p className="text-xs text-slate-400">{formatReleaseDate(game.releaseDate)}</p>
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </div>
+        )}
+
         {/* Simplified Quick Actions - Limited to 2 Primary Actions */}
         {!loading && (
           <div className="bg-slate-800 rounded-xl border border-slate-700 p-8 mb-12">
             <h2 className="text-2xl font-bold text-white mb-6">Quick Actions</h2>
             <div className="flex flex-col sm:flex-row gap-4 justify-center max-w-md mx-auto">
-              <button 
+              <button
                 onClick={() => handleQuickAction('add')}
-                disabled={actionLoading === 'add'}
-                className="flex items-center justify-center px-6 py-4 bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 disabled:from-emerald-700 disabled:to-emerald-700 disabled:opacity-75 rounded-xl text-white font-semibold border border-emerald-500/30 hover:border-emerald-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 disabled:transform-none disabled:cursor-not-allowed min-h-[56px] flex-1"
+                className="flex items-center justify-center px-6 py-4 bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 rounded-xl text-white font-semibold border border-emerald-500/30 hover:border-emerald-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 min-h-[56px] flex-1"
               >
-                {actionLoading === 'add' ? (
-                  <>
-                    <LoadingSpinner size="sm" color="white" className="mr-3" />
-                    Adding...
-                  </>
-                ) : (
-                  <>
-                    <span className="text-2xl mr-3">➕</span>
-                    Add Game
-                  </>
-                )}
+                <span className="text-2xl mr-3">➕</span>
+                Add Game
               </button>
-              
-              <button 
+
+              <button
                 onClick={() => handleQuickAction('library')}
-                disabled={actionLoading === 'library'}
-                className="flex items-center justify-center px-6 py-4 bg-gradient-to-r from-violet-600 to-violet-700 hover:from-violet-700 hover:to-violet-800 disabled:from-violet-700 disabled:to-violet-700 disabled:opacity-75 rounded-xl text-white font-semibold border border-violet-500/30 hover:border-violet-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 disabled:cursor-not-allowed min-h-[56px] flex-1"
+                className="flex items-center justify-center px-6 py-4 bg-gradient-to-r from-violet-600 to-violet-700 hover:from-violet-700 hover:to-violet-800 rounded-xl text-white font-semibold border border-violet-500/30 hover:border-violet-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 min-h-[56px] flex-1"
               >
-                {actionLoading === 'library' ? (
-                  <>
-                    <LoadingSpinner size="sm" color="white" className="mr-3" />
-                    Loading...
-                  </>
-                ) : (
-                  <>
-                    <span className="text-2xl mr-3">📖</span>
-                    View Library
-                  </>
-                )}
+                <span className="text-2xl mr-3">📖</span>
+                View Library
               </button>
             </div>
 
@@ -284,42 +334,22 @@ const Dashboard = () => {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
                   </svg>
                 </summary>
-                
+
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4 max-w-md mx-auto">
-                  <button 
+                  <button
                     onClick={() => handleQuickAction('random')}
-                    disabled={actionLoading === 'random'}
-                    className="flex items-center justify-center p-3 !text-white bg-gradient-to-r from-orange-600 to-orange-700 hover:from-orange-700 hover:to-orange-800 disabled:from-orange-700 disabled:to-orange-700 disabled:opacity-75 rounded-lg font-semibold border border-orange-500/30 hover:border-orange-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 disabled:transform-none disabled:cursor-not-allowed min-h-[48px] text-sm"
+                    className="flex items-center justify-center p-3 !text-white bg-gradient-to-r from-orange-600 to-orange-700 hover:from-orange-700 hover:to-orange-800 rounded-lg font-semibold border border-orange-500/30 hover:border-orange-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 min-h-[48px] text-sm"
                   >
-                    {actionLoading === 'random' ? (
-                      <>
-                        <LoadingSpinner size="sm" color="white" className="mr-2" />
-                        Picking...
-                      </>
-                    ) : (
-                      <>
-                        <span className="text-lg mr-2">🎲</span>
-                        Random Pick
-                      </>
-                    )}
+                    <span className="text-lg mr-2">🎲</span>
+                    Pick for Me
                   </button>
-                  
-                  <button 
+
+                  <button
                     onClick={() => handleQuickAction('stats')}
-                    disabled={actionLoading === 'stats'}
-                    className="flex items-center justify-center p-3 !text-white bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-700 hover:to-cyan-800 disabled:from-cyan-700 disabled:to-cyan-700 disabled:opacity-75 rounded-lg font-semibold border border-cyan-500/30 hover:border-cyan-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 disabled:transform-none disabled:cursor-not-allowed min-h-[48px] text-sm"
+                    className="flex items-center justify-center p-3 !text-white bg-gradient-to-r from-cyan-600 to-cyan-700 hover:from-cyan-700 hover:to-cyan-800 rounded-lg font-semibold border border-cyan-500/30 hover:border-cyan-400/50 shadow-lg hover:shadow-xl transition-all duration-200 hover:-translate-y-0.5 min-h-[48px] text-sm"
                   >
-                    {actionLoading === 'stats' ? (
-                      <>
-                        <LoadingSpinner size="sm" color="white" className="mr-2" />
-                        Loading...
-                      </>
-                    ) : (
-                      <>
-                        <span className="text-lg mr-2">📊</span>
-                        View Stats
-                      </>
-                    )}
+                    <span className="text-lg mr-2">📊</span>
+                    View Stats
                   </button>
                 </div>
               </details>
@@ -330,33 +360,40 @@ const Dashboard = () => {
         {/* Recent Activity */}
         <div className="bg-slate-800 rounded-xl border border-slate-700 p-8">
           <h2 className="text-2xl font-bold text-white mb-6">Recent Activity</h2>
-          <div className="text-center py-12">
-            <div className="text-6xl mb-4">🎮</div>
-            <h3 className="text-xl font-semibold text-white mb-2">
-              Welcome to Game Backlog Tracker!
-            </h3>
-            <p className="text-slate-400 mb-6 max-w-md mx-auto">
-              Start building your gaming library by adding your first game to track your progress and never lose sight of that perfect game to play next.
-            </p>
-            <button 
-              onClick={() => handleQuickAction('add')}
-              disabled={actionLoading === 'add'}
-              className="inline-flex items-center justify-center px-6 py-3 text-base font-semibold rounded-xl !text-white bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 disabled:from-emerald-700 disabled:to-emerald-700 disabled:opacity-75 border border-emerald-500/30 hover:border-emerald-400/50 shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:ring-offset-2 focus:ring-offset-slate-900 transition-all duration-200 hover:-translate-y-0.5 disabled:transform-none disabled:cursor-not-allowed min-h-[48px]"
-            >
-              {actionLoading === 'add' ? (
-                <>
-                  <LoadingSpinner size="sm" color="white" className="mr-2" />
-                  Preparing...
-                </>
-              ) : (
-                'Add Your First Game'
-              )}
-            </button>
-          </div>
+          {dashboard?.recentActivity.length > 0 ? (
+            <ul className="divide-y divide-slate-700">
+              {dashboard.recentActivity.map(entry => (
+                <li key={`${entry.type}-${entry.game.id}-${entry.at}`} className="flex items-center space-x-4 py-3">
+                  <GameThumb game={entry.game} size="w-8 h-11" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white font-medium truncate">{entry.game.name}</p>
+                    <p className="text-sm text-slate-400">{describeActivity(entry)}</p>
+                  </div>
+                  <span className="text-xs text-slate-500 flex-shrink-0">{formatRelative(entry.at)}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="text-center py-12">
+              <div className="text-6xl mb-4">🎮</div>
+              <h3 className="text-xl font-semibold text-white mb-2">
+                Welcome to Game Backlog Tracker!
+              </h3>
+              <p className="text-slate-400 mb-6 max-w-md mx-auto">
+                Start building your gaming library by adding your first game to track your progress and never lose sight of that perfect game to play next.
+              </p>
+              <button
+                onClick={() => handleQuickAction('add')}
+                className="inline-flex items-center justify-center px-6 py-3 text-base font-semibold rounded-xl !text-white bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 border border-emerald-500/30 hover:border-emerald-400/50 shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:ring-offset-2 focus:ring-offset-slate-900 transition-all duration-200 hover:-translate-y-0.5 min-h-[48px]"
+              >
+                Add Your First Game
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </main>
   );
 };
 
-export default Dashboard;
\ No newline at end of file
+export default Dashboard;
@@ -0,0 +1,239 @@
+/**
+ * Import Page Component
+ *
+ * Bring an existing game library in from another service, or take it out again
+ * Other apps: pick a source, upload its export, review IGDB matches, then bulk-add
+ * CSV: map spreadsheet columns, preview per-row actions, then import; export with chosen columns
+ */
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthProvider';
+import { api } from '../utils/api';
+import ImportReview from '../components/games/ImportReview';
+import CsvImportPanel from '../components/games/CsvImportPanel';
+import CsvExportPanel from '../components/games/CsvExportPanel';
+
+const PREVIEW_BATCH = 50;
+const IMPORT_BATCH = 500;
+
+const FILE_TYPES = {
+  csv: 'text/csv,.csv',
+  json: 'application/json,.json',
+};
+
+// Confident matches that are not in the library yet start ticked
+const reviewRowFromPreview = (item) => ({
+  ...item,
+  selectedIgdbId: item.match?.igdbId ?? null,
+  status: item.suggestedStatus,
+  include: Boolean(item.match) && !item.alreadyInLibrary && item.confidenceLevel !== 'low',
+});
+
+const Import = () => {
+  const { accessToken } = useAuth();
+  const [sources, setSources] = useState([]);
+  const [sourceId, setSourceId] = useState('steam');
+  const [rows, setRows] = useState([]);
+  const [invalidRows, setInvalidRows] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  const source = sources.find(option => option.id === sourceId);
+
+  useEffect(() => {
+    api.games.import.sources(accessToken)
+      .then(response => setSources(response.sources))
+      .catch(err => toast.error(err.message || 'Failed to load import sources'));
+  }, [accessToken]);
+
+  const handleSourceChange = (id) => {
+    setSourceId(id);
+    setRows([]);
+    setInvalidRows([]);
+    setSummary(null);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !source) return;
+
+    let data = await file.text();
+    if (source.format === 'json') {
+      try {
+        data = JSON.parse(data);
+      } catch {
+        toast.error('That file is not valid JSON');
+        return;
+      }
+    }
+
+    setRows([]);
+    setInvalidRows([]);
+    setSummary(null);
+
+    try {
+      let offset = 0;
+      const matched = [];
+      while (offset !== null) {
+        const response = await api.games.import.preview(source.id, data, offset, PREVIEW_BATCH, accessToken);
+        matched.push(...response.items.map(reviewRowFromPreview));
+        if (offset === 0) setInvalidRows(response.invalid);
+        setProgress({ done: matched.length, total: response.total });
+        setRows([...matched]);
+        offset = response.nextOffset;
+      }
+      toast.success(`Matched ${matched.length} ${source.name} game${matched.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      toast.error(err.message || `Failed to read ${source.name} export`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleImport = async () => {
+    const games = rows
+      .filter(row => row.include)
+      .map(row => {
+        const candidate = row.candidates.find(option => option.igdbId === row.selectedIgdbId);
+        return candidate && {
+          ...candidate,
+          externalId: row.externalId,
+          status: row.status,
+          userRating: row.userRating,
+          notes: row.notes,
+          addedAt: row.addedAt,
+          completedAt: row.completedAt,
+          playtimeMinutes: row.playtimeMinutes,
+          lastPlayedAt: row.lastPlayedAt,
+        };
+      })
+      .filter(Boolean);
+
+    try {
+      setImporting(true);
+      const totals = { created: 0, skipped: 0, failed: 0 };
+      for (let start = 0; start < games.length; start += IMPORT_BATCH) {
+        const response = await api.games.import.games(source.id, games.slice(start, start + IMPORT_BATCH), accessToken);
+        totals.created += response.created;
+        totals.skipped += response.skipped;
+        totals.failed += response.failed;
+      }
+      setSummary(totals);
+      setRows([]);
+      toast.success(`Added ${totals.created} game${totals.created === 1 ? '' : 's'} to your library`);
+    } catch (err) {
+      toast.error(err.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-900 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Page Header */}
+        <div className="mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">
+            📥 Import & Export
+          </h1>
+          <p className="text-xl text-slate-400">
+            Bring your existing library in without adding games one by one
+          </p>
+        </div>
+
+        <section className="bg-slate-800 rounded-xl border border-slate-700 p-6 mb-8">
+          <h2 className="text-2xl font-bold text-white mb-2">From another app</h2>
+          <p className="text-slate-400 mb-4">
+            Upload the export from another tracker or store. Each title is matched against IGDB so you can
+            check it before anything is added; statuses, ratings and dates come across where the app has them.
+          </p>
+
+          <div className="flex flex-wrap gap-2 mb-4" role="group" aria-label="Import source">
+            {sources.map(option => (
+              <button
+                key={option.id}
+                onClick={() => handleSourceChange(option.id)}
+                aria-pressed={sourceId === option.id}
+                disabled={progress !== null || importing}
+                className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+                  sourceId === option.id
+                    ? 'text-sky-300 bg-sky-500/10 border-sky-500/40'
+                    : 'text-slate-400 border-slate-600 hover:text-white hover:border-slate-500'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
+
+          {source && (
+            <>
+              <p className="text-sm text-slate-400 mb-4">{source.description}</p>
+              <label className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-slate-700 border border-slate-600 rounded-lg hover:bg-slate-600 cursor-pointer">
+                <input
+                  type="file"
+                  accept={FILE_TYPES[source.format]}
+                  onChange={handleFile}
+                  disabled={progress !== null || importing}
+                  className="sr-only"
+                />
+                Choose {source.name} export…
+              </label>
+            </>
+          )}
+
+          {progress && (
+            <div className="mt-4" aria-live="polite">
+              <div className="flex justify-between text-xs text-slate-400 mb-1">
+                <span>Matching titles with IGDB…</span>
+                <span>{progress.done} / {progress.total}</span>
+              </div>
+              <div className="h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-sky-400 transition-all duration-300"
+                  style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {invalidRows.length > 0 && (
+            <p className="mt-4 text-sm text-amber-400">
+              {invalidRows.length} entr{invalidRows.length === 1 ? 'y was' : 'ies were'} skipped because they have no name
+              (rows: {invalidRows.map(row => row.row).join(', ')}).
+            </p>
+          )}
+
+          {summary && (
+            <p className="mt-4 text-sm text-slate-300" role="status">
+              Added {summary.created}, skipped {summary.skipped} already in your library
+              {summary.failed > 0 && `, ${summary.failed} failed`}.{' '}
+              <Link to="/library" className="text-sky-400 hover:text-sky-300">Go to Library</Link>
+            </p>
+          )}
+        </section>
+
+        {rows.length > 0 && (
+          <div className="mb-8">
+            <ImportReview
+              sourceName={source?.name}
+              rows={rows}
+              accessToken={accessToken}
+              onRowsChange={setRows}
+              onImport={handleImport}
+              importing={importing || progress !== null}
+            />
+          </div>
+        )}
+
+        <CsvImportPanel accessToken={accessToken} />
+        <CsvExportPanel accessToken={accessToken} />
+      </div>
+    </div>
+  );
+};
+
+export default Import;
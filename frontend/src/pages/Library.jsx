@@ -4,10 +4,23 @@
  * 
  * Game library page with search functionality and library management
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthProvider';
 import GameSearch from '../components/games/GameSearch';
+import CollectionsSidebar from '../components/games/CollectionsSidebar';
+import TagFilter from '../components/games/TagFilter';
+import LibraryFilterPanel from '../components/games/LibraryFilterPanel';
+import BulkActionBar from '../components/games/BulkActionBar';
+import LibraryStats from '../components/games/LibraryStats';
+import OwnershipEditor from '../components/games/OwnershipEditor';
+import SpendReport from '../components/games/SpendReport';
+import { MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { api } from '../utils/api';
+import { useDebounce } from '../hooks/useDebounce';
+import { readLibraryFilters, writeLibraryFilters } from '../utils/libraryFilters';
+import { formatStatus, getStatusColor, QUEUE_STATUSES } from '../utils/gameStatus';
+import { formatOwnershipFormat } from '../utils/ownership';
 import toast from 'react-hot-toast';
 
 const Library = () => {
@@ -21,7 +34,32 @@ const Library = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [stats, setStats] = useState(null);
-  const [showSearch, setShowSearch] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // The dashboard quick actions open the library with search or stats showing
+  const location = useLocation();
+  const [showSearch, setShowSearch] = useState(Boolean(location.state?.showSearch));
+  const [showStats, setShowStats] = useState(Boolean(location.state?.showStats));
+  const [selectedCollection, setSelectedCollection] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [collectionsVersion, setCollectionsVersion] = useState(0);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState('any');
+  const [tagsVersion, setTagsVersion] = useState(0);
+  const [searchText, setSearchText] = useState('');
+  const debouncedSearch = useDebounce(searchText.trim(), 300);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readLibraryFilters(searchParams), [searchParams]);
+  const hasFilters = selectedTags.length > 0 || Object.values(filters).some(Boolean);
+
+  const libraryQuery = () => ({
+    ...filters,
+    collection: selectedCollection,
+    tags: selectedTags.length > 0 ? selectedTags.join(',') : undefined,
+    tagMode: selectedTags.length > 1 ? tagMode : undefined,
+    q: debouncedSearch || undefined
+  });
 
   // Load user's library
   const loadLibrary = async () => {
@@ -42,7 +80,7 @@ const Library = () => {
       
       console.log('📡 Making API calls...');
       const [libraryResponse, statsResponse] = await Promise.all([
-        api.games.getLibrary({}, accessToken),
+        api.games.getLibrary(libraryQuery(), accessToken),
         api.games.getStats(accessToken)
       ]);
       
@@ -50,6 +88,8 @@ const Library = () => {
       console.log('✅ Stats response:', statsResponse);
       
       setGames(libraryResponse.games || []);
+      setNextCursor(libraryResponse.nextCursor || null);
+      setSelectedIds([]);
       setStats(statsResponse);
     } catch (err) {
       console.error('❌ Failed to load library:', err);
@@ -70,7 +110,81 @@ const Library = () => {
       // Not authenticated and auth loading is complete, stop loading
       setLoading(false);
     }
-  }, [accessToken, authLoading]);
+  }, [accessToken, authLoading, selectedCollection, selectedTags, tagMode, debouncedSearch, filters]);
+
+  // Append the next page; the cursor keeps pages stable while games are added
+  const loadMore = async () => {
+    if (!nextCursor) return;
+    try {
+      setLoadingMore(true);
+      const response = await api.games.getLibrary({ ...libraryQuery(), cursor: nextCursor }, accessToken);
+      setGames(prev => [...prev, ...(response.games || [])]);
+      setNextCursor(response.nextCursor || null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to load more games');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const toggleSelected = (gameId) => {
+    setSelectedIds(prev => (
+      prev.includes(gameId) ? prev.filter(id => id !== gameId) : [...prev, gameId]
+    ));
+  };
+
+  const handleBulkApplied = (action) => {
+    if (action === 'add_tags') {
+      setTagsVersion(version => version + 1);
+    }
+    if (action === 'move_to_collection' || action === 'delete') {
+      setCollectionsVersion(version => version + 1);
+    }
+    loadLibrary();
+  };
+
+  const handleGameUpdated = (updatedGame) => {
+    setGames(prev => prev.map(game => (
+      game.id === updatedGame.id
+        ? {
+          ...game,
+          status: updatedGame.status,
+          completedAt: updatedGame.completedAt,
+          progress: updatedGame.progress,
+          tags: updatedGame.tags,
+          queueRank: updatedGame.queueRank ?? game.queueRank,
+          ownerships: updatedGame.ownerships ?? game.ownerships,
+        }
+        : game
+    )));
+  };
+
+  const handleCollectionsChange = useCallback((list) => {
+    setCollections(list);
+  }, []);
+
+  // Collection membership changed from a card: refresh the sidebar counts and,
+  // when filtering by that collection, the grid itself
+  const handleCollectionMembershipChanged = (collectionId) => {
+    setCollectionsVersion(version => version + 1);
+    if (collectionId === selectedCollection) {
+      loadLibrary();
+    }
+  };
+
+  const handleFiltersApplied = (nextFilters) => {
+    setSearchParams(writeLibraryFilters(searchParams, nextFilters), { replace: true });
+  };
+
+  const handleTagFilterChange = (tags, mode) => {
+    setSelectedTags(tags);
+    setTagMode(mode);
+  };
+
+  const handleTagsEdited = (updatedGame) => {
+    handleGameUpdated(updatedGame);
+    setTagsVersion(version => version + 1);
+  };
 
   const handleGameSelect = (game) => {
     console.log('Game selected:', game);
@@ -98,21 +212,40 @@ const Library = () => {
               </p>
             </div>
             
-            {/* Add Game Button */}
-            <button
-              onClick={() => setShowSearch(!showSearch)}
-              className="
-                px-6 py-3 bg-gradient-to-r from-sky-600 to-blue-600 
-                hover:from-sky-700 hover:to-blue-700 text-white font-semibold 
-                rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-lg
-                flex items-center space-x-2
-              "
-            >
-              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-              </svg>
-              <span>Add Games</span>
-            </button>
+            <div className="flex flex-col sm:flex-row gap-3">
+              {/* Add Game Button */}
+              <button
+                onClick={() => setShowSearch(!showSearch)}
+                className="
+                  px-6 py-3 bg-gradient-to-r from-sky-600 to-blue-600 
+                  hover:from-sky-700 hover:to-blue-700 text-white font-semibold 
+                  rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-lg
+                  flex items-center space-x-2
+                "
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                </svg>
+                <span>Add Games</span>
+              </button>
+              <button
+                onClick={() => setShowStats(!showStats)}
+                aria-pressed={showStats}
+                className={`px-4 py-3 text-sm font-medium border rounded-lg transition-colors text-center ${
+                  showStats
+                    ? 'text-sky-300 border-sky-500/40 bg-sky-500/10'
+                    : 'text-slate-300 border-slate-600 hover:border-slate-500 hover:text-white'
+                }`}
+              >
+                Statistics
+              </button>
+              <Link
+                to="/import"
+                className="px-4 py-3 text-sm font-medium text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white transition-colors text-center"
+              >
+                Import / Export
+              </Link>
+            </div>
           </div>
 
           {/* Game Search */}
@@ -127,6 +260,14 @@ const Library = () => {
           )}
         </div>
 
+        {/* Statistics View */}
+        {showStats && user && (
+          <>
+            <LibraryStats accessToken={accessToken} />
+            <SpendReport accessToken={accessToken} />
+          </>
+        )}
+
         {/* Library Stats */}
         {stats && (
           <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-8">
@@ -135,7 +276,7 @@ const Library = () => {
               <div className="text-sm text-slate-400">Total Games</div>
             </div>
             <div className="bg-slate-800 rounded-xl border border-slate-700 p-4">
-              <div className="text-2xl font-bold text-sky-400">{stats.by_status?.want_to_play || 0}</div>
+              <div className="text-2xl font-bold text-sky-400">{stats.by_status?.wishlist || 0}</div>
               <div className="text-sm text-slate-400">Wishlist</div>
             </div>
             <div className="bg-slate-800 rounded-xl border border-slate-700 p-4">
@@ -166,51 +307,147 @@ const Library = () => {
           </div>
         )}
 
-        {/* Loading State */}
-        {(authLoading || loading) && user && (
-          <div className="flex items-center justify-center py-16">
-            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-400"></div>
-            <span className="ml-3 text-slate-400">Loading your library...</span>
-          </div>
-        )}
+        {user && (
+          <div className="flex flex-col lg:flex-row gap-6">
+            <div className="lg:w-64 flex-shrink-0">
+              <CollectionsSidebar
+                accessToken={accessToken}
+                selectedId={selectedCollection}
+                onSelect={setSelectedCollection}
+                refreshKey={collectionsVersion}
+                onCollectionsChange={handleCollectionsChange}
+              />
+              <TagFilter
+                accessToken={accessToken}
+                selectedTags={selectedTags}
+                tagMode={tagMode}
+                onChange={handleTagFilterChange}
+                refreshKey={tagsVersion}
+              />
+            </div>
 
-        {/* Error State */}
-        {error && !loading && user && (
-          <div className="text-center py-16">
-            <div className="text-red-400 text-lg mb-4">Failed to load library</div>
-            <p className="text-slate-400 mb-6">{error}</p>
-            <button
-              onClick={loadLibrary}
-              className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
-            >
-              Try Again
-            </button>
-          </div>
-        )}
+            <div className="flex-1 min-w-0">
+              {/* Library Search */}
+              <div className="relative mb-6">
+                <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-500 pointer-events-none" />
+                <input
+                  type="search"
+                  value={searchText}
+                  onChange={(e) => setSearchText(e.target.value)}
+                  placeholder="Search your library by name, notes, developer, genre..."
+                  maxLength={200}
+                  className="w-full pl-10 pr-10 py-2.5 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-sky-400/50 focus:border-sky-400"
+                  aria-label="Search your library"
+                />
+                {searchText && (
+                  <button
+                    onClick={() => setSearchText('')}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500 hover:text-white"
+                    aria-label="Clear library search"
+                  >
+                    <XMarkIcon className="h-5 w-5" />
+                  </button>
+                )}
+              </div>
 
-        {/* Empty State */}
-        {!loading && !error && games.length === 0 && user && (
-          <div className="text-center py-16">
-            <div className="text-6xl mb-4">📚</div>
-            <h2 className="text-2xl font-bold text-white mb-2">Your library is empty</h2>
-            <p className="text-slate-400 mb-6">
-              Start building your game collection by searching for games above
-            </p>
-            <button
-              onClick={() => setShowSearch(true)}
-              className="bg-gradient-to-r from-sky-600 to-blue-600 hover:from-sky-700 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-lg"
-            >
-              Search for Games
-            </button>
-          </div>
-        )}
+              <LibraryFilterPanel
+                accessToken={accessToken}
+                filters={filters}
+                onApply={handleFiltersApplied}
+              />
 
-        {/* Games Grid */}
-        {!loading && !error && games.length > 0 && user && (
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5 gap-6">
-            {games.map((game) => (
-              <GameLibraryCard key={game.id} game={game} />
-            ))}
+              <BulkActionBar
+                accessToken={accessToken}
+                selectedIds={selectedIds}
+                collections={collections}
+                currentCollectionId={selectedCollection}
+                onSelectAll={() => setSelectedIds(games.map(game => game.id))}
+                onClear={() => setSelectedIds([])}
+                onApplied={handleBulkApplied}
+              />
+
+              {/* Loading State */}
+              {(authLoading || loading) && user && (
+                <div className="flex items-center justify-center py-16">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-400"></div>
+                  <span className="ml-3 text-slate-400">Loading your library...</span>
+                </div>
+              )}
+
+              {/* Error State */}
+              {error && !loading && user && (
+                <div className="text-center py-16">
+                  <div className="text-red-400 text-lg mb-4">Failed to load library</div>
+                  <p className="text-slate-400 mb-6">{error}</p>
+                  <button
+                    onClick={loadLibrary}
+                    className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
+                  >
+                    Try Again
+                  </button>
+                </div>
+              )}
+
+              {/* Empty State */}
+              {!loading && !error && games.length === 0 && user && (
+                <div className="text-center py-16">
+                  <div className="text-6xl mb-4">📚</div>
+                  <h2 className="text-2xl font-bold text-white mb-2">
+                    {debouncedSearch
+                      ? `No games match "${debouncedSearch}"`
+                      : hasFilters
+                        ? 'No games match these filters'
+                        : selectedCollection ? 'This collection is empty' : 'Your library is empty'}
+                  </h2>
+                  <p className="text-slate-400 mb-6">
+                    {debouncedSearch
+                      ? 'Try different words or clear the search'
+                      : hasFilters
+                        ? 'Try loosening or clearing your filters'
+                        : selectedCollection
+                          ? 'Add games to this collection from the library grid'
+                          : 'Start building your game collection by searching for games above'}
+                  </p>
+                  <button
+                    onClick={() => setShowSearch(true)}
+                    className="bg-gradient-to-r from-sky-600 to-blue-600 hover:from-sky-700 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-lg"
+                  >
+                    Search for Games
+                  </button>
+                </div>
+              )}
+
+              {/* Games Grid */}
+              {!loading && !error && games.length > 0 && user && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                  {games.map((game) => (
+                    <GameLibraryCard
+                      key={game.id}
+                      game={game}
+                      accessToken={accessToken}
+                      onUpdated={handleGameUpdated}
+                      collections={collections}
+                      onCollectionChanged={handleCollectionMembershipChanged}
+                      onTagsEdited={handleTagsEdited}
+                      selected={selectedIds.includes(game.id)}
+                      onToggleSelect={toggleSelected}
+                    />
+                  ))}
+                </div>
+              )}
+
+              {!loading && !error && nextCursor && user && (
+                <div className="mt-8 text-center">
+                  <button
+                    onClick={loadMore}
+                    disabled={loadingMore}
+                    className="px-6 py-2 text-sm font-medium text-slate-300 bg-slate-800 border border-slate-700 rounded-lg hover:border-slate-600 hover:text-white disabled:opacity-50 transition-colors"
+                  >
+                    {loadingMore ? 'Loading...' : 'Load more'}
+                  </button>
+                </div>
+              )}
+            </div>
           </div>
         )}
       </div>
@@ -218,32 +455,130 @@ const Library = () => {
   );
 };
 
+// Search snippets arrive HTML-escaped with <mark> around matches; render them as
+// text nodes instead of injecting HTML
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&');
+
+const SearchSnippet = ({ snippet }) => (
+  <p className="text-xs text-slate-400 mt-2 line-clamp-3">
+    {snippet.split(/(<mark>.*?<\/mark>)/).map((part, index) => (
+      part.startsWith('<mark>')
+        ? <mark key={index} className="bg-amber-400/30 text-amber-200 rounded px-0.5">{decodeEntities(part.slice(6, -7))}</mark>
+        : decodeEntities(part)
+    ))}
+  </p>
+);
+
 // Simple game card component for library display
-const GameLibraryCard = ({ game }) => {
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'wishlist': return 'text-sky-400 bg-sky-400/10 border-sky-400/30';
-      case 'playing': return 'text-emerald-400 bg-emerald-400/10 border-emerald-400/30';
-      case 'completed': return 'text-purple-400 bg-purple-400/10 border-purple-400/30';
-      case 'on_hold': return 'text-amber-400 bg-amber-400/10 border-amber-400/30';
-      default: return 'text-slate-400 bg-slate-400/10 border-slate-400/30';
+const GameLibraryCard = ({
+  game,
+  accessToken,
+  onUpdated,
+  collections = [],
+  onCollectionChanged,
+  onTagsEdited,
+  selected = false,
+  onToggleSelect
+}) => {
+  const [completing, setCompleting] = useState(false);
+  const [addingToCollection, setAddingToCollection] = useState(false);
+  const [queueing, setQueueing] = useState(false);
+  const [newTag, setNewTag] = useState('');
+  const [showOwnership, setShowOwnership] = useState(false);
+  const tags = game.tags || [];
+  const ownerships = game.ownerships || [];
+  const percent = game.progress?.percent;
+  const showCompleteSuggestion = percent >= 100 && game.status !== 'completed';
+
+  const markCompleted = async () => {
+    try {
+      setCompleting(true);
+      const response = await api.games.updateGame(game.id, { status: 'completed' }, accessToken);
+      onUpdated(response.game);
+      toast.success(`${game.name} marked as completed`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update game');
+    } finally {
+      setCompleting(false);
     }
   };
 
-  const formatStatus = (status) => {
-    switch (status) {
-      case 'wishlist': return 'Wishlist';
-      case 'playing': return 'Playing';
-      case 'completed': return 'Completed';
-      case 'on_hold': return 'On Hold';
-      default: return status;
+  const addToQueue = async () => {
+    try {
+      setQueueing(true);
+      const response = await api.games.queue.move(game.id, { position: 'bottom' }, accessToken);
+      onUpdated({ ...game, queueRank: response.queueRank });
+      toast.success(`${game.name} added to Up Next (#${response.position})`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to add game to Up Next');
+    } finally {
+      setQueueing(false);
+    }
+  };
+
+  const saveTags = async (nextTags) => {
+    try {
+      const response = await api.games.updateGame(game.id, { tags: nextTags }, accessToken);
+      onTagsEdited(response.game);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update tags');
+    }
+  };
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const name = newTag.trim().toLowerCase();
+    if (!name || tags.includes(name)) {
+      setNewTag('');
+      return;
+    }
+    setNewTag('');
+    saveTags([...tags, name]);
+  };
+
+  const addToCollection = async (e) => {
+    const collectionId = parseInt(e.target.value);
+    if (!collectionId) return;
+
+    const collection = collections.find(c => c.id === collectionId);
+    try {
+      setAddingToCollection(true);
+      const response = await api.collections.addGames(collectionId, [game.id], accessToken);
+      if (response.added > 0) {
+        toast.success(`Added ${game.name} to ${collection?.name || 'collection'}`);
+        onCollectionChanged?.(collectionId);
+      } else {
+        toast(`${game.name} is already in ${collection?.name || 'that collection'}`);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to add game to collection');
+    } finally {
+      setAddingToCollection(false);
     }
   };
 
   return (
-    <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden hover:border-slate-600 transition-colors duration-200">
+    <div className={`
+      bg-slate-800 rounded-xl border overflow-hidden transition-colors duration-200
+      ${selected ? 'border-sky-400 ring-2 ring-sky-400/40' : 'border-slate-700 hover:border-slate-600'}
+    `}>
       {/* Game Cover */}
-      <div className="aspect-[3/4] bg-slate-700">
+      <div className="relative aspect-[3/4] bg-slate-700">
+        {onToggleSelect && (
+          <label className="absolute top-2 left-2 z-10 flex items-center justify-center h-7 w-7 rounded-md bg-slate-900/80 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selected}
+              onChange={() => onToggleSelect(game.id)}
+              className="h-4 w-4 accent-sky-500 cursor-pointer"
+              aria-label={`Select ${game.name}`}
+            />
+          </label>
+        )}
         {game.coverUrl ? (
           <img
             src={game.coverUrl}
@@ -269,18 +604,127 @@ const GameLibraryCard = ({ game }) => {
             {formatStatus(game.status)}
           </span>
           
-          {game.userRating && (
+          {game.rating > 0 && (
             <div className="text-amber-400 text-sm">
-              {'★'.repeat(Math.floor(game.userRating))}
+              {'★'.repeat(Math.floor(game.rating))}
             </div>
           )}
         </div>
 
-        {game.addedAt && (
+        {game.search?.snippet && <SearchSnippet snippet={game.search.snippet} />}
+
+        {game.createdAt && (
           <div className="text-xs text-slate-500 mt-2">
-            Added {new Date(game.addedAt).toLocaleDateString()}
+            Added {new Date(game.createdAt).toLocaleDateString()}
+          </div>
+        )}
+
+        {percent !== null && percent !== undefined && (
+          <div className="mt-3">
+            <div className="flex items-center justify-between text-xs text-slate-400 mb-1">
+              <span>{game.progress.goal === 'full_completion' ? '100% run' : 'Main story'}</span>
+              <span>{percent}%</span>
+            </div>
+            <div
+              className="h-1.5 bg-slate-700 rounded-full overflow-hidden"
+              role="progressbar"
+              aria-valuenow={percent}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-label={`${game.name} progress`}
+            >
+              <div
+                className="h-full bg-emerald-400 transition-all duration-300"
+                style={{ width: `${Math.min(percent, 100)}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {showCompleteSuggestion && (
+          <button
+            onClick={markCompleted}
+            disabled={completing}
+            className="mt-3 w-full px-3 py-1.5 text-xs font-medium text-purple-300 bg-purple-500/10 border border-purple-500/30 rounded-lg hover:bg-purple-500/20 disabled:opacity-50 transition-colors"
+          >
+            {completing ? 'Updating...' : '🏆 Finished? Mark as completed'}
+          </button>
+        )}
+
+        {QUEUE_STATUSES.includes(game.status) && game.queueRank === null && (
+          <button
+            onClick={addToQueue}
+            disabled={queueing}
+            className="mt-3 w-full px-3 py-1.5 text-xs font-medium text-sky-300 bg-sky-500/10 border border-sky-500/30 rounded-lg hover:bg-sky-500/20 disabled:opacity-50 transition-colors"
+          >
+            {queueing ? 'Adding...' : '+ Add to Up Next'}
+          </button>
+        )}
+
+        {game.minutesPlayed > 0 && (
+          <div className="text-xs text-slate-400 mt-1">
+            {Math.round((game.minutesPlayed / 60) * 10) / 10}h played
           </div>
         )}
+
+        <div className="mt-3 flex flex-wrap gap-1">
+          {tags.map(tag => (
+            <span key={tag} className="inline-flex items-center px-2 py-0.5 text-xs text-slate-300 bg-slate-700 rounded-full">
+              {tag}
+              <button
+                onClick={() => saveTags(tags.filter(other => other !== tag))}
+                className="ml-1 text-slate-500 hover:text-red-400"
+                aria-label={`Remove tag ${tag} from ${game.name}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <form onSubmit={handleAddTag}>
+            <input
+              type="text"
+              value={newTag}
+              onChange={(e) => setNewTag(e.target.value)}
+              placeholder="+ tag"
+              maxLength={50}
+              className="w-16 px-2 py-0.5 text-xs bg-transparent border border-dashed border-slate-600 rounded-full text-slate-300 placeholder-slate-500 focus:outline-none focus:border-sky-400 focus:w-24 transition-all"
+              aria-label={`Add tag to ${game.name}`}
+            />
+          </form>
+        </div>
+
+        <button
+          onClick={() => setShowOwnership(!showOwnership)}
+          className="mt-3 w-full text-left text-xs text-slate-400 hover:text-slate-200"
+          aria-expanded={showOwnership}
+        >
+          {ownerships.length > 0
+            ? `Owned: ${ownerships.map(copy => `${copy.platform} (${formatOwnershipFormat(copy.format)})`).join(', ')}`
+            : '+ Add owned copy'}
+        </button>
+
+        {showOwnership && (
+          <OwnershipEditor
+            game={game}
+            accessToken={accessToken}
+            onChange={(next) => onUpdated({ ...game, ownerships: next })}
+          />
+        )}
+
+        {collections.length > 0 && (
+          <select
+            value=""
+            onChange={addToCollection}
+            disabled={addingToCollection}
+            className="mt-3 w-full px-2 py-1.5 text-xs bg-slate-900 border border-slate-600 rounded-lg text-slate-300 focus:outline-none focus:ring-2 focus:ring-sky-400/50 disabled:opacity-50"
+            aria-label={`Add ${game.name} to a collection`}
+          >
+            <option value="">+ Add to collection</option>
+            {collections.map(collection => (
+              <option key={collection.id} value={collection.id}>{collection.name}</option>
+            ))}
+          </select>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,220 @@
+/**
+ * Up Next Page Component
+ *
+ * Ordered queue of unfinished games the user plans to play
+ * Features: drag-and-drop reordering, move up/down buttons, remove from queue
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronUpIcon, ChevronDownIcon, XMarkIcon, Bars3Icon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthProvider';
+import { api } from '../utils/api';
+import { formatStatus, getStatusColor } from '../utils/gameStatus';
+
+// Describe a move by its new neighbour so the server only re-ranks one game
+const moveTarget = (ordered, index) => (
+  index < ordered.length - 1
+    ? { beforeId: ordered[index + 1].id }
+    : { afterId: ordered[index - 1].id }
+);
+
+const Queue = () => {
+  const { accessToken } = useAuth();
+  const [games, setGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    if (!accessToken) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.games.queue.list(accessToken);
+      setGames(response.games || []);
+    } catch (err) {
+      console.error('Failed to load queue:', err);
+      setError(err.message || 'Failed to load queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const moveGame = async (gameId, toIndex) => {
+    const fromIndex = games.findIndex(game => game.id === gameId);
+    if (fromIndex === -1 || fromIndex === toIndex || games.length < 2) return;
+
+    const previous = games;
+    const reordered = [...games];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    setGames(reordered);
+
+    try {
+      await api.games.queue.move(gameId, moveTarget(reordered, toIndex), accessToken);
+    } catch (err) {
+      setGames(previous);
+      toast.error(err.message || 'Failed to reorder queue');
+    }
+  };
+
+  const removeGame = async (game) => {
+    try {
+      await api.games.queue.remove(game.id, accessToken);
+      setGames(prev => prev.filter(other => other.id !== game.id));
+      toast.success(`${game.name} removed from Up Next`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove game from queue');
+    }
+  };
+
+  const handleDragStart = (e, gameId) => {
+    setDraggedId(gameId);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(gameId));
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    const gameId = draggedId ?? parseInt(e.dataTransfer.getData('text/plain'));
+    setDraggedId(null);
+    setDropIndex(null);
+    moveGame(gameId, index);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-900 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Page Header */}
+        <div className="mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">
+            ⏭️ Up Next
+          </h1>
+          <p className="text-xl text-slate-400">
+            Drag games into the order you want to play them
+          </p>
+        </div>
+
+        {loading && (
+          <div className="text-center py-16 text-slate-400">Loading queue...</div>
+        )}
+
+        {!loading && error && (
+          <div className="text-center py-16">
+            <p className="text-red-400 mb-4">{error}</p>
+            <button
+              onClick={loadQueue}
+              className="px-4 py-2 text-sm text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {!loading && !error && games.length === 0 && (
+          <div className="text-center py-16">
+            <div className="text-6xl mb-4">📋</div>
+            <h2 className="text-2xl font-bold text-white mb-2">Your queue is empty</h2>
+            <p className="text-slate-400 mb-6">
+              Use “Add to Up Next” on wishlisted, playing or on-hold games in your library
+            </p>
+            <Link
+              to="/library"
+              className="inline-block bg-gradient-to-r from-sky-600 to-blue-600 hover:from-sky-700 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-all duration-200"
+            >
+              Go to Library
+            </Link>
+          </div>
+        )}
+
+        {!loading && !error && games.length > 0 && (
+          <ol className="space-y-2" aria-label="Up Next queue">
+            {games.map((game, index) => (
+              <li
+                key={game.id}
+                draggable
+                onDragStart={(e) => handleDragStart(e, game.id)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDrop={(e) => handleDrop(e, index)}
+                onDragEnd={handleDragEnd}
+                className={`
+                  flex items-center gap-3 p-3 bg-slate-800 rounded-xl border transition-colors duration-150
+                  ${draggedId === game.id ? 'opacity-50' : ''}
+                  ${dropIndex === index && draggedId !== game.id ? 'border-sky-400' : 'border-slate-700 hover:border-slate-600'}
+                `}
+              >
+                <Bars3Icon className="h-5 w-5 text-slate-500 cursor-grab flex-shrink-0" aria-hidden="true" />
+                <span className="w-6 text-right text-sm font-semibold text-slate-400">{index + 1}</span>
+
+                <div className="h-16 w-12 flex-shrink-0 rounded bg-slate-700 overflow-hidden">
+                  {game.coverUrl && (
+                    <img src={game.coverUrl} alt="" className="h-full w-full object-cover" loading="lazy" />
+                  )}
+                </div>
+
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-white truncate" title={game.name}>{game.name}</h3>
+                  <div className="flex items-center gap-2 mt-1">
+                    <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full border ${getStatusColor(game.status)}`}>
+                      {formatStatus(game.status)}
+                    </span>
+                    {game.minutesPlayed > 0 && (
+                      <span className="text-xs text-slate-400">
+                        {Math.round((game.minutesPlayed / 60) * 10) / 10}h played
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flex items-center">
+                  <button
+                    onClick={() => moveGame(game.id, index - 1)}
+                    disabled={index === 0}
+                    className="p-1 text-slate-400 hover:text-white disabled:opacity-30"
+                    aria-label={`Move ${game.name} up`}
+                  >
+                    <ChevronUpIcon className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => moveGame(game.id, index + 1)}
+                    disabled={index === games.length - 1}
+                    className="p-1 text-slate-400 hover:text-white disabled:opacity-30"
+                    aria-label={`Move ${game.name} down`}
+                  >
+                    <ChevronDownIcon className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => removeGame(game)}
+                    className="p-1 ml-1 text-slate-500 hover:text-red-400"
+                    aria-label={`Remove ${game.name} from Up Next`}
+                  >
+                    <XMarkIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Queue;
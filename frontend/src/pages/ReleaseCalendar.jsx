@@ -0,0 +1,223 @@
+/**
+ * Release Calendar Page Component
+ *
+ * Upcoming games from the library, grouped by release month, with per-platform
+ * dates from IGDB. Games whose date moved since they were added are badged
+ * with the old and new date. The calendar can be subscribed to as an .ics feed.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthProvider';
+import { api } from '../utils/api';
+import { formatStatus, getStatusColor } from '../utils/gameStatus';
+import CalendarSubscription from '../components/games/CalendarSubscription';
+
+// Dates are stored at UTC midnight, so format them in UTC to keep the day
+const formatReleaseDate = (date, precision) => {
+  const value = new Date(date);
+  switch (precision) {
+    case 'year':
+      return String(value.getUTCFullYear());
+    case 'quarter':
+      return `Q${Math.floor(value.getUTCMonth() / 3) + 1} ${value.getUTCFullYear()}`;
+    case 'month':
+      return value.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    default:
+      return value.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  }
+};
+
+const formatMonth = (month) => (
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+);
+
+const MovedBadge = ({ moved }) => {
+  const delayed = new Date(moved.to) > new Date(moved.from);
+  return (
+    <span
+      className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full border ${
+        delayed
+          ? 'bg-amber-500/10 text-amber-300 border-amber-500/40'
+          : 'bg-emerald-500/10 text-emerald-300 border-emerald-500/40'
+      }`}
+      title={moved.changedAt ? `Noticed ${new Date(moved.changedAt).toLocaleDateString()}` : undefined}
+    >
+      {delayed ? 'Delayed' : 'Moved up'}: {formatReleaseDate(moved.from)} → {formatReleaseDate(moved.to)}
+    </span>
+  );
+};
+
+const CalendarGame = ({ game }) => (
+  <li className="flex items-start gap-3 p-3 bg-slate-800 rounded-xl border border-slate-700">
+    <div className="h-16 w-12 flex-shrink-0 rounded bg-slate-700 overflow-hidden">
+      {game.coverUrl && (
+        <img src={game.coverUrl} alt="" className="h-full w-full object-cover" loading="lazy" />
+      )}
+    </div>
+
+    <div className="flex-1 min-w-0">
+      <div className="flex items-start justify-between gap-2">
+        <h3 className="font-semibold text-white truncate" title={game.name}>{game.name}</h3>
+        <span className="text-sm font-medium text-sky-300 flex-shrink-0">
+          {game.releaseDate ? formatReleaseDate(game.releaseDate, game.precision) : 'TBA'}
+        </span>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mt-1">
+        <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full border ${getStatusColor(game.status)}`}>
+          {formatStatus(game.status)}
+        </span>
+        {game.moved && <MovedBadge moved={game.moved} />}
+      </div>
+      {game.platforms.length > 0 && (
+        <ul className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-400" aria-label={`${game.name} platforms`}>
+          {game.platforms.map(platform => (
+            <li key={platform.platform}>
+              {platform.platform}
+              {platform.precision && (
+                <span className="text-slate-500">
+                  {' · '}
+                  {platform.date ? formatReleaseDate(platform.date, platform.precision) : 'TBA'}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  </li>
+);
+
+const ReleaseCalendar = () => {
+  const { accessToken } = useAuth();
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadCalendar = useCallback(async (refresh = false) => {
+    if (!accessToken) return;
+    try {
+      if (refresh) {
+        setRefreshing(true);
+      } else {
+        setLoading(true);
+      }
+      setError(null);
+      const response = await api.games.getCalendar({ refresh }, accessToken);
+      setCalendar(response);
+      if (response.refreshFailed) {
+        toast.error('Could not reach IGDB, showing the last known dates');
+      } else if (refresh) {
+        toast.success('Release dates updated');
+      }
+    } catch (err) {
+      console.error('Failed to load release calendar:', err);
+      setError(err.message || 'Failed to load release calendar');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    loadCalendar();
+  }, [loadCalendar]);
+
+  const movedCount = calendar
+    ? [...calendar.months.flatMap(month => month.games), ...calendar.undated].filter(game => game.moved).length
+    : 0;
+  const isEmpty = calendar && calendar.months.length === 0 && calendar.undated.length === 0;
+
+  return (
+    <div className="min-h-screen bg-slate-900 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Page Header */}
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-4xl font-bold text-white mb-2">
+              🗓️ Release Calendar
+            </h1>
+            <p className="text-xl text-slate-400">
+              Upcoming games from your library, by month
+              {movedCount > 0 && ` · ${movedCount} date${movedCount === 1 ? '' : 's'} moved`}
+            </p>
+          </div>
+          <button
+            onClick={() => loadCalendar(true)}
+            disabled={loading || refreshing}
+            className="flex items-center gap-1 px-3 py-2 text-sm text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} aria-hidden="true" />
+            {refreshing ? 'Checking...' : 'Check for changes'}
+          </button>
+        </div>
+
+        <CalendarSubscription accessToken={accessToken} />
+
+        {loading && (
+          <div className="text-center py-16 text-slate-400">Loading release calendar...</div>
+        )}
+
+        {!loading && error && (
+          <div className="text-center py-16">
+            <p className="text-red-400 mb-4">{error}</p>
+            <button
+              onClick={() => loadCalendar()}
+              className="px-4 py-2 text-sm text-slate-300 border border-slate-600 rounded-lg hover:border-slate-500 hover:text-white"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {!loading && !error && isEmpty && (
+          <div className="text-center py-16">
+            <div className="text-6xl mb-4">📅</div>
+            <h2 className="text-2xl font-bold text-white mb-2">Nothing coming up</h2>
+            <p className="text-slate-400 mb-6">
+              Wishlist games that have not been released yet and they will show up here
+            </p>
+            <Link
+              to="/library"
+              className="inline-block bg-gradient-to-r from-sky-600 to-blue-600 hover:from-sky-700 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-all duration-200"
+            >
+              Go to Library
+            </Link>
+          </div>
+        )}
+
+        {!loading && !error && calendar && !isEmpty && (
+          <div className="space-y-8">
+            {calendar.months.map(month => (
+              <section key={month.month} aria-labelledby={`calendar-${month.month}`}>
+                <h2 id={`calendar-${month.month}`} className="text-lg font-semibold text-white mb-3">
+                  {formatMonth(month.month)}
+                  <span className="ml-2 text-sm font-normal text-slate-500">{month.games.length}</span>
+                </h2>
+                <ul className="space-y-2">
+                  {month.games.map(game => <CalendarGame key={game.id} game={game} />)}
+                </ul>
+              </section>
+            ))}
+
+            {calendar.undated.length > 0 && (
+              <section aria-labelledby="calendar-undated">
+                <h2 id="calendar-undated" className="text-lg font-semibold text-white mb-3">
+                  Date to be announced
+                  <span className="ml-2 text-sm font-normal text-slate-500">{calendar.undated.length}</span>
+                </h2>
+                <ul className="space-y-2">
+                  {calendar.undated.map(game => <CalendarGame key={game.id} game={game} />)}
+                </ul>
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReleaseCalendar;
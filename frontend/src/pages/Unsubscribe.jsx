@@ -0,0 +1,72 @@
+/**
+ * Unsubscribe Page Component
+ *
+ * Landing page for the unsubscribe link in optional emails. Unsubscribing
+ * takes a click rather than happening on load, so link scanners in mail
+ * servers cannot unsubscribe people. Works without signing in.
+ */
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { api } from '../utils/api';
+
+const Unsubscribe = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [state, setState] = useState(token ? 'ready' : 'invalid');
+  const [error, setError] = useState(null);
+
+  const handleUnsubscribe = async () => {
+    try {
+      setState('working');
+      await api.email.unsubscribe(token);
+      setState('done');
+    } catch (err) {
+      setError(err.message || 'Failed to unsubscribe');
+      setState('ready');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-900 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-slate-800 border border-slate-700 rounded-xl p-8 text-center">
+        {state === 'invalid' && (
+          <>
+            <h1 className="text-2xl font-bold text-white mb-2">Invalid unsubscribe link</h1>
+            <p className="text-slate-400">Use the link from the bottom of one of our emails.</p>
+          </>
+        )}
+
+        {(state === 'ready' || state === 'working') && (
+          <>
+            <h1 className="text-2xl font-bold text-white mb-2">Unsubscribe from emails</h1>
+            <p className="text-slate-400 mb-6">
+              You will stop getting optional emails. Emails about your account, like password resets, are still sent.
+            </p>
+            {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+            <button
+              onClick={handleUnsubscribe}
+              disabled={state === 'working'}
+              className="px-4 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-lg disabled:opacity-50"
+            >
+              {state === 'working' ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+          </>
+        )}
+
+        {state === 'done' && (
+          <>
+            <h1 className="text-2xl font-bold text-white mb-2">You're unsubscribed</h1>
+            <p className="text-slate-400 mb-6">
+              Changed your mind? Turn Email Updates back on in your profile settings.
+            </p>
+            <Link to="/profile" className="text-sm text-sky-400 hover:text-sky-300">
+              Go to profile settings
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
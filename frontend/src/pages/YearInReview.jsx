@@ -0,0 +1,271 @@
+/**
+ * Year in Review Page Component
+ *
+ * A shareable recap of one year of gaming
+ * Features: year picker, headline numbers, top-rated games, favorite genres,
+ * longest game, oldest backlog game cleared, month-by-month chart, share / copy
+ */
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthProvider';
+import { api } from '../utils/api';
+
+const CHART_HEIGHT = 140;
+
+const formatMonth = (month) => {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, index - 1, 1)).toLocaleDateString(undefined, { month: 'short', timeZone: 'UTC' });
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+// One-paragraph recap used for sharing
+const buildShareText = (review) => {
+  const { summary } = review;
+  const parts = [
+    `My ${review.year} in games: ${summary.gamesFinished} finished, ${summary.gamesStarted} started, ${summary.hoursPlayed} hours played.`,
+  ];
+  if (review.topRated[0]) parts.push(`Favorite: ${review.topRated[0].name} (★ ${review.topRated[0].userRating}).`);
+  if (review.favoriteGenres[0]) parts.push(`Top genre: ${review.favoriteGenres[0].genre}.`);
+  return parts.join(' ');
+};
+
+const StatTile = ({ value, label, color = 'text-white' }) => (
+  <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 text-center">
+    <div className={`text-4xl font-bold ${color}`}>{value}</div>
+    <div className="text-sm text-slate-400 mt-1">{label}</div>
+  </div>
+);
+
+const GameCover = ({ game }) => (
+  game.coverUrl ? (
+    <img src={game.coverUrl} alt="" className="w-12 h-16 object-cover rounded flex-shrink-0" />
+  ) : (
+    <div className="w-12 h-16 bg-slate-700 rounded flex-shrink-0 flex items-center justify-center text-xl" aria-hidden="true">🎮</div>
+  )
+);
+
+const Highlight = ({ title, game, children }) => (
+  <div className="bg-slate-800 rounded-xl border border-slate-700 p-5">
+    <h3 className="text-sm font-medium text-slate-400 mb-3">{title}</h3>
+    {game ? (
+      <div className="flex items-center space-x-4">
+        <GameCover game={game} />
+        <div>
+          <p className="text-lg font-semibold text-white">{game.name}</p>
+          <p className="text-sm text-slate-400">{children}</p>
+        </div>
+      </div>
+    ) : (
+      <p className="text-sm text-slate-500">Nothing this year</p>
+    )}
+  </div>
+);
+
+const MonthChart = ({ timeline }) => {
+  const max = Math.max(1, ...timeline.map(month => month.hoursPlayed));
+  const maxGames = Math.max(1, ...timeline.flatMap(month => [month.started, month.finished]));
+
+  return (
+    <div>
+      <div className="flex items-end gap-2" style={{ height: CHART_HEIGHT }}>
+        {timeline.map(month => (
+          <div
+            key={month.month}
+            className="flex-1 h-full flex flex-col justify-end items-center"
+            title={`${formatMonth(month.month)}: ${month.hoursPlayed}h played, ${month.started} started, ${month.finished} finished`}
+          >
+            <div className="w-full bg-sky-500/60 rounded-t" style={{ height: `${(month.hoursPlayed / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 mt-2">
+        {timeline.map(month => (
+          <div key={month.month} className="flex-1 text-center">
+            <div className="flex justify-center gap-0.5 h-4 items-end">
+              <span className="w-1.5 bg-emerald-400 rounded-sm" style={{ height: `${(month.started / maxGames) * 100}%` }} />
+              <span className="w-1.5 bg-purple-400 rounded-sm" style={{ height: `${(month.finished / maxGames) * 100}%` }} />
+            </div>
+            <span className="text-[10px] text-slate-500">{formatMonth(month.month)}</span>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 text-xs text-slate-400 mt-3">
+        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-sky-500/60" />Hours played</span>
+        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-emerald-400" />Started</span>
+        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-purple-400" />Finished</span>
+      </div>
+    </div>
+  );
+};
+
+const YearInReview = () => {
+  const { accessToken } = useAuth();
+  const { year: yearParam } = useParams();
+  const navigate = useNavigate();
+  const [years, setYears] = useState([]);
+  const [review, setReview] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Default to last year: the first complete one
+  const year = yearParam ? parseInt(yearParam) : new Date().getFullYear() - 1;
+
+  useEffect(() => {
+    if (!accessToken) return;
+    api.games.yearInReview.years(accessToken)
+      .then(response => setYears(response.years))
+      .catch(() => setYears([]));
+  }, [accessToken]);
+
+  useEffect(() => {
+    if (!accessToken) return;
+
+    const loadReview = async () => {
+      try {
+        setLoading(true);
+        setReview(await api.games.yearInReview.get(year, accessToken));
+      } catch (err) {
+        toast.error(err.message || 'Failed to load year in review');
+        setReview(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReview();
+  }, [accessToken, year]);
+
+  const handleShare = async () => {
+    const url = `${window.location.origin}/year-in-review/${year}`;
+    const text = buildShareText(review);
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: `My ${year} in games`, text, url });
+      } catch (err) {
+        if (err.name !== 'AbortError') toast.error('Could not share');
+      }
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(`${text}\n${url}`);
+      toast.success('Recap copied to clipboard');
+    } catch {
+      toast.error('Could not copy the recap');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-900 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4 mb-8">
+          <div>
+            <p className="text-sm text-slate-400 mb-1">
+              <Link to="/library" className="hover:text-white">Library</Link> / Year in review
+            </p>
+            <h1 className="text-5xl font-bold text-white">
+              🏆 {year} in games
+            </h1>
+            {review?.partial && (
+              <p className="text-sm text-amber-400 mt-2">The year is not over yet; this recap is so far.</p>
+            )}
+          </div>
+
+          <div className="flex gap-3 print:hidden">
+            {years.length > 0 && (
+              <label className="flex items-center gap-2 text-sm text-slate-400">
+                Year
+                <select
+                  value={year}
+                  onChange={(e) => navigate(`/year-in-review/${e.target.value}`)}
+                  className="bg-slate-800 border border-slate-600 rounded-lg text-white text-sm px-3 py-2"
+                >
+                  {years.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+              </label>
+            )}
+            <button
+              onClick={handleShare}
+              disabled={!review}
+              className="px-4 py-2 text-sm font-semibold text-white bg-gradient-to-r from-sky-600 to-blue-600 hover:from-sky-700 hover:to-blue-700 rounded-lg disabled:opacity-50"
+            >
+              Share
+            </button>
+          </div>
+        </div>
+
+        {loading && !review && <p className="text-slate-400">Putting your year together…</p>}
+
+        {review && (
+          <div className={`space-y-8 ${loading ? 'opacity-60' : ''}`}>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <StatTile value={review.summary.gamesFinished} label="Games finished" color="text-purple-400" />
+              <StatTile value={review.summary.gamesStarted} label="Games started" color="text-emerald-400" />
+              <StatTile value={review.summary.hoursPlayed} label="Hours played" color="text-sky-400" />
+              <StatTile value={review.summary.gamesAdded} label="Games added" />
+            </div>
+
+            <section className="bg-slate-800 rounded-xl border border-slate-700 p-6">
+              <h2 className="text-xl font-bold text-white mb-4">Month by month</h2>
+              <MonthChart timeline={review.timeline} />
+            </section>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Highlight title="Longest game" game={review.longestGame}>
+                {review.longestGame && `${review.longestGame.hoursPlayed} hours this year`}
+              </Highlight>
+              <Highlight title="Oldest backlog game cleared" game={review.oldestBacklogCleared}>
+                {review.oldestBacklogCleared && (
+                  `Added ${formatDate(review.oldestBacklogCleared.addedAt)}, finished after ${review.oldestBacklogCleared.daysInBacklog} days`
+                )}
+              </Highlight>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <section className="bg-slate-800 rounded-xl border border-slate-700 p-6">
+                <h2 className="text-xl font-bold text-white mb-4">Top rated</h2>
+                {review.topRated.length === 0 ? (
+                  <p className="text-sm text-slate-500">Rate the games you play to see your favorites here</p>
+                ) : (
+                  <ol className="space-y-3">
+                    {review.topRated.map((game, index) => (
+                      <li key={game.id} className="flex items-center space-x-3">
+                        <span className="text-lg font-bold text-slate-500 w-5">{index + 1}</span>
+                        <GameCover game={game} />
+                        <span className="flex-1 text-white">{game.name}</span>
+                        <span className="text-amber-400 text-sm">★ {game.userRating}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </section>
+
+              <section className="bg-slate-800 rounded-xl border border-slate-700 p-6">
+                <h2 className="text-xl font-bold text-white mb-4">Favorite genres</h2>
+                {review.favoriteGenres.length === 0 ? (
+                  <p className="text-sm text-slate-500">No genres to show yet</p>
+                ) : (
+                  <ul className="space-y-3">
+                    {review.favoriteGenres.map(genre => (
+                      <li key={genre.genre} className="flex justify-between text-sm">
+                        <span className="text-white">{genre.genre}</span>
+                        <span className="text-slate-400">
+                          {genre.hoursPlayed}h · {genre.games} game{genre.games === 1 ? '' : 's'}
+                          {genre.finished > 0 && ` · ${genre.finished} finished`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default YearInReview;
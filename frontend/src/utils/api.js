@@ -60,6 +60,24 @@ const fetchWithAuth = async (url, options = {}) => {
   }
 };
 
+// Helper function to download a file from an authenticated endpoint
+// Resolves to the response body as a Blob plus the server-suggested file name
+const fetchFileWithAuth = async (url, token = null) => {
+  const authToken = token || getAuthToken();
+  const response = await fetch(`${API_BASE_URL}${url}`, {
+    headers: authToken ? { Authorization: `Bearer ${authToken}` } : {},
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Download failed' }));
+    throw new Error(error.message || error.error || `HTTP ${response.status}: Download failed`);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || null;
+  return { blob: await response.blob(), filename };
+};
+
 export const api = {
   // Health check
   health: async () => {
@@ -117,25 +135,421 @@ export const api = {
     },
 
     // Get user's library
-    getLibrary: async (filters = {}, token = null) => {
+    // Pages are linked by opaque cursors: pass `cursor` (from nextCursor/prevCursor)
+    // for one page, or `followCursors` to collect every page into a single list
+    getLibrary: async (filters = {}, token = null, { followCursors = false, maxPages = 50 } = {}) => {
+      const fetchPage = (cursor) => {
+        const params = new URLSearchParams();
+
+        Object.entries({ ...filters, cursor }).forEach(([key, value]) => {
+          if (value !== undefined && value !== null && value !== '') {
+            params.append(key, value.toString());
+          }
+        });
+
+        const queryString = params.toString();
+        const url = queryString ? `/api/games?${queryString}` : '/api/games';
+
+        return fetchWithAuth(url, { token });
+      };
+
+      const firstPage = await fetchPage(filters.cursor);
+      if (!followCursors) {
+        return firstPage;
+      }
+
+      const games = [...firstPage.games];
+      let nextCursor = firstPage.nextCursor;
+      for (let page = 1; nextCursor && page < maxPages; page++) {
+        const response = await fetchPage(nextCursor);
+        games.push(...response.games);
+        nextCursor = response.nextCursor;
+      }
+
+      return { ...firstPage, games, nextCursor, prevCursor: null };
+    },
+
+    // Update a library entry (status, rating, notes, progress)
+    updateGame: async (gameId, updates, token = null) => {
+      return fetchWithAuth(`/api/games/${gameId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates),
+        token
+      });
+    },
+
+    // Apply one action to many games: { action, gameIds, status | tags | collectionId, ... }
+    bulk: async (operation, token = null) => {
+      return fetchWithAuth('/api/games/bulk', {
+        method: 'POST',
+        body: JSON.stringify(operation),
+        token
+      });
+    },
+
+    // "Up Next" queue: move with { beforeId } | { afterId } | { position: 'top'|'bottom' }
+    queue: {
+      list: async (token = null) => {
+        return fetchWithAuth('/api/games/queue', { token });
+      },
+
+      move: async (gameId, target, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/queue`, {
+          method: 'PUT',
+          body: JSON.stringify(target),
+          token
+        });
+      },
+
+      remove: async (gameId, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/queue`, {
+          method: 'DELETE',
+          token
+        });
+      },
+    },
+
+    // Pick the next game to play: { exclude: [ids], maxHours, alternatives }
+    getRecommendation: async ({ exclude = [], maxHours, alternatives } = {}, token = null) => {
+      const params = new URLSearchParams();
+      if (exclude.length > 0) params.append('exclude', exclude.join(','));
+      if (maxHours) params.append('maxHours', maxHours.toString());
+      if (alternatives !== undefined) params.append('alternatives', alternatives.toString());
+
+      const queryString = params.toString();
+      return fetchWithAuth(`/api/games/recommendation${queryString ? `?${queryString}` : ''}`, { token });
+    },
+
+    // Import games from other services
+    import: {
+      // Services an export can be imported from
+      sources: async (token = null) => {
+        return fetchWithAuth('/api/games/import/sources', { token });
+      },
+
+      // Match a slice of a service's export; repeat with nextOffset until null
+      preview: async (source, data, offset = 0, limit = 50, token = null) => {
+        return fetchWithAuth(`/api/games/import/${source}/preview`, {
+          method: 'POST',
+          body: JSON.stringify({ export: data, offset, limit }),
+          token
+        });
+      },
+
+      // Create library games from reviewed matches
+      games: async (source, games, token = null) => {
+        return fetchWithAuth(`/api/games/import/${source}`, {
+          method: 'POST',
+          body: JSON.stringify({ games }),
+          token
+        });
+      },
+
+      // Import mapped CSV rows; with dryRun only the per-row report comes back
+      csv: async ({ csv, mapping, onDuplicate, dryRun = false }, token = null) => {
+        return fetchWithAuth('/api/games/import', {
+          method: 'POST',
+          body: JSON.stringify({ csv, mapping, onDuplicate, dryRun }),
+          token
+        });
+      },
+    },
+
+    // Download the library (optionally filtered) as CSV
+    exportCsv: async (columns = [], filters = {}, token = null) => {
       const params = new URLSearchParams();
-      
       Object.entries(filters).forEach(([key, value]) => {
         if (value !== undefined && value !== null && value !== '') {
           params.append(key, value.toString());
         }
       });
+      if (columns.length > 0) {
+        params.append('columns', columns.join(','));
+      }
 
       const queryString = params.toString();
-      const url = queryString ? `/api/games?${queryString}` : '/api/games';
-      
-      return fetchWithAuth(url, { token });
+      return fetchFileWithAuth(`/api/games/export.csv${queryString ? `?${queryString}` : ''}`, token);
     },
 
     // Get library statistics
     getStats: async (token = null) => {
       return fetchWithAuth('/api/games/stats', { token });
     },
+
+    // Monthly timeline, breakdowns and time to complete
+    getStatsOverview: async ({ months, limit } = {}, token = null) => {
+      const params = new URLSearchParams();
+      if (months) params.append('months', months.toString());
+      if (limit) params.append('limit', limit.toString());
+
+      const queryString = params.toString();
+      return fetchWithAuth(`/api/games/stats/overview${queryString ? `?${queryString}` : ''}`, { token });
+    },
+
+    // Money spent per currency, including on games never started
+    getSpendReport: async ({ from, to } = {}, token = null) => {
+      const params = new URLSearchParams();
+      if (from) params.append('from', from);
+      if (to) params.append('to', to);
+
+      const queryString = params.toString();
+      return fetchWithAuth(`/api/games/spend${queryString ? `?${queryString}` : ''}`, { token });
+    },
+
+    getCalendar: async ({ refresh = false } = {}, token = null) => {
+      return fetchWithAuth(`/api/games/calendar${refresh ? '?refresh=true' : ''}`, { token });
+    },
+
+    // Annual summaries
+    yearInReview: {
+      years: async (token = null) => {
+        return fetchWithAuth('/api/games/year-in-review', { token });
+      },
+
+      get: async (year, token = null) => {
+        return fetchWithAuth(`/api/games/year-in-review/${year}`, { token });
+      },
+    },
+
+    // Get the values the library can be filtered by
+    getFilterOptions: async (token = null) => {
+      return fetchWithAuth('/api/games/filters', { token });
+    },
+
+    // Play sessions for a library entry
+    sessions: {
+      list: async (gameId, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/sessions`, { token });
+      },
+
+      log: async (gameId, sessionData, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/sessions`, {
+          method: 'POST',
+          body: JSON.stringify(sessionData),
+          token
+        });
+      },
+
+      update: async (gameId, sessionId, sessionData, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/sessions/${sessionId}`, {
+          method: 'PUT',
+          body: JSON.stringify(sessionData),
+          token
+        });
+      },
+
+      remove: async (gameId, sessionId, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/sessions/${sessionId}`, {
+          method: 'DELETE',
+          token
+        });
+      },
+
+      // Start/stop the play timer
+      start: async (gameId, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/sessions/start`, {
+          method: 'POST',
+          token
+        });
+      },
+
+      stop: async (gameId, note = undefined, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/sessions/stop`, {
+          method: 'POST',
+          body: JSON.stringify({ note }),
+          token
+        });
+      },
+    },
+
+    // Owned copies of a library entry (platform, format, storefront, price)
+    ownership: {
+      list: async (gameId, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/ownership`, { token });
+      },
+
+      create: async (gameId, ownershipData, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/ownership`, {
+          method: 'POST',
+          body: JSON.stringify(ownershipData),
+          token
+        });
+      },
+
+      update: async (gameId, ownershipId, ownershipData, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/ownership/${ownershipId}`, {
+          method: 'PUT',
+          body: JSON.stringify(ownershipData),
+          token
+        });
+      },
+
+      remove: async (gameId, ownershipId, token = null) => {
+        return fetchWithAuth(`/api/games/${gameId}/ownership/${ownershipId}`, {
+          method: 'DELETE',
+          token
+        });
+      },
+    },
+  },
+
+  // User collections
+  collections: {
+    list: async (token = null) => {
+      return fetchWithAuth('/api/collections', { token });
+    },
+
+    get: async (collectionId, token = null) => {
+      return fetchWithAuth(`/api/collections/${collectionId}`, { token });
+    },
+
+    create: async (collectionData, token = null) => {
+      return fetchWithAuth('/api/collections', {
+        method: 'POST',
+        body: JSON.stringify(collectionData),
+        token
+      });
+    },
+
+    update: async (collectionId, collectionData, token = null) => {
+      return fetchWithAuth(`/api/collections/${collectionId}`, {
+        method: 'PUT',
+        body: JSON.stringify(collectionData),
+        token
+      });
+    },
+
+    remove: async (collectionId, token = null) => {
+      return fetchWithAuth(`/api/collections/${collectionId}`, {
+        method: 'DELETE',
+        token
+      });
+    },
+
+    addGames: async (collectionId, gameIds, token = null) => {
+      return fetchWithAuth(`/api/collections/${collectionId}/games`, {
+        method: 'POST',
+        body: JSON.stringify({ gameIds }),
+        token
+      });
+    },
+
+    removeGame: async (collectionId, gameId, token = null) => {
+      return fetchWithAuth(`/api/collections/${collectionId}/games/${gameId}`, {
+        method: 'DELETE',
+        token
+      });
+    },
+
+    reorder: async (collectionId, gameIds, token = null) => {
+      return fetchWithAuth(`/api/collections/${collectionId}/order`, {
+        method: 'PUT',
+        body: JSON.stringify({ gameIds }),
+        token
+      });
+    },
+  },
+
+  // Library tags
+  tags: {
+    list: async (sort = 'name', token = null) => {
+      return fetchWithAuth(`/api/tags?sort=${sort}`, { token });
+    },
+
+    rename: async (tagId, name, token = null) => {
+      return fetchWithAuth(`/api/tags/${tagId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name }),
+        token
+      });
+    },
+
+    merge: async (targetTagId, sourceTagIds, token = null) => {
+      return fetchWithAuth('/api/tags/merge', {
+        method: 'POST',
+        body: JSON.stringify({ targetTagId, sourceTagIds }),
+        token
+      });
+    },
+
+    remove: async (tagId, token = null) => {
+      return fetchWithAuth(`/api/tags/${tagId}`, {
+        method: 'DELETE',
+        token
+      });
+    },
+  },
+
+  // Dashboard aggregate
+  dashboard: {
+    get: async (token = null) => {
+      return fetchWithAuth('/api/dashboard', { token });
+    },
+  },
+
+  // Private iCalendar feed of release dates
+  calendarFeed: {
+    status: async (token = null) => {
+      return fetchWithAuth('/api/calendar/feed', { token });
+    },
+
+    // Creates the feed URL, or replaces it; the token is only returned here
+    rotate: async (token = null) => {
+      return fetchWithAuth('/api/calendar/feed', {
+        method: 'POST',
+        token,
+      });
+    },
+
+    revoke: async (token = null) => {
+      return fetchWithAuth('/api/calendar/feed', {
+        method: 'DELETE',
+        token,
+      });
+    },
+
+    // Absolute feed URL for calendar apps
+    url: (path) => `${API_BASE_URL}${path}`,
+  },
+
+  // In-app notifications
+  notifications: {
+    list: async ({ unread = false, limit, before } = {}, token = null) => {
+      const params = new URLSearchParams();
+      if (unread) params.append('unread', 'true');
+      if (limit) params.append('limit', limit);
+      if (before) params.append('before', before);
+
+      const queryString = params.toString();
+      return fetchWithAuth(`/api/notifications${queryString ? `?${queryString}` : ''}`, { token });
+    },
+
+    markRead: async (ids, read = true, token = null) => {
+      return fetchWithAuth('/api/notifications', {
+        method: 'PATCH',
+        body: JSON.stringify({ ids, read }),
+        token,
+      });
+    },
+
+    markAllRead: async (token = null) => {
+      return fetchWithAuth('/api/notifications', {
+        method: 'PATCH',
+        body: JSON.stringify({ all: true }),
+        token,
+      });
+    },
+  },
+
+  // Email preferences
+  email: {
+    // Token from the unsubscribe link; works without signing in
+    unsubscribe: async (unsubscribeToken) => {
+      return fetchWithAuth('/api/email/unsubscribe', {
+        method: 'POST',
+        body: JSON.stringify({ token: unsubscribeToken }),
+      });
+    },
   },
 };
 
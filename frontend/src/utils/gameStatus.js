@@ -0,0 +1,30 @@
+/**
+ * Game status definitions shared by library views
+ * Mirrors the canonical statuses in backend/utils/gameStatus.js
+ */
+
+export const GAME_STATUSES = ['wishlist', 'playing', 'on_hold', 'completed', 'dropped'];
+
+// Statuses that can sit in the "Up Next" queue (backend/utils/queueRank.js)
+export const QUEUE_STATUSES = ['wishlist', 'playing', 'on_hold'];
+
+export const STATUS_LABELS = {
+  wishlist: 'Wishlist',
+  playing: 'Playing',
+  on_hold: 'On Hold',
+  completed: 'Completed',
+  dropped: 'Dropped',
+};
+
+export const STATUS_STYLES = {
+  wishlist: 'text-sky-400 bg-sky-400/10 border-sky-400/30',
+  playing: 'text-emerald-400 bg-emerald-400/10 border-emerald-400/30',
+  on_hold: 'text-amber-400 bg-amber-400/10 border-amber-400/30',
+  completed: 'text-purple-400 bg-purple-400/10 border-purple-400/30',
+  dropped: 'text-rose-400 bg-rose-400/10 border-rose-400/30',
+};
+
+export const formatStatus = (status) => STATUS_LABELS[status] || status;
+
+export const getStatusColor = (status) =>
+  STATUS_STYLES[status] || 'text-slate-400 bg-slate-400/10 border-slate-400/30';
@@ -0,0 +1,52 @@
+/**
+ * Library filter state kept in the URL query string
+ * Keys match the GET /api/games filter parameters
+ */
+
+export const LIBRARY_FILTER_KEYS = [
+  'status',
+  'genre',
+  'platform',
+  'developer',
+  'publisher',
+  'userRatingMin',
+  'userRatingMax',
+  'igdbRatingMin',
+  'igdbRatingMax',
+  'releaseYearFrom',
+  'releaseYearTo',
+  'addedFrom',
+  'addedTo',
+  'owned',
+  'ownedPlatform',
+  'format',
+  'storefront',
+  'currency',
+  'priceMin',
+  'priceMax',
+  'purchasedFrom',
+  'purchasedTo',
+];
+
+export const emptyLibraryFilters = () =>
+  Object.fromEntries(LIBRARY_FILTER_KEYS.map(key => [key, '']));
+
+export const splitFilterList = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+// Read filters from URLSearchParams; missing keys become empty strings
+export const readLibraryFilters = (searchParams) =>
+  Object.fromEntries(LIBRARY_FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+
+// Write filters into a copy of URLSearchParams, dropping empty values
+export const writeLibraryFilters = (searchParams, filters) => {
+  const next = new URLSearchParams(searchParams);
+  LIBRARY_FILTER_KEYS.forEach((key) => {
+    const value = filters[key] ? String(filters[key]).trim() : '';
+    if (value) {
+      next.set(key, value);
+    } else {
+      next.delete(key);
+    }
+  });
+  return next;
+};
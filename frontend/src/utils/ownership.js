@@ -0,0 +1,23 @@
+/**
+ * Ownership definitions shared by library views
+ * Mirrors the formats in backend/utils/ownership.js
+ */
+
+export const OWNERSHIP_FORMATS = ['physical', 'digital'];
+
+export const FORMAT_LABELS = {
+  physical: 'Physical',
+  digital: 'Digital',
+};
+
+export const formatOwnershipFormat = (format) => FORMAT_LABELS[format] || format;
+
+// Amount in the user's locale, e.g. "$59.99" or "59,99 €"
+export const formatPrice = (amount, currency) => {
+  if (amount === null || amount === undefined || !currency) return '';
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};